@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+/**
+ * Connect to MongoDB using MONGODB_URI
+ * Exits the process if the connection fails.
+ */
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('❌ Database connection error:', error);
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  connectDB
+};
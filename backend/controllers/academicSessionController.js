@@ -0,0 +1,301 @@
+const AcademicSession = require('../models/AcademicSession');
+const CourseRegistration = require('../models/CourseRegistration');
+const { validationResult } = require('express-validator');
+const { pickFields } = require('../utils/helpers');
+
+// Fields staff may set on a session; createdBy and the rest are managed by the server
+const SESSION_FIELDS = [
+  'academicYear',
+  'semester',
+  'startDate',
+  'endDate',
+  'registrationOpensAt',
+  'registrationClosesAt',
+  'lateRegistrationClosesAt',
+  'addDropDeadline',
+  'feesDueDate',
+  'examStartDate',
+  'examEndDate'
+];
+
+// Turn a Mongoose validation failure into a single readable message
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * @swagger
+ * /api/academic-sessions:
+ *   get:
+ *     summary: Get all academic sessions, newest first
+ *     tags: [Academic Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of academic sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AcademicSession'
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await AcademicSession.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error fetching academic sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching academic sessions'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/academic-sessions/current:
+ *   get:
+ *     summary: Get the current academic session and the next one to open
+ *     tags: [Academic Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current session (null outside any session) and upcoming session
+ */
+const getCurrentSession = async (req, res) => {
+  try {
+    const [current, upcoming] = await Promise.all([
+      AcademicSession.getCurrent(),
+      AcademicSession.getUpcoming()
+    ]);
+
+    res.json({
+      success: true,
+      data: { current, upcoming }
+    });
+  } catch (error) {
+    console.error('Error fetching current academic session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching current academic session'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/academic-sessions:
+ *   post:
+ *     summary: Create an academic session (requires sessions:manage)
+ *     tags: [Academic Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcademicSession'
+ *     responses:
+ *       201:
+ *         description: Academic session created
+ *       400:
+ *         description: Validation error, dates out of order or session already exists
+ */
+const createSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = new AcademicSession({
+      ...pickFields(req.body, SESSION_FIELDS),
+      createdBy: req.user._id
+    });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic session created successfully',
+      data: session
+    });
+  } catch (error) {
+    console.error('Error creating academic session:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A session already exists for this semester and academic year'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating academic session'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/academic-sessions/{id}:
+ *   put:
+ *     summary: Update an academic session (requires sessions:manage)
+ *     tags: [Academic Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcademicSession'
+ *     responses:
+ *       200:
+ *         description: Academic session updated
+ *       404:
+ *         description: Academic session not found
+ */
+const updateSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await AcademicSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session not found'
+      });
+    }
+
+    session.set(pickFields(req.body, SESSION_FIELDS));
+    await session.save();
+
+    res.json({
+      success: true,
+      message: 'Academic session updated successfully',
+      data: session
+    });
+  } catch (error) {
+    console.error('Error updating academic session:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A session already exists for this semester and academic year'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating academic session'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/academic-sessions/{id}:
+ *   delete:
+ *     summary: Delete an academic session with no registrations (requires sessions:manage)
+ *     tags: [Academic Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Academic session deleted
+ *       400:
+ *         description: Session already has registrations
+ *       404:
+ *         description: Academic session not found
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await AcademicSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Academic session not found'
+      });
+    }
+
+    const registrations = await CourseRegistration.countDocuments({ session: session._id });
+    if (registrations > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a session that already has course registrations'
+      });
+    }
+
+    await session.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Academic session deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting academic session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting academic session'
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  getCurrentSession,
+  createSession,
+  updateSession,
+  deleteSession
+};
@@ -3,6 +3,12 @@ const Course = require('../models/Course');
 const CourseRegistration = require('../models/CourseRegistration');
 const News = require('../models/News');
 const Payment = require('../models/Payment');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Invitation = require('../models/Invitation');
+const { sendStaffInvitationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const { getDepartmentScope, canAccessDepartment } = require('../middleware/roleCheck');
+const { escapeRegex } = require('../utils/helpers');
 const { validationResult } = require('express-validator');
 
 /**
@@ -196,6 +202,667 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * Apply an account action to a user on behalf of an admin
+ * @param {Object} user - User document
+ * @param {String} action - deactivate, reactivate or force_password_reset
+ * @param {String} adminId - ID of the admin performing the action
+ * @param {String} note - Suspension reason or reinstatement note for the audit trail
+ */
+const applyUserAction = async (user, action, adminId, note) => {
+  switch (action) {
+    case 'deactivate':
+      await user.suspend(adminId, note);
+      await Session.revokeAllForUser(user._id, 'account_deactivated');
+      break;
+    case 'reactivate':
+      await user.reinstate(adminId, note);
+      break;
+    case 'force_password_reset': {
+      const resetToken = user.requirePasswordReset();
+      await user.save();
+      await Session.revokeAllForUser(user._id, 'password_reset');
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (emailError) {
+        console.error('Password reset email error:', emailError);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown user action: ${action}`);
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search the user directory (requires users:view; HODs only see their department)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email or reference number
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: program
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, deleted]
+ *         description: Deleted accounts are only listed when asked for
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching users, newest first
+ */
+const getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { search, department, program, level, role, status } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { referenceNumber: pattern }
+      ];
+    }
+    if (department) filter.department = department;
+    if (program) filter.program = program;
+    if (level) filter.level = parseInt(level, 10);
+    if (role) filter.role = role;
+    // Accounts created before suspension existed have no isActive field and count as active
+    if (status === 'deleted') {
+      filter.deletedAt = { $ne: null };
+    } else {
+      filter.deletedAt = null;
+      if (status) filter.isActive = status === 'active' ? { $ne: false } : false;
+    }
+
+    // Department-scoped staff only ever see their own department
+    const scope = getDepartmentScope(req.user);
+    if (scope) filter.department = scope;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   get:
+ *     summary: Get a user with their account activity (requires users:view)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details and activity counts
+ *       404:
+ *         description: User not found
+ */
+const getUserDetails = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId)
+      .select('-password')
+      .populate('statusHistory.performedBy', 'firstName lastName');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, user.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view users in your department.'
+      });
+    }
+
+    const [registrations, payments, activeSessions] = await Promise.all([
+      CourseRegistration.countDocuments({ student: user._id }),
+      Payment.countDocuments({ student: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        activity: {
+          registrations,
+          payments,
+          activeSessions
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user details:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user details'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [student, lecturer, hod, bursar, registrar, admin]
+ *               department:
+ *                 type: string
+ *                 description: Required when the new role is lecturer or HOD
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role change, e.g. changing your own role
+ *       404:
+ *         description: User not found
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { role, department } = req.body;
+    user.role = role;
+    if (department) user.department = department;
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(saveError.errors).map(err => err.message).join(', ')
+        });
+      }
+      throw saveError;
+    }
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/deactivate:
+ *   put:
+ *     summary: Suspend an account (requires users:manage)
+ *     description: Signs the user out of every device and blocks new logins. Registrations and payments are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user when they try to sign in
+ *     responses:
+ *       200:
+ *         description: Account suspended
+ *       400:
+ *         description: You cannot suspend your own account
+ *       404:
+ *         description: User not found
+ */
+const deactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await applyUserAction(user, 'deactivate', req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Account suspended successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error suspending account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error suspending account'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/reactivate:
+ *   put:
+ *     summary: Reinstate a suspended or deleted account (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Audit note recorded in the account's status history
+ *     responses:
+ *       200:
+ *         description: Account reinstated
+ *       404:
+ *         description: User not found
+ */
+const reactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await applyUserAction(user, 'reactivate', req.user._id, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Account reinstated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error reinstating account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reinstating account'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   delete:
+ *     summary: Soft-delete an account (requires users:manage)
+ *     description: The account can no longer sign in and is hidden from the directory. Registrations and payments are kept, and the account can be reinstated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: You cannot delete your own account
+ *       404:
+ *         description: User not found
+ */
+const deleteUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.userId, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.softDelete(req.user._id, req.body.reason);
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting account'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/force-password-reset:
+ *   post:
+ *     summary: Force a user to choose a new password (requires users:manage)
+ *     description: Signs the user out everywhere, blocks logins until the password is reset and emails a reset link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password reset required and email sent
+ *       404:
+ *         description: User not found
+ */
+const forcePasswordReset = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await applyUserAction(user, 'force_password_reset', req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset required. A reset link has been emailed to the user.'
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/users/bulk:
+ *   post:
+ *     summary: Apply an account action to several users (requires users:manage)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *               - action
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               action:
+ *                 type: string
+ *                 enum: [deactivate, reactivate, force_password_reset]
+ *               note:
+ *                 type: string
+ *                 description: Suspension reason or reinstatement note; required to deactivate or reactivate
+ *     responses:
+ *       200:
+ *         description: Number of users updated; your own account is always skipped
+ */
+const bulkUserAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userIds, action, note } = req.body;
+
+    // Never let an admin lock themselves out through a bulk selection
+    const users = await User.find({
+      _id: { $in: userIds.filter(id => id !== req.user._id.toString()) }
+    });
+
+    for (const user of users) {
+      await applyUserAction(user, action, req.user._id, note);
+    }
+
+    res.json({
+      success: true,
+      message: `${users.length} user(s) updated`,
+      data: {
+        updated: users.length,
+        skipped: userIds.length - users.length
+      }
+    });
+  } catch (error) {
+    console.error('Error applying bulk user action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying bulk user action'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/admin/courses/stats:
@@ -408,15 +1075,427 @@ const getSystemHealth = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/admin/security/lockouts:
+ *   get:
+ *     summary: Get locked accounts and blocked IP addresses (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current lockouts
+ */
+const getLockouts = async (req, res) => {
+  try {
+    const users = await User.getLockedUsers();
+    const ipAddresses = await LoginAttempt.getBlockedIps(
+      parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20
+    );
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        ipAddresses
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching lockouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lockouts'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/security/login-attempts:
+ *   get:
+ *     summary: Get the login attempt audit trail (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Login attempts, most recent first
+ */
+const getLoginAttempts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, ipAddress, outcome } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const filter = {};
+    if (email) filter.email = email.toLowerCase();
+    if (ipAddress) filter.ipAddress = ipAddress;
+    if (outcome) filter.outcome = outcome;
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate('user', 'firstName lastName role department')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginAttempt.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: attempts,
+      count: attempts.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching login attempts'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/security/lockouts/users/{userId}:
+ *   delete:
+ *     summary: Unlock an account (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+const clearUserLockout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error clearing user lockout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing user lockout'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/security/lockouts/ip:
+ *   delete:
+ *     summary: Unblock an IP address (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ipAddress
+ *             properties:
+ *               ipAddress:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: IP address unblocked
+ */
+const clearIpLockout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await LoginAttempt.clearIpFailures(req.body.ipAddress);
+
+    res.json({
+      success: true,
+      message: 'IP address unblocked successfully',
+      data: {
+        clearedAttempts: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error clearing IP lockout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error clearing IP lockout'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   post:
+ *     summary: Invite a new staff member by email (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - firstName
+ *               - lastName
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [lecturer, hod, bursar, registrar, admin]
+ *               department:
+ *                 type: string
+ *                 description: Required for lecturers and HODs
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       409:
+ *         description: Account or pending invitation already exists for the email
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email, firstName, lastName, role, department } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account already exists for this email'
+      });
+    }
+
+    // Replace any earlier invitation so only the newest link works
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const { invitation, token } = await Invitation.createInvitation({
+      email,
+      firstName,
+      lastName,
+      role,
+      department,
+      invitedBy: req.user._id
+    });
+
+    await sendStaffInvitationEmail(invitation, token, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending invitation'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   get:
+ *     summary: Get pending staff invitations (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.getPending();
+
+    res.json({
+      success: true,
+      data: invitations,
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending staff invitation (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || !invitation.isPending) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await invitation.revoke();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation'
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getOnlineUsers,
   getUsersByDepartment,
   getUserStats,
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  deleteUser,
+  forcePasswordReset,
+  bulkUserAction,
   getCourseStats,
   getRegistrationStats,
   getNewsStats,
   getPaymentStats,
   getTotalPaymentsByDepartment,
-  getSystemHealth
+  getSystemHealth,
+  getLockouts,
+  getLoginAttempts,
+  clearUserLockout,
+  clearIpLockout,
+  createInvitation,
+  getInvitations,
+  revokeInvitation
 }; 
\ No newline at end of file
@@ -1,6 +1,106 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Invitation = require('../models/Invitation');
+const { generateToken, generateChallengeToken, verifyChallengeToken } = require('../middleware/auth');
+const { getPermissions } = require('../middleware/roleCheck');
 const { validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const { buildOtpauthUrl } = require('../utils/totp');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+const { lookupLocation } = require('../services/geoService');
+const { sleep } = require('../utils/helpers');
+
+// Recent failed logins from one IP address before it is blocked
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+
+/**
+ * Delay before answering a failed login, doubling with each failure (max 8s)
+ * @param {Number} failures - Consecutive failed attempts
+ * @returns {Number} Delay in milliseconds
+ */
+const getFailedLoginDelay = (failures) => Math.min(250 * 2 ** (failures - 1), 8000);
+
+/**
+ * Send the response for a temporarily locked account
+ * @param {Object} user - Locked user document
+ * @param {Response} res - Express response object
+ */
+const sendAccountLocked = (user, res) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    data: {
+      lockUntil: user.lockUntil
+    }
+  });
+};
+
+/**
+ * Start a new session and issue its access and refresh tokens
+ * @param {Object} user - Authenticated user document
+ * @param {Request} req - Express request object
+ * @returns {Object} Access token and refresh token
+ */
+const issueSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  const token = generateToken({ userId: user._id, sessionId: session._id });
+
+  // Resolve the approximate location in the background so login isn't delayed
+  lookupLocation(session.ipAddress)
+    .then(location => location && Session.updateOne({ _id: session._id }, { location }))
+    .catch(error => console.error('Session location error:', error));
+
+  return { token, refreshToken };
+};
+
+/**
+ * Finish a login once every factor has been checked
+ * @param {Object} user - Authenticated user document
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Object} extra - Additional fields to include in the response data
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+  await user.resetLoginAttempts();
+  await LoginAttempt.record(req, { email: user.email, user, outcome: 'success' });
+
+  // Start a session
+  const { token, refreshToken } = await issueSessionTokens(user, req);
+
+  // Update online status
+  await user.updateOnlineStatus(true);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        role: user.role,
+        permissions: getPermissions(user.role),
+        department: user.department,
+        program: user.program,
+        level: user.level,
+        isOnline: user.isOnline,
+        twoFactorEnabled: user.twoFactorEnabled
+      },
+      token,
+      refreshToken,
+      ...extra
+    }
+  });
+};
 
 /**
  * @swagger
@@ -47,7 +147,7 @@ const { validationResult } = require('express-validator');
  *                 type: number
  *     responses:
  *       201:
- *         description: Student registered successfully
+ *         description: Student registered successfully, verification email sent
  *       400:
  *         description: Validation error
  *       409:
@@ -105,17 +205,21 @@ const registerStudent = async (req, res) => {
       role: 'student'
     });
 
-    await student.save();
+    // Issue email verification token
+    const verificationToken = student.createEmailVerificationToken();
 
-    // Generate token
-    const token = generateToken({ userId: student._id });
+    await student.save();
 
-    // Update online status
-    await student.updateOnlineStatus(true);
+    try {
+      await sendVerificationEmail(student, verificationToken);
+    } catch (emailError) {
+      // The student can request a new link, so registration still succeeds
+      console.error('Verification email error:', emailError);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Student registered successfully',
+      message: 'Student registered successfully. Please check your email to verify your account.',
       data: {
         user: {
           id: student._id,
@@ -127,9 +231,8 @@ const registerStudent = async (req, res) => {
           department: student.department,
           program: student.program,
           level: student.level,
-          isOnline: student.isOnline
-        },
-        token
+          isEmailVerified: student.isEmailVerified
+        }
       }
     });
   } catch (error) {
@@ -164,11 +267,15 @@ const registerStudent = async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when a code is required
  *       401:
  *         description: Invalid credentials
  *       403:
- *         description: Email not verified
+ *         description: Email not verified, account suspended or deleted, or password reset required
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts from this IP address
  */
 const login = async (req, res) => {
   try {
@@ -182,58 +289,105 @@ const login = async (req, res) => {
       });
     }
 
+    // Block IP addresses with too many recent failures
+    const ipFailures = await LoginAttempt.countRecentFailuresByIp(req.ip);
+    if (ipFailures >= LOGIN_IP_MAX_ATTEMPTS) {
+      await LoginAttempt.record(req, { email, outcome: 'ip_blocked' });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts from this IP, please try again later.'
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
 
     if (!user) {
+      await LoginAttempt.record(req, { email, outcome: 'unknown_email' });
+      await sleep(getFailedLoginDelay(ipFailures + 1));
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { email, user, outcome: 'account_locked' });
+      return sendAccountLocked(user, res);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await LoginAttempt.record(req, { email, user, outcome: 'invalid_password' });
+      const failures = await user.registerFailedLogin();
+      await sleep(getFailedLoginDelay(failures));
+
+      if (user.isLocked) {
+        return sendAccountLocked(user, res);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Suspended and deleted accounts keep their records but cannot sign in
+    if (!user.isActive) {
+      await LoginAttempt.record(req, { email, user, outcome: 'account_deactivated' });
+      return res.status(403).json({
+        success: false,
+        message: `This account has been ${user.accountStatus}. Please contact the administrator.`,
+        data: {
+          accountStatus: user.accountStatus,
+          reason: user.suspensionReason
+        }
+      });
+    }
+
+    if (user.passwordResetRequired) {
+      await LoginAttempt.record(req, { email, user, outcome: 'password_reset_required' });
+      return res.status(403).json({
+        success: false,
+        message: 'You must reset your password before logging in. Use the link sent to your email or request a new one.'
+      });
+    }
+
     // Check if student email is verified
     if (user.role === 'student' && !user.isEmailVerified) {
+      await LoginAttempt.record(req, { email, user, outcome: 'email_not_verified' });
       return res.status(403).json({
         success: false,
         message: 'Please verify your email before logging in'
       });
     }
 
-    // Generate token
-    const token = generateToken({ userId: user._id });
+    // Ask for the authenticator code before starting a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateChallengeToken(user._id, 'two_factor')
+        }
+      });
+    }
 
-    // Update online status
-    await user.updateOnlineStatus(true);
+    // Accounts that must use two-factor authentication enroll before signing in
+    if (user.twoFactorRequired) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication must be set up for this account',
+        data: {
+          requiresTwoFactorSetup: true,
+          challengeToken: generateChallengeToken(user._id, 'two_factor_setup')
+        }
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          fullName: user.fullName,
-          role: user.role,
-          department: user.department,
-          program: user.program,
-          level: user.level,
-          isOnline: user.isOnline
-        },
-        token
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -257,6 +411,10 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
+    if (req.authSession) {
+      await req.authSession.revoke('logout');
+    }
+
     if (req.user) {
       // Update online status
       await req.user.updateOnlineStatus(false);
@@ -303,11 +461,14 @@ const getCurrentUser = async (req, res) => {
           lastName: user.lastName,
           fullName: user.fullName,
           role: user.role,
+          permissions: getPermissions(user.role),
           department: user.department,
           program: user.program,
           level: user.level,
           isOnline: user.isOnline,
           lastSeen: user.lastSeen,
+          twoFactorEnabled: user.twoFactorEnabled,
+          twoFactorRequired: user.twoFactorRequired,
           createdAt: user.createdAt
         }
       }
@@ -384,6 +545,9 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -397,10 +561,1019 @@ const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify a student's email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email link
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const user = errors.isEmpty()
+      ? await User.findByEmailVerificationToken(req.params.token)
+      : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await user.markEmailVerified();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully. You can now log in.'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only unverified accounts get a new link; the response is the same either way
+    if (user && !user.isEmailVerified) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for that email, a new verification link has been sent.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond identically whether or not the account exists
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (emailError) {
+        console.error('Password reset email error:', emailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using a reset link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Password reset token from the email link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset link
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    await user.resetPassword(req.body.password);
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and rotated refresh token
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const parsed = errors.isEmpty() && Session.parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const rotated = await Session.rotateRefreshToken(parsed.sessionId, parsed.secret);
+
+    if (!rotated) {
+      const session = await Session.findById(parsed.sessionId);
+
+      // A well-formed token for a live session with the wrong secret has already
+      // been rotated, so someone is replaying it: revoke the session entirely
+      if (session && session.isActive) {
+        await session.revoke('refresh_token_reuse');
+        console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again.'
+      });
+    }
+
+    const user = await User.findById(rotated.session.user).select('-password');
+
+    if (!user || !user.isActive) {
+      await rotated.session.revoke('logout');
+      return res.status(401).json({
+        success: false,
+        message: user
+          ? `This account has been ${user.accountStatus}. Please contact the administrator.`
+          : 'Invalid token. User not found.'
+      });
+    }
+
+    const token = generateToken({ userId: user._id, sessionId: rotated.session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Sign out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    await req.user.updateOnlineStatus(false);
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all devices',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        location: session.location,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        isCurrent: session._id.equals(req.authSession._id)
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        isCurrent: session._id.equals(req.authSession._id)
+      }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with an authenticator or backup code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token returned by login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit authenticator code or a backup code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'two_factor');
+    const user = decoded && await User.findByIdWithTwoFactor(decoded.userId);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session expired. Please login again.'
+      });
+    }
+
+    if (user.isLocked) {
+      await LoginAttempt.record(req, { email: user.email, user, outcome: 'account_locked' });
+      return sendAccountLocked(user, res);
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      await LoginAttempt.record(req, { email: user.email, user, outcome: 'invalid_two_factor_code' });
+      const failures = await user.registerFailedLogin();
+      await sleep(getFailedLoginDelay(failures));
+
+      if (user.isLocked) {
+        return sendAccountLocked(user, res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save();
+
+    await completeLogin(user, req, res, {
+      backupCodesRemaining: user.twoFactorBackupCodes.length
+    });
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Accepts either a bearer token or the setup challenge token returned by login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and QR code for the authenticator app
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = user.startTwoFactorEnrollment();
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code from the authenticator app
+ *     description: When called with a setup challenge token the user is also signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, backup codes returned
+ *       400:
+ *         description: Invalid code or enrollment not started
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before enabling it'
+      });
+    }
+
+    const backupCodes = user.enableTwoFactor(req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save();
+
+    // Enrollment was the last step of login, so sign the user in
+    if (req.viaChallenge) {
+      return completeLogin(user, req, res, { backupCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for this account
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (user.twoFactorRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for this account'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes; the old ones no longer work
+ *       400:
+ *         description: Invalid code
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user._id);
+
+    if (!user.twoFactorEnabled || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}:
+ *   get:
+ *     summary: Get the details of a pending staff invitation
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation token from the email link
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       404:
+ *         description: Invitation invalid, used or expired
+ */
+const getInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const invitation = errors.isEmpty()
+      ? await Invitation.findPendingByToken(req.params.token)
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        department: invitation.department,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}/accept:
+ *   post:
+ *     summary: Create a staff account from an invitation
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation token from the email link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - referenceNumber
+ *               - password
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               referenceNumber:
+ *                 type: string
+ *                 description: Staff ID
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       201:
+ *         description: Account created, the user can now log in
+ *       404:
+ *         description: Invitation invalid, used or expired
+ *       409:
+ *         description: Account already exists
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findPendingByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    const { phoneNumber, referenceNumber, password } = req.body;
+
+    const existingUser = await User.findOne({
+      $or: [{ email: invitation.email }, { referenceNumber }]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: existingUser.email === invitation.email
+          ? 'Email already registered'
+          : 'Staff ID already registered'
+      });
+    }
+
+    // The invitation link proves ownership of the email address
+    const user = await User.create({
+      email: invitation.email,
+      firstName: invitation.firstName,
+      lastName: invitation.lastName,
+      phoneNumber,
+      referenceNumber,
+      password,
+      role: invitation.role,
+      department: invitation.department || undefined,
+      isEmailVerified: true
+    });
+
+    await invitation.markAccepted(user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully. You can now log in.',
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          department: user.department
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   registerStudent,
   login,
   logout,
   getCurrentUser,
-  changePassword
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getInvitation,
+  acceptInvitation
 }; 
\ No newline at end of file
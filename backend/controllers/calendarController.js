@@ -0,0 +1,172 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { hashToken, getApiBaseUrl } = require('../utils/helpers');
+const { buildCalendarFeed } = require('../services/calendarService');
+
+/**
+ * @swagger
+ * /api/calendar/{token}.ics:
+ *   get:
+ *     summary: Download a calendar feed (public; the secret token identifies the user)
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret feed token
+ *     responses:
+ *       200:
+ *         description: iCalendar document with timetable classes and academic deadlines
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked feed
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const user = await User.findOne({
+      calendarFeedToken: hashToken(req.params.token),
+      deletedAt: null,
+      isActive: true
+    });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildCalendarFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="umat-calendar.ics"',
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   get:
+ *     summary: Check whether you have a calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: data.active and data.createdAt; the feed URL is only shown when it is generated
+ */
+const getFeedStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('calendarFeedCreatedAt');
+
+    res.json({
+      success: true,
+      data: {
+        active: !!user.calendarFeedCreatedAt,
+        createdAt: user.calendarFeedCreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   post:
+ *     summary: Generate a calendar feed URL, replacing any earlier one
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: data.url is the new feed URL; the previous URL stops working
+ */
+const createCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.createCalendarFeedToken();
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed generated',
+      data: {
+        url: `${getApiBaseUrl(req)}/api/calendar/${token}.ics`,
+        createdAt: user.calendarFeedCreatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error generating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   delete:
+ *     summary: Turn off your calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed revoked; its URL stops working
+ */
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      calendarFeedToken: null,
+      calendarFeedCreatedAt: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed turned off'
+    });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed'
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  getFeedStatus,
+  createCalendarFeed,
+  revokeCalendarFeed
+};
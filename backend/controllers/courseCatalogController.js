@@ -0,0 +1,211 @@
+const path = require('path');
+const Course = require('../models/Course');
+const { validationResult } = require('express-validator');
+const { getDepartmentScope } = require('../middleware/roleCheck');
+const {
+  readCatalogFile,
+  planCatalogImport,
+  applyCatalogImport,
+  buildCatalogFile
+} = require('../services/courseCatalogService');
+
+// Spreadsheet formats the catalogue can be imported from and exported to
+const CATALOG_FORMATS = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Get the catalogue format of an uploaded file from its extension
+ * @param {Object} file - Multer file
+ * @returns {String|null} 'csv', 'xlsx' or null for any other file
+ */
+const getUploadFormat = (file) => {
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+  return CATALOG_FORMATS[format] ? format : null;
+};
+
+/**
+ * @swagger
+ * /api/courses/import:
+ *   post:
+ *     summary: Import the course catalogue from a CSV or XLSX file (requires courses:manage)
+ *     description: >
+ *       Creates or updates one course per row, matched by course code. Every row is validated
+ *       first and nothing is saved unless all rows pass. Rows are then saved one at a time; if
+ *       a row still fails to save, the rows before it stay saved and the rest are not imported.
+ *       Empty optional cells clear the field, while optional columns left out of the file keep
+ *       their current values. Use dryRun to preview the changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report the changes without saving them
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Spreadsheet with the columns of the catalogue export
+ *     responses:
+ *       200:
+ *         description: Import report with created, updated, unchanged and failed counts and { row, courseCode, action, errors } per row
+ *       400:
+ *         description: >
+ *           Missing or unreadable file, rows failed validation (the report lists the errors and
+ *           nothing is saved), or a row failed to save (data.saved lists the rows saved before it
+ *           and data.saveFailed gives its row, course code and message)
+ */
+const importCourses = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const format = req.file && getUploadFormat(req.file);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a .csv or .xlsx file'
+      });
+    }
+
+    const { rows, columns, message } = await readCatalogFile(req.file.buffer, format);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    const { report, changes } = await planCatalogImport(rows, columns, req.user);
+    const dryRun = req.query.dryRun === 'true';
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: report.failed > 0
+          ? `${report.failed} of ${rows.length} rows have errors`
+          : `All ${rows.length} rows are valid`,
+        data: { ...report, dryRun }
+      });
+    }
+
+    if (report.failed > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${report.failed} of ${rows.length} rows have errors. No courses were imported.`,
+        data: { ...report, dryRun }
+      });
+    }
+
+    const { saved, failed } = await applyCatalogImport(changes);
+    if (failed) {
+      return res.status(400).json({
+        success: false,
+        message: `Row ${failed.row} (${failed.courseCode}) could not be saved: ${failed.message}. ` +
+          `${saved.length} courses from earlier rows were saved and later rows were not imported.`,
+        data: { ...report, dryRun, saved, saveFailed: failed }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${report.created} courses created and ${report.updated} updated`,
+      data: { ...report, dryRun }
+    });
+  } catch (error) {
+    console.error('Error importing courses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing courses'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/export:
+ *   get:
+ *     summary: Export the course catalogue as CSV or XLSX (requires courses:manage)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: program
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active courses matching the filters, in the layout the import accepts
+ *         content:
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ */
+const exportCourses = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { program, level, semester, format = 'csv' } = req.query;
+    const department = getDepartmentScope(req.user) || req.query.department;
+
+    const courses = await Course.getCoursesByFilters({ department, program, level, semester });
+    const file = await buildCatalogFile(courses, format);
+
+    res.set({
+      'Content-Type': CATALOG_FORMATS[format],
+      'Content-Disposition': `attachment; filename="course-catalogue.${format}"`,
+      'Content-Length': file.length
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting courses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting courses'
+    });
+  }
+};
+
+module.exports = {
+  importCourses,
+  exportCourses
+};
@@ -1,6 +1,46 @@
 const Course = require('../models/Course');
 const CourseRegistration = require('../models/CourseRegistration');
+const User = require('../models/User');
+const AcademicSession = require('../models/AcademicSession');
 const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+const { checkRegistrationEligibility, getAvailableSeats, promoteWaitlist } = require('../services/registrationService');
+const { addCoreCourseRegistrations } = require('../services/curriculumService');
+const { sortByWeek, describeVenueClash } = require('../utils/timetable');
+
+const COURSE_SCOPE_MESSAGE = 'Access denied. You can only manage courses in your department.';
+const REGISTRATION_SCOPE_MESSAGE = 'Access denied. You can only manage registrations for courses in your department.';
+
+// Largest number of registrations a single bulk approval or rejection will process
+const BULK_REGISTRATION_LIMIT = 500;
+
+// Say that course registration is closed, with the date the next session's registration opens if one is scheduled
+const getRegistrationClosedMessage = async () => {
+  const upcoming = await AcademicSession.getUpcoming();
+  return upcoming
+    ? `Course registration is closed. It opens on ${upcoming.registrationOpensAt.toDateString()}`
+    : 'Course registration is closed';
+};
+
+// Build a registration query from course and semester filters, limited to the user's department
+const buildRegistrationQuery = async (user, { courseId, program, level, semester, academicYear, status }) => {
+  const query = {};
+  if (semester) query.semester = semester;
+  if (academicYear) query.academicYear = academicYear;
+  if (status) query.status = status;
+
+  const courseQuery = Course.getAudienceQuery({ program, level });
+  if (courseId) courseQuery._id = courseId;
+
+  const department = getDepartmentScope(user);
+  if (department) courseQuery.department = department;
+
+  if (Object.keys(courseQuery).length > 0) {
+    query.course = { $in: await Course.find(courseQuery).distinct('_id') };
+  }
+
+  return query;
+};
 
 /**
  * @swagger
@@ -20,12 +60,12 @@ const { validationResult } = require('express-validator');
  *         name: program
  *         schema:
  *           type: string
- *         description: Filter by program
+ *         description: Filter by program, including courses other programs offer to it
  *       - in: query
  *         name: level
  *         schema:
  *           type: number
- *         description: Filter by level
+ *         description: Filter by level, matched with the program when both are given
  *       - in: query
  *         name: semester
  *         schema:
@@ -132,7 +172,7 @@ const getCourseById = async (req, res) => {
  * @swagger
  * /api/courses:
  *   post:
- *     summary: Create a new course (Admin only)
+ *     summary: Create a new course (requires courses:manage)
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -173,9 +213,20 @@ const getCourseById = async (req, res) => {
  *                   type: string
  *               maxStudents:
  *                 type: number
+ *               offerings:
+ *                 type: array
+ *                 description: Other programs taking the course, as { program, level, maxStudents }
+ *                 items:
+ *                   type: object
+ *               schedule:
+ *                 type: array
+ *                 items:
+ *                   type: object
  *     responses:
  *       201:
  *         description: Course created successfully
+ *       400:
+ *         description: Validation failed or a venue is double-booked
  */
 const createCourse = async (req, res) => {
   try {
@@ -187,7 +238,26 @@ const createCourse = async (req, res) => {
       });
     }
 
-    const course = new Course(req.body);
+    if (!canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({
+        success: false,
+        message: COURSE_SCOPE_MESSAGE
+      });
+    }
+
+    const { offerings, ...fields } = req.body;
+    const course = new Course(fields);
+    if (offerings) course.setOfferings(offerings);
+
+    const venueClashes = await Course.findVenueClashes(course);
+    if (venueClashes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: describeVenueClash(venueClashes[0]),
+        data: { venueClashes }
+      });
+    }
+
     await course.save();
 
     res.status(201).json({
@@ -205,6 +275,13 @@ const createCourse = async (req, res) => {
       });
     }
 
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error creating course'
@@ -216,7 +293,7 @@ const createCourse = async (req, res) => {
  * @swagger
  * /api/courses/{id}:
  *   put:
- *     summary: Update course (Admin only)
+ *     summary: Update course (requires courses:manage)
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -235,6 +312,8 @@ const createCourse = async (req, res) => {
  *     responses:
  *       200:
  *         description: Course updated successfully
+ *       400:
+ *         description: Validation failed or a venue is double-booked
  */
 const updateCourse = async (req, res) => {
   try {
@@ -246,11 +325,7 @@ const updateCourse = async (req, res) => {
       });
     }
 
-    const course = await Course.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const course = await Course.findById(req.params.id);
 
     if (!course) {
       return res.status(404).json({
@@ -259,6 +334,36 @@ const updateCourse = async (req, res) => {
       });
     }
 
+    // Scoped staff can neither edit another department's course nor move one out of theirs
+    if (!canAccessDepartment(req.user, course.department) ||
+        (req.body.department && !canAccessDepartment(req.user, req.body.department))) {
+      return res.status(403).json({
+        success: false,
+        message: COURSE_SCOPE_MESSAGE
+      });
+    }
+
+    const previousCapacity = course.maxStudents;
+    const { offerings, ...fields } = req.body;
+    course.set(fields);
+    if (offerings) course.setOfferings(offerings);
+
+    const venueClashes = await Course.findVenueClashes(course);
+    if (venueClashes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: describeVenueClash(venueClashes[0]),
+        data: { venueClashes }
+      });
+    }
+
+    await course.save();
+
+    // Extra capacity goes to the waitlist first
+    if (course.maxStudents > previousCapacity) {
+      await promoteWaitlist(course._id);
+    }
+
     res.json({
       success: true,
       message: 'Course updated successfully',
@@ -266,6 +371,14 @@ const updateCourse = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating course:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating course'
@@ -277,7 +390,7 @@ const updateCourse = async (req, res) => {
  * @swagger
  * /api/courses/{id}:
  *   delete:
- *     summary: Delete course (Admin only)
+ *     summary: Delete course (requires courses:manage)
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -293,7 +406,7 @@ const updateCourse = async (req, res) => {
  */
 const deleteCourse = async (req, res) => {
   try {
-    const course = await Course.findByIdAndDelete(req.params.id);
+    const course = await Course.findById(req.params.id);
 
     if (!course) {
       return res.status(404).json({
@@ -302,6 +415,15 @@ const deleteCourse = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: COURSE_SCOPE_MESSAGE
+      });
+    }
+
+    await course.deleteOne();
+
     res.json({
       success: true,
       message: 'Course deleted successfully'
@@ -319,17 +441,17 @@ const deleteCourse = async (req, res) => {
  * @swagger
  * /api/courses/stats:
  *   get:
- *     summary: Get course statistics (Admin only)
+ *     summary: Get course statistics (requires courses:manage; HODs only see their department)
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Course statistics
+ *         description: Course statistics by department, program, level and semester. Shared courses are listed under every program taking them (counted in sharedCourses), with seats and enrollment split by program quota.
  */
 const getCourseStats = async (req, res) => {
   try {
-    const stats = await Course.getCourseStats();
+    const stats = await Course.getCourseStats({ department: getDepartmentScope(req.user) });
 
     res.json({
       success: true,
@@ -348,7 +470,7 @@ const getCourseStats = async (req, res) => {
  * @swagger
  * /api/courses/register:
  *   post:
- *     summary: Register for a course (Student only)
+ *     summary: Register for a course in the current academic session (Student only)
  *     tags: [Course Registration]
  *     security:
  *       - bearerAuth: []
@@ -360,19 +482,14 @@ const getCourseStats = async (req, res) => {
  *             type: object
  *             required:
  *               - courseId
- *               - semester
- *               - academicYear
  *             properties:
  *               courseId:
  *                 type: string
- *               semester:
- *                 type: string
- *                 enum: [First, Second]
- *               academicYear:
- *                 type: string
  *     responses:
  *       201:
  *         description: Course registration successful
+ *       400:
+ *         description: Registration window closed, course unavailable or full (data.canJoinWaitlist), prerequisites not met (listed in data.unmetPrerequisites) or credit limit exceeded (details in data.creditLoad)
  */
 const registerForCourse = async (req, res) => {
   try {
@@ -384,9 +501,22 @@ const registerForCourse = async (req, res) => {
       });
     }
 
-    const { courseId, semester, academicYear } = req.body;
+    const { courseId } = req.body;
     const studentId = req.user._id;
 
+    // The semester and academic year come from the calendar, not the client
+    const session = await AcademicSession.getCurrent();
+    const registrationWindow = session ? session.getRegistrationWindow() : 'closed';
+
+    if (registrationWindow === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: await getRegistrationClosedMessage()
+      });
+    }
+
+    const { semester, academicYear } = session;
+
     // Check if course exists
     const course = await Course.findById(courseId);
     if (!course) {
@@ -396,35 +526,37 @@ const registerForCourse = async (req, res) => {
       });
     }
 
-    // Check if course is active
-    if (!course.isActive) {
+    // Check the course is active, runs this semester, and fits the student's prerequisites and credit limit
+    const ineligible = await checkRegistrationEligibility(req.user, course, session);
+    if (ineligible) {
       return res.status(400).json({
         success: false,
-        message: 'Course is not active'
+        ...ineligible
       });
     }
 
-    // Check if course is full
-    if (course.isFull) {
+    // Check for a free seat; seats offered to waitlisted students are held for them
+    if (getAvailableSeats(course) <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Course is full'
+        message: 'Course is full. You can join the waitlist instead.',
+        data: { canJoinWaitlist: true }
       });
     }
 
-    // Create registration
-    const registration = new CourseRegistration({
+    // Create the registration, or reopen one dropped or rejected earlier this semester
+    const registration = await CourseRegistration.register({
       student: studentId,
       course: courseId,
       semester,
-      academicYear
+      academicYear,
+      session: session._id,
+      isLateRegistration: registrationWindow === 'late'
     });
 
-    await registration.save();
-
     res.status(201).json({
       success: true,
-      message: 'Course registration successful',
+      message: registration.isLateRegistration ? 'Late course registration successful' : 'Course registration successful',
       data: registration
     });
   } catch (error) {
@@ -444,6 +576,203 @@ const registerForCourse = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/courses/register/core:
+ *   post:
+ *     summary: Register for every core course of your program this semester (Student only)
+ *     description: Uses the curriculum for your program, level and the current semester. Core courses you have passed or already registered for are left out; courses that fail a registration check are listed in data.skipped with the reason.
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: No core courses were added; any blocked ones are listed in data.skipped
+ *       201:
+ *         description: Core courses registered (data.added), with any that could not be (data.skipped)
+ *       400:
+ *         description: Registration window closed or no curriculum for your program, level and semester
+ */
+const registerCoreCourses = async (req, res) => {
+  try {
+    const session = await AcademicSession.getCurrent();
+    const registrationWindow = session ? session.getRegistrationWindow() : 'closed';
+
+    if (registrationWindow === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: await getRegistrationClosedMessage()
+      });
+    }
+
+    const { program, added, skipped } = await addCoreCourseRegistrations(req.user, session, {
+      isLateRegistration: registrationWindow === 'late'
+    });
+
+    if (!program || !program.getTerm(req.user.level, session.semester)) {
+      return res.status(400).json({
+        success: false,
+        message: `No core courses are set for ${req.user.program}, Level ${req.user.level}, ${session.semester} Semester`
+      });
+    }
+
+    const message = added.length > 0
+      ? `Registered for ${added.length} core course${added.length === 1 ? '' : 's'}`
+      : 'No core courses were added';
+
+    res.status(added.length > 0 ? 201 : 200).json({
+      success: true,
+      message: skipped.length > 0 ? `${message}; ${skipped.length} could not be registered` : message,
+      data: { added, skipped }
+    });
+  } catch (error) {
+    console.error('Error registering core courses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering core courses'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/registrations/override:
+ *   post:
+ *     summary: Register a student despite unmet prerequisites (requires registrations:approve)
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *               - courseId
+ *               - semester
+ *               - academicYear
+ *               - reason
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               courseId:
+ *                 type: string
+ *               semester:
+ *                 type: string
+ *                 enum: [First, Second]
+ *               academicYear:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Registration created with the override recorded
+ *       400:
+ *         description: No academic session for the semester, the course is full, or a check other than prerequisites failed (timetable clash, credit load, program quota)
+ *       403:
+ *         description: Course outside your department
+ *       404:
+ *         description: Student or course not found
+ */
+const registerWithOverride = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { studentId, courseId, semester, academicYear, reason } = req.body;
+
+    const student = await User.findOne({ _id: studentId, role: 'student', deletedAt: null });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: REGISTRATION_SCOPE_MESSAGE
+      });
+    }
+
+    const session = await AcademicSession.findOne({ academicYear, semester });
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: `No academic session is set up for the ${semester} semester of ${academicYear}`
+      });
+    }
+
+    // The override waives prerequisites only; every other registration rule still applies
+    const ineligible = await checkRegistrationEligibility(student, course, session, { waivePrerequisites: true });
+    if (ineligible) {
+      return res.status(400).json({
+        success: false,
+        ...ineligible
+      });
+    }
+
+    if (getAvailableSeats(course) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course is full'
+      });
+    }
+
+    const unmetPrerequisites = await CourseRegistration.getUnmetPrerequisites(student._id, course);
+
+    const registration = await CourseRegistration.register({
+      student: student._id,
+      course: course._id,
+      semester,
+      academicYear,
+      session: session._id,
+      prerequisiteOverride: {
+        reason,
+        waived: unmetPrerequisites.map(prerequisite => prerequisite.courseCode),
+        grantedBy: req.user._id,
+        grantedAt: new Date()
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration created with prerequisite override',
+      data: registration
+    });
+  } catch (error) {
+    console.error('Error registering with override:', error);
+
+    if (error.message.includes('already registered')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error registering student for course'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/courses/my-registrations:
@@ -493,11 +822,90 @@ const getMyRegistrations = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/courses/timetable:
+ *   get:
+ *     summary: Get the weekly timetable for your approved registrations (Student only)
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *         description: Semester (defaults to the current session)
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *         description: Academic year (defaults to the current session)
+ *     responses:
+ *       200:
+ *         description: Timetable slots in weekly order, with the courses that have no schedule yet
+ */
+const getMyTimetable = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let { semester, academicYear } = req.query;
+    if (!semester || !academicYear) {
+      const session = await AcademicSession.getCurrent();
+      if (!session) {
+        return res.json({
+          success: true,
+          data: { semester: null, academicYear: null, slots: [], unscheduled: [] }
+        });
+      }
+      ({ semester, academicYear } = session);
+    }
+
+    const registrations = await CourseRegistration.find({
+      student: req.user._id,
+      semester,
+      academicYear,
+      status: 'approved'
+    }).populate('course', 'courseCode title credits schedule');
+
+    const courses = registrations.map(registration => registration.course).filter(Boolean);
+    const slots = sortByWeek(courses.flatMap(course => course.schedule.map(slot => ({
+      ...slot.toObject(),
+      courseCode: course.courseCode,
+      title: course.title
+    }))));
+
+    res.json({
+      success: true,
+      data: {
+        semester,
+        academicYear,
+        slots,
+        unscheduled: courses
+          .filter(course => course.schedule.length === 0)
+          .map(course => ({ courseCode: course.courseCode, title: course.title }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching timetable'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/courses/registrations/{id}/approve:
  *   put:
- *     summary: Approve course registration (Admin only)
+ *     summary: Approve course registration (requires registrations:approve)
  *     tags: [Course Registration]
  *     security:
  *       - bearerAuth: []
@@ -510,10 +918,13 @@ const getMyRegistrations = async (req, res) => {
  *     responses:
  *       200:
  *         description: Registration approved
+ *       400:
+ *         description: Course is full or registration already approved
  */
 const approveRegistration = async (req, res) => {
   try {
-    const registration = await CourseRegistration.findById(req.params.id);
+    const registration = await CourseRegistration.findById(req.params.id)
+      .populate('course', 'courseCode title department');
     
     if (!registration) {
       return res.status(404).json({
@@ -522,6 +933,13 @@ const approveRegistration = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, registration.course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: REGISTRATION_SCOPE_MESSAGE
+      });
+    }
+
     await registration.approve(req.user._id);
 
     res.json({
@@ -531,6 +949,14 @@ const approveRegistration = async (req, res) => {
     });
   } catch (error) {
     console.error('Error approving registration:', error);
+
+    if (error.message === 'Course is full' || error.message.includes('already approved')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error approving registration'
@@ -542,7 +968,7 @@ const approveRegistration = async (req, res) => {
  * @swagger
  * /api/courses/registrations/{id}/reject:
  *   put:
- *     summary: Reject course registration (Admin only)
+ *     summary: Reject course registration (requires registrations:approve)
  *     tags: [Course Registration]
  *     security:
  *       - bearerAuth: []
@@ -568,7 +994,8 @@ const approveRegistration = async (req, res) => {
 const rejectRegistration = async (req, res) => {
   try {
     const { notes } = req.body;
-    const registration = await CourseRegistration.findById(req.params.id);
+    const registration = await CourseRegistration.findById(req.params.id)
+      .populate('course', 'courseCode title department');
     
     if (!registration) {
       return res.status(404).json({
@@ -577,8 +1004,21 @@ const rejectRegistration = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, registration.course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: REGISTRATION_SCOPE_MESSAGE
+      });
+    }
+
+    const wasApproved = registration.status === 'approved';
     await registration.reject(req.user._id, notes);
 
+    // Rejecting an approved registration frees its seat for the waitlist
+    if (wasApproved) {
+      await promoteWaitlist(registration.course._id);
+    }
+
     res.json({
       success: true,
       message: 'Registration rejected successfully',
@@ -593,11 +1033,188 @@ const rejectRegistration = async (req, res) => {
   }
 };
 
+// Load the pending registrations a bulk request targets, oldest first, so seats go in order of registration
+const findBulkRegistrations = async (user, { ids, filters }) => {
+  const query = ids
+    ? { _id: { $in: ids } }
+    : await buildRegistrationQuery(user, filters);
+  query.status = 'pending';
+
+  return CourseRegistration.find(query)
+    .populate('course', 'courseCode title department')
+    .populate('student', 'firstName lastName referenceNumber')
+    .sort({ registeredAt: 1 })
+    .limit(BULK_REGISTRATION_LIMIT);
+};
+
+// Apply a review action to each registration and collect a result per item
+const reviewRegistrations = async (user, registrations, ids, review) => {
+  const results = [];
+
+  for (const registration of registrations) {
+    const item = {
+      id: registration._id,
+      student: registration.student,
+      courseCode: registration.course.courseCode
+    };
+
+    if (!canAccessDepartment(user, registration.course.department)) {
+      results.push({ ...item, success: false, message: REGISTRATION_SCOPE_MESSAGE });
+      continue;
+    }
+
+    try {
+      await review(registration);
+      results.push({ ...item, success: true });
+    } catch (error) {
+      console.error(`Error reviewing registration ${registration._id}:`, error);
+      results.push({ ...item, success: false, message: error.message });
+    }
+  }
+
+  // Report requested IDs that were missing or no longer pending
+  if (ids) {
+    const found = new Set(registrations.map(registration => registration._id.toString()));
+    ids.filter(id => !found.has(id)).forEach(id => {
+      results.push({ id, success: false, message: 'Registration not found or not pending' });
+    });
+  }
+
+  return {
+    results,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length
+  };
+};
+
+/**
+ * @swagger
+ * /api/courses/registrations/bulk-approve:
+ *   post:
+ *     summary: Approve many pending registrations at once (requires registrations:approve)
+ *     description: Targets either a list of registration IDs or every pending registration matching the filters. Registrations are approved oldest first, so when a course fills the later ones fail with "Course is full".
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filters:
+ *                 type: object
+ *                 properties:
+ *                   courseId:
+ *                     type: string
+ *                   program:
+ *                     type: string
+ *                   level:
+ *                     type: number
+ *                   semester:
+ *                     type: string
+ *                   academicYear:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Per-registration results with succeeded and failed counts
+ */
+const bulkApproveRegistrations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const registrations = await findBulkRegistrations(req.user, req.body);
+    const summary = await reviewRegistrations(req.user, registrations, req.body.ids, registration =>
+      registration.approve(req.user._id)
+    );
+
+    res.json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.results.length} registration(s) approved`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error bulk approving registrations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving registrations'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/registrations/bulk-reject:
+ *   post:
+ *     summary: Reject many pending registrations at once (requires registrations:approve)
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               filters:
+ *                 type: object
+ *                 description: Same filters as bulk approval
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-registration results with succeeded and failed counts
+ */
+const bulkRejectRegistrations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const registrations = await findBulkRegistrations(req.user, req.body);
+    const summary = await reviewRegistrations(req.user, registrations, req.body.ids, registration =>
+      registration.reject(req.user._id, req.body.notes)
+    );
+
+    res.json({
+      success: true,
+      message: `${summary.succeeded} of ${summary.results.length} registration(s) rejected`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error bulk rejecting registrations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting registrations'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/courses/registrations:
  *   get:
- *     summary: Get all registrations (Admin only)
+ *     summary: Get all registrations (requires registrations:view; HODs and lecturers only see their department)
  *     tags: [Course Registration]
  *     security:
  *       - bearerAuth: []
@@ -608,11 +1225,26 @@ const rejectRegistration = async (req, res) => {
  *           type: string
  *         description: Filter by course
  *       - in: query
+ *         name: program
+ *         schema:
+ *           type: string
+ *         description: Filter by the course's program
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: number
+ *         description: Filter by the course's level
+ *       - in: query
  *         name: semester
  *         schema:
  *           type: string
  *         description: Filter by semester
  *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *         description: Filter by academic year
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -623,19 +1255,27 @@ const rejectRegistration = async (req, res) => {
  */
 const getAllRegistrations = async (req, res) => {
   try {
-    const { courseId, semester, status } = req.query;
-    
-    let registrations;
-    if (courseId) {
-      registrations = await CourseRegistration.getByCourse(courseId, { semester, status });
-    } else {
-      registrations = await CourseRegistration.find({ semester, status })
-        .populate('student', 'firstName lastName referenceNumber department program level')
-        .populate('course', 'courseCode title credits department program level')
-        .populate('approvedBy', 'firstName lastName')
-        .sort({ createdAt: -1 });
+    const { courseId, program, level, semester, academicYear, status } = req.query;
+    const department = getDepartmentScope(req.user);
+
+    if (courseId && department) {
+      const course = await Course.findById(courseId).select('department');
+      if (course && !canAccessDepartment(req.user, course.department)) {
+        return res.status(403).json({
+          success: false,
+          message: REGISTRATION_SCOPE_MESSAGE
+        });
+      }
     }
 
+    const query = await buildRegistrationQuery(req.user, { courseId, program, level, semester, academicYear, status });
+
+    const registrations = await CourseRegistration.find(query)
+      .populate('student', 'firstName lastName referenceNumber department program level')
+      .populate('course', 'courseCode title credits department program level currentEnrollment maxStudents')
+      .populate('approvedBy', 'firstName lastName')
+      .sort({ registeredAt: -1 });
+
     res.json({
       success: true,
       data: registrations,
@@ -654,7 +1294,7 @@ const getAllRegistrations = async (req, res) => {
  * @swagger
  * /api/courses/registrations/stats:
  *   get:
- *     summary: Get registration statistics (Admin only)
+ *     summary: Get registration statistics (requires registrations:view; HODs and lecturers only see their department)
  *     tags: [Course Registration]
  *     security:
  *       - bearerAuth: []
@@ -665,7 +1305,7 @@ const getAllRegistrations = async (req, res) => {
 const getRegistrationStats = async (req, res) => {
   try {
     const { semester, academicYear, status } = req.query;
-    const filters = { semester, academicYear, status };
+    const filters = { semester, academicYear, status, department: getDepartmentScope(req.user) };
 
     const stats = await CourseRegistration.getRegistrationStats(filters);
 
@@ -690,9 +1330,14 @@ module.exports = {
   deleteCourse,
   getCourseStats,
   registerForCourse,
+  registerCoreCourses,
+  registerWithOverride,
   getMyRegistrations,
+  getMyTimetable,
   approveRegistration,
   rejectRegistration,
+  bulkApproveRegistrations,
+  bulkRejectRegistrations,
   getAllRegistrations,
   getRegistrationStats
 }; 
\ No newline at end of file
@@ -0,0 +1,609 @@
+const CreditLoadPolicy = require('../models/CreditLoadPolicy');
+const CreditOverload = require('../models/CreditOverload');
+const AcademicSession = require('../models/AcademicSession');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+const { getCreditLoadSummary } = require('../services/registrationService');
+const { pickFields } = require('../utils/helpers');
+
+const OVERLOAD_SCOPE_MESSAGE = 'Access denied. You can only review overloads for students in your department.';
+
+// Fields staff may set on a credit load policy
+const POLICY_FIELDS = ['program', 'level', 'semester', 'minCredits', 'maxCredits', 'overloadMaxCredits', 'overloadMinCgpa'];
+
+// Turn a Mongoose validation failure into a single readable message
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * @swagger
+ * /api/credit-load/me:
+ *   get:
+ *     summary: Get your credit load for the current academic session (Student only)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current credits, limits and overload status (data is null outside any session)
+ */
+const getMyCreditLoad = async (req, res) => {
+  try {
+    const session = await AcademicSession.getCurrent();
+    if (!session) {
+      return res.json({
+        success: true,
+        data: null
+      });
+    }
+
+    const [creditLoad, pendingOverload] = await Promise.all([
+      getCreditLoadSummary(req.user, session),
+      CreditOverload.findOne({ student: req.user._id, session: session._id, status: 'pending' })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...creditLoad,
+        session: {
+          _id: session._id,
+          academicYear: session.academicYear,
+          semester: session.semester
+        },
+        pendingOverload
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching credit load:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit load'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/overloads:
+ *   post:
+ *     summary: Request approval to carry more than the maximum credit load (Student only)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requestedCredits
+ *               - reason
+ *             properties:
+ *               requestedCredits:
+ *                 type: number
+ *                 description: Total credit load wanted for the semester
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Overload request submitted
+ *       400:
+ *         description: No current session, request already pending or credits outside the allowed range
+ */
+const requestOverload = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { requestedCredits, reason } = req.body;
+
+    const session = await AcademicSession.getCurrent();
+    if (!session) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no current academic session'
+      });
+    }
+
+    const existing = await CreditOverload.findOne({
+      student: req.user._id,
+      session: session._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an overload request awaiting review'
+      });
+    }
+
+    const creditLoad = await getCreditLoadSummary(req.user, session);
+    if (requestedCredits <= creditLoad.maxCredits || requestedCredits > creditLoad.overloadMaxCredits) {
+      return res.status(400).json({
+        success: false,
+        message: `Overload requests must be between ${creditLoad.maxCredits + 1} and ${creditLoad.overloadMaxCredits} credits`
+      });
+    }
+
+    const overload = await CreditOverload.create({
+      student: req.user._id,
+      session: session._id,
+      requestedCredits,
+      reason,
+      cgpaAtRequest: req.user.cgpa
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Overload request submitted for approval',
+      data: overload
+    });
+  } catch (error) {
+    console.error('Error requesting credit overload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting credit overload'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/overloads:
+ *   get:
+ *     summary: Get credit overload requests (requires registrations:view; HODs only see their department)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Overload requests, newest first
+ */
+const getOverloads = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const query = { status };
+
+    const department = getDepartmentScope(req.user);
+    if (department) {
+      query.student = { $in: await User.find({ role: 'student', department }).distinct('_id') };
+    }
+
+    const overloads = await CreditOverload.find(query)
+      .populate('student', 'firstName lastName referenceNumber department program level cgpa')
+      .populate('session', 'academicYear semester')
+      .populate('reviewedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CreditOverload.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: overloads,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching credit overloads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit overloads'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/overloads/{id}/approve:
+ *   put:
+ *     summary: Approve a credit overload request (requires registrations:approve)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Overload approved
+ *       400:
+ *         description: Request already reviewed or student's CGPA is below the policy minimum
+ */
+const approveOverload = async (req, res) => {
+  try {
+    const overload = await CreditOverload.findById(req.params.id)
+      .populate('student', 'department program level cgpa')
+      .populate('session', 'semester');
+
+    if (!overload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overload request not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, overload.student.department)) {
+      return res.status(403).json({
+        success: false,
+        message: OVERLOAD_SCOPE_MESSAGE
+      });
+    }
+
+    if (overload.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Overload request has already been reviewed'
+      });
+    }
+
+    const { overloadMinCgpa } = await CreditLoadPolicy.resolve({
+      program: overload.student.program,
+      level: overload.student.level,
+      semester: overload.session.semester
+    });
+
+    const { cgpa } = overload.student;
+    if (cgpa === null || cgpa === undefined || cgpa < overloadMinCgpa) {
+      return res.status(400).json({
+        success: false,
+        message: cgpa === null || cgpa === undefined
+          ? 'Student has no CGPA on record, so an overload cannot be approved'
+          : `Student's CGPA of ${cgpa.toFixed(2)} is below the ${overloadMinCgpa.toFixed(2)} required for an overload`
+      });
+    }
+
+    await overload.approve(req.user._id, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Overload approved successfully',
+      data: overload
+    });
+  } catch (error) {
+    console.error('Error approving credit overload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving credit overload'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/overloads/{id}/reject:
+ *   put:
+ *     summary: Reject a credit overload request (requires registrations:approve)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Overload rejected
+ */
+const rejectOverload = async (req, res) => {
+  try {
+    const overload = await CreditOverload.findById(req.params.id)
+      .populate('student', 'department');
+
+    if (!overload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overload request not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, overload.student.department)) {
+      return res.status(403).json({
+        success: false,
+        message: OVERLOAD_SCOPE_MESSAGE
+      });
+    }
+
+    if (overload.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Overload request has already been reviewed'
+      });
+    }
+
+    await overload.reject(req.user._id, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Overload rejected successfully',
+      data: overload
+    });
+  } catch (error) {
+    console.error('Error rejecting credit overload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting credit overload'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/policies:
+ *   get:
+ *     summary: Get credit load policies (requires credits:manage)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of credit load policies
+ */
+const getPolicies = async (req, res) => {
+  try {
+    const policies = await CreditLoadPolicy.find()
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ program: 1, level: 1, semester: 1 });
+
+    res.json({
+      success: true,
+      data: policies,
+      count: policies.length
+    });
+  } catch (error) {
+    console.error('Error fetching credit load policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit load policies'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/policies:
+ *   post:
+ *     summary: Create a credit load policy (requires credits:manage)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreditLoadPolicy'
+ *     responses:
+ *       201:
+ *         description: Credit load policy created
+ *       400:
+ *         description: Validation error or a policy already exists for the combination
+ */
+const createPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const policy = new CreditLoadPolicy({
+      ...pickFields(req.body, POLICY_FIELDS),
+      updatedBy: req.user._id
+    });
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit load policy created successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error creating credit load policy:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A policy already exists for this program, level and semester'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating credit load policy'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/policies/{id}:
+ *   put:
+ *     summary: Update a credit load policy (requires credits:manage)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreditLoadPolicy'
+ *     responses:
+ *       200:
+ *         description: Credit load policy updated
+ *       404:
+ *         description: Credit load policy not found
+ */
+const updatePolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const policy = await CreditLoadPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit load policy not found'
+      });
+    }
+
+    policy.set({ ...pickFields(req.body, POLICY_FIELDS), updatedBy: req.user._id });
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Credit load policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error updating credit load policy:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A policy already exists for this program, level and semester'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating credit load policy'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/credit-load/policies/{id}:
+ *   delete:
+ *     summary: Delete a credit load policy (requires credits:manage)
+ *     tags: [Credit Load]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit load policy deleted
+ */
+const deletePolicy = async (req, res) => {
+  try {
+    const policy = await CreditLoadPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit load policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit load policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting credit load policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting credit load policy'
+    });
+  }
+};
+
+module.exports = {
+  getMyCreditLoad,
+  requestOverload,
+  getOverloads,
+  approveOverload,
+  rejectOverload,
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
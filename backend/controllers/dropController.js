@@ -0,0 +1,387 @@
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const AcademicSession = require('../models/AcademicSession');
+const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+const { getCreditLoadSummary, promoteWaitlist } = require('../services/registrationService');
+
+const DROP_SCOPE_MESSAGE = 'Access denied. You can only review drops for courses in your department.';
+
+// Find the academic session a registration was made for
+const findRegistrationSession = (registration) => registration.session
+  ? AcademicSession.findById(registration.session)
+  : AcademicSession.findOne({ academicYear: registration.academicYear, semester: registration.semester });
+
+/**
+ * @swagger
+ * /api/courses/registrations/{id}/drop:
+ *   post:
+ *     summary: Drop a course, or request approval for a late drop or one that leaves you below the minimum credit load (Student only)
+ *     tags: [Add/Drop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Registration ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Required when dropping an approved course needs approval
+ *     responses:
+ *       200:
+ *         description: Course dropped
+ *       202:
+ *         description: Past the add/drop deadline, or the drop would leave you below the minimum credit load; drop request submitted for approval
+ *       400:
+ *         description: Registration cannot be dropped, a late drop is already pending, or a reason is missing
+ */
+const dropRegistration = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const registration = await CourseRegistration.findOne({ _id: req.params.id, student: req.user._id })
+      .populate('course', 'courseCode title credits');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(registration.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${registration.status} registration cannot be dropped`
+      });
+    }
+
+    if (registration.dropRequest && registration.dropRequest.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'A late drop request for this course is already awaiting approval'
+      });
+    }
+
+    // Pending registrations hold no seat, so they can be withdrawn at any time
+    const session = await findRegistrationSession(registration);
+    const withinAddDrop = registration.status === 'pending' || (session && session.isAddDropOpen());
+
+    // Staff must approve late drops, and drops that take an approved load below the minimum
+    let approvalNeeded = withinAddDrop ? null : 'The add/drop deadline has passed.';
+    if (withinAddDrop && registration.status === 'approved') {
+      const creditLoad = await getCreditLoadSummary(req.user, session);
+      const remainingCredits = creditLoad.currentCredits - registration.course.credits;
+      if (remainingCredits < creditLoad.minCredits) {
+        approvalNeeded = `Dropping ${registration.course.courseCode} would leave you with ${remainingCredits} credits, below the minimum of ${creditLoad.minCredits}.`;
+      }
+    }
+
+    if (approvalNeeded) {
+      if (!req.body.reason) {
+        return res.status(400).json({
+          success: false,
+          message: `${approvalNeeded} Give a reason to request approval for the drop.`
+        });
+      }
+
+      await registration.requestDrop(req.body.reason);
+
+      return res.status(202).json({
+        success: true,
+        message: `Drop request for ${registration.course.courseCode} submitted for approval`,
+        data: registration
+      });
+    }
+
+    const wasApproved = registration.status === 'approved';
+    await registration.drop(req.user._id);
+
+    if (wasApproved) {
+      await promoteWaitlist(registration.course._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${registration.course.courseCode} dropped`,
+      data: registration
+    });
+  } catch (error) {
+    console.error('Error dropping registration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error dropping course'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/drops:
+ *   get:
+ *     summary: Get drop history and late drop requests (requires registrations:view; HODs and lecturers only see their department)
+ *     tags: [Add/Drop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: requestStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         description: Only late drop requests with this status (omit for all drops and requests)
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dropped registrations and late drop requests, newest first
+ */
+const getDrops = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { requestStatus, semester, academicYear, page = 1, limit = 20 } = req.query;
+    const query = requestStatus
+      ? { 'dropRequest.status': requestStatus }
+      : { $or: [{ status: 'dropped' }, { 'dropRequest.status': { $exists: true } }] };
+
+    if (semester) query.semester = semester;
+    if (academicYear) query.academicYear = academicYear;
+
+    const department = getDepartmentScope(req.user);
+    if (department) {
+      query.course = { $in: await Course.find({ department }).distinct('_id') };
+    }
+
+    const drops = await CourseRegistration.find(query)
+      .populate('student', 'firstName lastName referenceNumber department program level')
+      .populate('course', 'courseCode title credits department')
+      .populate('droppedBy', 'firstName lastName role')
+      .populate('dropRequest.reviewedBy', 'firstName lastName')
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CourseRegistration.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: drops,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching drops:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching drop history'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/registrations/{id}/drop/approve:
+ *   put:
+ *     summary: Approve a late drop request (requires registrations:approve)
+ *     tags: [Add/Drop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Late drop approved and course dropped
+ *       400:
+ *         description: No pending late drop request
+ */
+const approveLateDrop = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const registration = await CourseRegistration.findById(req.params.id)
+      .populate('course', 'courseCode title department');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, registration.course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: DROP_SCOPE_MESSAGE
+      });
+    }
+
+    if (!registration.dropRequest || registration.dropRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending late drop request for this registration'
+      });
+    }
+
+    const wasApproved = registration.status === 'approved';
+    await registration.approveDrop(req.user._id, req.body.notes);
+
+    if (wasApproved) {
+      await promoteWaitlist(registration.course._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Late drop approved',
+      data: registration
+    });
+  } catch (error) {
+    console.error('Error approving late drop:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error approving late drop'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/registrations/{id}/drop/reject:
+ *   put:
+ *     summary: Reject a late drop request (requires registrations:approve)
+ *     tags: [Add/Drop]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Late drop rejected; the student stays on the course
+ *       400:
+ *         description: No pending late drop request
+ */
+const rejectLateDrop = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const registration = await CourseRegistration.findById(req.params.id)
+      .populate('course', 'courseCode title department');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, registration.course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: DROP_SCOPE_MESSAGE
+      });
+    }
+
+    if (!registration.dropRequest || registration.dropRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending late drop request for this registration'
+      });
+    }
+
+    await registration.rejectDrop(req.user._id, req.body.notes);
+
+    res.json({
+      success: true,
+      message: 'Late drop rejected',
+      data: registration
+    });
+  } catch (error) {
+    console.error('Error rejecting late drop:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting late drop'
+    });
+  }
+};
+
+module.exports = {
+  dropRegistration,
+  getDrops,
+  approveLateDrop,
+  rejectLateDrop
+};
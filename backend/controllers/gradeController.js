@@ -0,0 +1,564 @@
+const Grade = require('../models/Grade');
+const GradingScale = require('../models/GradingScale');
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const AcademicSession = require('../models/AcademicSession');
+const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+const {
+  getAcademicRecord,
+  matchCourseGrades,
+  releaseCourseGrades,
+  withholdCourseGrades
+} = require('../services/gradeService');
+
+const GRADE_SCOPE_MESSAGE = 'Access denied. You can only manage grades for courses in your department.';
+
+// Turn a Mongoose validation failure into a single readable message
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * Work out which semester a request is about, defaulting to the current session
+ * @param {Object} source - Query or body with optional semester and academicYear
+ * @returns {Object|null} { semester, academicYear }, or null when none is given and no session is running
+ */
+const resolveTerm = async ({ semester, academicYear }) => {
+  if (semester && academicYear) return { semester, academicYear };
+
+  const session = await AcademicSession.getCurrent();
+  return session ? { semester: session.semester, academicYear: session.academicYear } : null;
+};
+
+/**
+ * Load a course for grade management, checking it is in the user's department
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Course, or null after an error response has been sent
+ */
+const findGradableCourse = async (req, res) => {
+  const course = await Course.findById(req.params.courseId);
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  if (!canAccessDepartment(req.user, course.department)) {
+    res.status(403).json({
+      success: false,
+      message: GRADE_SCOPE_MESSAGE
+    });
+    return null;
+  }
+
+  return course;
+};
+
+/**
+ * @swagger
+ * /api/grades/scale:
+ *   get:
+ *     summary: Get the grading scale
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Grade bands, highest first
+ */
+const getGradingScale = async (req, res) => {
+  try {
+    const scale = await GradingScale.getActive();
+
+    res.json({
+      success: true,
+      data: scale
+    });
+  } catch (error) {
+    console.error('Error fetching grading scale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching grading scale'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/scale:
+ *   put:
+ *     summary: Replace the grading scale (requires grades:manage, institution-wide staff only)
+ *     description: Applies to grades released from now on; grades already released keep their letter grades.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GradingScale'
+ *     responses:
+ *       200:
+ *         description: Grading scale updated
+ *       400:
+ *         description: Validation error, e.g. bands that leave a gap at 0
+ *       403:
+ *         description: Department-scoped staff cannot change the scale
+ */
+const updateGradingScale = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (getDepartmentScope(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. The grading scale applies to every department.'
+      });
+    }
+
+    const scale = await GradingScale.getActive();
+    scale.bands = req.body.bands;
+    scale.updatedBy = req.user._id;
+    await scale.save();
+
+    res.json({
+      success: true,
+      message: 'Grading scale updated successfully',
+      data: scale
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    console.error('Error updating grading scale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating grading scale'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/courses/{courseId}:
+ *   get:
+ *     summary: Get a course's grade sheet (requires grades:enter)
+ *     description: Lists every approved registration for the semester with its grade, if entered. Defaults to the current academic session.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [First, Second]
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course, semester and one row per student
+ *       404:
+ *         description: Course not found
+ */
+const getCourseGrades = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await findGradableCourse(req, res);
+    if (!course) return;
+
+    const term = await resolveTerm(req.query);
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        message: 'No academic session is in progress. Specify a semester and academic year.'
+      });
+    }
+
+    const [registrations, grades] = await Promise.all([
+      CourseRegistration.find({ course: course._id, status: 'approved', ...term })
+        .populate('student', 'firstName lastName referenceNumber program level'),
+      Grade.find({ course: course._id, ...term })
+    ]);
+
+    const gradesByRegistration = new Map(grades.map(grade => [grade.registration.toString(), grade]));
+    const students = registrations
+      .filter(registration => registration.student)
+      .map(registration => ({
+        registration: registration._id,
+        student: registration.student,
+        grade: gradesByRegistration.get(registration._id.toString()) || null
+      }))
+      .sort((a, b) => (a.student.referenceNumber || '').localeCompare(b.student.referenceNumber || ''));
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          courseCode: course.courseCode,
+          title: course.title,
+          credits: course.credits,
+          department: course.department
+        },
+        ...term,
+        graded: students.filter(entry => entry.grade).length,
+        released: students.filter(entry => entry.grade && entry.grade.isReleased).length,
+        students
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching course grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching course grades'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/courses/{courseId}:
+ *   post:
+ *     summary: Enter or update grades for a course in bulk (requires grades:enter)
+ *     description: Each row is saved on its own, so one bad row does not stop the rest. Released grades must be withheld before they can be changed.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grades
+ *             properties:
+ *               semester:
+ *                 type: string
+ *                 enum: [First, Second]
+ *               academicYear:
+ *                 type: string
+ *               grades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     registration:
+ *                       type: string
+ *                     continuousAssessment:
+ *                       type: number
+ *                     examScore:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Per-row results with succeeded and failed counts
+ */
+const enterCourseGrades = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await findGradableCourse(req, res);
+    if (!course) return;
+
+    const term = await resolveTerm(req.body);
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        message: 'No academic session is in progress. Specify a semester and academic year.'
+      });
+    }
+
+    const ids = req.body.grades.map(row => row.registration);
+    const [scale, registrations, grades] = await Promise.all([
+      GradingScale.getActive(),
+      CourseRegistration.find({ _id: { $in: ids }, course: course._id, status: 'approved', ...term }),
+      Grade.find({ registration: { $in: ids } })
+    ]);
+
+    const registrationsById = new Map(registrations.map(registration => [registration._id.toString(), registration]));
+    const gradesByRegistration = new Map(grades.map(grade => [grade.registration.toString(), grade]));
+    const results = [];
+
+    for (const row of req.body.grades) {
+      const registration = registrationsById.get(row.registration);
+      if (!registration) {
+        results.push({ registration: row.registration, success: false, message: 'Registration not found or not approved for this course and semester' });
+        continue;
+      }
+
+      let grade = gradesByRegistration.get(row.registration);
+      if (grade && grade.isReleased) {
+        results.push({ registration: row.registration, success: false, message: 'Grade is released. Withhold the course grades before changing it.' });
+        continue;
+      }
+
+      try {
+        if (!grade) {
+          grade = new Grade({
+            registration: registration._id,
+            student: registration.student,
+            course: course._id,
+            ...term
+          });
+        }
+        grade.continuousAssessment = row.continuousAssessment;
+        grade.examScore = row.examScore;
+        grade.enteredBy = req.user._id;
+        grade.applyScale(scale);
+        await grade.save();
+
+        results.push({ registration: row.registration, success: true, letterGrade: grade.letterGrade });
+      } catch (error) {
+        results.push({
+          registration: row.registration,
+          success: false,
+          message: error.name === 'ValidationError' ? validationMessage(error) : 'Error saving grade'
+        });
+        if (error.name !== 'ValidationError') {
+          console.error(`Error saving grade for registration ${row.registration}:`, error);
+        }
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} grades saved`,
+      data: {
+        results,
+        succeeded,
+        failed: results.length - succeeded
+      }
+    });
+  } catch (error) {
+    console.error('Error entering grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error entering grades'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/courses/{courseId}/release:
+ *   put:
+ *     summary: Release a course's grades to students (requires grades:manage)
+ *     description: Letter grades are fixed using the current scale, registrations are marked passed or failed, and each student's CGPA is recalculated. Only released when every approved student has a grade.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               semester:
+ *                 type: string
+ *                 enum: [First, Second]
+ *               academicYear:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Grades released; data.released is the number released
+ *       400:
+ *         description: Some approved students have no grade yet; data.ungraded lists their registration IDs
+ */
+const releaseGrades = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await findGradableCourse(req, res);
+    if (!course) return;
+
+    const term = await resolveTerm(req.body);
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        message: 'No academic session is in progress. Specify a semester and academic year.'
+      });
+    }
+
+    const { graded, ungraded } = await matchCourseGrades(course, term.semester, term.academicYear);
+    if (ungraded.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${ungraded.length} of ${graded.length + ungraded.length} students have no grade yet`,
+        data: { ungraded: ungraded.map(registration => registration._id) }
+      });
+    }
+
+    const released = await releaseCourseGrades(course, term.semester, term.academicYear, req.user._id);
+
+    res.json({
+      success: true,
+      message: released > 0 ? `${released} grades released` : 'All grades were already released',
+      data: { released }
+    });
+  } catch (error) {
+    console.error('Error releasing grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error releasing grades'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/courses/{courseId}/withhold:
+ *   put:
+ *     summary: Withdraw a course's released grades for correction (requires grades:manage)
+ *     description: Students stop seeing the grades, registration results are cleared and CGPAs are recalculated without them.
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               semester:
+ *                 type: string
+ *                 enum: [First, Second]
+ *               academicYear:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Grades withheld; data.withheld is the number withdrawn
+ */
+const withholdGrades = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const course = await findGradableCourse(req, res);
+    if (!course) return;
+
+    const term = await resolveTerm(req.body);
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        message: 'No academic session is in progress. Specify a semester and academic year.'
+      });
+    }
+
+    const withheld = await withholdCourseGrades(course, term.semester, term.academicYear);
+
+    res.json({
+      success: true,
+      message: `${withheld} grades withheld`,
+      data: { withheld }
+    });
+  } catch (error) {
+    console.error('Error withholding grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withholding grades'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/grades/me:
+ *   get:
+ *     summary: Get your released results with semester GPAs and CGPA (Student only)
+ *     tags: [Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Results by semester, oldest first, with GPA, CGPA to date and credits
+ */
+const getMyGrades = async (req, res) => {
+  try {
+    const record = await getAcademicRecord(req.user._id);
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    console.error('Error fetching results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching results'
+    });
+  }
+};
+
+module.exports = {
+  getGradingScale,
+  updateGradingScale,
+  getCourseGrades,
+  enterCourseGrades,
+  releaseGrades,
+  withholdGrades,
+  getMyGrades
+};
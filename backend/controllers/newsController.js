@@ -2,6 +2,9 @@ const News = require('../models/News');
 const Comment = require('../models/Comment');
 const Reaction = require('../models/Reaction');
 const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+
+const NEWS_SCOPE_MESSAGE = 'Access denied. You can only manage news for your department.';
 
 /**
  * @swagger
@@ -121,7 +124,7 @@ const getNewsById = async (req, res) => {
  * @swagger
  * /api/news:
  *   post:
- *     summary: Create news post (Admin only)
+ *     summary: Create news post (requires news:manage)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -173,6 +176,13 @@ const createNews = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({
+        success: false,
+        message: NEWS_SCOPE_MESSAGE
+      });
+    }
+
     const newsData = {
       ...req.body,
       author: req.user._id
@@ -199,7 +209,7 @@ const createNews = async (req, res) => {
  * @swagger
  * /api/news/{id}:
  *   put:
- *     summary: Update news (Admin only)
+ *     summary: Update news (requires news:manage)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -229,11 +239,7 @@ const updateNews = async (req, res) => {
       });
     }
 
-    const news = await News.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const news = await News.findById(req.params.id);
 
     if (!news) {
       return res.status(404).json({
@@ -242,6 +248,17 @@ const updateNews = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, news.department) ||
+        (req.body.department && !canAccessDepartment(req.user, req.body.department))) {
+      return res.status(403).json({
+        success: false,
+        message: NEWS_SCOPE_MESSAGE
+      });
+    }
+
+    news.set(req.body);
+    await news.save();
+
     res.json({
       success: true,
       message: 'News updated successfully',
@@ -260,7 +277,7 @@ const updateNews = async (req, res) => {
  * @swagger
  * /api/news/{id}:
  *   delete:
- *     summary: Delete news (Admin only)
+ *     summary: Delete news (requires news:manage)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -276,7 +293,7 @@ const updateNews = async (req, res) => {
  */
 const deleteNews = async (req, res) => {
   try {
-    const news = await News.findByIdAndDelete(req.params.id);
+    const news = await News.findById(req.params.id);
 
     if (!news) {
       return res.status(404).json({
@@ -285,6 +302,15 @@ const deleteNews = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, news.department)) {
+      return res.status(403).json({
+        success: false,
+        message: NEWS_SCOPE_MESSAGE
+      });
+    }
+
+    await news.deleteOne();
+
     res.json({
       success: true,
       message: 'News deleted successfully'
@@ -302,7 +328,7 @@ const deleteNews = async (req, res) => {
  * @swagger
  * /api/news/{id}/toggle-featured:
  *   put:
- *     summary: Toggle featured status (Admin only)
+ *     summary: Toggle featured status (requires news:manage)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -327,6 +353,13 @@ const toggleFeatured = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, news.department)) {
+      return res.status(403).json({
+        success: false,
+        message: NEWS_SCOPE_MESSAGE
+      });
+    }
+
     await news.toggleFeatured();
 
     res.json({
@@ -347,7 +380,7 @@ const toggleFeatured = async (req, res) => {
  * @swagger
  * /api/news/{id}/toggle-published:
  *   put:
- *     summary: Toggle published status (Admin only)
+ *     summary: Toggle published status (requires news:manage)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -372,6 +405,13 @@ const togglePublished = async (req, res) => {
       });
     }
 
+    if (!canAccessDepartment(req.user, news.department)) {
+      return res.status(403).json({
+        success: false,
+        message: NEWS_SCOPE_MESSAGE
+      });
+    }
+
     await news.togglePublished();
 
     res.json({
@@ -392,7 +432,7 @@ const togglePublished = async (req, res) => {
  * @swagger
  * /api/news/stats:
  *   get:
- *     summary: Get news statistics (Admin only)
+ *     summary: Get news statistics (requires news:manage; HODs and lecturers only see their department)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -402,7 +442,7 @@ const togglePublished = async (req, res) => {
  */
 const getNewsStats = async (req, res) => {
   try {
-    const stats = await News.getNewsStats();
+    const stats = await News.getNewsStats({ department: getDepartmentScope(req.user) });
 
     res.json({
       success: true,
@@ -2,6 +2,7 @@ const Payment = require('../models/Payment');
 const axios = require('axios');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
+const { hasPermission, canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
 
 /**
  * @swagger
@@ -317,7 +318,7 @@ const getMyPayments = async (req, res) => {
  * @swagger
  * /api/payments/by-department:
  *   get:
- *     summary: Get payments by department (Admin only)
+ *     summary: Get payments by department (requires payments:view)
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -358,6 +359,13 @@ const getPaymentsByDepartment = async (req, res) => {
     const { status, paymentType, startDate, endDate } = req.query;
     const filters = { status, paymentType, startDate, endDate };
 
+    if (!canAccessDepartment(req.user, department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view payments for your department.'
+      });
+    }
+
     const payments = await Payment.getByDepartment(department, filters);
 
     res.json({
@@ -378,7 +386,7 @@ const getPaymentsByDepartment = async (req, res) => {
  * @swagger
  * /api/payments/stats:
  *   get:
- *     summary: Get payment statistics (Admin only)
+ *     summary: Get payment statistics (requires payments:view)
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -415,7 +423,13 @@ const getPaymentsByDepartment = async (req, res) => {
 const getPaymentStats = async (req, res) => {
   try {
     const { status, paymentType, department, startDate, endDate } = req.query;
-    const filters = { status, paymentType, department, startDate, endDate };
+    const filters = {
+      status,
+      paymentType,
+      department: getDepartmentScope(req.user) || department,
+      startDate,
+      endDate
+    };
 
     const stats = await Payment.getPaymentStats(filters);
 
@@ -436,7 +450,7 @@ const getPaymentStats = async (req, res) => {
  * @swagger
  * /api/payments/{id}:
  *   get:
- *     summary: Get payment by ID
+ *     summary: Get payment by ID (own payments, or any payment with payments:view)
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -463,6 +477,17 @@ const getPaymentById = async (req, res) => {
       });
     }
 
+    const isOwner = payment.student && payment.student._id.equals(req.user._id);
+    const canView = hasPermission(req.user, 'payments:view') &&
+      canAccessDepartment(req.user, payment.department);
+
+    if (!isOwner && !canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own payments.'
+      });
+    }
+
     res.json({
       success: true,
       data: payment
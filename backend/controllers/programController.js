@@ -0,0 +1,391 @@
+const Program = require('../models/Program');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { canAccessDepartment, getDepartmentScope } = require('../middleware/roleCheck');
+const { getDegreeAudit } = require('../services/curriculumService');
+
+const PROGRAM_SCOPE_MESSAGE = 'Access denied. You can only manage programs in your department.';
+
+// Turn a Mongoose validation failure into a single readable message
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+/**
+ * Find course codes in a curriculum that do not match any course
+ * @param {Array} curriculum - Curriculum terms from the request body
+ * @returns {Promise<Array>} Unknown course codes
+ */
+const findUnknownCourseCodes = async (curriculum = []) => {
+  const codes = [...new Set(curriculum.flatMap(term => [
+    ...(term.coreCourses || []),
+    ...(term.electiveGroups || []).flatMap(group => group.courses || [])
+  ]).map(code => String(code).trim().toUpperCase()))];
+
+  const known = await Course.find({ courseCode: { $in: codes } }).distinct('courseCode');
+  return codes.filter(code => !known.includes(code));
+};
+
+/**
+ * @swagger
+ * /api/programs:
+ *   get:
+ *     summary: List programs and their curricula (requires courses:manage)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Programs, limited to your department for department-scoped roles
+ */
+const getPrograms = async (req, res) => {
+  try {
+    const department = getDepartmentScope(req.user);
+    const programs = await Program.find(department ? { department } : {})
+      .populate('updatedBy', 'firstName lastName')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: programs,
+      count: programs.length
+    });
+  } catch (error) {
+    console.error('Error fetching programs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching programs'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/programs:
+ *   post:
+ *     summary: Create a program curriculum (requires courses:manage)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Program'
+ *     responses:
+ *       201:
+ *         description: Program created
+ *       400:
+ *         description: Validation error, unknown course codes or the program already exists
+ *       403:
+ *         description: Program outside your department
+ */
+const createProgram = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!canAccessDepartment(req.user, req.body.department)) {
+      return res.status(403).json({
+        success: false,
+        message: PROGRAM_SCOPE_MESSAGE
+      });
+    }
+
+    const unknownCodes = await findUnknownCourseCodes(req.body.curriculum);
+    if (unknownCodes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown course codes: ${unknownCodes.join(', ')}`
+      });
+    }
+
+    const program = new Program({
+      ...req.body,
+      updatedBy: req.user._id
+    });
+    await program.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Program created successfully',
+      data: program
+    });
+  } catch (error) {
+    console.error('Error creating program:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A curriculum already exists for this program'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating program'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/programs/{id}:
+ *   put:
+ *     summary: Update a program curriculum (requires courses:manage)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Program'
+ *     responses:
+ *       200:
+ *         description: Program updated
+ *       400:
+ *         description: Validation error or unknown course codes
+ *       403:
+ *         description: Program outside your department
+ *       404:
+ *         description: Program not found
+ */
+const updateProgram = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const program = await Program.findById(req.params.id);
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, program.department) ||
+        (req.body.department && !canAccessDepartment(req.user, req.body.department))) {
+      return res.status(403).json({
+        success: false,
+        message: PROGRAM_SCOPE_MESSAGE
+      });
+    }
+
+    const unknownCodes = await findUnknownCourseCodes(req.body.curriculum);
+    if (unknownCodes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown course codes: ${unknownCodes.join(', ')}`
+      });
+    }
+
+    program.set({ ...req.body, updatedBy: req.user._id });
+    await program.save();
+
+    res.json({
+      success: true,
+      message: 'Program updated successfully',
+      data: program
+    });
+  } catch (error) {
+    console.error('Error updating program:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A curriculum already exists for this program'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating program'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/programs/{id}:
+ *   delete:
+ *     summary: Delete a program curriculum (requires courses:manage)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Program deleted
+ *       403:
+ *         description: Program outside your department
+ *       404:
+ *         description: Program not found
+ */
+const deleteProgram = async (req, res) => {
+  try {
+    const program = await Program.findById(req.params.id);
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, program.department)) {
+      return res.status(403).json({
+        success: false,
+        message: PROGRAM_SCOPE_MESSAGE
+      });
+    }
+
+    await program.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Program deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting program:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting program'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/programs/audit/me:
+ *   get:
+ *     summary: Get your degree audit against your program's curriculum (Student only)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Core and elective progress per level and semester, with remaining requirements (data is null when your program has no curriculum)
+ */
+const getMyDegreeAudit = async (req, res) => {
+  try {
+    const audit = await getDegreeAudit(req.user);
+
+    res.json({
+      success: true,
+      data: audit
+    });
+  } catch (error) {
+    console.error('Error fetching degree audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching degree audit'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/programs/audit/students/{studentId}:
+ *   get:
+ *     summary: Get a student's degree audit (requires registrations:view)
+ *     tags: [Programs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Degree audit (data is null when the student's program has no curriculum)
+ *       403:
+ *         description: Student outside your department
+ *       404:
+ *         description: Student not found
+ */
+const getStudentDegreeAudit = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, student.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view students in your department.'
+      });
+    }
+
+    const audit = await getDegreeAudit(student);
+
+    res.json({
+      success: true,
+      data: audit
+    });
+  } catch (error) {
+    console.error('Error fetching degree audit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching degree audit'
+    });
+  }
+};
+
+module.exports = {
+  getPrograms,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  getMyDegreeAudit,
+  getStudentDegreeAudit
+};
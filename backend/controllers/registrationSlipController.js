@@ -0,0 +1,203 @@
+const RegistrationSlip = require('../models/RegistrationSlip');
+const CourseRegistration = require('../models/CourseRegistration');
+const AcademicSession = require('../models/AcademicSession');
+const { validationResult } = require('express-validator');
+const { getPrintablePhoto, renderRegistrationSlip } = require('../services/registrationSlipService');
+const { getApiBaseUrl } = require('../utils/helpers');
+const { sendPdf } = require('../utils/pdf');
+
+/**
+ * Get a student's approved registrations for a semester, with course and approver details
+ * @param {String} studentId - Student user ID
+ * @param {String} semester - First or Second
+ * @param {String} academicYear - Academic year, e.g. "2024/2025"
+ * @returns {Promise<Array>} Approved registrations ordered by course code
+ */
+const findApprovedRegistrations = async (studentId, semester, academicYear) => {
+  const registrations = await CourseRegistration.find({
+    student: studentId,
+    semester,
+    academicYear,
+    status: 'approved'
+  })
+    .populate('course', 'courseCode title credits')
+    .populate('approvedBy', 'firstName lastName');
+
+  return registrations
+    .filter(registration => registration.course)
+    .sort((a, b) => a.course.courseCode.localeCompare(b.course.courseCode));
+};
+
+/**
+ * @swagger
+ * /api/courses/registration-slip:
+ *   get:
+ *     summary: Download your course registration slip as a PDF (Student only)
+ *     description: Lists the approved courses for a semester with a QR code that links to /api/verify/registration-slip/{code}. A new slip is generated only when the approved courses have changed since the last one.
+ *     tags: [Course Registration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [First, Second]
+ *         description: Defaults to the current academic session
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *         description: Defaults to the current academic session
+ *     responses:
+ *       200:
+ *         description: PDF registration slip
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: No approved registrations for the semester
+ */
+const getMyRegistrationSlip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let { semester, academicYear } = req.query;
+    if (!semester || !academicYear) {
+      const session = await AcademicSession.getCurrent();
+      if (!session) {
+        return res.status(400).json({
+          success: false,
+          message: 'No academic session is currently active'
+        });
+      }
+      ({ semester, academicYear } = session);
+    }
+
+    const registrations = await findApprovedRegistrations(req.user._id, semester, academicYear);
+    if (registrations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have no approved course registrations for this semester'
+      });
+    }
+
+    // Reuse the last slip while it still lists the same courses, so its code stays valid
+    let slip = await RegistrationSlip.findLatest(req.user._id, semester, academicYear);
+    if (!slip || !slip.listsRegistrations(registrations.map(registration => registration._id))) {
+      const courses = registrations.map(registration => ({
+        registration: registration._id,
+        courseCode: registration.course.courseCode,
+        title: registration.course.title,
+        credits: registration.course.credits,
+        approvedAt: registration.approvedAt,
+        approvedBy: registration.approvedBy
+          ? `${registration.approvedBy.firstName} ${registration.approvedBy.lastName}`
+          : registration.approvalSource === 'waitlist' ? 'Waitlist offer' : null
+      }));
+
+      slip = await RegistrationSlip.create({
+        verificationCode: RegistrationSlip.generateVerificationCode(),
+        student: req.user._id,
+        semester,
+        academicYear,
+        studentDetails: {
+          name: `${req.user.firstName} ${req.user.lastName}`,
+          referenceNumber: req.user.referenceNumber,
+          program: req.user.program,
+          department: req.user.department,
+          level: req.user.level
+        },
+        courses,
+        totalCredits: courses.reduce((total, course) => total + (course.credits || 0), 0)
+      });
+    }
+
+    const pdf = await renderRegistrationSlip(slip, {
+      verificationUrl: `${getApiBaseUrl(req)}/api/verify/registration-slip/${slip.verificationCode}`,
+      photo: getPrintablePhoto(req.user.profilePicture)
+    });
+
+    const term = `${academicYear.replace('/', '-')}-${semester.toLowerCase()}`;
+    sendPdf(res, pdf, `registration-slip-${req.user.referenceNumber}-${term}.pdf`);
+  } catch (error) {
+    console.error('Error generating registration slip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating registration slip'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/verify/registration-slip/{code}:
+ *   get:
+ *     summary: Verify a course registration slip (public)
+ *     description: Returns the courses printed on the slip. isCurrent is false when the student's approved courses have changed since the slip was generated.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification code printed on the slip
+ *     responses:
+ *       200:
+ *         description: Slip is genuine
+ *       404:
+ *         description: No slip has this code
+ */
+const verifyRegistrationSlip = async (req, res) => {
+  try {
+    const slip = await RegistrationSlip.findOne({
+      verificationCode: String(req.params.code).trim().toUpperCase()
+    });
+    if (!slip) {
+      return res.status(404).json({
+        success: false,
+        message: 'No registration slip matches this verification code'
+      });
+    }
+
+    const registrations = await findApprovedRegistrations(slip.student, slip.semester, slip.academicYear);
+    const isCurrent = slip.listsRegistrations(registrations.map(registration => registration._id));
+
+    res.json({
+      success: true,
+      message: isCurrent
+        ? 'This registration slip matches the student\'s approved courses'
+        : 'This registration slip is genuine but the student\'s approved courses have changed since it was generated',
+      data: {
+        verificationCode: slip.verificationCode,
+        generatedAt: slip.generatedAt,
+        semester: slip.semester,
+        academicYear: slip.academicYear,
+        student: slip.studentDetails,
+        courses: slip.courses.map(({ courseCode, title, credits }) => ({ courseCode, title, credits })),
+        totalCredits: slip.totalCredits,
+        isCurrent
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying registration slip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying registration slip'
+    });
+  }
+};
+
+module.exports = {
+  getMyRegistrationSlip,
+  verifyRegistrationSlip
+};
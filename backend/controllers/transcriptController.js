@@ -0,0 +1,333 @@
+const Transcript = require('../models/Transcript');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { getAcademicRecord } = require('../services/gradeService');
+const { renderTranscript } = require('../services/transcriptService');
+const { getApiBaseUrl } = require('../utils/helpers');
+const { sendPdf } = require('../utils/pdf');
+
+/**
+ * Pick the student details printed on a transcript
+ * @param {Object} student - Student user document
+ * @returns {Object} { name, referenceNumber, program, department }
+ */
+const describeStudent = (student) => ({
+  name: `${student.firstName} ${student.lastName}`,
+  referenceNumber: student.referenceNumber,
+  program: student.program,
+  department: student.department
+});
+
+/**
+ * Build the public verification URL for a transcript
+ * @param {Object} req - Express request
+ * @param {String} code - Verification code
+ * @returns {String} Verification URL
+ */
+const verificationUrl = (req, code) => `${getApiBaseUrl(req)}/api/verify/transcript/${code}`;
+
+/**
+ * @swagger
+ * /api/transcripts/me:
+ *   get:
+ *     summary: Download your unofficial transcript as a PDF (Student only)
+ *     tags: [Transcripts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: PDF of your released results
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: No results have been released yet
+ */
+const getMyTranscript = async (req, res) => {
+  try {
+    const record = await getAcademicRecord(req.user._id);
+    if (record.semesters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No results have been released yet'
+      });
+    }
+
+    const pdf = await renderTranscript({
+      studentDetails: describeStudent(req.user),
+      record
+    });
+
+    sendPdf(res, pdf, `transcript-${req.user.referenceNumber}-unofficial.pdf`);
+  } catch (error) {
+    console.error('Error generating transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating transcript'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transcripts/students/{studentId}:
+ *   post:
+ *     summary: Issue an official transcript for a student (requires transcripts:issue)
+ *     description: Stores a copy of the student's current record with a unique verification code. Download the PDF from /api/transcripts/{id}/pdf.
+ *     tags: [Transcripts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Transcript issued
+ *       400:
+ *         description: The student has no released results
+ *       404:
+ *         description: Student not found
+ */
+const issueTranscript = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const record = await getAcademicRecord(student._id);
+    if (record.semesters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The student has no released results'
+      });
+    }
+
+    const transcript = await Transcript.create({
+      verificationCode: Transcript.generateVerificationCode(),
+      student: student._id,
+      issuedBy: req.user._id,
+      studentDetails: describeStudent(student),
+      record
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Official transcript issued',
+      data: transcript
+    });
+  } catch (error) {
+    console.error('Error issuing transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing transcript'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transcripts:
+ *   get:
+ *     summary: List issued official transcripts (requires transcripts:issue)
+ *     tags: [Transcripts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Only transcripts for this student
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Issued transcripts, newest first
+ */
+const getTranscripts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const query = req.query.student ? { student: req.query.student } : {};
+
+    const [transcripts, total] = await Promise.all([
+      Transcript.find(query)
+        .select('-record')
+        .populate('issuedBy', 'firstName lastName')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Transcript.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: transcripts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transcripts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transcripts'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/transcripts/{id}/pdf:
+ *   get:
+ *     summary: Download an issued official transcript (requires transcripts:issue)
+ *     tags: [Transcripts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF of the transcript as issued
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Transcript not found
+ */
+const downloadTranscript = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const transcript = await Transcript.findById(req.params.id);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcript not found'
+      });
+    }
+
+    const pdf = await renderTranscript({
+      studentDetails: transcript.studentDetails,
+      record: transcript.record,
+      issuedAt: transcript.issuedAt,
+      verificationCode: transcript.verificationCode,
+      verificationUrl: verificationUrl(req, transcript.verificationCode)
+    });
+
+    sendPdf(res, pdf, `transcript-${transcript.studentDetails.referenceNumber}-${transcript.verificationCode}.pdf`);
+  } catch (error) {
+    console.error('Error downloading transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading transcript'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/verify/transcript/{code}:
+ *   get:
+ *     summary: Verify an official transcript (public)
+ *     description: Lets employers and other institutions confirm a transcript is genuine. Returns the headline details printed on it.
+ *     tags: [Verification]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification code printed on the transcript
+ *     responses:
+ *       200:
+ *         description: Transcript is genuine
+ *       404:
+ *         description: No transcript has this code
+ */
+const verifyTranscript = async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne({
+      verificationCode: String(req.params.code).trim().toUpperCase()
+    });
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'No transcript matches this verification code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'This transcript was issued by the University of Mines and Technology',
+      data: {
+        verificationCode: transcript.verificationCode,
+        issuedAt: transcript.issuedAt,
+        student: transcript.studentDetails,
+        cgpa: transcript.record.cgpa,
+        classification: transcript.record.classification,
+        creditsEarned: transcript.record.creditsEarned
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying transcript'
+    });
+  }
+};
+
+module.exports = {
+  getMyTranscript,
+  issueTranscript,
+  getTranscripts,
+  downloadTranscript,
+  verifyTranscript
+};
@@ -0,0 +1,425 @@
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AcademicSession = require('../models/AcademicSession');
+const { canAccessDepartment } = require('../middleware/roleCheck');
+const {
+  checkRegistrationEligibility,
+  getAvailableSeats,
+  promoteWaitlist,
+  processWaitlists
+} = require('../services/registrationService');
+
+// Withdraw an offer the student cannot take up, passing its held seat to the next student
+const withdrawOffer = async (entry) => {
+  if (await entry.expireOffer()) {
+    await promoteWaitlist(entry.course);
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/{id}/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a full course (Student only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist; data.position is the place in the queue
+ *       400:
+ *         description: Registration closed, course has free seats, already registered or waitlisted, or student not eligible
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const session = await AcademicSession.getCurrent();
+    if (!session || !['open', 'late'].includes(session.getRegistrationWindow())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course registration is closed'
+      });
+    }
+
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const ineligible = await checkRegistrationEligibility(req.user, course, session);
+    if (ineligible) {
+      return res.status(400).json({
+        success: false,
+        ...ineligible
+      });
+    }
+
+    if (getAvailableSeats(course) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course has seats available. Register for it directly.'
+      });
+    }
+
+    const existingRegistration = await CourseRegistration.findOne({
+      student: req.user._id,
+      course: course._id,
+      semester: session.semester,
+      academicYear: session.academicYear,
+      status: { $in: ['pending', 'approved'] }
+    });
+    if (existingRegistration) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already registered for this course'
+      });
+    }
+
+    const existingEntry = await WaitlistEntry.findOpen(req.user._id, course._id, session.semester, session.academicYear);
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this course'
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      student: req.user._id,
+      course: course._id,
+      session: session._id,
+      semester: session.semester,
+      academicYear: session.academicYear
+    });
+
+    const position = await WaitlistEntry.getPosition(entry);
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist for ${course.courseCode}`,
+      data: { ...entry.toJSON(), position }
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/waitlist/mine:
+ *   get:
+ *     summary: Get your waitlist entries with queue positions (Student only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waiting and offered entries, plus entries resolved in the last 30 days
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    // Lapsed offers of every student are handled by the scheduled job; the student's own are
+    // expired here so the list is current
+    await processWaitlists({ studentId: req.user._id });
+
+    const recent = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const entries = await WaitlistEntry.find({
+      student: req.user._id,
+      $or: [
+        { status: { $in: ['waiting', 'offered'] } },
+        { updatedAt: { $gte: recent } }
+      ]
+    })
+      .populate('course', 'courseCode title credits semester')
+      .sort({ joinedAt: -1 });
+
+    const data = await Promise.all(entries.map(async (entry) => ({
+      ...entry.toJSON(),
+      position: entry.status === 'waiting' ? await WaitlistEntry.getPosition(entry) : null
+    })));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/waitlist/{entryId}/confirm:
+ *   post:
+ *     summary: Confirm a seat offered from the waitlist (Student only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: >
+ *           Seat confirmed and registration approved. If the student's program quota in the course
+ *           is full, the registration is left pending for staff review.
+ *       400:
+ *         description: >
+ *           No active offer, or the offer was withdrawn and its seat passed on because registration
+ *           has closed, the session no longer exists or the student is no longer eligible
+ *       404:
+ *         description: Waitlist entry or course not found
+ */
+const confirmWaitlistSeat = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, student: req.user._id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!entry.offerActive) {
+      return res.status(400).json({
+        success: false,
+        message: entry.status === 'offered'
+          ? 'This seat offer has expired'
+          : 'There is no seat offer to confirm'
+      });
+    }
+
+    const [course, session] = await Promise.all([
+      Course.findById(entry.course),
+      AcademicSession.findById(entry.session)
+    ]);
+
+    if (!course) {
+      await withdrawOffer(entry);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!session) {
+      await withdrawOffer(entry);
+      return res.status(400).json({
+        success: false,
+        message: 'The academic session of this offer no longer exists'
+      });
+    }
+
+    if (!['open', 'late'].includes(session.getRegistrationWindow())) {
+      await withdrawOffer(entry);
+      return res.status(400).json({
+        success: false,
+        message: 'Course registration is closed'
+      });
+    }
+
+    // Registrations made since joining may have used up the student's credit allowance
+    const ineligible = await checkRegistrationEligibility(req.user, course, session);
+    if (ineligible) {
+      await withdrawOffer(entry);
+      return res.status(400).json({
+        success: false,
+        ...ineligible
+      });
+    }
+
+    const registration = await CourseRegistration.register({
+      student: req.user._id,
+      course: course._id,
+      semester: entry.semester,
+      academicYear: entry.academicYear,
+      session: session._id,
+      isLateRegistration: session.getRegistrationWindow() !== 'open'
+    });
+
+    // The offer may have lapsed or been declined since it was read
+    if (!await entry.accept(registration._id)) {
+      await registration.undoRegister();
+      return res.status(400).json({
+        success: false,
+        message: 'This seat offer has expired'
+      });
+    }
+
+    // The seat held for the offer becomes the student's
+    try {
+      await registration.approveFromWaitlist();
+    } catch (approvalError) {
+      if (approvalError.message !== 'Course is full') throw approvalError;
+
+      // The student's program quota is full, so free the held seat and leave the registration for staff
+      await Course.releaseHeldSeat(course._id);
+      await promoteWaitlist(course._id);
+
+      return res.status(201).json({
+        success: true,
+        message: `Your program's seats in ${course.courseCode} are taken, so your registration is pending approval`,
+        data: registration
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Seat in ${course.courseCode} confirmed`,
+      data: registration
+    });
+  } catch (error) {
+    console.error('Error confirming waitlist seat:', error);
+
+    if (error.message.includes('already registered')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming waitlist seat'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/waitlist/{entryId}/leave:
+ *   post:
+ *     summary: Leave a waitlist or decline an offered seat (Student only)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the waitlist; a declined seat is offered to the next student
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      student: req.user._id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const declinedOffer = entry.status === 'offered';
+    await entry.leave();
+
+    if (declinedOffer) {
+      await promoteWaitlist(entry.course);
+    }
+
+    res.json({
+      success: true,
+      message: declinedOffer ? 'Seat offer declined' : 'You have left the waitlist',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving waitlist'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/courses/{id}/waitlist:
+ *   get:
+ *     summary: Get the waitlist for a course (requires registrations:view)
+ *     tags: [Waitlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Waiting and offered entries in queue order
+ */
+const getCourseWaitlist = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, course.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view waitlists for courses in your department.'
+      });
+    }
+
+    const entries = await WaitlistEntry.find({
+      course: course._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+      .populate('student', 'firstName lastName referenceNumber program level')
+      .sort({ joinedAt: 1 });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching course waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching course waitlist'
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  confirmWaitlistSeat,
+  leaveWaitlist,
+  getCourseWaitlist
+};
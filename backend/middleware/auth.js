@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 /**
  * Authentication middleware to verify JWT token
@@ -22,6 +23,16 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+
+    if (!session || !session.isActive || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please login again.'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -33,6 +44,22 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Suspended and deleted accounts lose access straight away
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: `This account has been ${user.accountStatus}. Please contact the administrator.`
+      });
+    }
+
+    // Reject tokens issued before the last password reset
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was recently changed. Please login again.'
+      });
+    }
+
     // Check if user is active
     if (!user.isEmailVerified && user.role === 'student') {
       return res.status(401).json({
@@ -41,8 +68,11 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    await session.touch();
+
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -80,9 +110,13 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user) {
+      const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+      const user = session && session.isActive
+        ? await User.findById(decoded.userId).select('-password')
+        : null;
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
         req.user = user;
+        req.authSession = session;
       }
     }
     next();
@@ -93,13 +127,77 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
- * @param {Object} payload - Token payload
+ * Generate a short-lived challenge token for the second login step
+ * @param {String} userId - ID of the user who passed the password check
+ * @param {String} purpose - 'two_factor' or 'two_factor_setup'
+ * @returns {String} JWT token
+ */
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+/**
+ * Verify a challenge token issued for the given purpose
+ * @param {String} token - Challenge token
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Authenticate two-factor enrollment, either with a normal access token or
+ * with the setup challenge issued to admins who have not enrolled yet
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyChallengeToken(challengeToken, 'two_factor_setup');
+    const user = decoded && await User.findById(decoded.userId).select('-password');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Setup session expired. Please login again.'
+      });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor setup auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+};
+
+/**
+ * Generate a short-lived JWT access token
+ * @param {Object} payload - Token payload (userId and sessionId)
  * @returns {String} JWT token
  */
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m'
   });
 };
 
@@ -115,6 +213,9 @@ const verifyToken = (token) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  authenticateTwoFactorSetup,
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   verifyToken
 }; 
\ No newline at end of file
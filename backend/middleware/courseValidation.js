@@ -0,0 +1,213 @@
+/**
+ * Course validation middleware, shared by the course routes and the catalogue import
+ */
+
+const { body } = require('express-validator');
+const Course = require('../models/Course');
+
+const validateSchedule = [
+  body('schedule')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Schedule must be a list of at most 20 slots'),
+  body('schedule.*.type')
+    .optional()
+    .isIn(['Lecture', 'Lab', 'Tutorial'])
+    .withMessage('Slot type must be Lecture, Lab or Tutorial'),
+  body('schedule.*.day')
+    .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'])
+    .withMessage('Slot day must be a weekday or Saturday'),
+  body('schedule.*.startTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in format HH:mm'),
+  body('schedule.*.endTime')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('End time must be in format HH:mm'),
+  body('schedule.*.venue')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Venue is required and cannot exceed 100 characters'),
+  body('schedule.*.lecturer')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Lecturer cannot exceed 100 characters')
+];
+
+const validateOfferings = [
+  body('offerings')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Offerings must be a list of at most 20 programs'),
+  body('offerings.*.program')
+    .isIn(Course.schema.path('program').enumValues)
+    .withMessage('Invalid offering program'),
+  body('offerings.*.level')
+    .isInt({ min: 100, max: 500 })
+    .custom(value => value % 100 === 0)
+    .withMessage('Offering level must be in increments of 100 (100, 200, 300, 400, 500)'),
+  body('offerings.*.maxStudents')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Program quota must be at least 1')
+];
+
+const validateCourseCreation = [
+  body('courseCode')
+    .trim()
+    .isLength({ min: 3, max: 10 })
+    .withMessage('Course code must be between 3 and 10 characters'),
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('credits')
+    .isInt({ min: 1, max: 6 })
+    .withMessage('Credits must be between 1 and 6'),
+  body('department')
+    .isIn([
+      'Mining Engineering',
+      'Geological Engineering',
+      'Minerals Engineering',
+      'Petroleum Engineering',
+      'Mechanical Engineering',
+      'Electrical Engineering',
+      'Civil Engineering',
+      'Computer Science and Engineering',
+      'Mathematics',
+      'Physics',
+      'Chemistry',
+      'Environmental and Safety Engineering'
+    ])
+    .withMessage('Invalid department'),
+  body('program')
+    .isIn([
+      'BSc Mining Engineering',
+      'BSc Geological Engineering',
+      'BSc Minerals Engineering',
+      'BSc Petroleum Engineering',
+      'BSc Mechanical Engineering',
+      'BSc Electrical Engineering',
+      'BSc Civil Engineering',
+      'BSc Computer Science and Engineering',
+      'BSc Mathematics',
+      'BSc Physics',
+      'BSc Chemistry',
+      'BSc Environmental and Safety Engineering'
+    ])
+    .withMessage('Invalid program'),
+  body('level')
+    .isInt({ min: 100, max: 500 })
+    .custom(value => value % 100 === 0)
+    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
+  body('semester')
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('prerequisites')
+    .optional()
+    .isArray()
+    .withMessage('Prerequisites must be an array'),
+  body('prerequisites.*')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 10 })
+    .withMessage('Prerequisite course codes must be between 3 and 10 characters'),
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum students must be at least 1'),
+  ...validateOfferings,
+  ...validateSchedule
+];
+
+const validateCourseUpdate = [
+  body('courseCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 10 })
+    .withMessage('Course code must be between 3 and 10 characters'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('credits')
+    .optional()
+    .isInt({ min: 1, max: 6 })
+    .withMessage('Credits must be between 1 and 6'),
+  body('department')
+    .optional()
+    .isIn([
+      'Mining Engineering',
+      'Geological Engineering',
+      'Minerals Engineering',
+      'Petroleum Engineering',
+      'Mechanical Engineering',
+      'Electrical Engineering',
+      'Civil Engineering',
+      'Computer Science and Engineering',
+      'Mathematics',
+      'Physics',
+      'Chemistry',
+      'Environmental and Safety Engineering'
+    ])
+    .withMessage('Invalid department'),
+  body('program')
+    .optional()
+    .isIn([
+      'BSc Mining Engineering',
+      'BSc Geological Engineering',
+      'BSc Minerals Engineering',
+      'BSc Petroleum Engineering',
+      'BSc Mechanical Engineering',
+      'BSc Electrical Engineering',
+      'BSc Civil Engineering',
+      'BSc Computer Science and Engineering',
+      'BSc Mathematics',
+      'BSc Physics',
+      'BSc Chemistry',
+      'BSc Environmental and Safety Engineering'
+    ])
+    .withMessage('Invalid program'),
+  body('level')
+    .optional()
+    .isInt({ min: 100, max: 500 })
+    .custom(value => value % 100 === 0)
+    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
+  body('semester')
+    .optional()
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('prerequisites')
+    .optional()
+    .isArray()
+    .withMessage('Prerequisites must be an array'),
+  body('prerequisites.*')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 10 })
+    .withMessage('Prerequisite course codes must be between 3 and 10 characters'),
+  body('maxStudents')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum students must be at least 1'),
+  ...validateOfferings,
+  ...validateSchedule
+];
+
+module.exports = {
+  validateSchedule,
+  validateOfferings,
+  validateCourseCreation,
+  validateCourseUpdate
+};
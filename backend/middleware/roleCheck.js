@@ -2,6 +2,95 @@
  * Role-based access control middleware
  */
 
+// Every permission in the system; admins hold all of them
+const PERMISSIONS = [
+  'courses:manage',
+  'registrations:view',
+  'registrations:approve',
+  'payments:view',
+  'news:manage',
+  'users:view',
+  'users:manage',
+  'sessions:manage',
+  'credits:manage',
+  'grades:enter',
+  'grades:manage',
+  'transcripts:issue'
+];
+
+// Permission matrix for each role
+const ROLE_PERMISSIONS = {
+  student: [],
+  lecturer: ['registrations:view', 'news:manage', 'grades:enter'],
+  hod: ['courses:manage', 'registrations:view', 'registrations:approve', 'news:manage', 'users:view', 'grades:enter', 'grades:manage'],
+  registrar: ['courses:manage', 'registrations:view', 'registrations:approve', 'users:view', 'sessions:manage', 'credits:manage', 'grades:enter', 'grades:manage', 'transcripts:issue'],
+  bursar: ['payments:view'],
+  admin: PERMISSIONS
+};
+
+// Roles whose permissions only apply within their own department
+const DEPARTMENT_SCOPED_ROLES = ['hod', 'lecturer'];
+
+/**
+ * Get the permissions granted to a role
+ * @param {String} role - User role
+ * @returns {Array} Permission names
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - User document
+ * @param {String} permission - Permission name, e.g. 'registrations:approve'
+ * @returns {Boolean} True if the user's role grants the permission
+ */
+const hasPermission = (user, permission) => {
+  return !!user && getPermissions(user.role).includes(permission);
+};
+
+/**
+ * Get the department a user's staff permissions are limited to
+ * @param {Object} user - User document
+ * @returns {String|null} Department name, or null for institution-wide roles
+ */
+const getDepartmentScope = (user) => {
+  return DEPARTMENT_SCOPED_ROLES.includes(user.role) ? user.department : null;
+};
+
+/**
+ * Check whether a user's permissions cover a department
+ * @param {Object} user - User document
+ * @param {String} department - Department of the resource
+ * @returns {Boolean} True if the department is within the user's scope
+ */
+const canAccessDepartment = (user, department) => {
+  const scope = getDepartmentScope(user);
+  return !scope || scope === department;
+};
+
+/**
+ * Middleware factory to require a permission from the matrix
+ * @param {String} permission - Permission name, e.g. 'registrations:approve'
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Missing permission: ${permission}`
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to check if user is admin
  * @param {Request} req - Express request object
@@ -51,7 +140,7 @@ const requireStudent = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is either admin or student
+ * Middleware to check if user has a recognised role
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  * @param {Function} next - Express next function
@@ -64,7 +153,7 @@ const requireAuth = (req, res, next) => {
     });
   }
 
-  if (!['admin', 'student'].includes(req.user.role)) {
+  if (!ROLE_PERMISSIONS[req.user.role]) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. Invalid user role.'
@@ -90,13 +179,13 @@ const checkDepartmentAccess = (req, res, next) => {
     });
   }
 
-  // Admins can access all departments
-  if (req.user.role === 'admin') {
+  // Admins and institution-wide staff can access all departments
+  if (req.user.role !== 'student' && !getDepartmentScope(req.user)) {
     return next();
   }
 
-  // Students can only access their own department
-  if (req.user.role === 'student' && req.user.department === department) {
+  // Students and department-scoped staff can only access their own department
+  if (req.user.department === department) {
     return next();
   }
 
@@ -152,11 +241,11 @@ const checkContentPermission = (req, res, next) => {
     });
   }
 
-  // Only admins can manage content
-  if (req.user.role !== 'admin') {
+  // Only staff allowed to manage news can manage content
+  if (!hasPermission(req.user, 'news:manage')) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Only administrators can manage content.'
+      message: 'Access denied. You are not allowed to manage content.'
     });
   }
 
@@ -164,6 +253,13 @@ const checkContentPermission = (req, res, next) => {
 };
 
 module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  getDepartmentScope,
+  canAccessDepartment,
+  requirePermission,
   requireAdmin,
   requireStudent,
   requireAuth,
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AcademicSession:
+ *       type: object
+ *       required:
+ *         - academicYear
+ *         - semester
+ *         - startDate
+ *         - endDate
+ *         - registrationOpensAt
+ *         - registrationClosesAt
+ *         - addDropDeadline
+ *       properties:
+ *         academicYear:
+ *           type: string
+ *           description: Academic year (e.g., "2024/2025")
+ *         semester:
+ *           type: string
+ *           enum: [First, Second]
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           description: First day of the semester
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           description: Last day of the semester
+ *         registrationOpensAt:
+ *           type: string
+ *           format: date-time
+ *         registrationClosesAt:
+ *           type: string
+ *           format: date-time
+ *         lateRegistrationClosesAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the late-registration window that follows normal registration
+ *         addDropDeadline:
+ *           type: string
+ *           format: date-time
+ *           description: Last day courses can be added or dropped
+ *         feesDueDate:
+ *           type: string
+ *           format: date-time
+ *           description: Last day to pay the semester's fees (optional)
+ *         examStartDate:
+ *           type: string
+ *           format: date-time
+ *           description: First day of the examination period (optional)
+ *         examEndDate:
+ *           type: string
+ *           format: date-time
+ *           description: Last day of the examination period (optional)
+ *         registrationStatus:
+ *           type: string
+ *           enum: [upcoming, open, late, closed]
+ *           description: State of the registration window right now
+ */
+
+const academicSessionSchema = new mongoose.Schema({
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}\/\d{4}$/, 'Academic year must be in format YYYY/YYYY']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: {
+      values: ['First', 'Second'],
+      message: 'Semester must be either First or Second'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  registrationOpensAt: {
+    type: Date,
+    required: [true, 'Registration opening date is required']
+  },
+  registrationClosesAt: {
+    type: Date,
+    required: [true, 'Registration closing date is required']
+  },
+  lateRegistrationClosesAt: {
+    type: Date,
+    default: null
+  },
+  addDropDeadline: {
+    type: Date,
+    required: [true, 'Add/drop deadline is required']
+  },
+  feesDueDate: {
+    type: Date,
+    default: null
+  },
+  examStartDate: {
+    type: Date,
+    default: null
+  },
+  examEndDate: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One session per semester of an academic year
+academicSessionSchema.index({ academicYear: 1, semester: 1 }, { unique: true });
+
+// Index for efficient queries
+academicSessionSchema.index({ registrationOpensAt: 1, endDate: 1 });
+
+// Pre-validate middleware to keep the calendar dates in order
+academicSessionSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+
+  if (this.registrationOpensAt && this.registrationClosesAt && this.registrationOpensAt >= this.registrationClosesAt) {
+    this.invalidate('registrationClosesAt', 'Registration must close after it opens');
+  }
+
+  if (this.registrationClosesAt && this.endDate && this.registrationClosesAt > this.endDate) {
+    this.invalidate('registrationClosesAt', 'Registration must close before the semester ends');
+  }
+
+  if (this.lateRegistrationClosesAt && this.registrationClosesAt && this.lateRegistrationClosesAt <= this.registrationClosesAt) {
+    this.invalidate('lateRegistrationClosesAt', 'Late registration must close after normal registration');
+  }
+
+  if (this.lateRegistrationClosesAt && this.endDate && this.lateRegistrationClosesAt > this.endDate) {
+    this.invalidate('lateRegistrationClosesAt', 'Late registration must close before the semester ends');
+  }
+
+  if (this.addDropDeadline && this.startDate && this.endDate &&
+    (this.addDropDeadline < this.startDate || this.addDropDeadline > this.endDate)) {
+    this.invalidate('addDropDeadline', 'Add/drop deadline must fall within the semester');
+  }
+
+  if (!this.examStartDate !== !this.examEndDate) {
+    this.invalidate('examEndDate', 'Set both the start and end of the examination period');
+  }
+
+  if (this.examStartDate && this.examEndDate && this.examStartDate > this.examEndDate) {
+    this.invalidate('examEndDate', 'Exams must end on or after the day they start');
+  }
+
+  if (this.examStartDate && this.startDate && this.endDate &&
+    (this.examStartDate < this.startDate || this.examEndDate > this.endDate)) {
+    this.invalidate('examStartDate', 'The examination period must fall within the semester');
+  }
+
+  next();
+});
+
+// Virtual for the state of the registration window right now
+academicSessionSchema.virtual('registrationStatus').get(function() {
+  return this.getRegistrationWindow();
+});
+
+// Static method to get the session whose registration or teaching period covers a date
+academicSessionSchema.statics.getCurrent = function(date = new Date()) {
+  return this.findOne({
+    registrationOpensAt: { $lte: date },
+    endDate: { $gte: date }
+  }).sort({ registrationOpensAt: -1 });
+};
+
+// Static method to get the next session whose registration has not opened yet
+academicSessionSchema.statics.getUpcoming = function(date = new Date()) {
+  return this.findOne({
+    registrationOpensAt: { $gt: date }
+  }).sort({ registrationOpensAt: 1 });
+};
+
+// Method to work out where a date falls in the registration calendar
+academicSessionSchema.methods.getRegistrationWindow = function(date = new Date()) {
+  if (date < this.registrationOpensAt) return 'upcoming';
+  if (date <= this.registrationClosesAt) return 'open';
+  if (this.lateRegistrationClosesAt && date <= this.lateRegistrationClosesAt) return 'late';
+  return 'closed';
+};
+
+// Method to check if students can still drop courses without approval
+academicSessionSchema.methods.isAddDropOpen = function(date = new Date()) {
+  return date <= this.addDropDeadline;
+};
+
+// Ensure virtuals are included in JSON output
+academicSessionSchema.set('toJSON', { virtuals: true });
+academicSessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('AcademicSession', academicSessionSchema);
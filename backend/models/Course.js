@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { TEACHING_DAYS, toMinutes, findClashes } = require('../utils/timetable');
+
+const PROGRAMS = [
+  'BSc Mining Engineering',
+  'BSc Geological Engineering',
+  'BSc Minerals Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Civil Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Environmental and Safety Engineering'
+];
 
 /**
  * @swagger
@@ -31,7 +47,7 @@ const mongoose = require('mongoose');
  *         program:
  *           type: string
  *           enum: [BSc Mining Engineering, BSc Geological Engineering, BSc Minerals Engineering, BSc Petroleum Engineering, BSc Mechanical Engineering, BSc Electrical Engineering, BSc Civil Engineering, BSc Computer Science and Engineering, BSc Mathematics, BSc Physics, BSc Chemistry, BSc Environmental and Safety Engineering]
- *           description: Program offering the course
+ *           description: Home program of the course
  *         level:
  *           type: number
  *           minimum: 100
@@ -60,8 +76,128 @@ const mongoose = require('mongoose');
  *           type: number
  *           default: 0
  *           description: Current number of enrolled students
+ *         heldSeats:
+ *           type: number
+ *           default: 0
+ *           description: Seats held for waitlisted students who have been offered one
+ *         offerings:
+ *           type: array
+ *           description: Other programs the course is offered to, each at its own level and with an optional seat quota
+ *           items:
+ *             type: object
+ *             properties:
+ *               program:
+ *                 type: string
+ *               level:
+ *                 type: number
+ *               maxStudents:
+ *                 type: number
+ *                 description: Seats set aside for students of the program (empty for no quota)
+ *               currentEnrollment:
+ *                 type: number
+ *                 description: Approved students from the program
+ *         schedule:
+ *           type: array
+ *           description: Weekly lecture, lab and tutorial slots
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [Lecture, Lab, Tutorial]
+ *               day:
+ *                 type: string
+ *                 enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday]
+ *               startTime:
+ *                 type: string
+ *                 example: "08:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "10:00"
+ *               venue:
+ *                 type: string
+ *               lecturer:
+ *                 type: string
  */
 
+const scheduleSlotSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ['Lecture', 'Lab', 'Tutorial'],
+      message: 'Slot type must be Lecture, Lab or Tutorial'
+    },
+    default: 'Lecture'
+  },
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    enum: {
+      values: TEACHING_DAYS,
+      message: 'Invalid day'
+    }
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in format HH:mm']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in format HH:mm'],
+    validate: {
+      validator: function(v) {
+        return !this.startTime || toMinutes(v) > toMinutes(this.startTime);
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  venue: {
+    type: String,
+    required: [true, 'Venue is required'],
+    trim: true,
+    maxlength: [100, 'Venue cannot exceed 100 characters']
+  },
+  lecturer: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Lecturer cannot exceed 100 characters']
+  }
+});
+
+const offeringSchema = new mongoose.Schema({
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    enum: {
+      values: PROGRAMS,
+      message: 'Invalid program'
+    }
+  },
+  level: {
+    type: Number,
+    required: [true, 'Level is required'],
+    min: [100, 'Level must be at least 100'],
+    max: [500, 'Level cannot exceed 500'],
+    validate: {
+      validator: function(v) {
+        return v % 100 === 0;
+      },
+      message: 'Level must be in increments of 100 (100, 200, 300, 400, 500)'
+    }
+  },
+  maxStudents: {
+    type: Number,
+    min: [1, 'Program quota must be at least 1']
+  },
+  currentEnrollment: {
+    type: Number,
+    default: 0,
+    min: [0, 'Current enrollment cannot be negative']
+  }
+}, { _id: false });
+
 const courseSchema = new mongoose.Schema({
   courseCode: {
     type: String,
@@ -106,20 +242,7 @@ const courseSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Program is required'],
     enum: {
-      values: [
-        'BSc Mining Engineering',
-        'BSc Geological Engineering',
-        'BSc Minerals Engineering',
-        'BSc Petroleum Engineering',
-        'BSc Mechanical Engineering',
-        'BSc Electrical Engineering',
-        'BSc Civil Engineering',
-        'BSc Computer Science and Engineering',
-        'BSc Mathematics',
-        'BSc Physics',
-        'BSc Chemistry',
-        'BSc Environmental and Safety Engineering'
-      ],
+      values: PROGRAMS,
       message: 'Invalid program'
     }
   },
@@ -165,7 +288,14 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Current enrollment cannot be negative']
-  }
+  },
+  heldSeats: {
+    type: Number,
+    default: 0,
+    min: [0, 'Held seats cannot be negative']
+  },
+  offerings: [offeringSchema],
+  schedule: [scheduleSlotSchema]
 }, {
   timestamps: true
 });
@@ -174,45 +304,124 @@ const courseSchema = new mongoose.Schema({
 courseSchema.index({ department: 1, program: 1, level: 1, semester: 1 });
 courseSchema.index({ courseCode: 1 });
 courseSchema.index({ isActive: 1 });
+courseSchema.index({ 'offerings.program': 1, 'offerings.level': 1 });
+
+// Pre-validate middleware to keep offerings distinct from the home program and within capacity
+courseSchema.pre('validate', function(next) {
+  const offeredPrograms = this.offerings.map(offering => offering.program);
+
+  if (offeredPrograms.includes(this.program)) {
+    this.invalidate('offerings', `${this.program} is the course's home program and cannot also be an offering`);
+  }
+
+  const repeated = offeredPrograms.find((program, index) => offeredPrograms.indexOf(program) !== index);
+  if (repeated) {
+    this.invalidate('offerings', `${repeated} is offered the course more than once`);
+  }
+
+  const overCapacity = this.offerings.find(offering => this.maxStudents && offering.maxStudents > this.maxStudents);
+  if (overCapacity) {
+    this.invalidate('offerings', `The quota for ${overCapacity.program} cannot exceed the course's maximum of ${this.maxStudents} students`);
+  } else if (this.maxStudents) {
+    // The home program's share is what the quotas leave, so together they must fit in the course
+    const totalQuota = this.offerings.reduce((total, offering) => total + (offering.maxStudents || 0), 0);
+    if (totalQuota > this.maxStudents) {
+      this.invalidate('offerings', `Program quotas total ${totalQuota} seats, more than the course's maximum of ${this.maxStudents} students`);
+    }
+  }
+
+  next();
+});
 
 // Virtual for checking if course is full
 courseSchema.virtual('isFull').get(function() {
-  return this.maxStudents && this.currentEnrollment >= this.maxStudents;
+  return this.maxStudents && this.currentEnrollment + (this.heldSeats || 0) >= this.maxStudents;
 });
 
 // Virtual for available spots
 courseSchema.virtual('availableSpots').get(function() {
   if (!this.maxStudents) return null;
-  return Math.max(0, this.maxStudents - this.currentEnrollment);
+  return Math.max(0, this.maxStudents - this.currentEnrollment - (this.heldSeats || 0));
 });
 
+// Static method to build a query for courses taken by a program and/or level, either as the
+// course's home program or through one of its offerings
+courseSchema.statics.getAudienceQuery = function({ program, level } = {}) {
+  if (!program && !level) return {};
+
+  const audience = {};
+  if (program) audience.program = program;
+  if (level) audience.level = parseInt(level, 10);
+
+  return { $or: [audience, { offerings: { $elemMatch: audience } }] };
+};
+
 // Static method to get courses by department, program, level, and semester
 courseSchema.statics.getCoursesByFilters = function(filters) {
-  const query = { isActive: true };
+  const query = { isActive: true, ...this.getAudienceQuery(filters) };
   
   if (filters.department) query.department = filters.department;
-  if (filters.program) query.program = filters.program;
-  if (filters.level) query.level = filters.level;
   if (filters.semester) query.semester = filters.semester;
   
   return this.find(query).sort({ courseCode: 1 });
 };
 
 // Static method to get course statistics
-courseSchema.statics.getCourseStats = async function() {
+courseSchema.statics.getCourseStats = async function(filters = {}) {
+  const matchStage = {};
+
+  if (filters.department) matchStage.department = filters.department;
+
   const stats = await this.aggregate([
+    { $match: matchStage },
+    // One row per program taking the course. Seats and students held by offerings are
+    // counted under their program, and the rest under the home program; reserveSeat keeps
+    // the home program within those seats, which offerings without a quota share with it.
+    {
+      $project: {
+        department: 1,
+        semester: 1,
+        credits: 1,
+        audiences: {
+          $concatArrays: [
+            [{
+              program: '$program',
+              level: '$level',
+              isShared: false,
+              enrollment: { $subtract: ['$currentEnrollment', { $sum: '$offerings.currentEnrollment' }] },
+              capacity: { $subtract: ['$maxStudents', { $sum: '$offerings.maxStudents' }] }
+            }],
+            {
+              $map: {
+                input: { $ifNull: ['$offerings', []] },
+                as: 'offering',
+                in: {
+                  program: '$$offering.program',
+                  level: '$$offering.level',
+                  isShared: true,
+                  enrollment: '$$offering.currentEnrollment',
+                  capacity: '$$offering.maxStudents'
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$audiences' },
     {
       $group: {
         _id: {
           department: '$department',
-          program: '$program',
-          level: '$level',
+          program: '$audiences.program',
+          level: '$audiences.level',
           semester: '$semester'
         },
         totalCourses: { $sum: 1 },
+        sharedCourses: { $sum: { $cond: ['$audiences.isShared', 1, 0] } },
         totalCredits: { $sum: '$credits' },
-        totalEnrollment: { $sum: '$currentEnrollment' },
-        maxCapacity: { $sum: '$maxStudents' }
+        totalEnrollment: { $sum: '$audiences.enrollment' },
+        maxCapacity: { $sum: '$audiences.capacity' }
       }
     },
     {
@@ -226,6 +435,7 @@ courseSchema.statics.getCourseStats = async function() {
             level: '$_id.level',
             semester: '$_id.semester',
             totalCourses: '$totalCourses',
+            sharedCourses: '$sharedCourses',
             totalCredits: '$totalCredits',
             totalEnrollment: '$totalEnrollment',
             maxCapacity: '$maxCapacity'
@@ -249,20 +459,164 @@ courseSchema.statics.getCourseStats = async function() {
   return stats;
 };
 
+// Static method to find other active courses in the same semester booked into the same venue at the same time
+courseSchema.statics.findVenueClashes = async function(course) {
+  if (!course.isActive || !course.schedule || course.schedule.length === 0) return [];
+
+  const otherCourses = await this.find({
+    _id: { $ne: course._id },
+    semester: course.semester,
+    isActive: true,
+    'schedule.0': { $exists: true }
+  }).select('courseCode title schedule');
+
+  return findClashes(course, otherCourses, { sameVenue: true });
+};
+
+// Students in the seats program quotas leave, and the number of those seats. The home program
+// and offerings without a quota share them, so quota seats stay free for their programs.
+const UNRESERVED_ENROLLMENT = {
+  $subtract: ['$currentEnrollment', {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: ['$offerings', []] },
+            cond: { $ne: [{ $ifNull: ['$$this.maxStudents', null] }, null] }
+          }
+        },
+        in: '$$this.currentEnrollment'
+      }
+    }
+  }]
+};
+const UNRESERVED_CAPACITY = { $subtract: ['$maxStudents', { $sum: '$offerings.maxStudents' }] };
+
+// Static method to take a seat in a course; the capacity check and increment are a single
+// conditional update, so concurrent approvals cannot overbook. Seats held for waitlist offers
+// are not free; with fromHold, one of them is taken instead. When a program is given, the seat
+// counts against that program's quota if the course is offered to it with one, and otherwise
+// must be one the quotas leave. Returns null when the course or the program's share is full.
+courseSchema.statics.reserveSeat = function(courseId, program = null, { fromHold = false } = {}) {
+  const query = fromHold
+    ? { _id: courseId, heldSeats: { $gt: 0 } }
+    : {
+      _id: courseId,
+      $or: [
+        { maxStudents: null },
+        { $expr: { $lt: [{ $add: ['$currentEnrollment', { $ifNull: ['$heldSeats', 0] }] }, '$maxStudents'] } }
+      ]
+    };
+  const update = { $inc: { currentEnrollment: 1, ...(fromHold && { heldSeats: -1 }) } };
+  const options = { new: true };
+
+  if (program) {
+    query.$and = [{
+      $or: [
+        {
+          offerings: { $not: { $elemMatch: { program, maxStudents: { $ne: null } } } },
+          $or: [
+            { maxStudents: null },
+            { $expr: { $lt: [UNRESERVED_ENROLLMENT, UNRESERVED_CAPACITY] } }
+          ]
+        },
+        {
+          $expr: {
+            $gt: [{
+              $size: {
+                $filter: {
+                  input: '$offerings',
+                  cond: {
+                    $and: [
+                      { $eq: ['$$this.program', program] },
+                      { $lt: ['$$this.currentEnrollment', '$$this.maxStudents'] }
+                    ]
+                  }
+                }
+              }
+            }, 0]
+          }
+        }
+      ]
+    }];
+    update.$inc['offerings.$[offering].currentEnrollment'] = 1;
+    options.arrayFilters = [{ 'offering.program': program }];
+  }
+
+  return this.findOneAndUpdate(query, update, options);
+};
+
+// Static method to give back a seat taken with reserveSeat; with toHold it is held again
+courseSchema.statics.releaseSeat = function(courseId, program = null, { toHold = false } = {}) {
+  const update = { $inc: { currentEnrollment: -1, ...(toHold && { heldSeats: 1 }) } };
+  const options = { new: true };
+
+  if (program) {
+    update.$inc['offerings.$[offering].currentEnrollment'] = -1;
+    options.arrayFilters = [{ 'offering.program': program, 'offering.currentEnrollment': { $gt: 0 } }];
+  }
+
+  return this.findOneAndUpdate(
+    { _id: courseId, currentEnrollment: { $gt: 0 } },
+    update,
+    options
+  );
+};
+
+// Static method to hold a free seat for a waitlist offer; returns null when no seat is free
+courseSchema.statics.holdSeat = function(courseId) {
+  return this.findOneAndUpdate(
+    {
+      _id: courseId,
+      $expr: { $lt: [{ $add: ['$currentEnrollment', { $ifNull: ['$heldSeats', 0] }] }, '$maxStudents'] }
+    },
+    { $inc: { heldSeats: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to free a seat held for a waitlist offer that was declined or lapsed
+courseSchema.statics.releaseHeldSeat = function(courseId) {
+  return this.findOneAndUpdate(
+    { _id: courseId, heldSeats: { $gt: 0 } },
+    { $inc: { heldSeats: -1 } },
+    { new: true }
+  );
+};
+
+// Method to get the offering of the course to a program, if it is not the home program
+courseSchema.methods.getOffering = function(program) {
+  return this.offerings.find(offering => offering.program === program) || null;
+};
+
+// Method to replace the programs the course is offered to, keeping each program's enrollment count
+courseSchema.methods.setOfferings = function(offerings) {
+  this.offerings = offerings.map(({ program, level, maxStudents }) => {
+    const existing = this.getOffering(program);
+    return {
+      program,
+      level,
+      maxStudents,
+      currentEnrollment: existing ? existing.currentEnrollment : 0
+    };
+  });
+};
+
 // Method to increment enrollment
 courseSchema.methods.incrementEnrollment = async function() {
-  if (this.isFull) {
+  const course = await this.constructor.reserveSeat(this._id);
+  if (!course) {
     throw new Error('Course is full');
   }
-  this.currentEnrollment += 1;
-  return this.save();
+  this.currentEnrollment = course.currentEnrollment;
+  return this;
 };
 
 // Method to decrement enrollment
 courseSchema.methods.decrementEnrollment = async function() {
-  if (this.currentEnrollment > 0) {
-    this.currentEnrollment -= 1;
-    return this.save();
+  const course = await this.constructor.releaseSeat(this._id);
+  if (course) {
+    this.currentEnrollment = course.currentEnrollment;
   }
   return this;
 };
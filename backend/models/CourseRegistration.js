@@ -25,6 +25,12 @@ const mongoose = require('mongoose');
  *         academicYear:
  *           type: string
  *           description: Academic year (e.g., "2023/2024")
+ *         session:
+ *           type: string
+ *           description: Reference to the academic session the registration belongs to
+ *         isLateRegistration:
+ *           type: boolean
+ *           description: Whether the registration was made during the late-registration window
  *         status:
  *           type: string
  *           enum: [pending, approved, rejected, dropped]
@@ -41,9 +47,58 @@ const mongoose = require('mongoose');
  *         approvedBy:
  *           type: string
  *           description: Reference to admin who approved
+ *         approvalSource:
+ *           type: string
+ *           enum: [staff, waitlist]
+ *           description: How the registration was approved; waitlist approvals take the seat offered to the student and have no approvedBy
  *         notes:
  *           type: string
  *           description: Additional notes or comments
+ *         result:
+ *           type: string
+ *           enum: [passed, failed, withheld]
+ *           description: Outcome of the course once its grade is released, or withheld while a released grade is being corrected
+ *         droppedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the course was dropped
+ *         droppedBy:
+ *           type: string
+ *           description: Reference to the user who dropped it (the student, or staff approving a late drop)
+ *         dropRequest:
+ *           type: object
+ *           description: Request to drop after the add/drop deadline, which needs staff approval
+ *           properties:
+ *             reason:
+ *               type: string
+ *             requestedAt:
+ *               type: string
+ *               format: date-time
+ *             status:
+ *               type: string
+ *               enum: [pending, approved, rejected]
+ *             reviewedBy:
+ *               type: string
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
+ *             reviewNotes:
+ *               type: string
+ *         prerequisiteOverride:
+ *           type: object
+ *           description: Staff override that allowed registration despite unmet prerequisites
+ *           properties:
+ *             reason:
+ *               type: string
+ *             waived:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             grantedBy:
+ *               type: string
+ *             grantedAt:
+ *               type: string
+ *               format: date-time
  */
 
 const courseRegistrationSchema = new mongoose.Schema({
@@ -70,6 +125,14 @@ const courseRegistrationSchema = new mongoose.Schema({
     required: [true, 'Academic year is required'],
     match: [/^\d{4}\/\d{4}$/, 'Academic year must be in format YYYY/YYYY']
   },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  isLateRegistration: {
+    type: Boolean,
+    default: false
+  },
   status: {
     type: String,
     enum: {
@@ -89,16 +152,85 @@ const courseRegistrationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  approvalSource: {
+    type: String,
+    enum: {
+      values: ['staff', 'waitlist'],
+      message: 'Invalid approval source'
+    }
+  },
   notes: {
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  result: {
+    type: String,
+    enum: {
+      values: ['passed', 'failed', 'withheld'],
+      message: 'Result must be passed, failed or withheld'
+    }
+  },
+  droppedAt: {
+    type: Date
+  },
+  droppedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dropRequest: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Drop reason cannot exceed 500 characters']
+    },
+    requestedAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'approved', 'rejected'],
+        message: 'Invalid drop request status'
+      }
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewNotes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Review notes cannot exceed 500 characters']
+    }
+  },
+  prerequisiteOverride: {
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Override reason cannot exceed 500 characters']
+    },
+    waived: [{
+      type: String,
+      uppercase: true
+    }],
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
 });
 
-// Compound index to prevent duplicate registrations
+// Compound index to prevent duplicate registrations; a dropped or rejected registration is
+// reopened by the register static instead of a second one being created
 courseRegistrationSchema.index(
   { student: 1, course: 1, semester: 1, academicYear: 1 },
   { unique: true }
@@ -108,6 +240,8 @@ courseRegistrationSchema.index(
 courseRegistrationSchema.index({ student: 1, status: 1 });
 courseRegistrationSchema.index({ course: 1, status: 1 });
 courseRegistrationSchema.index({ semester: 1, academicYear: 1 });
+courseRegistrationSchema.index({ session: 1 });
+courseRegistrationSchema.index({ 'dropRequest.status': 1 });
 
 // Pre-save middleware to validate registration
 courseRegistrationSchema.pre('save', async function(next) {
@@ -123,50 +257,46 @@ courseRegistrationSchema.pre('save', async function(next) {
     if (existingRegistration) {
       return next(new Error('Student is already registered for this course in this semester'));
     }
-
-    // Check if course is full
-    const Course = mongoose.model('Course');
-    const course = await Course.findById(this.course);
-    
-    if (course && course.isFull) {
-      return next(new Error('Course is full'));
-    }
   }
   next();
 });
 
-// Post-save middleware to update course enrollment
-courseRegistrationSchema.post('save', async function(doc) {
-  const Course = mongoose.model('Course');
-  
-  if (doc.status === 'approved') {
-    await Course.findByIdAndUpdate(doc.course, {
-      $inc: { currentEnrollment: 1 }
-    });
-  }
-});
+// Fields recording what happened to a registration, cleared when a dropped or rejected one is reopened
+const OUTCOME_FIELDS = [
+  'approvedAt',
+  'approvedBy',
+  'approvalSource',
+  'notes',
+  'result',
+  'droppedAt',
+  'droppedBy',
+  'dropRequest',
+  'prerequisiteOverride'
+];
 
-// Post-update middleware to handle status changes
-courseRegistrationSchema.post('findOneAndUpdate', async function(doc) {
-  if (!doc) return;
-  
-  const Course = mongoose.model('Course');
-  const update = this.getUpdate();
-  
-  // If status changed to approved, increment enrollment
-  if (update.status === 'approved' && doc.status !== 'approved') {
-    await Course.findByIdAndUpdate(doc.course, {
-      $inc: { currentEnrollment: 1 }
-    });
-  }
-  
-  // If status changed from approved to something else, decrement enrollment
-  if (doc.status === 'approved' && update.status !== 'approved') {
-    await Course.findByIdAndUpdate(doc.course, {
-      $inc: { currentEnrollment: -1 }
-    });
+// Static method to register a student for a course. Only one registration per course and
+// semester can exist, so one the student dropped or had rejected is reopened as a new pending
+// registration; its earlier state is kept in $locals.previous for undoRegister.
+courseRegistrationSchema.statics.register = async function(fields) {
+  const { student, course, semester, academicYear } = fields;
+  const cleared = OUTCOME_FIELDS.filter(field => !(field in fields));
+
+  const previous = await this.findOneAndUpdate(
+    { student, course, semester, academicYear, status: { $in: ['dropped', 'rejected'] } },
+    {
+      $set: { isLateRegistration: false, ...fields, status: 'pending', registeredAt: new Date() },
+      $unset: Object.fromEntries(cleared.map(field => [field, '']))
+    },
+    { runValidators: true }
+  );
+  if (!previous) {
+    return this.create(fields);
   }
-});
+
+  const registration = await this.findById(previous._id);
+  registration.$locals.previous = previous.toObject();
+  return registration;
+};
 
 // Static method to get registrations by student
 courseRegistrationSchema.statics.getByStudent = function(studentId, filters = {}) {
@@ -196,6 +326,83 @@ courseRegistrationSchema.statics.getByCourse = function(courseId, filters = {})
     .sort({ registeredAt: -1 });
 };
 
+// Static method to total the credits a student carries in a semester
+courseRegistrationSchema.statics.getCreditLoad = async function(studentId, semester, academicYear) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        student: new mongoose.Types.ObjectId(studentId),
+        semester,
+        academicYear,
+        status: { $in: ['pending', 'approved'] }
+      }
+    },
+    {
+      $lookup: {
+        from: 'courses',
+        localField: 'course',
+        foreignField: '_id',
+        as: 'courseInfo'
+      }
+    },
+    { $unwind: '$courseInfo' },
+    {
+      $group: {
+        _id: null,
+        totalCredits: { $sum: '$courseInfo.credits' }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? result[0].totalCredits : 0;
+};
+
+// Static method to list the prerequisites of a course a student has not yet met
+courseRegistrationSchema.statics.getUnmetPrerequisites = async function(studentId, course) {
+  if (!course.prerequisites || course.prerequisites.length === 0) return [];
+
+  const Course = mongoose.model('Course');
+  const prerequisiteCourses = await Course.find({
+    courseCode: { $in: course.prerequisites }
+  }).select('courseCode title');
+
+  const registrations = await this.find({
+    student: studentId,
+    course: { $in: prerequisiteCourses.map(prerequisite => prerequisite._id) },
+    status: { $in: ['pending', 'approved'] }
+  });
+
+  const unmet = [];
+
+  course.prerequisites.forEach(courseCode => {
+    const prerequisite = prerequisiteCourses.find(c => c.courseCode === courseCode);
+    const attempts = prerequisite
+      ? registrations.filter(r => r.course.toString() === prerequisite._id.toString())
+      : [];
+
+    // Only a released pass counts; a finished course still awaiting its grade does not
+    const passed = attempts.some(r => r.status === 'approved' && r.result === 'passed');
+    if (passed) return;
+
+    let reason = 'not_taken';
+    if (attempts.some(r => r.result === 'failed')) {
+      reason = 'failed';
+    } else if (attempts.some(r => r.status === 'approved')) {
+      reason = 'in_progress';
+    } else if (attempts.some(r => r.status === 'pending')) {
+      reason = 'pending_approval';
+    }
+
+    unmet.push({
+      courseCode,
+      title: prerequisite ? prerequisite.title : null,
+      reason
+    });
+  });
+
+  return unmet;
+};
+
 // Static method to get registration statistics
 courseRegistrationSchema.statics.getRegistrationStats = async function(filters = {}) {
   const matchStage = {};
@@ -215,6 +422,7 @@ courseRegistrationSchema.statics.getRegistrationStats = async function(filters =
       }
     },
     { $unwind: '$courseInfo' },
+    { $match: filters.department ? { 'courseInfo.department': filters.department } : {} },
     {
       $group: {
         _id: {
@@ -271,26 +479,119 @@ courseRegistrationSchema.statics.getRegistrationStats = async function(filters =
   return stats;
 };
 
+// Method to move the registration to a new status. Only approved registrations hold a seat,
+// so the seat is taken or given back here. The status change is conditional on the status
+// read from the database, so two staff acting at once cannot count the same seat twice.
+// With fromHold, an approval takes the seat held for the student's waitlist offer.
+courseRegistrationSchema.methods.changeStatus = async function(status, fields = {}, { fromHold = false } = {}) {
+  const Course = mongoose.model('Course');
+  const User = mongoose.model('User');
+  const courseId = this.populated('course') || this.course;
+  const update = { status, ...fields };
+
+  // Seats in courses shared with other programs also count against the student's program quota
+  const student = await User.findById(this.populated('student') || this.student).select('program');
+  const program = student ? student.program : null;
+
+  if (status === 'approved') {
+    if (!await Course.reserveSeat(courseId, program, { fromHold })) {
+      throw new Error('Course is full');
+    }
+
+    const updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: { $ne: 'approved' } },
+      { $set: update },
+      { runValidators: true }
+    );
+    if (!updated) {
+      await Course.releaseSeat(courseId, program, { toHold: fromHold });
+      throw new Error('Registration is already approved');
+    }
+  } else {
+    const previous = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: { $ne: status } },
+      { $set: update },
+      { runValidators: true }
+    );
+    if (previous && previous.status === 'approved') {
+      await Course.releaseSeat(courseId, program);
+    }
+  }
+
+  this.set(update);
+  return this;
+};
+
+// Method to undo register: deletes a new registration, or puts back the one it reopened
+courseRegistrationSchema.methods.undoRegister = async function() {
+  if (this.$locals.previous) {
+    return this.constructor.replaceOne({ _id: this._id }, this.$locals.previous);
+  }
+  return this.deleteOne();
+};
+
 // Method to approve registration
 courseRegistrationSchema.methods.approve = async function(adminId) {
-  this.status = 'approved';
-  this.approvedAt = new Date();
-  this.approvedBy = adminId;
-  return this.save();
+  return this.changeStatus('approved', {
+    approvedAt: new Date(),
+    approvedBy: adminId,
+    approvalSource: 'staff'
+  });
+};
+
+// Method to approve the registration with the seat held for the student's waitlist offer
+courseRegistrationSchema.methods.approveFromWaitlist = async function() {
+  return this.changeStatus('approved', {
+    approvedAt: new Date(),
+    approvalSource: 'waitlist'
+  }, { fromHold: true });
 };
 
 // Method to reject registration
 courseRegistrationSchema.methods.reject = async function(adminId, notes = '') {
-  this.status = 'rejected';
-  this.approvedAt = new Date();
-  this.approvedBy = adminId;
-  if (notes) this.notes = notes;
-  return this.save();
+  return this.changeStatus('rejected', {
+    approvedAt: new Date(),
+    approvedBy: adminId,
+    ...(notes && { notes })
+  });
 };
 
 // Method to drop registration
-courseRegistrationSchema.methods.drop = async function() {
-  this.status = 'dropped';
+courseRegistrationSchema.methods.drop = async function(userId) {
+  return this.changeStatus('dropped', {
+    droppedAt: new Date(),
+    droppedBy: userId
+  });
+};
+
+// Method to ask for approval to drop after the add/drop deadline
+courseRegistrationSchema.methods.requestDrop = async function(reason) {
+  this.dropRequest = {
+    reason,
+    requestedAt: new Date(),
+    status: 'pending'
+  };
+  return this.save();
+};
+
+// Method to approve a late drop request and drop the course
+courseRegistrationSchema.methods.approveDrop = async function(adminId, notes = '') {
+  return this.changeStatus('dropped', {
+    droppedAt: new Date(),
+    droppedBy: adminId,
+    'dropRequest.status': 'approved',
+    'dropRequest.reviewedBy': adminId,
+    'dropRequest.reviewedAt': new Date(),
+    ...(notes && { 'dropRequest.reviewNotes': notes })
+  });
+};
+
+// Method to reject a late drop request, keeping the student on the course
+courseRegistrationSchema.methods.rejectDrop = async function(adminId, notes = '') {
+  this.dropRequest.status = 'rejected';
+  this.dropRequest.reviewedBy = adminId;
+  this.dropRequest.reviewedAt = new Date();
+  if (notes) this.dropRequest.reviewNotes = notes;
   return this.save();
 };
 
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Limits used when no policy matches a student
+const DEFAULT_CREDIT_LOAD = {
+  minCredits: 12,
+  maxCredits: 24,
+  overloadMaxCredits: 30,
+  overloadMinCgpa: 3.0
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreditLoadPolicy:
+ *       type: object
+ *       required:
+ *         - minCredits
+ *         - maxCredits
+ *       properties:
+ *         program:
+ *           type: string
+ *           description: Program the policy applies to (empty for every program)
+ *         level:
+ *           type: number
+ *           description: Level the policy applies to (empty for every level)
+ *         semester:
+ *           type: string
+ *           enum: [First, Second]
+ *           description: Semester the policy applies to (empty for both)
+ *         minCredits:
+ *           type: number
+ *           description: Minimum credits a student should carry
+ *         maxCredits:
+ *           type: number
+ *           description: Maximum credits without overload approval
+ *         overloadMaxCredits:
+ *           type: number
+ *           description: Highest load an approved overload can allow
+ *         overloadMinCgpa:
+ *           type: number
+ *           description: Minimum CGPA a student needs for an overload to be approved
+ */
+
+const creditLoadPolicySchema = new mongoose.Schema({
+  program: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  level: {
+    type: Number,
+    min: [100, 'Level must be at least 100'],
+    max: [500, 'Level cannot exceed 500'],
+    default: null
+  },
+  semester: {
+    type: String,
+    enum: {
+      values: ['First', 'Second', null],
+      message: 'Semester must be either First or Second'
+    },
+    default: null
+  },
+  minCredits: {
+    type: Number,
+    required: [true, 'Minimum credits are required'],
+    min: [0, 'Minimum credits cannot be negative']
+  },
+  maxCredits: {
+    type: Number,
+    required: [true, 'Maximum credits are required'],
+    min: [1, 'Maximum credits must be at least 1']
+  },
+  overloadMaxCredits: {
+    type: Number,
+    default: DEFAULT_CREDIT_LOAD.overloadMaxCredits
+  },
+  overloadMinCgpa: {
+    type: Number,
+    min: [0, 'CGPA cannot be negative'],
+    max: [5, 'CGPA cannot exceed 5'],
+    default: DEFAULT_CREDIT_LOAD.overloadMinCgpa
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per program/level/semester combination
+creditLoadPolicySchema.index({ program: 1, level: 1, semester: 1 }, { unique: true });
+
+// Pre-validate middleware to keep the limits in order
+creditLoadPolicySchema.pre('validate', function(next) {
+  if (this.minCredits > this.maxCredits) {
+    this.invalidate('maxCredits', 'Maximum credits cannot be below the minimum');
+  }
+
+  if (this.overloadMaxCredits < this.maxCredits) {
+    this.invalidate('overloadMaxCredits', 'Overload limit cannot be below the maximum credits');
+  }
+
+  next();
+});
+
+// Static method to get the limits for a student, preferring the most specific policy
+creditLoadPolicySchema.statics.resolve = async function({ program, level, semester }) {
+  const policies = await this.find({
+    program: { $in: [program, null] },
+    level: { $in: [level, null] },
+    semester: { $in: [semester, null] }
+  });
+
+  const specificity = (policy) =>
+    (policy.program ? 4 : 0) + (policy.level ? 2 : 0) + (policy.semester ? 1 : 0);
+  const policy = policies.sort((a, b) => specificity(b) - specificity(a))[0];
+
+  if (!policy) return { ...DEFAULT_CREDIT_LOAD, policy: null };
+
+  return {
+    minCredits: policy.minCredits,
+    maxCredits: policy.maxCredits,
+    overloadMaxCredits: policy.overloadMaxCredits,
+    overloadMinCgpa: policy.overloadMinCgpa,
+    policy: policy._id
+  };
+};
+
+module.exports = mongoose.model('CreditLoadPolicy', creditLoadPolicySchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreditOverload:
+ *       type: object
+ *       required:
+ *         - student
+ *         - session
+ *         - requestedCredits
+ *         - reason
+ *       properties:
+ *         student:
+ *           type: string
+ *           description: Reference to the student user
+ *         session:
+ *           type: string
+ *           description: Reference to the academic session the overload is for
+ *         requestedCredits:
+ *           type: number
+ *           description: Total credit load the student wants to carry
+ *         reason:
+ *           type: string
+ *           description: Why the student needs the extra load
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         cgpaAtRequest:
+ *           type: number
+ *           description: Student's CGPA when the request was made
+ *         reviewedBy:
+ *           type: string
+ *           description: Reference to the staff member who reviewed the request
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNotes:
+ *           type: string
+ */
+
+const creditOverloadSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession',
+    required: [true, 'Academic session is required']
+  },
+  requestedCredits: {
+    type: Number,
+    required: [true, 'Requested credits are required'],
+    min: [1, 'Requested credits must be at least 1']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'approved', 'rejected'],
+      message: 'Invalid status'
+    },
+    default: 'pending'
+  },
+  cgpaAtRequest: {
+    type: Number,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+creditOverloadSchema.index({ student: 1, session: 1 });
+creditOverloadSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to get the overload currently granted to a student for a session
+creditOverloadSchema.statics.getApproved = function(studentId, sessionId) {
+  return this.findOne({
+    student: studentId,
+    session: sessionId,
+    status: 'approved'
+  }).sort({ reviewedAt: -1 });
+};
+
+// Method to approve the overload
+creditOverloadSchema.methods.approve = async function(staffId, notes = '') {
+  this.status = 'approved';
+  this.reviewedAt = new Date();
+  this.reviewedBy = staffId;
+  if (notes) this.reviewNotes = notes;
+  return this.save();
+};
+
+// Method to reject the overload
+creditOverloadSchema.methods.reject = async function(staffId, notes = '') {
+  this.status = 'rejected';
+  this.reviewedAt = new Date();
+  this.reviewedBy = staffId;
+  if (notes) this.reviewNotes = notes;
+  return this.save();
+};
+
+module.exports = mongoose.model('CreditOverload', creditOverloadSchema);
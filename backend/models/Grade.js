@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// UMaT weighting: continuous assessment out of 40, end-of-semester exam out of 60
+const CONTINUOUS_ASSESSMENT_MAX = 40;
+const EXAM_SCORE_MAX = 60;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Grade:
+ *       type: object
+ *       required:
+ *         - registration
+ *         - student
+ *         - course
+ *         - semester
+ *         - academicYear
+ *       properties:
+ *         registration:
+ *           type: string
+ *           description: Reference to the approved course registration being graded
+ *         student:
+ *           type: string
+ *           description: Reference to the student user
+ *         course:
+ *           type: string
+ *           description: Reference to the course
+ *         semester:
+ *           type: string
+ *           enum: [First, Second]
+ *         academicYear:
+ *           type: string
+ *           description: Academic year (e.g., "2023/2024")
+ *         continuousAssessment:
+ *           type: number
+ *           description: Continuous assessment score out of 40
+ *         examScore:
+ *           type: number
+ *           description: Examination score out of 60
+ *         totalScore:
+ *           type: number
+ *           description: Total score out of 100
+ *         letterGrade:
+ *           type: string
+ *           description: Letter grade from the grading scale
+ *         gradePoint:
+ *           type: number
+ *           description: Grade points per credit
+ *         isPassing:
+ *           type: boolean
+ *           description: Whether the grade passes the course
+ *         isReleased:
+ *           type: boolean
+ *           description: Whether the student can see the grade and it counts towards GPA
+ *         releasedAt:
+ *           type: string
+ *           format: date-time
+ *         releasedBy:
+ *           type: string
+ *           description: Reference to the staff member who released the grade
+ *         enteredBy:
+ *           type: string
+ *           description: Reference to the staff member who last entered the scores
+ */
+
+const gradeSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseRegistration',
+    required: [true, 'Registration is required'],
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: {
+      values: ['First', 'Second'],
+      message: 'Semester must be either First or Second'
+    }
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}\/\d{4}$/, 'Academic year must be in format YYYY/YYYY']
+  },
+  continuousAssessment: {
+    type: Number,
+    required: [true, 'Continuous assessment score is required'],
+    min: [0, 'Continuous assessment score cannot be negative'],
+    max: [CONTINUOUS_ASSESSMENT_MAX, `Continuous assessment score cannot exceed ${CONTINUOUS_ASSESSMENT_MAX}`]
+  },
+  examScore: {
+    type: Number,
+    required: [true, 'Exam score is required'],
+    min: [0, 'Exam score cannot be negative'],
+    max: [EXAM_SCORE_MAX, `Exam score cannot exceed ${EXAM_SCORE_MAX}`]
+  },
+  totalScore: {
+    type: Number
+  },
+  letterGrade: {
+    type: String
+  },
+  gradePoint: {
+    type: Number
+  },
+  isPassing: {
+    type: Boolean
+  },
+  isReleased: {
+    type: Boolean,
+    default: false
+  },
+  releasedAt: {
+    type: Date
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  enteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for course grade sheets and student records
+gradeSchema.index({ course: 1, semester: 1, academicYear: 1 });
+gradeSchema.index({ student: 1, isReleased: 1 });
+
+// Method to work out the total score and letter grade from a grading scale
+gradeSchema.methods.applyScale = function(scale) {
+  this.totalScore = Math.round((this.continuousAssessment + this.examScore) * 100) / 100;
+
+  // Letter grades go by the rounded total, so 79.5 earns an A
+  const band = scale.gradeFor(Math.round(this.totalScore));
+  this.letterGrade = band.grade;
+  this.gradePoint = band.gradePoint;
+  this.isPassing = band.isPassing;
+
+  return this;
+};
+
+module.exports = mongoose.model('Grade', gradeSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// UMaT grading scale, used until staff save their own
+const DEFAULT_GRADE_BANDS = [
+  { grade: 'A', minScore: 80, gradePoint: 4.0, isPassing: true },
+  { grade: 'B+', minScore: 75, gradePoint: 3.5, isPassing: true },
+  { grade: 'B', minScore: 70, gradePoint: 3.0, isPassing: true },
+  { grade: 'C+', minScore: 65, gradePoint: 2.5, isPassing: true },
+  { grade: 'C', minScore: 60, gradePoint: 2.0, isPassing: true },
+  { grade: 'D+', minScore: 55, gradePoint: 1.5, isPassing: true },
+  { grade: 'D', minScore: 50, gradePoint: 1.0, isPassing: true },
+  { grade: 'F', minScore: 0, gradePoint: 0, isPassing: false }
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradingScale:
+ *       type: object
+ *       required:
+ *         - bands
+ *       properties:
+ *         bands:
+ *           type: array
+ *           description: Grade bands, highest first; each covers scores from its minScore up to the next band
+ *           items:
+ *             type: object
+ *             properties:
+ *               grade:
+ *                 type: string
+ *                 description: Letter grade, e.g. "B+"
+ *               minScore:
+ *                 type: number
+ *                 description: Lowest total score (out of 100) that earns the grade
+ *               gradePoint:
+ *                 type: number
+ *                 description: Grade points per credit
+ *               isPassing:
+ *                 type: boolean
+ *                 description: Whether the grade passes the course
+ *         updatedBy:
+ *           type: string
+ *           description: Reference to the staff member who last changed the scale
+ */
+
+const gradeBandSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [3, 'Grade cannot exceed 3 characters']
+  },
+  minScore: {
+    type: Number,
+    required: [true, 'Minimum score is required'],
+    min: [0, 'Minimum score cannot be negative'],
+    max: [100, 'Minimum score cannot exceed 100']
+  },
+  gradePoint: {
+    type: Number,
+    required: [true, 'Grade point is required'],
+    min: [0, 'Grade point cannot be negative'],
+    max: [5, 'Grade point cannot exceed 5']
+  },
+  isPassing: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const gradingScaleSchema = new mongoose.Schema({
+  bands: {
+    type: [gradeBandSchema],
+    default: () => DEFAULT_GRADE_BANDS
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to keep the bands covering 0-100 without gaps or repeats
+gradingScaleSchema.pre('validate', function(next) {
+  this.bands.sort((a, b) => b.minScore - a.minScore);
+
+  if (this.bands.length === 0) {
+    this.invalidate('bands', 'Grading scale needs at least one band');
+    return next();
+  }
+
+  if (this.bands[this.bands.length - 1].minScore !== 0) {
+    this.invalidate('bands', 'The lowest grade band must start at a score of 0');
+  }
+
+  const grades = this.bands.map(band => band.grade);
+  if (new Set(grades).size !== grades.length) {
+    this.invalidate('bands', 'Each grade can only appear once');
+  }
+
+  const scores = this.bands.map(band => band.minScore);
+  if (new Set(scores).size !== scores.length) {
+    this.invalidate('bands', 'Grade bands cannot share a minimum score');
+  }
+
+  // Higher bands cannot be worth fewer points or fail while a lower band passes
+  this.bands.forEach((band, index) => {
+    const lower = this.bands[index + 1];
+    if (!lower) return;
+    if (band.gradePoint < lower.gradePoint) {
+      this.invalidate('bands', `Grade ${band.grade} cannot be worth fewer points than ${lower.grade}`);
+    }
+    if (!band.isPassing && lower.isPassing) {
+      this.invalidate('bands', `Grade ${band.grade} cannot fail while ${lower.grade} passes`);
+    }
+  });
+
+  next();
+});
+
+// Static method to get the scale in use, falling back to the UMaT default
+gradingScaleSchema.statics.getActive = async function() {
+  const scale = await this.findOne().sort({ updatedAt: -1 });
+  return scale || new this();
+};
+
+// Method to find the band a total score falls in
+gradingScaleSchema.methods.gradeFor = function(score) {
+  return this.bands.find(band => score >= band.minScore) || this.bands[this.bands.length - 1];
+};
+
+module.exports = mongoose.model('GradingScale', gradingScaleSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { createRandomToken, hashToken } = require('../utils/helpers');
+
+// Staff invitation links are valid for 7 days
+const INVITATION_EXPIRES_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       required:
+ *         - email
+ *         - firstName
+ *         - lastName
+ *         - role
+ *         - invitedBy
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email address the invitation was sent to
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [lecturer, hod, bursar, registrar, admin]
+ *           description: Role the new account will have
+ *         department:
+ *           type: string
+ *           description: Department the new account belongs to
+ *         invitedBy:
+ *           type: string
+ *           description: Reference to the admin who sent the invitation
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: {
+      values: ['lecturer', 'hod', 'bursar', 'registrar', 'admin'],
+      message: 'Invalid staff role'
+    }
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting admin is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ tokenHash: 1 });
+
+// Virtual for checking if the invitation can still be accepted
+invitationSchema.virtual('isPending').get(function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to create an invitation; returns the plain token for the email link
+invitationSchema.statics.createInvitation = async function(data) {
+  const token = createRandomToken();
+  const invitation = await this.create({
+    ...data,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRES_MS)
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to get pending invitations, newest first
+invitationSchema.statics.getPending = function() {
+  return this.find({
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('invitedBy', 'firstName lastName email')
+    .sort({ createdAt: -1 });
+};
+
+// Method to mark the invitation as used by the new account
+invitationSchema.methods.markAccepted = async function(userId) {
+  this.acceptedAt = new Date();
+  this.acceptedUser = userId;
+  return this.save();
+};
+
+// Method to revoke the invitation
+invitationSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Ensure virtuals are included in JSON output
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Window used when counting recent failures from one IP address
+const IP_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Login attempts are kept for 90 days unless configured otherwise
+const LOGIN_ATTEMPT_RETENTION_SECONDS =
+  (parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginAttempt:
+ *       type: object
+ *       required:
+ *         - email
+ *         - outcome
+ *       properties:
+ *         email:
+ *           type: string
+ *           description: Email address the attempt was made for
+ *         user:
+ *           type: string
+ *           description: Reference to the matching user, if any
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the attempt came from
+ *         userAgent:
+ *           type: string
+ *           description: Raw User-Agent header
+ *         success:
+ *           type: boolean
+ *           description: Whether the attempt signed the user in
+ *         outcome:
+ *           type: string
+ *           enum: [success, invalid_password, unknown_email, invalid_two_factor_code, email_not_verified, account_locked, ip_blocked, account_deactivated, password_reset_required]
+ *           description: What happened to the attempt
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an admin cleared this failure from the IP lockout count
+ */
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    default: false
+  },
+  outcome: {
+    type: String,
+    required: [true, 'Outcome is required'],
+    enum: {
+      values: [
+        'success',
+        'invalid_password',
+        'unknown_email',
+        'invalid_two_factor_code',
+        'email_not_verified',
+        'account_locked',
+        'ip_blocked',
+        'account_deactivated',
+        'password_reset_required'
+      ],
+      message: 'Invalid login attempt outcome'
+    }
+  },
+  clearedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+
+// Remove old attempts once they fall out of the retention period
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_ATTEMPT_RETENTION_SECONDS });
+
+// Outcomes that count towards locking out an IP address
+const FAILED_OUTCOMES = ['invalid_password', 'unknown_email', 'invalid_two_factor_code'];
+
+// Static method to record an attempt from a request
+loginAttemptSchema.statics.record = function(req, { email, user = null, outcome }) {
+  return this.create({
+    email: email || 'unknown',
+    user: user ? user._id : null,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    success: outcome === 'success',
+    outcome
+  });
+};
+
+// Static method to count recent uncleared failures from an IP address
+loginAttemptSchema.statics.countRecentFailuresByIp = function(ipAddress) {
+  return this.countDocuments({
+    ipAddress,
+    outcome: { $in: FAILED_OUTCOMES },
+    clearedAt: null,
+    createdAt: { $gt: new Date(Date.now() - IP_FAILURE_WINDOW_MS) }
+  });
+};
+
+// Static method to list IP addresses with at least `threshold` recent failures
+loginAttemptSchema.statics.getBlockedIps = function(threshold) {
+  return this.aggregate([
+    {
+      $match: {
+        outcome: { $in: FAILED_OUTCOMES },
+        clearedAt: null,
+        createdAt: { $gt: new Date(Date.now() - IP_FAILURE_WINDOW_MS) }
+      }
+    },
+    {
+      $group: {
+        _id: '$ipAddress',
+        failures: { $sum: 1 },
+        emails: { $addToSet: '$email' },
+        lastAttemptAt: { $max: '$createdAt' }
+      }
+    },
+    { $match: { failures: { $gte: threshold } } },
+    { $sort: { lastAttemptAt: -1 } }
+  ]);
+};
+
+// Static method to clear the recent failures of an IP address
+loginAttemptSchema.statics.clearIpFailures = function(ipAddress) {
+  return this.updateMany(
+    { ipAddress, outcome: { $in: FAILED_OUTCOMES }, clearedAt: null },
+    { clearedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -184,8 +184,13 @@ newsSchema.statics.getByDepartment = function(department, filters = {}) {
 };
 
 // Static method to get news statistics
-newsSchema.statics.getNewsStats = async function() {
+newsSchema.statics.getNewsStats = async function(filters = {}) {
+  const matchStage = {};
+
+  if (filters.department) matchStage.department = filters.department;
+
   const stats = await this.aggregate([
+    { $match: matchStage },
     {
       $group: {
         _id: {
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Program:
+ *       type: object
+ *       required:
+ *         - name
+ *         - department
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Program name, matching the program on student accounts
+ *         department:
+ *           type: string
+ *           description: Department that runs the program
+ *         requiredCredits:
+ *           type: number
+ *           description: Credits a student must earn to graduate (empty for no credit requirement)
+ *         curriculum:
+ *           type: array
+ *           description: Courses required in each level and semester
+ *           items:
+ *             type: object
+ *             properties:
+ *               level:
+ *                 type: number
+ *               semester:
+ *                 type: string
+ *                 enum: [First, Second]
+ *               coreCourses:
+ *                 type: array
+ *                 description: Course codes every student on the program must take
+ *                 items:
+ *                   type: string
+ *               electiveGroups:
+ *                 type: array
+ *                 description: Groups of elective course codes, of which students choose at least minCourses
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     minCourses:
+ *                       type: number
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+const courseCodeList = [{
+  type: String,
+  trim: true,
+  uppercase: true
+}];
+
+const electiveGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Elective group name is required'],
+    trim: true,
+    maxlength: [100, 'Elective group name cannot exceed 100 characters']
+  },
+  minCourses: {
+    type: Number,
+    required: [true, 'Number of courses to choose is required'],
+    min: [1, 'Students must choose at least one course from an elective group']
+  },
+  courses: courseCodeList
+}, { _id: false });
+
+const curriculumTermSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: [true, 'Level is required'],
+    min: [100, 'Level must be at least 100'],
+    max: [500, 'Level cannot exceed 500'],
+    validate: {
+      validator: function(v) {
+        return v % 100 === 0;
+      },
+      message: 'Level must be in increments of 100 (100, 200, 300, 400, 500)'
+    }
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: {
+      values: ['First', 'Second'],
+      message: 'Semester must be either First or Second'
+    }
+  },
+  coreCourses: courseCodeList,
+  electiveGroups: [electiveGroupSchema]
+}, { _id: false });
+
+const programSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Program name is required'],
+    unique: true,
+    trim: true
+  },
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    trim: true
+  },
+  requiredCredits: {
+    type: Number,
+    min: [0, 'Required credits cannot be negative'],
+    default: null
+  },
+  curriculum: [curriculumTermSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to keep each term and elective group consistent
+programSchema.pre('validate', function(next) {
+  const terms = new Set();
+
+  this.curriculum.forEach((term, index) => {
+    const key = `${term.level}-${term.semester}`;
+    if (terms.has(key)) {
+      this.invalidate(`curriculum.${index}`, `Level ${term.level} ${term.semester} Semester is listed more than once`);
+    }
+    terms.add(key);
+
+    // A course may only appear once per term, either as core or in one elective group
+    const listed = [...term.coreCourses, ...term.electiveGroups.flatMap(group => group.courses)];
+    const repeated = listed.filter((code, position) => listed.indexOf(code) !== position);
+    if (repeated.length > 0) {
+      this.invalidate(`curriculum.${index}`, `${repeated[0]} is listed more than once in Level ${term.level} ${term.semester} Semester`);
+    }
+
+    term.electiveGroups.forEach(group => {
+      if (group.minCourses > group.courses.length) {
+        this.invalidate(`curriculum.${index}`, `Elective group "${group.name}" asks for ${group.minCourses} courses but lists ${group.courses.length}`);
+      }
+    });
+  });
+
+  next();
+});
+
+// Static method to get the active program a student is enrolled on
+programSchema.statics.findForStudent = function(student) {
+  return this.findOne({ name: student.program, isActive: true });
+};
+
+// Method to get the curriculum for a level and semester
+programSchema.methods.getTerm = function(level, semester) {
+  return this.curriculum.find(term => term.level === level && term.semester === semester) || null;
+};
+
+// Method to list every course code in the curriculum
+programSchema.methods.getCourseCodes = function() {
+  return [...new Set(this.curriculum.flatMap(term => [
+    ...term.coreCourses,
+    ...term.electiveGroups.flatMap(group => group.courses)
+  ]))];
+};
+
+module.exports = mongoose.model('Program', programSchema);
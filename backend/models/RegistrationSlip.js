@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { createRandomToken } = require('../utils/helpers');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegistrationSlip:
+ *       type: object
+ *       required:
+ *         - verificationCode
+ *         - student
+ *         - semester
+ *         - academicYear
+ *       properties:
+ *         verificationCode:
+ *           type: string
+ *           description: Code in the slip's QR code, used to verify it publicly
+ *         student:
+ *           type: string
+ *           description: Reference to the student user
+ *         semester:
+ *           type: string
+ *           enum: [First, Second]
+ *         academicYear:
+ *           type: string
+ *         studentDetails:
+ *           type: object
+ *           description: Name, reference number, program, department and level as printed
+ *         courses:
+ *           type: array
+ *           description: Approved courses as printed, with who approved them and when
+ *           items:
+ *             type: object
+ *         totalCredits:
+ *           type: number
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const slipCourseSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseRegistration'
+  },
+  courseCode: String,
+  title: String,
+  credits: Number,
+  approvedAt: Date,
+  approvedBy: String
+}, { _id: false });
+
+const registrationSlipSchema = new mongoose.Schema({
+  verificationCode: {
+    type: String,
+    required: [true, 'Verification code is required'],
+    unique: true,
+    uppercase: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: {
+      values: ['First', 'Second'],
+      message: 'Semester must be either First or Second'
+    }
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}\/\d{4}$/, 'Academic year must be in format YYYY/YYYY']
+  },
+  studentDetails: {
+    name: String,
+    referenceNumber: String,
+    program: String,
+    department: String,
+    level: Number
+  },
+  courses: [slipCourseSchema],
+  totalCredits: {
+    type: Number,
+    default: 0
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+registrationSlipSchema.index({ student: 1, semester: 1, academicYear: 1, generatedAt: -1 });
+
+// Static method to create a verification code such as "RS-3F9A-C21B-77D0"
+registrationSlipSchema.statics.generateVerificationCode = function() {
+  const token = createRandomToken(6).toUpperCase();
+  return `RS-${token.match(/.{4}/g).join('-')}`;
+};
+
+// Static method to get the student's latest slip for a semester
+registrationSlipSchema.statics.findLatest = function(studentId, semester, academicYear) {
+  return this.findOne({ student: studentId, semester, academicYear }).sort({ generatedAt: -1 });
+};
+
+// Method to check whether the slip lists exactly the given registrations
+registrationSlipSchema.methods.listsRegistrations = function(registrationIds) {
+  const listed = this.courses.map(course => course.registration.toString()).sort();
+  const current = registrationIds.map(id => id.toString()).sort();
+  return listed.length === current.length && listed.every((id, index) => id === current[index]);
+};
+
+module.exports = mongoose.model('RegistrationSlip', registrationSlipSchema);
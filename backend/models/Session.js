@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const { createRandomToken, hashToken, describeDevice } = require('../utils/helpers');
+
+// Refresh tokens (and their sessions) live for 30 days unless configured otherwise
+const REFRESH_TOKEN_EXPIRES_MS =
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       required:
+ *         - user
+ *         - refreshTokenHash
+ *         - expiresAt
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: Reference to the signed-in user
+ *         device:
+ *           type: string
+ *           description: Browser and operating system derived from the user agent
+ *         ipAddress:
+ *           type: string
+ *           description: IP address the session was created from
+ *         location:
+ *           type: string
+ *           description: Approximate location derived from the IP address
+ *         userAgent:
+ *           type: string
+ *           description: Raw User-Agent header
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the session was used
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token expires
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session was revoked
+ *         revokedReason:
+ *           type: string
+ *           description: Why the session was revoked
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  device: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['logout', 'logout_all', 'password_change', 'password_reset', 'refresh_token_reuse', 'revoked_by_user', 'account_deactivated'],
+      message: 'Invalid revocation reason'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+ * directly and a stale secret identifies a replayed token.
+ */
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+// Static method to split a refresh token into session id and secret
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Static method to create a session for a user
+sessionSchema.statics.createForUser = async function(userId, { ipAddress, userAgent } = {}) {
+  const secret = createRandomToken();
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    device: describeDevice(userAgent),
+    ipAddress,
+    userAgent,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_MS)
+  });
+
+  return { session, refreshToken: buildRefreshToken(session._id, secret) };
+};
+
+// Static method to rotate a refresh token; returns null when the token is stale
+sessionSchema.statics.rotateRefreshToken = async function(sessionId, secret) {
+  const newSecret = createRandomToken();
+  const now = new Date();
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      refreshTokenHash: hashToken(newSecret),
+      lastUsedAt: now
+    },
+    { new: true }
+  );
+
+  if (!session) return null;
+
+  return { session, refreshToken: buildRefreshToken(session._id, newSecret) };
+};
+
+// Static method to get the active sessions of a user, most recent first
+sessionSchema.statics.getActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Method to record activity on the session
+sessionSchema.methods.touch = async function() {
+  if (Date.now() - this.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL_MS) {
+    return this;
+  }
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// Ensure virtuals are included in JSON output
+sessionSchema.set('toJSON', { virtuals: true });
+sessionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { createRandomToken } = require('../utils/helpers');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Transcript:
+ *       type: object
+ *       required:
+ *         - verificationCode
+ *         - student
+ *         - issuedBy
+ *       properties:
+ *         verificationCode:
+ *           type: string
+ *           description: Code printed on the official transcript, used to verify it publicly
+ *         student:
+ *           type: string
+ *           description: Reference to the student user
+ *         issuedBy:
+ *           type: string
+ *           description: Reference to the staff member who issued it
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         studentDetails:
+ *           type: object
+ *           description: Name, reference number, program and department as printed
+ *         record:
+ *           type: object
+ *           description: Academic record as printed (semesters, CGPA, classification and credits)
+ */
+
+const transcriptSchema = new mongoose.Schema({
+  verificationCode: {
+    type: String,
+    required: [true, 'Verification code is required'],
+    unique: true,
+    uppercase: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Issuer is required']
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Copies of what was printed, so later grade changes never alter an issued transcript
+  studentDetails: {
+    name: String,
+    referenceNumber: String,
+    program: String,
+    department: String
+  },
+  record: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Academic record is required']
+  }
+});
+
+transcriptSchema.index({ student: 1, issuedAt: -1 });
+
+// Static method to create a verification code such as "TR-3F9A-C21B-77D0"
+transcriptSchema.statics.generateVerificationCode = function() {
+  const token = createRandomToken(6).toUpperCase();
+  return `TR-${token.match(/.{4}/g).join('-')}`;
+};
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
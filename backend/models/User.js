@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { createRandomToken, hashToken } = require('../utils/helpers');
+const totp = require('../utils/totp');
+
+// Email verification links are valid for 24 hours
+const EMAIL_VERIFICATION_EXPIRES_MS = 24 * 60 * 60 * 1000;
+
+// Password reset links are valid for 1 hour
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000;
+
+// Number of single-use backup codes issued with two-factor authentication
+const BACKUP_CODE_COUNT = 10;
+
+// Failed logins allowed before the account is temporarily locked
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+
+// First lockout lasts LOGIN_LOCK_MINUTES and doubles with each further failure, up to a day
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_LOCK_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Fields needed to enroll in or verify two-factor authentication
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
 
 /**
  * @swagger
@@ -14,9 +35,6 @@ const bcrypt = require('bcryptjs');
  *         - phoneNumber
  *         - referenceNumber
  *         - password
- *         - department
- *         - program
- *         - level
  *       properties:
  *         _id:
  *           type: string
@@ -36,24 +54,27 @@ const bcrypt = require('bcryptjs');
  *           description: User's phone number
  *         referenceNumber:
  *           type: string
- *           description: Student's reference number (unique)
+ *           description: Student reference number or staff ID (unique)
  *         password:
  *           type: string
  *           description: Hashed password
  *         role:
  *           type: string
- *           enum: [student, admin]
+ *           enum: [student, lecturer, hod, bursar, registrar, admin]
  *           default: student
  *           description: User role
  *         department:
  *           type: string
- *           description: User's department
+ *           description: User's department (required for students, lecturers and HODs)
  *         program:
  *           type: string
- *           description: User's program of study
+ *           description: User's program of study (students only)
  *         level:
  *           type: number
- *           description: User's academic level
+ *           description: User's academic level (students only)
+ *         cgpa:
+ *           type: number
+ *           description: Cumulative grade point average (students only)
  *         isOnline:
  *           type: boolean
  *           default: false
@@ -62,6 +83,41 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           format: date-time
  *           description: Last seen timestamp
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the account may sign in
+ *         suspendedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the account was suspended
+ *         suspensionReason:
+ *           type: string
+ *           description: Why the account was suspended
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the account was soft-deleted
+ *         statusHistory:
+ *           type: array
+ *           description: Audit trail of suspensions, reinstatements and deletions
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [suspended, reinstated, deleted]
+ *               note:
+ *                 type: string
+ *               performedBy:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *         passwordResetRequired:
+ *           type: boolean
+ *           default: false
+ *           description: Whether an admin has required a new password before the next login
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -114,12 +170,12 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'admin'],
+    enum: ['student', 'lecturer', 'hod', 'bursar', 'registrar', 'admin'],
     default: 'student'
   },
   department: {
     type: String,
-    required: [true, 'Department is required'],
+    required: [function() { return ['student', 'lecturer', 'hod'].includes(this.role); }, 'Department is required'],
     enum: [
       'Mining Engineering',
       'Minerals Engineering',
@@ -137,7 +193,7 @@ const userSchema = new mongoose.Schema({
   },
   program: {
     type: String,
-    required: [true, 'Program is required'],
+    required: [function() { return this.role === 'student'; }, 'Program is required'],
     enum: [
       'BSc Mining Engineering',
       'BSc Minerals Engineering',
@@ -155,10 +211,16 @@ const userSchema = new mongoose.Schema({
   },
   level: {
     type: Number,
-    required: [true, 'Level is required'],
+    required: [function() { return this.role === 'student'; }, 'Level is required'],
     min: [100, 'Level must be at least 100'],
     max: [500, 'Level cannot exceed 500']
   },
+  cgpa: {
+    type: Number,
+    min: [0, 'CGPA cannot be negative'],
+    max: [5, 'CGPA cannot exceed 5'],
+    default: null
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -167,6 +229,44 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Suspension reason cannot exceed 500 characters'],
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: [{
+    action: {
+      type: String,
+      enum: ['suspended', 'reinstated', 'deleted'],
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   profilePicture: {
     type: String,
     default: null
@@ -177,13 +277,73 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationToken: {
     type: String,
-    default: null
+    default: null,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null,
+    select: false
   },
   passwordResetToken: {
     type: String,
-    default: null
+    default: null,
+    select: false
   },
   passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  calendarFeedToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  calendarFeedCreatedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
     type: Date,
     default: null
   }
@@ -203,12 +363,30 @@ userSchema.virtual('displayName').get(function() {
   return this.firstName;
 });
 
+// Virtual for whether the account must use two-factor authentication
+userSchema.virtual('twoFactorRequired').get(function() {
+  return this.role !== 'student';
+});
+
+// Virtual for the account lifecycle state
+userSchema.virtual('accountStatus').get(function() {
+  if (this.deletedAt) return 'deleted';
+  return this.isActive === false ? 'suspended' : 'active';
+});
+
+// Virtual for checking if the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ referenceNumber: 1 });
 userSchema.index({ department: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isOnline: 1 });
+userSchema.index({ isActive: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -230,6 +408,184 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to create an email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = createRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_MS);
+  return token;
+};
+
+// Instance method to mark the email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerificationToken = null;
+  this.emailVerificationExpires = null;
+  return this.save();
+};
+
+// Instance method to create a password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = createRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS);
+  return token;
+};
+
+// Instance method to issue a new secret calendar feed token, replacing any previous one
+userSchema.methods.createCalendarFeedToken = function() {
+  const token = createRandomToken();
+  this.calendarFeedToken = hashToken(token);
+  this.calendarFeedCreatedAt = new Date();
+  return token;
+};
+
+// Instance method to block logins until the password is reset; returns the reset link token
+userSchema.methods.requirePasswordReset = function() {
+  this.passwordResetRequired = true;
+  return this.createPasswordResetToken();
+};
+
+// Instance method to set a new password from a reset link
+userSchema.methods.resetPassword = function(newPassword) {
+  this.password = newPassword;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.passwordResetRequired = false;
+  // Backdate slightly so tokens issued right after the reset stay valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  return this.save();
+};
+
+// Instance method to check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to start two-factor enrollment; returns the new secret
+userSchema.methods.startTwoFactorEnrollment = function() {
+  this.twoFactorPendingSecret = totp.generateSecret();
+  return this.twoFactorPendingSecret;
+};
+
+// Instance method to issue a fresh set of backup codes; returns the plain codes
+userSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = createRandomToken(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  this.twoFactorBackupCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to confirm enrollment with a code from the pending secret
+userSchema.methods.enableTwoFactor = function(code) {
+  const step = totp.verifyCode(this.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  this.twoFactorEnabled = true;
+  this.twoFactorSecret = this.twoFactorPendingSecret;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorLastUsedStep = step;
+  return this.generateBackupCodes();
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorBackupCodes = [];
+  this.twoFactorLastUsedStep = null;
+};
+
+// Instance method to verify an authenticator code or consume a backup code
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const value = String(code || '').trim().toLowerCase();
+
+  const step = totp.verifyCode(this.twoFactorSecret, value);
+  // Each authenticator code may only be used once
+  if (step !== null && (this.twoFactorLastUsedStep === null || step > this.twoFactorLastUsedStep)) {
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const backupIndex = (this.twoFactorBackupCodes || []).indexOf(hashToken(value));
+  if (backupIndex !== -1) {
+    this.twoFactorBackupCodes.splice(backupIndex, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Instance method to record a failed login and lock the account when needed
+userSchema.methods.registerFailedLogin = async function() {
+  // $inc so concurrent failures are all counted
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = updated.lastFailedLoginAt;
+
+  if (this.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const lockDuration = Math.min(
+      LOCK_DURATION_MS * 2 ** (this.failedLoginAttempts - MAX_LOGIN_ATTEMPTS),
+      MAX_LOCK_DURATION_MS
+    );
+    this.lockUntil = new Date(Date.now() + lockDuration);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+
+  return this.failedLoginAttempts;
+};
+
+// Instance method to clear failed logins and any lockout
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return this;
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lockUntil: null }
+  );
+  return this;
+};
+
+// Instance method to suspend the account; registrations and payments are left untouched
+userSchema.methods.suspend = function(adminId, reason) {
+  this.isActive = false;
+  this.isOnline = false;
+  this.suspendedAt = new Date();
+  this.suspensionReason = reason;
+  this.statusHistory.push({ action: 'suspended', note: reason, performedBy: adminId });
+  return this.save();
+};
+
+// Instance method to reinstate a suspended or deleted account with an audit note
+userSchema.methods.reinstate = function(adminId, note) {
+  this.isActive = true;
+  this.suspendedAt = null;
+  this.suspensionReason = null;
+  this.deletedAt = null;
+  this.statusHistory.push({ action: 'reinstated', note, performedBy: adminId });
+  return this.save();
+};
+
+// Instance method to soft-delete the account, keeping its academic and payment records
+userSchema.methods.softDelete = function(adminId, reason) {
+  this.isActive = false;
+  this.isOnline = false;
+  this.deletedAt = new Date();
+  this.statusHistory.push({ action: 'deleted', note: reason, performedBy: adminId });
+  return this.save();
+};
+
 // Instance method to update online status
 userSchema.methods.updateOnlineStatus = async function(isOnline) {
   this.isOnline = isOnline;
@@ -237,19 +593,51 @@ userSchema.methods.updateOnlineStatus = async function(isOnline) {
   return await this.save();
 };
 
+// Static method to get currently locked accounts
+userSchema.statics.getLockedUsers = function() {
+  return this.find({ lockUntil: { $gt: new Date() } })
+    .select('firstName lastName email role department failedLoginAttempts lastFailedLoginAt lockUntil')
+    .sort({ lockUntil: -1 });
+};
+
+// Static method to find a user by a valid email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to find a user by a valid password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to load a user with their two-factor fields
+userSchema.statics.findByIdWithTwoFactor = function(id) {
+  return this.findById(id).select(TWO_FACTOR_FIELDS);
+};
+
 // Static method to get online users
-userSchema.statics.getOnlineUsers = function() {
-  return this.find({ isOnline: true }).select('-password');
+userSchema.statics.getOnlineUsers = function(department = null) {
+  const query = { isOnline: true };
+  if (department) query.department = department;
+
+  return this.find(query).select('-password');
 };
 
 // Static method to get users by department
 userSchema.statics.getUsersByDepartment = function(department) {
-  return this.find({ department }).select('-password');
+  return this.find({ department, deletedAt: null }).select('-password');
 };
 
 // Static method to get user statistics
 userSchema.statics.getUserStats = async function() {
   const stats = await this.aggregate([
+    { $match: { deletedAt: null } },
     {
       $group: {
         _id: null,
@@ -260,6 +648,12 @@ userSchema.statics.getUserStats = async function() {
         totalAdmins: {
           $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] }
         },
+        totalStaff: {
+          $sum: { $cond: [{ $ne: ['$role', 'student'] }, 1, 0] }
+        },
+        suspendedUsers: {
+          $sum: { $cond: [{ $eq: ['$isActive', false] }, 1, 0] }
+        },
         onlineUsers: {
           $sum: { $cond: [{ $eq: ['$isOnline', true] }, 1, 0] }
         }
@@ -268,6 +662,7 @@ userSchema.statics.getUserStats = async function() {
   ]);
 
   const departmentStats = await this.aggregate([
+    { $match: { deletedAt: null } },
     {
       $group: {
         _id: '$department',
@@ -285,6 +680,8 @@ userSchema.statics.getUserStats = async function() {
       totalUsers: 0,
       totalStudents: 0,
       totalAdmins: 0,
+      totalStaff: 0,
+      suspendedUsers: 0,
       onlineUsers: 0
     },
     byDepartment: departmentStats
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       required:
+ *         - student
+ *         - course
+ *         - semester
+ *         - academicYear
+ *       properties:
+ *         student:
+ *           type: string
+ *           description: Reference to the student user
+ *         course:
+ *           type: string
+ *           description: Reference to the full course
+ *         session:
+ *           type: string
+ *           description: Reference to the academic session
+ *         semester:
+ *           type: string
+ *           enum: [First, Second]
+ *         academicYear:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, accepted, declined, expired, cancelled]
+ *           default: waiting
+ *         position:
+ *           type: number
+ *           description: Place in the queue (only while waiting; computed when listed)
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Deadline for confirming an offered seat
+ *         registration:
+ *           type: string
+ *           description: Registration created when the seat was confirmed
+ */
+
+const waitlistEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicSession'
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: {
+      values: ['First', 'Second'],
+      message: 'Semester must be either First or Second'
+    }
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}\/\d{4}$/, 'Academic year must be in format YYYY/YYYY']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+      message: 'Invalid waitlist status'
+    },
+    default: 'waiting'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseRegistration'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+waitlistEntrySchema.index({ course: 1, status: 1, joinedAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+// Static method to find a student's open (waiting or offered) entry for a course
+waitlistEntrySchema.statics.findOpen = function(studentId, courseId, semester, academicYear) {
+  return this.findOne({
+    student: studentId,
+    course: courseId,
+    semester,
+    academicYear,
+    status: { $in: ['waiting', 'offered'] }
+  });
+};
+
+// Static method to get a waiting entry's place in the queue
+waitlistEntrySchema.statics.getPosition = async function(entry) {
+  const ahead = await this.countDocuments({
+    course: entry.course,
+    semester: entry.semester,
+    academicYear: entry.academicYear,
+    status: 'waiting',
+    joinedAt: { $lt: entry.joinedAt }
+  });
+
+  return ahead + 1;
+};
+
+// Static method to count each course's seats held for students who have not yet answered an offer
+waitlistEntrySchema.statics.countHeldSeats = async function() {
+  const counts = await this.aggregate([
+    { $match: { status: 'offered' } },
+    { $group: { _id: '$course', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Static method to get the next student in a course's queue for a semester
+waitlistEntrySchema.statics.getNextWaiting = function(courseId, semester, academicYear) {
+  return this.findOne({ course: courseId, semester, academicYear, status: 'waiting' })
+    .sort({ joinedAt: 1 })
+    .populate('student', 'firstName lastName email')
+    .populate('course', 'courseCode title');
+};
+
+// Static method to expire offers whose confirmation window has passed, optionally only those
+// matching a filter such as { student }, and free their held seats; returns the affected course IDs
+waitlistEntrySchema.statics.expireLapsedOffers = async function(filter = {}) {
+  const lapsed = await this.find({
+    ...filter,
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() }
+  }).select('course');
+
+  const courseIds = new Set();
+  for (const entry of lapsed) {
+    if (await entry.expireOffer()) {
+      courseIds.add(entry.course.toString());
+    }
+  }
+
+  return [...courseIds];
+};
+
+// Method to offer the entry a seat held for it for a limited time; returns false if the entry
+// is no longer waiting
+waitlistEntrySchema.methods.offer = async function(hours) {
+  const update = {
+    status: 'offered',
+    offeredAt: new Date(),
+    offerExpiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+  };
+
+  const offered = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'waiting' },
+    update
+  );
+  if (!offered) return false;
+
+  this.set(update);
+  return true;
+};
+
+// Method to record that the student confirmed the offered seat; returns false if the offer has
+// lapsed or was already answered
+waitlistEntrySchema.methods.accept = async function(registrationId) {
+  const update = {
+    status: 'accepted',
+    respondedAt: new Date(),
+    registration: registrationId
+  };
+
+  const accepted = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+    update
+  );
+  if (!accepted) return false;
+
+  this.set(update);
+  return true;
+};
+
+// Method to expire an outstanding offer and free its held seat; returns false if the offer was
+// already answered or expired. Conditional, so an offer cannot free its seat twice.
+waitlistEntrySchema.methods.expireOffer = async function() {
+  const update = { status: 'expired', respondedAt: new Date() };
+
+  const expired = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'offered' },
+    update
+  );
+  if (!expired) return false;
+
+  await mongoose.model('Course').releaseHeldSeat(this.course);
+  this.set(update);
+  return true;
+};
+
+// Method to leave the waitlist, declining any outstanding offer and freeing its held seat
+waitlistEntrySchema.methods.leave = async function() {
+  const update = { respondedAt: new Date() };
+
+  if (this.status === 'offered') {
+    update.status = 'declined';
+    const declined = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: 'offered' },
+      update
+    );
+    if (declined) {
+      await mongoose.model('Course').releaseHeldSeat(this.course);
+    }
+  } else {
+    update.status = 'cancelled';
+    await this.constructor.updateOne({ _id: this._id, status: 'waiting' }, update);
+  }
+
+  this.set(update);
+  return this;
+};
+
+// Virtual for checking if an offered seat can still be confirmed
+waitlistEntrySchema.virtual('offerActive').get(function() {
+  return this.status === 'offered' && this.offerExpiresAt > new Date();
+});
+
+// Ensure virtuals are included in JSON output
+waitlistEntrySchema.set('toJSON', { virtuals: true });
+waitlistEntrySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
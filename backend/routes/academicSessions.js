@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const {
+  getSessions,
+  getCurrentSession,
+  createSession,
+  updateSession,
+  deleteSession
+} = require('../controllers/academicSessionController');
+
+const router = express.Router();
+
+const SESSION_DATE_FIELDS = [
+  'startDate',
+  'endDate',
+  'registrationOpensAt',
+  'registrationClosesAt',
+  'addDropDeadline'
+];
+
+const OPTIONAL_SESSION_DATE_FIELDS = [
+  'lateRegistrationClosesAt',
+  'feesDueDate',
+  'examStartDate',
+  'examEndDate'
+];
+
+// Validation middleware
+const validateSessionCreation = [
+  body('academicYear')
+    .matches(/^\d{4}\/\d{4}$/)
+    .withMessage('Academic year must be in format YYYY/YYYY')
+    .bail()
+    .custom(value => {
+      const [startYear, endYear] = value.split('/').map(Number);
+      return endYear === startYear + 1;
+    })
+    .withMessage('Academic year must span two consecutive years'),
+  body('semester')
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  ...SESSION_DATE_FIELDS.map(field =>
+    body(field)
+      .isISO8601()
+      .withMessage(`${field} must be a valid date`)
+  ),
+  ...OPTIONAL_SESSION_DATE_FIELDS.map(field =>
+    body(field)
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage(`${field} must be a valid date`)
+  )
+];
+
+const validateSessionUpdate = [
+  body('academicYear')
+    .optional()
+    .matches(/^\d{4}\/\d{4}$/)
+    .withMessage('Academic year must be in format YYYY/YYYY')
+    .bail()
+    .custom(value => {
+      const [startYear, endYear] = value.split('/').map(Number);
+      return endYear === startYear + 1;
+    })
+    .withMessage('Academic year must span two consecutive years'),
+  body('semester')
+    .optional()
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  ...SESSION_DATE_FIELDS.map(field =>
+    body(field)
+      .optional()
+      .isISO8601()
+      .withMessage(`${field} must be a valid date`)
+  ),
+  ...OPTIONAL_SESSION_DATE_FIELDS.map(field =>
+    body(field)
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage(`${field} must be a valid date`)
+  )
+];
+
+const validateObjectId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+// Academic calendar routes
+router.get('/', authenticateToken, getSessions);
+router.get('/current', authenticateToken, getCurrentSession);
+
+// Calendar management routes
+router.post('/', authenticateToken, requirePermission('sessions:manage'), validateSessionCreation, createSession);
+router.put('/:id', authenticateToken, requirePermission('sessions:manage'), validateObjectId, validateSessionUpdate, updateSession);
+router.delete('/:id', authenticateToken, requirePermission('sessions:manage'), validateObjectId, deleteSession);
+
+module.exports = router;
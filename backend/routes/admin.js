@@ -1,22 +1,55 @@
 const express = require('express');
-const { param } = require('express-validator');
+const { param, query, body } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roleCheck');
+const { requireAdmin, requirePermission } = require('../middleware/roleCheck');
 const {
   getDashboardStats,
   getOnlineUsers,
   getUsersByDepartment,
   getUserStats,
+  getUsers,
+  getUserDetails,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  deleteUser,
+  forcePasswordReset,
+  bulkUserAction,
   getCourseStats,
   getRegistrationStats,
   getNewsStats,
   getPaymentStats,
   getTotalPaymentsByDepartment,
-  getSystemHealth
+  getSystemHealth,
+  getLockouts,
+  getLoginAttempts,
+  clearUserLockout,
+  clearIpLockout,
+  createInvitation,
+  getInvitations,
+  revokeInvitation
 } = require('../controllers/adminController');
 
 const router = express.Router();
 
+// Departments a user account can belong to
+const USER_DEPARTMENTS = [
+  'Mining Engineering',
+  'Minerals Engineering',
+  'Geological Engineering',
+  'Petroleum Engineering',
+  'Mechanical Engineering',
+  'Electrical Engineering',
+  'Computer Science and Engineering',
+  'Environmental and Safety Engineering',
+  'Mathematics',
+  'Physics',
+  'Chemistry',
+  'Liberal Studies'
+];
+
+const USER_ROLES = ['student', 'lecturer', 'hod', 'bursar', 'registrar', 'admin'];
+
 // Validation middleware
 const validateDepartment = [
   param('department')
@@ -37,6 +70,171 @@ const validateDepartment = [
     .withMessage('Invalid department')
 ];
 
+const validateLoginAttemptQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('ipAddress')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+  query('outcome')
+    .optional()
+    .isIn([
+      'success',
+      'invalid_password',
+      'unknown_email',
+      'invalid_two_factor_code',
+      'email_not_verified',
+      'account_locked',
+      'ip_blocked',
+      'account_deactivated',
+      'password_reset_required'
+    ])
+    .withMessage('Invalid outcome')
+];
+
+const validateUserId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const validateUserSearch = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('department')
+    .optional()
+    .isIn(USER_DEPARTMENTS)
+    .withMessage('Invalid department'),
+  query('level')
+    .optional()
+    .isInt({ min: 100, max: 500 })
+    .withMessage('Level must be between 100 and 500'),
+  query('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage('Invalid role'),
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended', 'deleted'])
+    .withMessage('Status must be active, suspended or deleted')
+];
+
+const validateRoleChange = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(USER_ROLES)
+    .withMessage('Invalid role'),
+  body('department')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(USER_DEPARTMENTS)
+    .withMessage('Invalid department')
+];
+
+const validateSuspension = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+const validateReinstatement = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('note')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Note must be between 3 and 500 characters')
+];
+
+const validateUserDeletion = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const validateBulkUserAction = [
+  body('userIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Select between 1 and 100 users'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('action')
+    .isIn(['deactivate', 'reactivate', 'force_password_reset'])
+    .withMessage('Invalid action'),
+  body('note')
+    .if(body('action').isIn(['deactivate', 'reactivate']))
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A note between 3 and 500 characters is required to deactivate or reactivate accounts')
+];
+
+const validateIpAddress = [
+  body('ipAddress')
+    .isIP()
+    .withMessage('Invalid IP address')
+];
+
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail(),
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  body('role')
+    .isIn(['lecturer', 'hod', 'bursar', 'registrar', 'admin'])
+    .withMessage('Invalid staff role'),
+  body('department')
+    .if((value, { req }) => value || ['lecturer', 'hod'].includes(req.body.role))
+    .notEmpty()
+    .withMessage('Department is required for lecturers and HODs')
+    .bail()
+    .isIn(USER_DEPARTMENTS)
+    .withMessage('Invalid department')
+];
+
+const validateInvitationId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
 // Dashboard routes
 router.get('/dashboard', authenticateToken, requireAdmin, getDashboardStats);
 
@@ -44,6 +242,14 @@ router.get('/dashboard', authenticateToken, requireAdmin, getDashboardStats);
 router.get('/users/online', authenticateToken, requireAdmin, getOnlineUsers);
 router.get('/users/by-department/:department', authenticateToken, requireAdmin, validateDepartment, getUsersByDepartment);
 router.get('/users/stats', authenticateToken, requireAdmin, getUserStats);
+router.get('/users', authenticateToken, requirePermission('users:view'), validateUserSearch, getUsers);
+router.post('/users/bulk', authenticateToken, requirePermission('users:manage'), validateBulkUserAction, bulkUserAction);
+router.get('/users/:userId', authenticateToken, requirePermission('users:view'), validateUserId, getUserDetails);
+router.put('/users/:userId/role', authenticateToken, requirePermission('users:manage'), validateRoleChange, updateUserRole);
+router.put('/users/:userId/deactivate', authenticateToken, requirePermission('users:manage'), validateSuspension, deactivateUser);
+router.put('/users/:userId/reactivate', authenticateToken, requirePermission('users:manage'), validateReinstatement, reactivateUser);
+router.delete('/users/:userId', authenticateToken, requirePermission('users:manage'), validateUserDeletion, deleteUser);
+router.post('/users/:userId/force-password-reset', authenticateToken, requirePermission('users:manage'), validateUserId, forcePasswordReset);
 
 // Course management routes
 router.get('/courses/stats', authenticateToken, requireAdmin, getCourseStats);
@@ -61,4 +267,15 @@ router.get('/payments/total-by-department', authenticateToken, requireAdmin, get
 // System management routes
 router.get('/system/health', authenticateToken, requireAdmin, getSystemHealth);
 
+// Staff invitation routes
+router.post('/invitations', authenticateToken, requireAdmin, validateInvitation, createInvitation);
+router.get('/invitations', authenticateToken, requireAdmin, getInvitations);
+router.delete('/invitations/:id', authenticateToken, requireAdmin, validateInvitationId, revokeInvitation);
+
+// Login security routes
+router.get('/security/lockouts', authenticateToken, requireAdmin, getLockouts);
+router.get('/security/login-attempts', authenticateToken, requireAdmin, validateLoginAttemptQuery, getLoginAttempts);
+router.delete('/security/lockouts/users/:userId', authenticateToken, requireAdmin, validateUserId, clearUserLockout);
+router.delete('/security/lockouts/ip', authenticateToken, requireAdmin, validateIpAddress, clearIpLockout);
+
 module.exports = router; 
\ No newline at end of file
@@ -1,16 +1,62 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+const { authenticateToken, authenticateTwoFactorSetup } = require('../middleware/auth');
 const {
   registerStudent,
   login,
   logout,
   getCurrentUser,
-  changePassword
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getInvitation,
+  acceptInvitation
 } = require('../controllers/authController');
 
 const router = express.Router();
 
+// Rate limiting for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 emails per windowMs
+  message: {
+    success: false,
+    message: 'Too many email requests from this IP, please try again later.'
+  }
+});
+
+// Rate limiting for password reset attempts
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 reset attempts per windowMs
+  message: {
+    success: false,
+    message: 'Too many password reset attempts from this IP, please try again later.'
+  }
+});
+
+// Rate limiting for two-factor code attempts
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 code attempts per windowMs
+  message: {
+    success: false,
+    message: 'Too many verification attempts from this IP, please try again later.'
+  }
+});
+
 // Validation middleware
 const validateRegistration = [
   body('email')
@@ -92,6 +138,75 @@ const validateChangePassword = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const validateEmail = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+];
+
+const validateToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid token')
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+const validateResetPassword = [
+  ...validateToken,
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...validateTwoFactorCode
+];
+
+const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validateTwoFactorCode
+];
+
+const validateAcceptInvitation = [
+  ...validateToken,
+  body('phoneNumber')
+    .matches(/^(\+233|0)[0-9]{9}$/)
+    .withMessage('Please enter a valid Ghanaian phone number'),
+  body('referenceNumber')
+    .matches(/^[0-9]{8,}$/)
+    .withMessage('Staff ID must be at least 8 digits'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
 // Routes
 /**
  * @swagger
@@ -181,6 +296,10 @@ router.post('/register', validateRegistration, registerStudent);
  *         description: Invalid credentials
  *       403:
  *         description: Email not verified
+ *       423:
+ *         description: Account temporarily locked
+ *       429:
+ *         description: Too many failed attempts from this IP address
  */
 router.post('/login', validateLogin, login);
 
@@ -198,6 +317,82 @@ router.post('/login', validateLogin, login);
  */
 router.post('/logout', authenticateToken, logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Sign out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access token and rotated refresh token
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ */
+router.post('/refresh', validateRefreshToken, refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticateToken, validateSessionId, revokeSession);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -245,4 +440,238 @@ router.get('/me', authenticateToken, getCurrentUser);
  */
 router.put('/change-password', authenticateToken, validateChangePassword, changePassword);
 
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify a student's email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email link
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.get('/verify-email/:token', validateToken, verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ *       400:
+ *         description: Validation error
+ */
+router.post('/resend-verification', emailLimiter, validateEmail, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', emailLimiter, validateEmail, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using a reset link
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Password reset token from the email link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset link
+ */
+router.post('/reset-password/:token', passwordResetLimiter, validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with an authenticator or backup code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ */
+router.post('/2fa/verify', twoFactorLimiter, validateTwoFactorLogin, verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and QR code for the authenticator app
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, backup codes returned
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/enable', twoFactorLimiter, authenticateTwoFactorSetup, validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       403:
+ *         description: Two-factor authentication is mandatory for this account
+ */
+router.post('/2fa/disable', twoFactorLimiter, authenticateToken, validateDisableTwoFactor, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ */
+router.post('/2fa/backup-codes', twoFactorLimiter, authenticateToken, validateTwoFactorCode, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}:
+ *   get:
+ *     summary: Get the details of a pending staff invitation
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       404:
+ *         description: Invitation invalid, used or expired
+ */
+router.get('/invitations/:token', validateToken, getInvitation);
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}/accept:
+ *   post:
+ *     summary: Create a staff account from an invitation
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       404:
+ *         description: Invitation invalid, used or expired
+ */
+router.post('/invitations/:token/accept', passwordResetLimiter, validateAcceptInvitation, acceptInvitation);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getCalendarFeed,
+  getFeedStatus,
+  createCalendarFeed,
+  revokeCalendarFeed
+} = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Validation middleware
+const validateFeedToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid calendar feed token')
+];
+
+// Feed management for the signed-in user
+router.get('/feed', authenticateToken, getFeedStatus);
+router.post('/feed', authenticateToken, createCalendarFeed);
+router.delete('/feed', authenticateToken, revokeCalendarFeed);
+
+// Public feed; calendar apps cannot send a bearer token, so the URL carries a secret one
+router.get('/:token.ics', validateFeedToken, getCalendarFeed);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin, requireStudent } = require('../middleware/roleCheck');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
+const { validateCourseCreation, validateCourseUpdate } = require('../middleware/courseValidation');
 const {
   getCourses,
   getCourseById,
@@ -10,165 +12,42 @@ const {
   deleteCourse,
   getCourseStats,
   registerForCourse,
+  registerCoreCourses,
+  registerWithOverride,
   getMyRegistrations,
+  getMyTimetable,
   approveRegistration,
   rejectRegistration,
+  bulkApproveRegistrations,
+  bulkRejectRegistrations,
   getAllRegistrations,
   getRegistrationStats
 } = require('../controllers/courseController');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  confirmWaitlistSeat,
+  leaveWaitlist,
+  getCourseWaitlist
+} = require('../controllers/waitlistController');
+const {
+  dropRegistration,
+  getDrops,
+  approveLateDrop,
+  rejectLateDrop
+} = require('../controllers/dropController');
+const { getMyRegistrationSlip } = require('../controllers/registrationSlipController');
+const { importCourses, exportCourses } = require('../controllers/courseCatalogController');
 
 const router = express.Router();
 
-// Validation middleware
-const validateCourseCreation = [
-  body('courseCode')
-    .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Course code must be between 3 and 10 characters'),
-  body('title')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Title must be between 5 and 200 characters'),
-  body('credits')
-    .isInt({ min: 1, max: 6 })
-    .withMessage('Credits must be between 1 and 6'),
-  body('department')
-    .isIn([
-      'Mining Engineering',
-      'Geological Engineering',
-      'Minerals Engineering',
-      'Petroleum Engineering',
-      'Mechanical Engineering',
-      'Electrical Engineering',
-      'Civil Engineering',
-      'Computer Science and Engineering',
-      'Mathematics',
-      'Physics',
-      'Chemistry',
-      'Environmental and Safety Engineering'
-    ])
-    .withMessage('Invalid department'),
-  body('program')
-    .isIn([
-      'BSc Mining Engineering',
-      'BSc Geological Engineering',
-      'BSc Minerals Engineering',
-      'BSc Petroleum Engineering',
-      'BSc Mechanical Engineering',
-      'BSc Electrical Engineering',
-      'BSc Civil Engineering',
-      'BSc Computer Science and Engineering',
-      'BSc Mathematics',
-      'BSc Physics',
-      'BSc Chemistry',
-      'BSc Environmental and Safety Engineering'
-    ])
-    .withMessage('Invalid program'),
-  body('level')
-    .isInt({ min: 100, max: 500 })
-    .custom(value => value % 100 === 0)
-    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
-  body('semester')
-    .isIn(['First', 'Second'])
-    .withMessage('Semester must be either First or Second'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Description cannot exceed 1000 characters'),
-  body('prerequisites')
-    .optional()
-    .isArray()
-    .withMessage('Prerequisites must be an array'),
-  body('prerequisites.*')
-    .optional()
-    .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Prerequisite course codes must be between 3 and 10 characters'),
-  body('maxStudents')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Maximum students must be at least 1')
-];
-
-const validateCourseUpdate = [
-  body('courseCode')
-    .optional()
-    .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Course code must be between 3 and 10 characters'),
-  body('title')
-    .optional()
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Title must be between 5 and 200 characters'),
-  body('credits')
-    .optional()
-    .isInt({ min: 1, max: 6 })
-    .withMessage('Credits must be between 1 and 6'),
-  body('department')
-    .optional()
-    .isIn([
-      'Mining Engineering',
-      'Geological Engineering',
-      'Minerals Engineering',
-      'Petroleum Engineering',
-      'Mechanical Engineering',
-      'Electrical Engineering',
-      'Civil Engineering',
-      'Computer Science and Engineering',
-      'Mathematics',
-      'Physics',
-      'Chemistry',
-      'Environmental and Safety Engineering'
-    ])
-    .withMessage('Invalid department'),
-  body('program')
-    .optional()
-    .isIn([
-      'BSc Mining Engineering',
-      'BSc Geological Engineering',
-      'BSc Minerals Engineering',
-      'BSc Petroleum Engineering',
-      'BSc Mechanical Engineering',
-      'BSc Electrical Engineering',
-      'BSc Civil Engineering',
-      'BSc Computer Science and Engineering',
-      'BSc Mathematics',
-      'BSc Physics',
-      'BSc Chemistry',
-      'BSc Environmental and Safety Engineering'
-    ])
-    .withMessage('Invalid program'),
-  body('level')
-    .optional()
-    .isInt({ min: 100, max: 500 })
-    .custom(value => value % 100 === 0)
-    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
-  body('semester')
-    .optional()
-    .isIn(['First', 'Second'])
-    .withMessage('Semester must be either First or Second'),
-  body('description')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Description cannot exceed 1000 characters'),
-  body('prerequisites')
-    .optional()
-    .isArray()
-    .withMessage('Prerequisites must be an array'),
-  body('prerequisites.*')
-    .optional()
-    .trim()
-    .isLength({ min: 3, max: 10 })
-    .withMessage('Prerequisite course codes must be between 3 and 10 characters'),
-  body('maxStudents')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Maximum students must be at least 1')
-];
+// Catalogue spreadsheets are parsed in memory and never written to disk
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
 
+// Validation middleware
 const validateCourseFilters = [
   query('department')
     .optional()
@@ -215,19 +94,53 @@ const validateCourseFilters = [
     .withMessage('Semester must be either First or Second')
 ];
 
+const validateCatalogImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+];
+
+const validateCatalogExport = [
+  ...validateCourseFilters,
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Format must be csv or xlsx')
+];
+
 const validateCourseRegistration = [
   body('courseId')
     .isMongoId()
-    .withMessage('Invalid course ID'),
+    .withMessage('Invalid course ID')
+];
+
+const validateRegistrationOverride = [
+  body('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  ...validateCourseRegistration,
   body('semester')
     .isIn(['First', 'Second'])
     .withMessage('Semester must be either First or Second'),
   body('academicYear')
     .matches(/^\d{4}\/\d{4}$/)
-    .withMessage('Academic year must be in format YYYY/YYYY')
+    .withMessage('Academic year must be in format YYYY/YYYY'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Override reason must be between 5 and 500 characters')
 ];
 
 const validateRegistrationFilters = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  query('level')
+    .optional()
+    .isInt({ min: 100, max: 500 })
+    .withMessage('Level must be between 100 and 500'),
   query('semester')
     .optional()
     .isIn(['First', 'Second'])
@@ -242,36 +155,133 @@ const validateRegistrationFilters = [
     .withMessage('Invalid status')
 ];
 
+const validateBulkReview = [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('IDs must be a list of 1 to 500 registrations'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid registration ID'),
+  body('filters')
+    .if(body('ids').not().exists())
+    .isObject()
+    .withMessage('Provide either registration IDs or filters'),
+  body('filters.courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  body('filters.level')
+    .optional()
+    .isInt({ min: 100, max: 500 })
+    .withMessage('Level must be between 100 and 500'),
+  body('filters.semester')
+    .optional()
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  body('filters.academicYear')
+    .optional()
+    .matches(/^\d{4}\/\d{4}$/)
+    .withMessage('Academic year must be in format YYYY/YYYY'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateDropRequest = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Drop reason must be between 5 and 500 characters')
+];
+
+const validateDropFilters = [
+  query('requestStatus')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid drop request status'),
+  query('semester')
+    .optional()
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  query('academicYear')
+    .optional()
+    .matches(/^\d{4}\/\d{4}$/)
+    .withMessage('Academic year must be in format YYYY/YYYY'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateReviewNotes = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
 const validateObjectId = [
   param('id')
     .isMongoId()
     .withMessage('Invalid ID format')
 ];
 
+const validateEntryId = [
+  param('entryId')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
 // Course routes
 router.get('/', authenticateToken, validateCourseFilters, getCourses);
-router.get('/stats', authenticateToken, requireAdmin, getCourseStats);
-router.get('/:id', authenticateToken, validateObjectId, getCourseById);
+router.get('/stats', authenticateToken, requirePermission('courses:manage'), getCourseStats);
 
 // Admin-only course management routes
-router.post('/', authenticateToken, requireAdmin, validateCourseCreation, createCourse);
-router.put('/:id', authenticateToken, requireAdmin, validateObjectId, validateCourseUpdate, updateCourse);
-router.delete('/:id', authenticateToken, requireAdmin, validateObjectId, deleteCourse);
+router.post('/', authenticateToken, requirePermission('courses:manage'), validateCourseCreation, createCourse);
+router.put('/:id', authenticateToken, requirePermission('courses:manage'), validateObjectId, validateCourseUpdate, updateCourse);
+router.delete('/:id', authenticateToken, requirePermission('courses:manage'), validateObjectId, deleteCourse);
+router.post('/import', authenticateToken, requirePermission('courses:manage'), catalogUpload.single('file'), validateCatalogImport, importCourses);
+router.get('/export', authenticateToken, requirePermission('courses:manage'), validateCatalogExport, exportCourses);
 
 // Course registration routes
 router.post('/register', authenticateToken, requireStudent, validateCourseRegistration, registerForCourse);
+router.post('/register/core', authenticateToken, requireStudent, registerCoreCourses);
 router.get('/my-registrations', authenticateToken, requireStudent, validateRegistrationFilters, getMyRegistrations);
+router.get('/timetable', authenticateToken, requireStudent, validateRegistrationFilters, getMyTimetable);
+router.get('/registration-slip', authenticateToken, requireStudent, validateRegistrationFilters, getMyRegistrationSlip);
 
 // Admin-only registration management routes
-router.get('/registrations', authenticateToken, requireAdmin, validateRegistrationFilters, getAllRegistrations);
-router.get('/registrations/stats', authenticateToken, requireAdmin, getRegistrationStats);
-router.put('/registrations/:id/approve', authenticateToken, requireAdmin, validateObjectId, approveRegistration);
-router.put('/registrations/:id/reject', authenticateToken, requireAdmin, validateObjectId, [
-  body('notes')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
-], rejectRegistration);
+router.get('/registrations', authenticateToken, requirePermission('registrations:view'), validateRegistrationFilters, getAllRegistrations);
+router.get('/registrations/stats', authenticateToken, requirePermission('registrations:view'), getRegistrationStats);
+router.post('/registrations/override', authenticateToken, requirePermission('registrations:approve'), validateRegistrationOverride, registerWithOverride);
+router.post('/registrations/bulk-approve', authenticateToken, requirePermission('registrations:approve'), validateBulkReview, bulkApproveRegistrations);
+router.post('/registrations/bulk-reject', authenticateToken, requirePermission('registrations:approve'), validateBulkReview, bulkRejectRegistrations);
+router.put('/registrations/:id/approve', authenticateToken, requirePermission('registrations:approve'), validateObjectId, approveRegistration);
+router.put('/registrations/:id/reject', authenticateToken, requirePermission('registrations:approve'), validateObjectId, validateReviewNotes, rejectRegistration);
+
+// Add/drop routes
+router.post('/registrations/:id/drop', authenticateToken, requireStudent, validateObjectId, validateDropRequest, dropRegistration);
+router.get('/drops', authenticateToken, requirePermission('registrations:view'), validateDropFilters, getDrops);
+router.put('/registrations/:id/drop/approve', authenticateToken, requirePermission('registrations:approve'), validateObjectId, validateReviewNotes, approveLateDrop);
+router.put('/registrations/:id/drop/reject', authenticateToken, requirePermission('registrations:approve'), validateObjectId, validateReviewNotes, rejectLateDrop);
+
+// Waitlist routes
+router.get('/waitlist/mine', authenticateToken, requireStudent, getMyWaitlist);
+router.post('/waitlist/:entryId/confirm', authenticateToken, requireStudent, validateEntryId, confirmWaitlistSeat);
+router.post('/waitlist/:entryId/leave', authenticateToken, requireStudent, validateEntryId, leaveWaitlist);
+router.post('/:id/waitlist', authenticateToken, requireStudent, validateObjectId, joinWaitlist);
+router.get('/:id/waitlist', authenticateToken, requirePermission('registrations:view'), validateObjectId, getCourseWaitlist);
+
+// Course details come last so /:id does not swallow the named routes above
+router.get('/:id', authenticateToken, validateObjectId, getCourseById);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
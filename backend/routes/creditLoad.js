@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
+const {
+  getMyCreditLoad,
+  requestOverload,
+  getOverloads,
+  approveOverload,
+  rejectOverload,
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/creditLoadController');
+
+const router = express.Router();
+
+// Programs students can be enrolled on
+const STUDENT_PROGRAMS = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Liberal Studies'
+];
+
+// Validation middleware
+const validateOverloadRequest = [
+  body('requestedCredits')
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Requested credits must be a whole number between 1 and 60')
+    .toInt(),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+const validateOverloadFilters = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateReviewNotes = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validatePolicy = [
+  body('program')
+    .optional({ nullable: true })
+    .isIn(STUDENT_PROGRAMS)
+    .withMessage('Invalid program'),
+  body('level')
+    .optional({ nullable: true })
+    .isInt({ min: 100, max: 500 })
+    .custom(value => value % 100 === 0)
+    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
+  body('semester')
+    .optional({ nullable: true })
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  body('minCredits')
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Minimum credits must be between 0 and 60'),
+  body('maxCredits')
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Maximum credits must be between 1 and 60'),
+  body('overloadMaxCredits')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('Overload limit must be between 1 and 60'),
+  body('overloadMinCgpa')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Overload CGPA must be between 0 and 5')
+];
+
+const validateObjectId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+// Student credit load routes
+router.get('/me', authenticateToken, requireStudent, getMyCreditLoad);
+router.post('/overloads', authenticateToken, requireStudent, validateOverloadRequest, requestOverload);
+
+// Overload review routes
+router.get('/overloads', authenticateToken, requirePermission('registrations:view'), validateOverloadFilters, getOverloads);
+router.put('/overloads/:id/approve', authenticateToken, requirePermission('registrations:approve'), validateObjectId, validateReviewNotes, approveOverload);
+router.put('/overloads/:id/reject', authenticateToken, requirePermission('registrations:approve'), validateObjectId, validateReviewNotes, rejectOverload);
+
+// Credit load policy routes
+router.get('/policies', authenticateToken, requirePermission('credits:manage'), getPolicies);
+router.post('/policies', authenticateToken, requirePermission('credits:manage'), validatePolicy, createPolicy);
+router.put('/policies/:id', authenticateToken, requirePermission('credits:manage'), validateObjectId, validatePolicy, updatePolicy);
+router.delete('/policies/:id', authenticateToken, requirePermission('credits:manage'), validateObjectId, deletePolicy);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
+const {
+  getGradingScale,
+  updateGradingScale,
+  getCourseGrades,
+  enterCourseGrades,
+  releaseGrades,
+  withholdGrades,
+  getMyGrades
+} = require('../controllers/gradeController');
+
+const router = express.Router();
+
+// Validation middleware
+const validateCourseId = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const termValidators = (location) => [
+  location('semester')
+    .optional()
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  location('academicYear')
+    .optional()
+    .matches(/^\d{4}\/\d{4}$/)
+    .withMessage('Academic year must be in format YYYY/YYYY')
+];
+
+const validateGradeEntry = [
+  ...termValidators(body),
+  body('grades')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Grades must be a list of 1 to 500 entries'),
+  body('grades.*.registration')
+    .isMongoId()
+    .withMessage('Invalid registration ID'),
+  body('grades.*.continuousAssessment')
+    .isFloat({ min: 0, max: 40 })
+    .withMessage('Continuous assessment score must be between 0 and 40')
+    .toFloat(),
+  body('grades.*.examScore')
+    .isFloat({ min: 0, max: 60 })
+    .withMessage('Exam score must be between 0 and 60')
+    .toFloat()
+];
+
+const validateGradingScale = [
+  body('bands')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Bands must be a list of 1 to 20 grades'),
+  body('bands.*.grade')
+    .trim()
+    .isLength({ min: 1, max: 3 })
+    .withMessage('Each grade must be 1 to 3 characters'),
+  body('bands.*.minScore')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum scores must be between 0 and 100')
+    .toFloat(),
+  body('bands.*.gradePoint')
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Grade points must be between 0 and 5')
+    .toFloat(),
+  body('bands.*.isPassing')
+    .isBoolean()
+    .withMessage('Each band must say whether it passes')
+    .toBoolean()
+];
+
+// Grading scale routes
+router.get('/scale', authenticateToken, getGradingScale);
+router.put('/scale', authenticateToken, requirePermission('grades:manage'), validateGradingScale, updateGradingScale);
+
+// Student routes
+router.get('/me', authenticateToken, requireStudent, getMyGrades);
+
+// Grade entry and release routes
+router.get('/courses/:courseId', authenticateToken, requirePermission('grades:enter'), validateCourseId, termValidators(query), getCourseGrades);
+router.post('/courses/:courseId', authenticateToken, requirePermission('grades:enter'), validateCourseId, validateGradeEntry, enterCourseGrades);
+router.put('/courses/:courseId/release', authenticateToken, requirePermission('grades:manage'), validateCourseId, termValidators(body), releaseGrades);
+router.put('/courses/:courseId/withhold', authenticateToken, requirePermission('grades:manage'), validateCourseId, termValidators(body), withholdGrades);
+
+module.exports = router;
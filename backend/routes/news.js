@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin, requireStudent } = require('../middleware/roleCheck');
+const { requirePermission } = require('../middleware/roleCheck');
 const {
   getNewsByDepartment,
   getNewsById,
@@ -207,15 +207,15 @@ const validateObjectId = [
 
 // News routes
 router.get('/', authenticateToken, validateNewsFilters, getNewsByDepartment);
-router.get('/stats', authenticateToken, requireAdmin, getNewsStats);
+router.get('/stats', authenticateToken, requirePermission('news:manage'), getNewsStats);
 router.get('/:id', authenticateToken, validateObjectId, getNewsById);
 
 // Admin-only news management routes
-router.post('/', authenticateToken, requireAdmin, validateNewsCreation, createNews);
-router.put('/:id', authenticateToken, requireAdmin, validateObjectId, validateNewsUpdate, updateNews);
-router.delete('/:id', authenticateToken, requireAdmin, validateObjectId, deleteNews);
-router.put('/:id/toggle-featured', authenticateToken, requireAdmin, validateObjectId, toggleFeatured);
-router.put('/:id/toggle-published', authenticateToken, requireAdmin, validateObjectId, togglePublished);
+router.post('/', authenticateToken, requirePermission('news:manage'), validateNewsCreation, createNews);
+router.put('/:id', authenticateToken, requirePermission('news:manage'), validateObjectId, validateNewsUpdate, updateNews);
+router.delete('/:id', authenticateToken, requirePermission('news:manage'), validateObjectId, deleteNews);
+router.put('/:id/toggle-featured', authenticateToken, requirePermission('news:manage'), validateObjectId, toggleFeatured);
+router.put('/:id/toggle-published', authenticateToken, requirePermission('news:manage'), validateObjectId, togglePublished);
 
 // Comment routes
 router.get('/:id/comments', authenticateToken, validateObjectId, getComments);
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin, requireStudent } = require('../middleware/roleCheck');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
 const {
   initializePayment,
   verifyPayment,
@@ -92,8 +92,8 @@ router.post('/webhook', handleWebhook);
 router.get('/my-payments', authenticateToken, requireStudent, validatePaymentFilters, getMyPayments);
 
 // Admin payment routes
-router.get('/by-department', authenticateToken, requireAdmin, validateDepartmentFilter, validatePaymentFilters, getPaymentsByDepartment);
-router.get('/stats', authenticateToken, requireAdmin, validatePaymentFilters, getPaymentStats);
+router.get('/by-department', authenticateToken, requirePermission('payments:view'), validateDepartmentFilter, validatePaymentFilters, getPaymentsByDepartment);
+router.get('/stats', authenticateToken, requirePermission('payments:view'), validatePaymentFilters, getPaymentStats);
 router.get('/:id', authenticateToken, validateObjectId, getPaymentById);
 
 module.exports = router; 
\ No newline at end of file
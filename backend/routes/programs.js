@@ -0,0 +1,100 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
+const User = require('../models/User');
+const {
+  getPrograms,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  getMyDegreeAudit,
+  getStudentDegreeAudit
+} = require('../controllers/programController');
+
+const router = express.Router();
+
+// Curricula are set for the programs and departments students are enrolled on
+const STUDENT_PROGRAMS = User.schema.path('program').enumValues;
+const DEPARTMENTS = User.schema.path('department').enumValues;
+
+// Validation middleware
+const validateProgram = [
+  body('name')
+    .isIn(STUDENT_PROGRAMS)
+    .withMessage('Invalid program'),
+  body('department')
+    .isIn(DEPARTMENTS)
+    .withMessage('Invalid department'),
+  body('requiredCredits')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 500 })
+    .withMessage('Required credits must be between 0 and 500'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  body('curriculum')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Curriculum must be a list of at most 10 terms'),
+  body('curriculum.*.level')
+    .isInt({ min: 100, max: 500 })
+    .custom(value => value % 100 === 0)
+    .withMessage('Level must be in increments of 100 (100, 200, 300, 400, 500)'),
+  body('curriculum.*.semester')
+    .isIn(['First', 'Second'])
+    .withMessage('Semester must be either First or Second'),
+  body('curriculum.*.coreCourses')
+    .optional()
+    .isArray()
+    .withMessage('Core courses must be a list of course codes'),
+  body('curriculum.*.coreCourses.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Core courses must be course codes'),
+  body('curriculum.*.electiveGroups')
+    .optional()
+    .isArray()
+    .withMessage('Elective groups must be a list'),
+  body('curriculum.*.electiveGroups.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Elective group name is required and cannot exceed 100 characters'),
+  body('curriculum.*.electiveGroups.*.minCourses')
+    .isInt({ min: 1 })
+    .withMessage('Number of courses to choose must be at least 1'),
+  body('curriculum.*.electiveGroups.*.courses')
+    .isArray({ min: 1 })
+    .withMessage('Elective groups must list at least one course code'),
+  body('curriculum.*.electiveGroups.*.courses.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Elective courses must be course codes')
+];
+
+const validateObjectId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+const validateStudentId = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID')
+];
+
+// Degree audit routes
+router.get('/audit/me', authenticateToken, requireStudent, getMyDegreeAudit);
+router.get('/audit/students/:studentId', authenticateToken, requirePermission('registrations:view'), validateStudentId, getStudentDegreeAudit);
+
+// Curriculum management routes
+router.get('/', authenticateToken, requirePermission('courses:manage'), getPrograms);
+router.post('/', authenticateToken, requirePermission('courses:manage'), validateProgram, createProgram);
+router.put('/:id', authenticateToken, requirePermission('courses:manage'), validateObjectId, validateProgram, updateProgram);
+router.delete('/:id', authenticateToken, requirePermission('courses:manage'), validateObjectId, deleteProgram);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireStudent, requirePermission } = require('../middleware/roleCheck');
+const {
+  getMyTranscript,
+  issueTranscript,
+  getTranscripts,
+  downloadTranscript
+} = require('../controllers/transcriptController');
+
+const router = express.Router();
+
+// Validation middleware
+const validateStudentId = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID')
+];
+
+const validateObjectId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format')
+];
+
+const validateTranscriptFilters = [
+  query('student')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Student routes
+router.get('/me', authenticateToken, requireStudent, getMyTranscript);
+
+// Official transcript routes
+router.get('/', authenticateToken, requirePermission('transcripts:issue'), validateTranscriptFilters, getTranscripts);
+router.post('/students/:studentId', authenticateToken, requirePermission('transcripts:issue'), validateStudentId, issueTranscript);
+router.get('/:id/pdf', authenticateToken, requirePermission('transcripts:issue'), validateObjectId, downloadTranscript);
+
+module.exports = router;
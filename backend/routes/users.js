@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roleCheck');
+const { requireAdmin, requirePermission, checkDepartmentAccess, getDepartmentScope } = require('../middleware/roleCheck');
 const User = require('../models/User');
 
 const router = express.Router();
@@ -129,7 +129,7 @@ router.put('/profile', authenticateToken, [
  * @swagger
  * /api/users/online:
  *   get:
- *     summary: Get online users (admin only)
+ *     summary: Get online users (requires users:view; HODs only see their department)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -139,11 +139,11 @@ router.put('/profile', authenticateToken, [
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Admin access required
+ *         description: Missing users:view permission
  */
-router.get('/online', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/online', authenticateToken, requirePermission('users:view'), async (req, res) => {
   try {
-    const onlineUsers = await User.getOnlineUsers();
+    const onlineUsers = await User.getOnlineUsers(getDepartmentScope(req.user));
     
     res.status(200).json({
       success: true,
@@ -165,7 +165,7 @@ router.get('/online', authenticateToken, requireAdmin, async (req, res) => {
  * @swagger
  * /api/users/by-department/{department}:
  *   get:
- *     summary: Get users by department (admin only)
+ *     summary: Get users by department (requires users:view)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -182,9 +182,9 @@ router.get('/online', authenticateToken, requireAdmin, async (req, res) => {
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Admin access required
+ *         description: Missing users:view permission or department outside your scope
  */
-router.get('/by-department/:department', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/by-department/:department', authenticateToken, requirePermission('users:view'), checkDepartmentAccess, async (req, res) => {
   try {
     const { department } = req.params;
     const users = await User.getUsersByDepartment(department);
@@ -0,0 +1,11 @@
+const express = require('express');
+const { verifyTranscript } = require('../controllers/transcriptController');
+const { verifyRegistrationSlip } = require('../controllers/registrationSlipController');
+
+const router = express.Router();
+
+// Public document verification; the codes are printed on the documents themselves
+router.get('/transcript/:code', verifyTranscript);
+router.get('/registration-slip/:code', verifyRegistrationSlip);
+
+module.exports = router;
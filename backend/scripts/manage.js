@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * Admin management commands
+ *
+ *   npm run seed:admin
+ *   npm run manage -- <command> [options]
+ *
+ * Run without a command to see the available commands.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createRandomToken } = require('../utils/helpers');
+const { processWaitlists, reconcileEnrollment } = require('../services/registrationService');
+
+const USAGE = `Usage: npm run manage -- <command> [options]
+
+Commands:
+  seed-admin                          Create (or promote) the admin from ADMIN_* env variables
+  create-admin --email <email> --first-name <name> --last-name <name>
+               --phone <phone> --reference <staff id> [--password <password>]
+  promote <email>                     Give an existing account admin rights
+  reset-password <email> [--password <password>]
+  list-admins                         List all admin accounts
+  process-waitlists                   Expire lapsed waitlist offers and offer the seats to the next students
+  reconcile-enrollment [--dry-run]    Recount each course's enrollment, and each program's share of shared
+                                      courses, from the approved registrations, and the seats held for
+                                      waitlist offers`;
+
+/**
+ * Split command line arguments into positional values and --options
+ * @param {Array} args - Arguments after the command name
+ * @returns {Object} { positional, options }
+ */
+const parseArgs = (args) => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+};
+
+/**
+ * Generate a temporary password to print for the operator
+ * @returns {String} Random password
+ */
+const generatePassword = () => createRandomToken(9);
+
+/**
+ * Create an admin account, or promote the account if the email is taken
+ * @param {Object} data - Admin details
+ * @returns {Object} { user, created }
+ */
+const createOrPromoteAdmin = async ({ email, firstName, lastName, phoneNumber, referenceNumber, password }) => {
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    existingUser.role = 'admin';
+    await existingUser.save();
+    return { user: existingUser, created: false };
+  }
+
+  const user = await User.create({
+    email,
+    firstName,
+    lastName,
+    phoneNumber,
+    referenceNumber,
+    password,
+    role: 'admin',
+    isEmailVerified: true
+  });
+
+  return { user, created: true };
+};
+
+const commands = {
+  'seed-admin': async () => {
+    const {
+      ADMIN_EMAIL,
+      ADMIN_PASSWORD,
+      ADMIN_FIRST_NAME,
+      ADMIN_LAST_NAME,
+      ADMIN_PHONE,
+      ADMIN_REFERENCE
+    } = process.env;
+
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    }
+
+    const { user, created } = await createOrPromoteAdmin({
+      email: ADMIN_EMAIL,
+      firstName: ADMIN_FIRST_NAME || 'Admin',
+      lastName: ADMIN_LAST_NAME || 'UMaT',
+      phoneNumber: ADMIN_PHONE,
+      referenceNumber: ADMIN_REFERENCE,
+      password: ADMIN_PASSWORD
+    });
+
+    console.log(created
+      ? `✅ Admin ${user.email} created`
+      : `✅ ${user.email} already exists and is an admin`);
+    console.log('Two-factor authentication will be set up on first login.');
+  },
+
+  'create-admin': async ({ options }) => {
+    const password = options.password || generatePassword();
+
+    const { user, created } = await createOrPromoteAdmin({
+      email: options.email,
+      firstName: options['first-name'],
+      lastName: options['last-name'],
+      phoneNumber: options.phone,
+      referenceNumber: options.reference,
+      password
+    });
+
+    if (!created) {
+      console.log(`✅ ${user.email} already existed and has been promoted to admin`);
+      return;
+    }
+
+    console.log(`✅ Admin ${user.email} created`);
+    if (!options.password) {
+      console.log(`Temporary password: ${password}`);
+    }
+  },
+
+  promote: async ({ positional }) => {
+    const user = await User.findOne({ email: positional[0] });
+    if (!user) {
+      throw new Error(`No account found for ${positional[0]}`);
+    }
+
+    user.role = 'admin';
+    await user.save();
+    console.log(`✅ ${user.email} is now an admin`);
+  },
+
+  'reset-password': async ({ positional, options }) => {
+    const user = await User.findOne({ email: positional[0] });
+    if (!user) {
+      throw new Error(`No account found for ${positional[0]}`);
+    }
+
+    const password = options.password || generatePassword();
+    await user.resetPassword(password);
+    await user.resetLoginAttempts();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    console.log(`✅ Password reset for ${user.email}; all sessions signed out`);
+    if (!options.password) {
+      console.log(`Temporary password: ${password}`);
+    }
+  },
+
+  'list-admins': async () => {
+    const admins = await User.find({ role: 'admin' })
+      .select('email firstName lastName twoFactorEnabled lastSeen createdAt')
+      .sort({ createdAt: 1 });
+
+    if (admins.length === 0) {
+      console.log('No admin accounts found. Run `npm run seed:admin` to create one.');
+      return;
+    }
+
+    console.table(admins.map(admin => ({
+      email: admin.email,
+      name: admin.fullName,
+      twoFactor: admin.twoFactorEnabled ? 'on' : 'off',
+      lastSeen: admin.lastSeen && admin.lastSeen.toISOString(),
+      createdAt: admin.createdAt.toISOString()
+    })));
+  },
+
+  'process-waitlists': async () => {
+    const offers = await processWaitlists();
+    console.log(`✅ Waitlists processed; ${offers} seat offer(s) sent`);
+  },
+
+  'reconcile-enrollment': async ({ options }) => {
+    const dryRun = 'dry-run' in options;
+    const drifted = await reconcileEnrollment({ dryRun });
+
+    if (drifted.length === 0) {
+      console.log('✅ All course enrollment and held seat counts match their registrations and offers');
+      return;
+    }
+
+    console.table(drifted);
+    console.log(dryRun
+      ? `${drifted.length} enrollment count(s) out of step; run without --dry-run to fix them`
+      : `✅ ${drifted.length} enrollment count(s) corrected`);
+  }
+};
+
+const run = async () => {
+  const [commandName, ...args] = process.argv.slice(2);
+  const command = commands[commandName];
+
+  if (!command) {
+    console.log(USAGE);
+    process.exit(commandName ? 1 : 0);
+  }
+
+  await connectDB();
+
+  try {
+    await command(parseArgs(args));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -1,5 +1,4 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
@@ -16,32 +15,47 @@ const courseRoutes = require('./routes/courses');
 const newsRoutes = require('./routes/news');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
+const academicSessionRoutes = require('./routes/academicSessions');
+const creditLoadRoutes = require('./routes/creditLoad');
+const calendarRoutes = require('./routes/calendar');
+const gradeRoutes = require('./routes/grades');
+const transcriptRoutes = require('./routes/transcripts');
+const verifyRoutes = require('./routes/verify');
+const programRoutes = require('./routes/programs');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
+const { connectDB } = require('./config/database');
+const { processWaitlists } = require('./services/registrationService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Database connection
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error('❌ Database connection error:', error);
-    process.exit(1);
-  }
+/**
+ * Read TRUST_PROXY as Express's 'trust proxy' setting: a number of proxy hops, true or false,
+ * or a comma-separated list of trusted addresses and subnets
+ * @param {String} value - TRUST_PROXY value
+ * @returns {Number|Boolean|String} Setting value
+ */
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
 };
 
+// Behind a reverse proxy such as Render's, req.ip is the proxy's address unless the proxy is
+// trusted to report the client's; login IP limits, sessions and audits all rely on req.ip
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Lets the frontend name downloaded files (transcripts, slips) as the API does
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
@@ -84,6 +98,13 @@ app.use('/api/courses', courseRoutes);
 app.use('/api/news', newsRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/academic-sessions', academicSessionRoutes);
+app.use('/api/credit-load', creditLoadRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/grades', gradeRoutes);
+app.use('/api/transcripts', transcriptRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/programs', programRoutes);
 
 // Swagger documentation (development only)
 if (process.env.NODE_ENV === 'development') {
@@ -134,9 +155,17 @@ app.use('*', (req, res) => {
 });
 
 // Start server
+// How often lapsed waitlist offers are expired and their seats offered on
+const WAITLIST_PROCESS_MINUTES = parseInt(process.env.WAITLIST_PROCESS_MINUTES, 10) || 15;
+
 const startServer = async () => {
   try {
     await connectDB();
+
+    setInterval(() => {
+      processWaitlists().catch(error => console.error('Waitlist processing error:', error));
+    }, WAITLIST_PROCESS_MINUTES * 60 * 1000).unref();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
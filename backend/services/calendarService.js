@@ -0,0 +1,246 @@
+const AcademicSession = require('../models/AcademicSession');
+const CourseRegistration = require('../models/CourseRegistration');
+
+// Sessions that ended longer ago than this are left out of feeds
+const FEED_HISTORY_DAYS = 30;
+
+const UID_DOMAIN = 'umat-portal';
+
+// Class times are wall-clock times at the university
+const TIMEZONE = 'Africa/Accra';
+
+// JavaScript day numbers (Sunday = 0) for the timetable's day names
+const DAY_NUMBERS = {
+  Monday: 1,
+  Tuesday: 2,
+  Wednesday: 3,
+  Thursday: 4,
+  Friday: 5,
+  Saturday: 6
+};
+
+/**
+ * Calendar feeds for students' timetables and the academic calendar (RFC 5545).
+ *
+ * Class times are written as local times in Africa/Accra, which the feed
+ * defines in a VTIMEZONE. Ghana keeps UTC all year, so dates are read and
+ * built with the UTC methods.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as an iCalendar DATE value
+ * @param {Date} date - Date
+ * @returns {String} YYYYMMDD
+ */
+const formatDate = (date) => {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Format a date as an iCalendar UTC DATE-TIME value
+ * @param {Date} date - Date
+ * @returns {String} YYYYMMDDTHHMMSSZ
+ */
+const formatDateTime = (date) => {
+  return `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+/**
+ * Format a date as an iCalendar local DATE-TIME value, for use with TZID
+ * @param {Date} date - Date whose UTC fields hold the local time
+ * @returns {String} YYYYMMDDTHHMMSS
+ */
+const formatLocalDateTime = (date) => formatDateTime(date).slice(0, -1);
+
+/**
+ * Escape commas, semicolons, backslashes and newlines in a TEXT value
+ * @param {String} text - Text
+ * @returns {String} Escaped text
+ */
+const escapeText = (text = '') => {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line to 75 characters as the format requires
+ * @param {String} line - Content line
+ * @returns {String} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join('\r\n ');
+};
+
+/**
+ * Add days to a date without changing its time
+ * @param {Date} date - Date
+ * @param {Number} days - Days to add
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Build the definition of the feed's time zone; Accra is on GMT all year
+ * @returns {Array} Content lines
+ */
+const timezoneDefinition = () => [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * Build an all-day event, optionally spanning several days
+ * @param {Object} event - { uid, summary, description, start, end }
+ * @returns {Array} Content lines
+ */
+const allDayEvent = ({ uid, summary, description, start, end = start }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}@${UID_DOMAIN}`,
+  `DTSTAMP:${formatDateTime(new Date())}`,
+  `DTSTART;VALUE=DATE:${formatDate(start)}`,
+  `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT'
+];
+
+/**
+ * Build the key dates of an academic session as all-day events
+ * @param {Object} session - AcademicSession document
+ * @returns {Array} Content lines
+ */
+const sessionEvents = (session) => {
+  const label = `${session.academicYear} ${session.semester} Semester`;
+  const dates = [
+    ['registration-opens', 'Course registration opens', session.registrationOpensAt],
+    ['registration-closes', 'Course registration closes', session.registrationClosesAt],
+    ['late-registration-closes', 'Late registration closes', session.lateRegistrationClosesAt],
+    ['add-drop', 'Add/drop deadline', session.addDropDeadline],
+    ['fees-due', 'Fees due', session.feesDueDate]
+  ];
+
+  const lines = dates
+    .filter(([, , date]) => date)
+    .flatMap(([key, summary, date]) => allDayEvent({
+      uid: `${key}-${session._id}`,
+      summary: `${summary} (${label})`,
+      start: date
+    }));
+
+  if (session.examStartDate && session.examEndDate) {
+    lines.push(...allDayEvent({
+      uid: `exams-${session._id}`,
+      summary: `Examinations (${label})`,
+      start: session.examStartDate,
+      end: session.examEndDate
+    }));
+  }
+
+  return lines;
+};
+
+/**
+ * Build weekly recurring events for one timetable slot of a course
+ * @param {Object} course - Course with courseCode and title
+ * @param {Object} slot - Schedule slot
+ * @param {Object} session - AcademicSession document
+ * @returns {Array} Content lines
+ */
+const slotEvents = (course, slot, session) => {
+  // First occurrence of the slot's weekday on or after the semester start
+  const firstDay = new Date(session.startDate);
+  firstDay.setUTCHours(0, 0, 0, 0);
+  while (firstDay.getUTCDay() !== DAY_NUMBERS[slot.day]) {
+    firstDay.setUTCDate(firstDay.getUTCDate() + 1);
+  }
+
+  const [startHours, startMinutes] = slot.startTime.split(':').map(Number);
+  const [endHours, endMinutes] = slot.endTime.split(':').map(Number);
+  const start = new Date(firstDay);
+  start.setUTCHours(startHours, startMinutes);
+  const end = new Date(firstDay);
+  end.setUTCHours(endHours, endMinutes);
+
+  // Classes stop when exams begin
+  const teachingEnds = session.examStartDate || session.endDate;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:slot-${slot._id}-${session._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocalDateTime(start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocalDateTime(end)}`,
+    `RRULE:FREQ=WEEKLY;UNTIL=${formatDateTime(teachingEnds)}`,
+    `SUMMARY:${escapeText(`${course.courseCode} ${slot.type}`)}`,
+    `LOCATION:${escapeText(slot.venue)}`,
+    `DESCRIPTION:${escapeText([course.title, slot.lecturer].filter(Boolean).join('\n'))}`,
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Build a user's calendar feed: the academic calendar, plus the classes of a student's approved courses
+ * @param {Object} user - User document
+ * @returns {String} iCalendar document
+ */
+const buildCalendarFeed = async (user) => {
+  const sessions = await AcademicSession.find({
+    endDate: { $gte: addDays(new Date(), -FEED_HISTORY_DAYS) }
+  }).sort({ startDate: 1 });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//UMaT Student Portal//Calendar Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`UMaT - ${user.firstName} ${user.lastName}`)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...timezoneDefinition()
+  ];
+
+  for (const session of sessions) {
+    lines.push(...sessionEvents(session));
+
+    if (user.role !== 'student') continue;
+
+    const registrations = await CourseRegistration.find({
+      student: user._id,
+      semester: session.semester,
+      academicYear: session.academicYear,
+      status: 'approved'
+    }).populate('course', 'courseCode title schedule');
+
+    for (const { course } of registrations) {
+      if (!course) continue;
+      for (const slot of course.schedule) {
+        lines.push(...slotEvents(course, slot, session));
+      }
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendarFeed
+};
@@ -0,0 +1,357 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { canAccessDepartment } = require('../middleware/roleCheck');
+const { validateCourseCreation } = require('../middleware/courseValidation');
+const { promoteWaitlist } = require('./registrationService');
+const { describeVenueClash } = require('../utils/timetable');
+
+/**
+ * Bulk course catalogue import and export as CSV or XLSX spreadsheets.
+ *
+ * Imports upsert by course code. Every row is checked with the same validators
+ * as the course API before anything is saved, and a file with any failed row is
+ * not imported. Courses are then saved one row at a time, so a save that still
+ * fails leaves the rows before it saved and the rows after it unimported.
+ * Timetable slots are not part of the spreadsheet and are left untouched.
+ */
+
+// Spreadsheet columns, in export order. Lists are separated by semicolons and
+// offerings are written as Program/Level/Quota, with the quota optional.
+const COLUMNS = [
+  { header: 'Course Code', key: 'courseCode', width: 14, required: true },
+  { header: 'Title', key: 'title', width: 40, required: true },
+  { header: 'Credits', key: 'credits', width: 10, required: true },
+  { header: 'Department', key: 'department', width: 32, required: true },
+  { header: 'Program', key: 'program', width: 36, required: true },
+  { header: 'Level', key: 'level', width: 8, required: true },
+  { header: 'Semester', key: 'semester', width: 10, required: true },
+  { header: 'Max Students', key: 'maxStudents', width: 14 },
+  { header: 'Prerequisites', key: 'prerequisites', width: 24 },
+  { header: 'Offerings', key: 'offerings', width: 48 },
+  { header: 'Description', key: 'description', width: 60 }
+];
+
+// Values that empty optional cells set, so a re-imported export round-trips.
+// Offerings are handled separately, through Course#setOfferings.
+const EMPTY_VALUES = {
+  maxStudents: undefined,
+  prerequisites: [],
+  description: ''
+};
+
+const LIST_SEPARATOR = ';';
+const OFFERING_SEPARATOR = '/';
+
+// Largest number of courses a single import will process
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Normalise a header so "Course Code", "course code" and "CourseCode" match
+ * @param {String} header - Header cell text
+ * @returns {String} Comparable header key
+ */
+const headerKey = (header = '') => header.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Split a semicolon-separated cell into its entries
+ * @param {String} value - Cell text
+ * @returns {Array} Trimmed, non-empty entries
+ */
+const splitList = (value) => value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Load the first worksheet of an uploaded catalogue
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} ExcelJS worksheet, or undefined for an empty workbook
+ */
+const loadWorksheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    return workbook.worksheets[0];
+  }
+
+  // Keep every CSV cell as text; the validators do the type checks
+  return workbook.csv.read(Readable.from(buffer), { map: value => value });
+};
+
+/**
+ * Turn a spreadsheet row into a course request body, leaving out empty cells
+ * @param {Object} values - Cell text keyed by column key
+ * @returns {Object} Body in the shape accepted by the course API
+ */
+const toCourseBody = (values) => {
+  const body = {};
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!value) continue;
+
+    if (key === 'prerequisites') {
+      body.prerequisites = splitList(value);
+    } else if (key === 'offerings') {
+      body.offerings = splitList(value).map(entry => {
+        const [program, level, maxStudents] = entry.split(OFFERING_SEPARATOR).map(part => part.trim());
+        return { program, level, maxStudents: maxStudents || undefined };
+      });
+    } else {
+      body[key] = value;
+    }
+  }
+
+  return body;
+};
+
+/**
+ * Read the course rows of an uploaded catalogue
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} { rows, columns, message } where rows holds { row, body } for each
+ * non-blank row, columns holds the keys of the columns in the file and message explains why the
+ * file cannot be imported, if it cannot
+ */
+const readCatalogFile = async (buffer, format) => {
+  let worksheet;
+  try {
+    worksheet = await loadWorksheet(buffer, format);
+  } catch (error) {
+    return { rows: [], columns: [], message: `The file could not be read as ${format.toUpperCase()}` };
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { rows: [], columns: [], message: 'The file is empty' };
+  }
+
+  // Map each known column to its position in the header row
+  const columnIndexes = {};
+  worksheet.getRow(1).eachCell((cell, index) => {
+    const column = COLUMNS.find(({ header }) => headerKey(header) === headerKey(cell.text));
+    if (column) columnIndexes[column.key] = index;
+  });
+
+  const columns = Object.keys(columnIndexes);
+
+  const missing = COLUMNS.filter(column => column.required && !columnIndexes[column.key]);
+  if (missing.length > 0) {
+    return { rows: [], columns, message: `Missing columns: ${missing.map(column => column.header).join(', ')}` };
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    for (const [key, index] of Object.entries(columnIndexes)) {
+      values[key] = row.getCell(index).text.trim();
+    }
+
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ row: rowNumber, body: toCourseBody(values) });
+    }
+  });
+
+  if (rows.length === 0) {
+    return { rows, columns, message: 'The file has no course rows' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { rows: [], columns, message: `A single import cannot exceed ${MAX_IMPORT_ROWS} courses` };
+  }
+
+  return { rows, columns, message: null };
+};
+
+/**
+ * Check a row body with the course creation validators, sanitising it in place
+ * @param {Object} body - Row body from toCourseBody
+ * @returns {Promise<Array>} Validation messages, empty if the row is valid
+ */
+const validateRowBody = async (body) => {
+  const req = { body };
+  for (const chain of validateCourseCreation) {
+    await chain.run(req);
+  }
+
+  return [...new Set(validationResult(req).array().map(error => error.msg))];
+};
+
+/**
+ * Check every row of a catalogue import and prepare the course documents to save
+ * @param {Array} rows - Rows from readCatalogFile
+ * @param {Array} columns - Keys of the columns in the file, from readCatalogFile
+ * @param {Object} user - Importing user, for department scope
+ * @returns {Promise<Object>} { report, changes } where report holds the created, updated, unchanged
+ * and failed counts and { row, courseCode, action, errors } per row, and changes holds
+ * { row, courseCode, course, previousCapacity } for each course to save
+ */
+const planCatalogImport = async (rows, columns, user) => {
+  const codes = rows
+    .map(({ body }) => body.courseCode && body.courseCode.trim().toUpperCase())
+    .filter(Boolean);
+  const existingCourses = await Course.find({ courseCode: { $in: codes } });
+  const existingByCode = new Map(existingCourses.map(course => [course.courseCode, course]));
+
+  const firstRowByCode = new Map();
+  const report = { created: 0, updated: 0, unchanged: 0, failed: 0, rows: [] };
+  const changes = [];
+
+  for (const { row, body } of rows) {
+    const errors = await validateRowBody(body);
+    const courseCode = body.courseCode ? body.courseCode.toUpperCase() : '';
+    const existing = existingByCode.get(courseCode);
+
+    if (courseCode && firstRowByCode.has(courseCode)) {
+      errors.push(`Course code is already used on row ${firstRowByCode.get(courseCode)}`);
+    } else if (courseCode) {
+      firstRowByCode.set(courseCode, row);
+    }
+
+    if ((body.department && !canAccessDepartment(user, body.department)) ||
+        (existing && !canAccessDepartment(user, existing.department))) {
+      errors.push('You can only manage courses in your department');
+    }
+
+    let course = null;
+    let previousCapacity;
+    if (errors.length === 0) {
+      const { offerings = [], ...fields } = body;
+
+      // Empty optional cells clear the field; fields without a column in the file are left as they are
+      const values = { ...fields };
+      for (const [key, emptyValue] of Object.entries(EMPTY_VALUES)) {
+        if (columns.includes(key) && !(key in fields)) {
+          values[key] = emptyValue;
+        }
+      }
+
+      if (existing) {
+        course = existing;
+        previousCapacity = course.maxStudents;
+        course.set(values);
+      } else {
+        course = new Course(values);
+      }
+      if (columns.includes('offerings')) {
+        course.setOfferings(offerings);
+      }
+
+      try {
+        await course.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push(...Object.values(error.errors).map(err => err.message));
+      }
+    }
+
+    if (errors.length === 0) {
+      const venueClashes = await Course.findVenueClashes(course);
+      if (venueClashes.length > 0) {
+        errors.push(describeVenueClash(venueClashes[0]));
+      }
+    }
+
+    let action;
+    if (errors.length > 0) {
+      action = 'failed';
+    } else if (!existing) {
+      action = 'created';
+    } else if (course.isModified()) {
+      action = 'updated';
+    } else {
+      action = 'unchanged';
+    }
+
+    report[action] += 1;
+    report.rows.push({ row, courseCode, action, errors });
+
+    if (action === 'created' || action === 'updated') {
+      changes.push({ row, courseCode, course, previousCapacity });
+    }
+  }
+
+  return { report, changes };
+};
+
+/**
+ * Save the courses prepared by planCatalogImport in row order, stopping at the first that fails
+ * @param {Array} changes - { row, courseCode, course, previousCapacity } entries
+ * @returns {Promise<Object>} { saved, failed } with the numbers of the rows saved, and
+ * { row, courseCode, message } for the row that could not be saved or null
+ */
+const applyCatalogImport = async (changes) => {
+  const saved = [];
+
+  for (const { row, courseCode, course, previousCapacity } of changes) {
+    try {
+      await course.save();
+    } catch (error) {
+      // Rows were checked when planned, so this is a course created or changed since
+      let message;
+      if (error.name === 'ValidationError') {
+        message = Object.values(error.errors).map(err => err.message).join(', ');
+      } else if (error.code === 11000) {
+        message = 'Course code already exists';
+      } else {
+        console.error('Error saving imported course:', error);
+        message = 'Error saving course';
+      }
+      return { saved, failed: { row, courseCode, message } };
+    }
+    saved.push(row);
+
+    // Extra capacity goes to the waitlist first
+    if (previousCapacity && (!course.maxStudents || course.maxStudents > previousCapacity)) {
+      await promoteWaitlist(course._id);
+    }
+  }
+
+  return { saved, failed: null };
+};
+
+/**
+ * Build a catalogue spreadsheet in the same layout the import reads
+ * @param {Array} courses - Course documents
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>} File contents
+ */
+const buildCatalogFile = async (courses, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Courses');
+  worksheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+
+  for (const course of courses) {
+    worksheet.addRow({
+      courseCode: course.courseCode,
+      title: course.title,
+      credits: course.credits,
+      department: course.department,
+      program: course.program,
+      level: course.level,
+      semester: course.semester,
+      maxStudents: course.maxStudents,
+      prerequisites: course.prerequisites.join(`${LIST_SEPARATOR} `),
+      offerings: course.offerings
+        .map(({ program, level, maxStudents }) =>
+          [program, level, maxStudents].filter(part => part != null).join(OFFERING_SEPARATOR))
+        .join(`${LIST_SEPARATOR} `),
+      description: course.description
+    });
+  }
+
+  if (format === 'xlsx') {
+    worksheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  return Buffer.from(await workbook.csv.writeBuffer());
+};
+
+module.exports = {
+  COLUMNS,
+  readCatalogFile,
+  planCatalogImport,
+  applyCatalogImport,
+  buildCatalogFile
+};
@@ -0,0 +1,188 @@
+const Program = require('../models/Program');
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const { checkRegistrationEligibility, getAvailableSeats } = require('./registrationService');
+
+/**
+ * Program curricula: registering students for their core courses and
+ * auditing their progress towards the degree.
+ */
+
+// Most to least advanced, so a course's status reflects the student's best attempt
+const COURSE_STATUSES = ['passed', 'in_progress', 'pending_approval', 'failed', 'not_taken'];
+
+const SEMESTER_ORDER = { First: 1, Second: 2 };
+
+/**
+ * Register a student for the core courses of their program for the current semester
+ * @param {Object} student - Student user document
+ * @param {Object} session - Current AcademicSession document
+ * @param {Object} options - { isLateRegistration }
+ * @returns {Object} { program, added, skipped } where added holds the new registrations and
+ * skipped holds { courseCode, reason } for each core course that was not registered
+ */
+const addCoreCourseRegistrations = async (student, session, { isLateRegistration = false } = {}) => {
+  const program = await Program.findForStudent(student);
+  const term = program && program.getTerm(student.level, session.semester);
+  if (!term) {
+    return { program, added: [], skipped: [] };
+  }
+
+  const [courses, registrations] = await Promise.all([
+    Course.find({ courseCode: { $in: term.coreCourses } }),
+    CourseRegistration.find({ student: student._id, status: { $in: ['pending', 'approved'] } })
+      .populate('course', 'courseCode')
+  ]);
+
+  const taken = new Set(registrations
+    .filter(registration => registration.course && (
+      registration.result === 'passed'
+      || (registration.semester === session.semester && registration.academicYear === session.academicYear)
+    ))
+    .map(registration => registration.course.courseCode));
+
+  const added = [];
+  const skipped = [];
+
+  // One at a time, so each new registration counts towards the credit limit of the next
+  for (const courseCode of term.coreCourses) {
+    if (taken.has(courseCode)) continue;
+
+    const course = courses.find(c => c.courseCode === courseCode);
+    if (!course) {
+      skipped.push({ courseCode, reason: 'Course not found' });
+      continue;
+    }
+
+    const ineligible = await checkRegistrationEligibility(student, course, session);
+    if (ineligible) {
+      skipped.push({ courseCode, reason: ineligible.message });
+      continue;
+    }
+
+    if (getAvailableSeats(course) <= 0) {
+      skipped.push({ courseCode, reason: 'Course is full' });
+      continue;
+    }
+
+    try {
+      const registration = await CourseRegistration.register({
+        student: student._id,
+        course: course._id,
+        semester: session.semester,
+        academicYear: session.academicYear,
+        session: session._id,
+        isLateRegistration
+      });
+      added.push(registration);
+    } catch (error) {
+      // The student registered for the course meanwhile
+      if (!error.message.includes('already registered')) throw error;
+      skipped.push({ courseCode, reason: error.message });
+    }
+  }
+
+  return { program, added, skipped };
+};
+
+/**
+ * Audit a student's progress against their program's curriculum
+ * @param {Object} student - Student user document
+ * @returns {Object|null} Per-term core and elective status, credits and the requirements still
+ * outstanding, or null when the student's program has no curriculum
+ */
+const getDegreeAudit = async (student) => {
+  const program = await Program.findForStudent(student);
+  if (!program) return null;
+
+  const [courses, registrations] = await Promise.all([
+    Course.find({ courseCode: { $in: program.getCourseCodes() } }).select('courseCode title credits'),
+    CourseRegistration.find({ student: student._id, status: { $in: ['pending', 'approved'] } })
+      .populate('course', 'courseCode credits')
+  ]);
+
+  // Best status per course code across all of the student's attempts
+  const statuses = new Map();
+  let creditsEarned = 0;
+  registrations.filter(registration => registration.course).forEach(registration => {
+    let status = 'pending_approval';
+    if (registration.result === 'passed') {
+      status = 'passed';
+      creditsEarned += registration.course.credits;
+    } else if (registration.result === 'failed') {
+      status = 'failed';
+    } else if (registration.status === 'approved') {
+      status = 'in_progress';
+    }
+
+    const current = statuses.get(registration.course.courseCode);
+    if (!current || COURSE_STATUSES.indexOf(status) < COURSE_STATUSES.indexOf(current)) {
+      statuses.set(registration.course.courseCode, status);
+    }
+  });
+
+  const describe = (courseCode) => {
+    const course = courses.find(c => c.courseCode === courseCode);
+    return {
+      courseCode,
+      title: course ? course.title : null,
+      credits: course ? course.credits : null,
+      status: statuses.get(courseCode) || 'not_taken'
+    };
+  };
+
+  const terms = [...program.curriculum]
+    .sort((a, b) => a.level - b.level || SEMESTER_ORDER[a.semester] - SEMESTER_ORDER[b.semester])
+    .map(term => ({
+      level: term.level,
+      semester: term.semester,
+      coreCourses: term.coreCourses.map(describe),
+      electiveGroups: term.electiveGroups.map(group => {
+        const groupCourses = group.courses.map(describe);
+        const passed = groupCourses.filter(course => course.status === 'passed').length;
+        return {
+          name: group.name,
+          minCourses: group.minCourses,
+          passed,
+          isSatisfied: passed >= group.minCourses,
+          courses: groupCourses
+        };
+      })
+    }));
+
+  const remainingCore = terms.flatMap(term => term.coreCourses
+    .filter(course => course.status !== 'passed')
+    .map(course => ({ ...course, level: term.level, semester: term.semester })));
+  const remainingElectives = terms.flatMap(term => term.electiveGroups
+    .filter(group => !group.isSatisfied)
+    .map(group => ({
+      name: group.name,
+      level: term.level,
+      semester: term.semester,
+      coursesRemaining: group.minCourses - group.passed
+    })));
+  const creditsRemaining = program.requiredCredits
+    ? Math.max(0, program.requiredCredits - creditsEarned)
+    : 0;
+
+  return {
+    program: {
+      name: program.name,
+      department: program.department,
+      requiredCredits: program.requiredCredits
+    },
+    terms,
+    creditsEarned,
+    creditsRemaining,
+    remaining: {
+      coreCourses: remainingCore,
+      electiveGroups: remainingElectives
+    },
+    isComplete: remainingCore.length === 0 && remainingElectives.length === 0 && creditsRemaining === 0
+  };
+};
+
+module.exports = {
+  addCoreCourseRegistrations,
+  getDegreeAudit
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Email service with a pluggable transport.
+ *
+ * MAIL_TRANSPORT selects how messages are delivered:
+ *   - smtp:    send through the SMTP_* settings (default in production)
+ *   - file:    write each message as an .eml file to MAIL_OUTPUT_DIR
+ *   - console: print each message to stdout (default in development)
+ */
+
+const getTransportType = () => {
+  return process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (getTransportType() === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+  } else {
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Message subject
+ * @param {String} options.text - Plain text body
+ * @param {String} [options.html] - HTML body
+ * @returns {Object} Transport info
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'UMaT Student Portal <no-reply@umat.edu.gh>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  const transportType = getTransportType();
+
+  if (transportType === 'file') {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || './tmp/mail';
+    fs.mkdirSync(outputDir, { recursive: true });
+    const fileName = `${Date.now()}-${to.replace(/[^a-z0-9]/gi, '_')}.eml`;
+    fs.writeFileSync(path.join(outputDir, fileName), info.message);
+  } else if (transportType === 'console') {
+    console.log(`📧 Email to ${to}\n${info.message.toString()}`);
+  }
+
+  return info;
+};
+
+/**
+ * Build an absolute link into the frontend application
+ * @param {String} pathname - Path within the frontend
+ * @returns {String} Absolute URL
+ */
+const frontendLink = (pathname) => {
+  const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${pathname}`;
+};
+
+/**
+ * Send the email verification link to a newly registered student
+ * @param {Object} user - User document
+ * @param {String} token - Plain verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = frontendLink(`/verify-email/${token}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your UMaT Student Portal email',
+    text: `Hello ${user.firstName},\n\n` +
+      `Please verify your email address by opening the link below:\n\n${link}\n\n` +
+      'This link expires in 24 hours. If you did not create an account, you can ignore this email.',
+    html: `<p>Hello ${user.firstName},</p>` +
+      `<p>Please verify your email address by clicking the link below:</p>` +
+      `<p><a href="${link}">Verify my email</a></p>` +
+      '<p>This link expires in 24 hours. If you did not create an account, you can ignore this email.</p>'
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ * @param {String} token - Plain password reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = frontendLink(`/reset-password/${token}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your UMaT Student Portal password',
+    text: `Hello ${user.firstName},\n\n` +
+      `We received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\n` +
+      'This link expires in 1 hour. If you did not request a password reset, you can ignore this email.',
+    html: `<p>Hello ${user.firstName},</p>` +
+      '<p>We received a request to reset your password. Click the link below to choose a new one:</p>' +
+      `<p><a href="${link}">Reset my password</a></p>` +
+      '<p>This link expires in 1 hour. If you did not request a password reset, you can ignore this email.</p>'
+  });
+};
+
+/**
+ * Send a staff invitation with a one-time account setup link
+ * @param {Object} invitation - Invitation document
+ * @param {String} token - Plain invitation token
+ * @param {Object} invitedBy - Admin who sent the invitation
+ */
+const sendStaffInvitationEmail = (invitation, token, invitedBy) => {
+  const link = frontendLink(`/invite/${token}`);
+
+  return sendEmail({
+    to: invitation.email,
+    subject: 'You have been invited to the UMaT Student Portal',
+    text: `Hello ${invitation.firstName},\n\n` +
+      `${invitedBy.fullName} has invited you to join the UMaT Student Portal as staff. ` +
+      `Open the link below to set up your account:\n\n${link}\n\n` +
+      'This link can only be used once and expires in 7 days.',
+    html: `<p>Hello ${invitation.firstName},</p>` +
+      `<p>${invitedBy.fullName} has invited you to join the UMaT Student Portal as staff.</p>` +
+      `<p><a href="${link}">Set up my account</a></p>` +
+      '<p>This link can only be used once and expires in 7 days.</p>'
+  });
+};
+
+/**
+ * Tell a waitlisted student a seat has opened and how long they have to confirm it
+ * @param {Object} user - Student user document
+ * @param {Object} course - Course document
+ * @param {Object} entry - WaitlistEntry document holding the offer
+ */
+const sendWaitlistOfferEmail = (user, course, entry) => {
+  const link = frontendLink('/student/courses');
+  const deadline = entry.offerExpiresAt.toUTCString();
+
+  return sendEmail({
+    to: user.email,
+    subject: `A seat is available in ${course.courseCode}`,
+    text: `Hello ${user.firstName},\n\n` +
+      `A seat has opened in ${course.courseCode} - ${course.title} and it is being held for you. ` +
+      `Confirm it from your course registration page before ${deadline}:\n\n${link}\n\n` +
+      'If you do not confirm in time, the seat will be offered to the next student on the waitlist.',
+    html: `<p>Hello ${user.firstName},</p>` +
+      `<p>A seat has opened in <strong>${course.courseCode} - ${course.title}</strong> and it is being held for you.</p>` +
+      `<p><a href="${link}">Confirm my seat</a> before ${deadline}.</p>` +
+      '<p>If you do not confirm in time, the seat will be offered to the next student on the waitlist.</p>'
+  });
+};
+
+module.exports = {
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendStaffInvitationEmail,
+  sendWaitlistOfferEmail
+};
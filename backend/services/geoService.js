@@ -0,0 +1,47 @@
+const axios = require('axios');
+
+/**
+ * Approximate IP geolocation used to label signed-in sessions.
+ *
+ * Lookups send the client's IP address to a third party, so they are off
+ * unless GEOIP_LOOKUP_URL is set. The URL is called with `{ip}` replaced by the
+ * address, or with the address appended when it has no placeholder, and may
+ * return city/region/country (ipwho.is), city/region/country_name (ipapi.co)
+ * or city/regionName/country (ip-api.com). Use an HTTPS provider such as
+ * `https://ipwho.is/` or `https://ipapi.co/{ip}/json/`.
+ */
+
+const PRIVATE_IP_PATTERN = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|::1$|fc|fd|fe80:)/i;
+
+/**
+ * Resolve an approximate, human readable location for an IP address
+ * @param {String} ipAddress - IPv4 or IPv6 address
+ * @returns {String|null} Location such as "Tarkwa, Western, Ghana"
+ */
+const lookupLocation = async (ipAddress) => {
+  if (!ipAddress) return null;
+
+  const ip = ipAddress.replace(/^::ffff:/, '');
+  if (PRIVATE_IP_PATTERN.test(ip)) return 'Local network';
+
+  const lookupUrl = process.env.GEOIP_LOOKUP_URL;
+  if (!lookupUrl) return null;
+
+  const url = lookupUrl.includes('{ip}')
+    ? lookupUrl.replace('{ip}', encodeURIComponent(ip))
+    : `${lookupUrl}${encodeURIComponent(ip)}`;
+
+  try {
+    const response = await axios.get(url, { timeout: 3000 });
+    const { city, regionName, region, country, country_name: countryName } = response.data || {};
+    const parts = [city, regionName || region, countryName || country].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+  } catch (error) {
+    console.error('IP geolocation error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  lookupLocation
+};
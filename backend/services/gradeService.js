@@ -0,0 +1,211 @@
+const Grade = require('../models/Grade');
+const GradingScale = require('../models/GradingScale');
+const CourseRegistration = require('../models/CourseRegistration');
+const User = require('../models/User');
+
+/**
+ * Grade release and GPA/CGPA calculation.
+ *
+ * Only released grades of approved registrations count: students never see,
+ * and GPAs never include, scores that are still being entered or moderated,
+ * or that belong to a course the student has since dropped.
+ */
+
+const SEMESTER_ORDER = { First: 1, Second: 2 };
+
+// Degree classes by final CGPA, highest first
+const CLASSIFICATIONS = [
+  { minCgpa: 3.6, label: 'First Class' },
+  { minCgpa: 3.0, label: 'Second Class (Upper Division)' },
+  { minCgpa: 2.5, label: 'Second Class (Lower Division)' },
+  { minCgpa: 2.0, label: 'Third Class' },
+  { minCgpa: 1.5, label: 'Pass' }
+];
+
+/**
+ * Round a grade point average to two decimal places
+ * @param {Number} value - Average
+ * @returns {Number} Rounded average
+ */
+const roundGpa = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out the credit-weighted grade point average of some grades
+ * @param {Array} grades - Entries with credits and gradePoint
+ * @returns {Number|null} GPA, or null when there are no credits to average
+ */
+const calculateGpa = (grades) => {
+  const credits = grades.reduce((sum, grade) => sum + grade.credits, 0);
+  if (credits === 0) return null;
+
+  const points = grades.reduce((sum, grade) => sum + grade.credits * grade.gradePoint, 0);
+  return roundGpa(points / credits);
+};
+
+/**
+ * Work out the class of degree a CGPA corresponds to
+ * @param {Number|null} cgpa - Cumulative grade point average
+ * @returns {String|null} Classification, or null without a CGPA
+ */
+const classifyCgpa = (cgpa) => {
+  if (cgpa === null || cgpa === undefined) return null;
+  const classification = CLASSIFICATIONS.find(entry => cgpa >= entry.minCgpa);
+  return classification ? classification.label : 'Fail';
+};
+
+/**
+ * Build a student's academic record from their released grades
+ * @param {String} studentId - Student user ID
+ * @returns {Object} { semesters, cgpa, classification, creditsAttempted, creditsEarned }; each semester has its courses, GPA and the CGPA to date
+ */
+const getAcademicRecord = async (studentId) => {
+  const grades = await Grade.find({ student: studentId, isReleased: true })
+    .populate('course', 'courseCode title credits')
+    .populate('registration', 'status');
+
+  const semesters = new Map();
+  const counted = grades.filter(grade => grade.course && grade.registration && grade.registration.status === 'approved');
+  counted.forEach(grade => {
+    const key = `${grade.academicYear}-${grade.semester}`;
+    if (!semesters.has(key)) {
+      semesters.set(key, { academicYear: grade.academicYear, semester: grade.semester, courses: [] });
+    }
+    semesters.get(key).courses.push({
+      courseCode: grade.course.courseCode,
+      title: grade.course.title,
+      credits: grade.course.credits,
+      continuousAssessment: grade.continuousAssessment,
+      examScore: grade.examScore,
+      totalScore: grade.totalScore,
+      letterGrade: grade.letterGrade,
+      gradePoint: grade.gradePoint,
+      isPassing: grade.isPassing
+    });
+  });
+
+  const ordered = [...semesters.values()].sort((a, b) =>
+    a.academicYear.localeCompare(b.academicYear) ||
+    SEMESTER_ORDER[a.semester] - SEMESTER_ORDER[b.semester]
+  );
+
+  // Every attempt counts towards the CGPA, including failed courses that were retaken
+  const cumulative = [];
+  const record = ordered.map(semester => {
+    semester.courses.sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+    cumulative.push(...semester.courses);
+
+    return {
+      ...semester,
+      creditsAttempted: semester.courses.reduce((sum, course) => sum + course.credits, 0),
+      creditsEarned: semester.courses.filter(course => course.isPassing).reduce((sum, course) => sum + course.credits, 0),
+      gpa: calculateGpa(semester.courses),
+      cgpa: calculateGpa(cumulative)
+    };
+  });
+
+  const cgpa = calculateGpa(cumulative);
+
+  return {
+    semesters: record,
+    cgpa,
+    classification: classifyCgpa(cgpa),
+    creditsAttempted: record.reduce((sum, semester) => sum + semester.creditsAttempted, 0),
+    creditsEarned: record.reduce((sum, semester) => sum + semester.creditsEarned, 0)
+  };
+};
+
+/**
+ * Recalculate a student's CGPA and store it on their account
+ * @param {String} studentId - Student user ID
+ * @returns {Number|null} New CGPA
+ */
+const refreshCgpa = async (studentId) => {
+  const { cgpa } = await getAcademicRecord(studentId);
+  await User.findByIdAndUpdate(studentId, { cgpa });
+  return cgpa;
+};
+
+/**
+ * Match a course's approved registrations for a semester to their grades
+ * @param {Object} course - Course document
+ * @param {String} semester - Semester
+ * @param {String} academicYear - Academic year
+ * @returns {Object} { graded, ungraded }: grades of approved registrations, and approved registrations without one
+ */
+const matchCourseGrades = async (course, semester, academicYear) => {
+  const registrations = await CourseRegistration.find({ course: course._id, semester, academicYear, status: 'approved' });
+  const grades = await Grade.find({ registration: { $in: registrations.map(registration => registration._id) } });
+
+  const gradedIds = new Set(grades.map(grade => grade.registration.toString()));
+  return {
+    graded: grades,
+    ungraded: registrations.filter(registration => !gradedIds.has(registration._id.toString()))
+  };
+};
+
+/**
+ * Release a course's grades for a semester, recording each registration's result and updating CGPAs.
+ * Grades of registrations that were dropped or rejected after grading are left unreleased.
+ * @param {Object} course - Course document
+ * @param {String} semester - Semester
+ * @param {String} academicYear - Academic year
+ * @param {String} userId - Staff member releasing the grades
+ * @returns {Number} Number of grades released
+ */
+const releaseCourseGrades = async (course, semester, academicYear, userId) => {
+  const [scale, { graded }] = await Promise.all([
+    GradingScale.getActive(),
+    matchCourseGrades(course, semester, academicYear)
+  ]);
+  const grades = graded.filter(grade => !grade.isReleased);
+
+  // Letter grades are fixed at release, so scale changes made before then still apply
+  for (const grade of grades) {
+    grade.applyScale(scale);
+    grade.isReleased = true;
+    grade.releasedAt = new Date();
+    grade.releasedBy = userId;
+    await grade.save();
+
+    await CourseRegistration.findByIdAndUpdate(grade.registration, {
+      result: grade.isPassing ? 'passed' : 'failed'
+    });
+    await refreshCgpa(grade.student);
+  }
+
+  return grades.length;
+};
+
+/**
+ * Withdraw a course's released grades for a semester so they can be corrected
+ * @param {Object} course - Course document
+ * @param {String} semester - Semester
+ * @param {String} academicYear - Academic year
+ * @returns {Number} Number of grades withheld
+ */
+const withholdCourseGrades = async (course, semester, academicYear) => {
+  const grades = await Grade.find({ course: course._id, semester, academicYear, isReleased: true });
+
+  for (const grade of grades) {
+    grade.isReleased = false;
+    grade.releasedAt = null;
+    grade.releasedBy = null;
+    await grade.save();
+
+    // Marked rather than cleared, so the course is not mistaken for one still awaiting a grade
+    await CourseRegistration.findByIdAndUpdate(grade.registration, { result: 'withheld' });
+    await refreshCgpa(grade.student);
+  }
+
+  return grades.length;
+};
+
+module.exports = {
+  calculateGpa,
+  classifyCgpa,
+  getAcademicRecord,
+  refreshCgpa,
+  matchCourseGrades,
+  releaseCourseGrades,
+  withholdCourseGrades
+};
@@ -0,0 +1,268 @@
+const CourseRegistration = require('../models/CourseRegistration');
+const CreditLoadPolicy = require('../models/CreditLoadPolicy');
+const CreditOverload = require('../models/CreditOverload');
+const Course = require('../models/Course');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AcademicSession = require('../models/AcademicSession');
+const { sendWaitlistOfferEmail } = require('./emailService');
+const { findClashes } = require('../utils/timetable');
+
+// How long a waitlisted student has to confirm an offered seat
+const WAITLIST_OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 48;
+
+/**
+ * Registration rules shared by the student and staff registration flows.
+ */
+
+/**
+ * Work out a student's credit load and limits for an academic session
+ * @param {Object} student - Student user document
+ * @param {Object} session - AcademicSession document
+ * @returns {Object} Current credits, policy limits and any approved overload
+ */
+const getCreditLoadSummary = async (student, session) => {
+  const [limits, currentCredits, overload] = await Promise.all([
+    CreditLoadPolicy.resolve({
+      program: student.program,
+      level: student.level,
+      semester: session.semester
+    }),
+    CourseRegistration.getCreditLoad(student._id, session.semester, session.academicYear),
+    CreditOverload.getApproved(student._id, session._id)
+  ]);
+
+  const allowedCredits = overload
+    ? Math.min(overload.requestedCredits, limits.overloadMaxCredits)
+    : limits.maxCredits;
+
+  return {
+    currentCredits,
+    minCredits: limits.minCredits,
+    maxCredits: limits.maxCredits,
+    allowedCredits,
+    overloadMaxCredits: limits.overloadMaxCredits,
+    overloadMinCgpa: limits.overloadMinCgpa,
+    overloadApproved: !!overload,
+    belowMinimum: currentCredits < limits.minCredits
+  };
+};
+
+/**
+ * Find where a course's timetable clashes with the courses a student already holds this session
+ * @param {Object} student - Student user document
+ * @param {Object} course - Course document
+ * @param {Object} session - AcademicSession document
+ * @returns {Array} Clashes from the timetable utility
+ */
+const findTimetableClashes = async (student, course, session) => {
+  if (!course.schedule || course.schedule.length === 0) return [];
+
+  const registrations = await CourseRegistration.find({
+    student: student._id,
+    course: { $ne: course._id },
+    semester: session.semester,
+    academicYear: session.academicYear,
+    status: { $in: ['pending', 'approved'] }
+  }).populate('course', 'courseCode title schedule');
+
+  return findClashes(course, registrations.map(registration => registration.course).filter(Boolean));
+};
+
+/**
+ * Check whether a student may take a course this session, ignoring seat availability
+ * @param {Object} student - Student user document
+ * @param {Object} course - Course document
+ * @param {Object} session - AcademicSession document
+ * @param {Object} options - { waivePrerequisites } to skip the prerequisite check for staff overrides
+ * @returns {Object|null} { message, data } describing the first blocker, or null if eligible
+ */
+const checkRegistrationEligibility = async (student, course, session, { waivePrerequisites = false } = {}) => {
+  if (!course.isActive) {
+    return { message: 'Course is not active' };
+  }
+
+  if (course.semester !== session.semester) {
+    return { message: `Course is not offered in the ${session.semester} semester` };
+  }
+
+  // A course is for its home program and level, and the programs it is offered to at their level.
+  // Students retaking a course they failed are not held to their old level.
+  const offering = course.getOffering(student.program);
+  const isAudience = offering
+    ? offering.level === student.level
+    : course.program === student.program && course.level === student.level;
+  if (!isAudience && !await CourseRegistration.exists({
+    student: student._id,
+    course: course._id,
+    status: 'approved',
+    result: 'failed'
+  })) {
+    return { message: `${course.courseCode} is not offered to level ${student.level} ${student.program} students` };
+  }
+
+  // Courses shared with other programs may set aside a limited number of seats for each
+  if (offering && offering.maxStudents && offering.currentEnrollment >= offering.maxStudents) {
+    return {
+      message: `All ${offering.maxStudents} seats in ${course.courseCode} for ${student.program} students are taken`
+    };
+  }
+
+  if (!waivePrerequisites) {
+    const unmetPrerequisites = await CourseRegistration.getUnmetPrerequisites(student._id, course);
+    if (unmetPrerequisites.length > 0) {
+      return { message: 'Prerequisites not met', data: { unmetPrerequisites } };
+    }
+  }
+
+  const clashes = await findTimetableClashes(student, course, session);
+  if (clashes.length > 0) {
+    const [{ slot, courseCode }] = clashes;
+    return {
+      message: `${course.courseCode} clashes with ${courseCode} on ${slot.day} between ${slot.startTime} and ${slot.endTime}`,
+      data: { clashes }
+    };
+  }
+
+  const creditLoad = await getCreditLoadSummary(student, session);
+  if (creditLoad.currentCredits + course.credits > creditLoad.allowedCredits) {
+    return {
+      message: `Registering for ${course.courseCode} would take you to ${creditLoad.currentCredits + course.credits} credits, above your limit of ${creditLoad.allowedCredits}`,
+      data: { creditLoad }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Count the seats a new registration could take, leaving out seats held for waitlist offers
+ * @param {Object} course - Course document
+ * @returns {Number} Seats available
+ */
+const getAvailableSeats = (course) => course.maxStudents - course.currentEnrollment - (course.heldSeats || 0);
+
+/**
+ * Offer free seats in a course to the students at the front of its waitlist for the current
+ * session, holding a seat on the course for each offer
+ * @param {String} courseId - Course ID
+ * @returns {Array} Waitlist entries that were offered a seat
+ */
+const promoteWaitlist = async (courseId) => {
+  const [course, session] = await Promise.all([
+    Course.findById(courseId),
+    AcademicSession.getCurrent()
+  ]);
+  if (!course || !session) return [];
+
+  const offered = [];
+
+  while (true) {
+    const entry = await WaitlistEntry.getNextWaiting(course._id, session.semester, session.academicYear);
+    if (!entry) break;
+
+    // Holding the seat is atomic, so an approval made meanwhile cannot take it as well
+    if (!await Course.holdSeat(course._id)) break;
+
+    if (!await entry.offer(WAITLIST_OFFER_HOURS)) {
+      // The student left the queue meanwhile; the seat goes to the next one
+      await Course.releaseHeldSeat(course._id);
+      continue;
+    }
+    offered.push(entry);
+
+    try {
+      await sendWaitlistOfferEmail(entry.student, course, entry);
+    } catch (emailError) {
+      console.error('Waitlist offer email error:', emailError);
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Expire lapsed waitlist offers and pass their seats on to the next students
+ * @param {Object} options - { studentId } to only expire that student's offers
+ * @returns {Number} Number of new offers made
+ */
+const processWaitlists = async ({ studentId } = {}) => {
+  const courseIds = await WaitlistEntry.expireLapsedOffers(studentId ? { student: studentId } : {});
+  let offers = 0;
+
+  for (const courseId of courseIds) {
+    offers += (await promoteWaitlist(courseId)).length;
+  }
+
+  return offers;
+};
+
+/**
+ * Recompute each course's currentEnrollment, and each program's count in courses offered to
+ * other programs, from the approved registrations, and each course's heldSeats from the
+ * outstanding waitlist offers
+ * @param {Object} options - { dryRun } to report drift without fixing it
+ * @returns {Array} Counts that were wrong: { courseCode, counter, program, stored, actual }, where
+ * counter is 'currentEnrollment' or 'heldSeats' and program is empty for course-wide counts
+ */
+const reconcileEnrollment = async ({ dryRun = false } = {}) => {
+  const approvedCounts = await CourseRegistration.aggregate([
+    { $match: { status: 'approved' } },
+    { $lookup: { from: 'users', localField: 'student', foreignField: '_id', as: 'student' } },
+    { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
+    { $group: { _id: { course: '$course', program: '$student.program' }, count: { $sum: 1 } } }
+  ]);
+
+  // Keyed by course ID for the overall count, and by course ID and program for each program's count
+  const actualCounts = new Map();
+  approvedCounts.forEach(({ _id, count }) => {
+    [_id.course.toString(), `${_id.course}:${_id.program}`].forEach(key => {
+      actualCounts.set(key, (actualCounts.get(key) || 0) + count);
+    });
+  });
+  const countFor = (courseId, program) =>
+    actualCounts.get(program ? `${courseId}:${program}` : courseId.toString()) || 0;
+
+  const heldCounts = await WaitlistEntry.countHeldSeats();
+
+  const courses = await Course.find().select('courseCode currentEnrollment heldSeats offerings');
+  const drifted = [];
+
+  for (const course of courses) {
+    const update = {};
+
+    const actual = countFor(course._id);
+    if (course.currentEnrollment !== actual) {
+      drifted.push({ courseCode: course.courseCode, counter: 'currentEnrollment', program: '', stored: course.currentEnrollment, actual });
+      update.currentEnrollment = actual;
+    }
+
+    const heldActual = heldCounts.get(course._id.toString()) || 0;
+    if ((course.heldSeats || 0) !== heldActual) {
+      drifted.push({ courseCode: course.courseCode, counter: 'heldSeats', program: '', stored: course.heldSeats || 0, actual: heldActual });
+      update.heldSeats = heldActual;
+    }
+
+    course.offerings.forEach((offering, index) => {
+      const offeringActual = countFor(course._id, offering.program);
+      if (offering.currentEnrollment !== offeringActual) {
+        drifted.push({ courseCode: course.courseCode, counter: 'currentEnrollment', program: offering.program, stored: offering.currentEnrollment, actual: offeringActual });
+        update[`offerings.${index}.currentEnrollment`] = offeringActual;
+      }
+    });
+
+    if (!dryRun && Object.keys(update).length > 0) {
+      await Course.updateOne({ _id: course._id }, { $set: update });
+    }
+  }
+
+  return drifted;
+};
+
+module.exports = {
+  getCreditLoadSummary,
+  checkRegistrationEligibility,
+  getAvailableSeats,
+  promoteWaitlist,
+  processWaitlists,
+  reconcileEnrollment
+};
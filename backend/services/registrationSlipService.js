@@ -0,0 +1,130 @@
+const QRCode = require('qrcode');
+const { renderPdf, drawLetterhead, drawRule, drawTableRow, ensureSpace } = require('../utils/pdf');
+
+/**
+ * Course registration slips as PDF documents, for students to sign and hand
+ * in to their department.
+ */
+
+// Column x offsets (from the left margin) and widths for the course table
+const COLUMNS = [
+  { label: 'Code', key: 'courseCode', x: 0, width: 60 },
+  { label: 'Course Title', key: 'title', x: 60, width: 190 },
+  { label: 'Credits', key: 'credits', x: 255, width: 40, align: 'right' },
+  { label: 'Approved On', key: 'approvedAt', x: 310, width: 70 },
+  { label: 'Approved By', key: 'approvedBy', x: 385, width: 110 }
+];
+
+const PHOTO_SIZE = 90;
+const QR_SIZE = 90;
+
+/**
+ * Get a student's photo in a form PDFKit can draw
+ * @param {String} profilePicture - Profile picture from the User model
+ * @returns {String|null} Image data URI, or null when there is no stored image
+ */
+const getPrintablePhoto = (profilePicture) => {
+  // Only stored images are printed; remote URLs are never fetched by the server
+  return profilePicture && profilePicture.startsWith('data:image/') ? profilePicture : null;
+};
+
+/**
+ * Render a registration slip PDF
+ * @param {Object} slip - RegistrationSlip document
+ * @param {Object} options - { verificationUrl, photo } where photo comes from getPrintablePhoto
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderRegistrationSlip = async (slip, { verificationUrl, photo }) => {
+  const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 300 });
+
+  return renderPdf(doc => {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    drawLetterhead(
+      doc,
+      'Course Registration Slip',
+      `${slip.academicYear} Academic Year, ${slip.semester} Semester`
+    );
+
+    // Photo box in the top right; the details run alongside it
+    const detailsTop = doc.y;
+    const photoX = right - PHOTO_SIZE;
+    if (photo) {
+      try {
+        doc.image(photo, photoX, detailsTop, { fit: [PHOTO_SIZE, PHOTO_SIZE], align: 'center', valign: 'center' });
+      } catch (error) {
+        photo = null;
+      }
+    }
+    doc.rect(photoX, detailsTop, PHOTO_SIZE, PHOTO_SIZE).lineWidth(0.5).stroke();
+    if (!photo) {
+      doc.font('Helvetica').fontSize(7)
+        .text('Affix passport photo', photoX, detailsTop + PHOTO_SIZE / 2 - 4, { width: PHOTO_SIZE, align: 'center' });
+    }
+
+    doc.x = left;
+    doc.y = detailsTop;
+    const { studentDetails } = slip;
+    const detailsWidth = right - left - PHOTO_SIZE - 10;
+    [
+      ['Name', studentDetails.name],
+      ['Reference Number', studentDetails.referenceNumber],
+      ['Program', studentDetails.program],
+      ['Department', studentDetails.department],
+      ['Level', studentDetails.level],
+      ['Generated', slip.generatedAt.toISOString().replace('T', ' ').slice(0, 16)]
+    ].forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, left, doc.y, { continued: true, width: detailsWidth });
+      doc.font('Helvetica').text(` ${value || '-'}`);
+      doc.moveDown(0.3);
+    });
+    doc.y = Math.max(doc.y, detailsTop + PHOTO_SIZE) + 15;
+    doc.x = left;
+
+    drawTableRow(doc, COLUMNS, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), 'Helvetica-Bold');
+    drawRule(doc);
+    doc.moveDown(0.3);
+
+    slip.courses.forEach(course => {
+      ensureSpace(doc, 20);
+      drawTableRow(doc, COLUMNS, {
+        ...course.toObject(),
+        approvedAt: course.approvedAt ? course.approvedAt.toISOString().slice(0, 10) : '-',
+        approvedBy: course.approvedBy || '-'
+      });
+    });
+
+    drawRule(doc);
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(9)
+      .text(`Total credits: ${slip.totalCredits}`, left, doc.y, { align: 'right', width: right - left });
+    doc.moveDown(2);
+
+    // Signatures the department collects on the printed slip
+    ensureSpace(doc, 60 + QR_SIZE);
+    const signatureWidth = (right - left - 40) / 3;
+    const signatureY = doc.y + 25;
+    ['Student', 'Academic Advisor', 'Head of Department'].forEach((role, index) => {
+      const x = left + index * (signatureWidth + 20);
+      doc.moveTo(x, signatureY).lineTo(x + signatureWidth, signatureY).lineWidth(0.5).stroke();
+      doc.font('Helvetica').fontSize(8).text(`${role} (signature & date)`, x, signatureY + 4, { width: signatureWidth, align: 'center' });
+    });
+    doc.x = left;
+    doc.y = signatureY + 35;
+
+    const qrY = doc.y;
+    doc.image(qrCode, left, qrY, { width: QR_SIZE });
+    doc.font('Helvetica').fontSize(8.5).text(
+      `Scan to verify this slip, or check code ${slip.verificationCode} at ${verificationUrl}`,
+      left + QR_SIZE + 15,
+      qrY + QR_SIZE / 2 - 10,
+      { width: right - left - QR_SIZE - 15 }
+    );
+  });
+};
+
+module.exports = {
+  getPrintablePhoto,
+  renderRegistrationSlip
+};
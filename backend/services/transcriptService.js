@@ -0,0 +1,109 @@
+const { renderPdf, drawLetterhead, drawRule, drawFields, drawTableRow, ensureSpace } = require('../utils/pdf');
+
+/**
+ * Academic transcripts as PDF documents.
+ *
+ * Unofficial transcripts are printed from the live record for the student's
+ * own use; official ones are printed from the snapshot stored when the
+ * registrar issued them, together with their verification code.
+ */
+
+// Column x offsets (from the left margin) and widths for the course table
+const COLUMNS = [
+  { label: 'Code', key: 'courseCode', x: 0, width: 60 },
+  { label: 'Course Title', key: 'title', x: 60, width: 220 },
+  { label: 'Credits', key: 'credits', x: 285, width: 45, align: 'right' },
+  { label: 'Score', key: 'totalScore', x: 335, width: 45, align: 'right' },
+  { label: 'Grade', key: 'letterGrade', x: 390, width: 40, align: 'center' },
+  { label: 'Points', key: 'points', x: 435, width: 60, align: 'right' }
+];
+
+const formatGpa = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+/**
+ * Draw a semester's courses with its GPA and the CGPA to date
+ * @param {Object} doc - PDFKit document
+ * @param {Object} semester - Semester from the academic record
+ */
+const drawSemester = (doc, semester) => {
+  ensureSpace(doc, 80);
+
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`${semester.academicYear} Academic Year, ${semester.semester} Semester`);
+  doc.moveDown(0.3);
+
+  drawTableRow(doc, COLUMNS, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), 'Helvetica-Bold');
+  drawRule(doc);
+  doc.moveDown(0.3);
+
+  semester.courses.forEach(course => {
+    ensureSpace(doc, 20);
+    drawTableRow(doc, COLUMNS, {
+      ...course,
+      points: (course.credits * course.gradePoint).toFixed(1)
+    });
+  });
+
+  drawRule(doc);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(8.5).text(
+    `Credits attempted: ${semester.creditsAttempted}    Credits earned: ${semester.creditsEarned}    ` +
+    `GPA: ${formatGpa(semester.gpa)}    CGPA: ${formatGpa(semester.cgpa)}`,
+    { align: 'right' }
+  );
+  doc.moveDown(1);
+};
+
+/**
+ * Render a transcript PDF
+ * @param {Object} transcript - { studentDetails, record, issuedAt, verificationCode, verificationUrl }; no code for an unofficial copy
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderTranscript = ({ studentDetails, record, issuedAt = new Date(), verificationCode, verificationUrl }) => {
+  const official = !!verificationCode;
+
+  return renderPdf(doc => {
+    drawLetterhead(
+      doc,
+      official ? 'Official Academic Transcript' : 'Unofficial Academic Transcript',
+      official ? null : 'For the student\'s own use. Not valid as an official record.'
+    );
+
+    drawFields(doc, [
+      ['Name', studentDetails.name],
+      ['Reference Number', studentDetails.referenceNumber],
+      ['Program', studentDetails.program],
+      ['Department', studentDetails.department],
+      [official ? 'Date Issued' : 'Date Printed', issuedAt.toISOString().slice(0, 10)],
+      ...(official ? [['Transcript No.', verificationCode]] : [])
+    ]);
+    doc.moveDown(1);
+
+    if (record.semesters.length === 0) {
+      doc.font('Helvetica').fontSize(10).text('No results have been released.');
+    }
+    record.semesters.forEach(semester => drawSemester(doc, semester));
+
+    ensureSpace(doc, 90);
+    drawRule(doc);
+    doc.moveDown(0.5);
+    drawFields(doc, [
+      ['Cumulative GPA', formatGpa(record.cgpa)],
+      ['Classification', record.classification],
+      ['Credits Attempted', String(record.creditsAttempted)],
+      ['Credits Earned', String(record.creditsEarned)]
+    ]);
+
+    if (official) {
+      doc.moveDown(1.5);
+      doc.font('Helvetica').fontSize(8.5).text(
+        `Verify this transcript with code ${verificationCode} at ${verificationUrl}`,
+        { align: 'center' }
+      );
+    }
+  });
+};
+
+module.exports = {
+  renderTranscript
+};
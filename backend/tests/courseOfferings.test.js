@@ -0,0 +1,117 @@
+const {
+  describeWithDatabase,
+  connectTestDatabase,
+  disconnectTestDatabase,
+  createStudent
+} = require('./helpers');
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const AcademicSession = require('../models/AcademicSession');
+const { checkRegistrationEligibility } = require('../services/registrationService');
+
+const SEMESTER = 'First';
+const ACADEMIC_YEAR = '2025/2026';
+const DAY = 24 * 60 * 60 * 1000;
+
+const HOME_PROGRAM = 'BSc Mathematics';
+const QUOTA_PROGRAM = 'BSc Computer Science and Engineering';
+const OPEN_PROGRAM = 'BSc Physics';
+
+/**
+ * Create a level 100 Mathematics course shared with Computer Science and Engineering, which
+ * has a quota, and with Physics, which has none
+ * @param {String} courseCode - Course code
+ * @param {Object} fields - Fields to set on top of the defaults
+ * @returns {Promise<Object>} Course document
+ */
+const createSharedCourse = (courseCode, fields = {}) => Course.create({
+  courseCode,
+  title: 'Calculus I',
+  credits: 3,
+  department: 'Mathematics',
+  program: HOME_PROGRAM,
+  level: 100,
+  semester: SEMESTER,
+  maxStudents: 5,
+  offerings: [
+    { program: QUOTA_PROGRAM, level: 100, maxStudents: 2 },
+    { program: OPEN_PROGRAM, level: 200 }
+  ],
+  ...fields
+});
+
+describeWithDatabase('Courses shared with other programs', () => {
+  let session;
+
+  beforeAll(async () => {
+    await connectTestDatabase('course-offerings');
+    const now = Date.now();
+    session = await AcademicSession.create({
+      academicYear: ACADEMIC_YEAR,
+      semester: SEMESTER,
+      startDate: new Date(now - 5 * DAY),
+      endDate: new Date(now + 90 * DAY),
+      registrationOpensAt: new Date(now - 10 * DAY),
+      registrationClosesAt: new Date(now + 10 * DAY),
+      addDropDeadline: new Date(now + 20 * DAY)
+    });
+  });
+
+  afterAll(disconnectTestDatabase);
+
+  test('home students cannot take the seats set aside by a program quota', async () => {
+    const course = await createSharedCourse('MA 101');
+
+    // Five seats less a quota of two leaves three for the home program and Physics
+    expect(await Course.reserveSeat(course._id, HOME_PROGRAM)).not.toBeNull();
+    expect(await Course.reserveSeat(course._id, OPEN_PROGRAM)).not.toBeNull();
+    expect(await Course.reserveSeat(course._id, HOME_PROGRAM)).not.toBeNull();
+    expect(await Course.reserveSeat(course._id, HOME_PROGRAM)).toBeNull();
+    expect(await Course.reserveSeat(course._id, OPEN_PROGRAM)).toBeNull();
+
+    expect(await Course.reserveSeat(course._id, QUOTA_PROGRAM)).not.toBeNull();
+    expect(await Course.reserveSeat(course._id, QUOTA_PROGRAM)).not.toBeNull();
+    expect(await Course.reserveSeat(course._id, QUOTA_PROGRAM)).toBeNull();
+
+    const updated = await Course.findById(course._id);
+    expect(updated.currentEnrollment).toBe(5);
+    expect(updated.getOffering(QUOTA_PROGRAM).currentEnrollment).toBe(2);
+  });
+
+  test('only the home program and level and the offered programs at their level are eligible', async () => {
+    const course = await createSharedCourse('MA 102');
+    const eligible = await Promise.all([
+      createStudent({ department: 'Mathematics', program: HOME_PROGRAM, level: 100 }),
+      createStudent({ program: QUOTA_PROGRAM, level: 100 }),
+      createStudent({ department: 'Physics', program: OPEN_PROGRAM, level: 200 })
+    ]);
+    const ineligible = await Promise.all([
+      createStudent({ department: 'Mathematics', program: HOME_PROGRAM, level: 200 }),
+      createStudent({ program: QUOTA_PROGRAM, level: 300 }),
+      createStudent({ department: 'Chemistry', program: 'BSc Chemistry', level: 100 })
+    ]);
+
+    for (const student of eligible) {
+      expect(await checkRegistrationEligibility(student, course, session)).toBeNull();
+    }
+    for (const student of ineligible) {
+      const blocker = await checkRegistrationEligibility(student, course, session);
+      expect(blocker.message).toBe(`MA 102 is not offered to level ${student.level} ${student.program} students`);
+    }
+  });
+
+  test('a student who failed the course may retake it at a higher level', async () => {
+    const course = await createSharedCourse('MA 103');
+    const student = await createStudent({ department: 'Mathematics', program: HOME_PROGRAM, level: 200 });
+    await CourseRegistration.create({
+      student: student._id,
+      course: course._id,
+      semester: SEMESTER,
+      academicYear: '2024/2025',
+      status: 'approved',
+      result: 'failed'
+    });
+
+    expect(await checkRegistrationEligibility(student, course, session)).toBeNull();
+  });
+});
@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  connectTestDatabase,
+  disconnectTestDatabase,
+  createUser,
+  createStudent,
+  getAccessToken
+} = require('./helpers');
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const AcademicSession = require('../models/AcademicSession');
+const courseRoutes = require('../routes/courses');
+const { reconcileEnrollment } = require('../services/registrationService');
+
+const SEMESTER = 'First';
+const ACADEMIC_YEAR = '2025/2026';
+const DAY = 24 * 60 * 60 * 1000;
+
+const app = express();
+app.use(express.json());
+app.use('/api/courses', courseRoutes);
+
+/**
+ * Create students with a pending registration each for a course
+ * @param {Object} course - Course document
+ * @param {Number} count - Number of students
+ * @returns {Promise<Array>} Registration documents
+ */
+const createPendingRegistrations = async (course, count) => {
+  const registrations = [];
+  for (let i = 0; i < count; i++) {
+    const student = await createStudent();
+    registrations.push(await CourseRegistration.create({
+      student: student._id,
+      course: course._id,
+      semester: SEMESTER,
+      academicYear: ACADEMIC_YEAR
+    }));
+  }
+  return registrations;
+};
+
+/**
+ * Create a course with all but one seat taken by approved registrations
+ * @param {String} courseCode - Course code
+ * @param {Number} maxStudents - Course capacity
+ * @returns {Promise<Object>} Course document
+ */
+const createCourseWithOneSeatLeft = async (courseCode, maxStudents) => {
+  const course = await Course.create({
+    courseCode,
+    title: 'Introduction to Programming',
+    credits: 3,
+    department: 'Computer Science and Engineering',
+    program: 'BSc Computer Science and Engineering',
+    level: 100,
+    semester: SEMESTER,
+    maxStudents
+  });
+
+  const registrations = await createPendingRegistrations(course, maxStudents - 1);
+  for (const registration of registrations) {
+    await registration.approve();
+  }
+
+  return course;
+};
+
+/**
+ * Put a student on a course's waitlist and offer them a held seat
+ * @param {Object} course - Course document
+ * @param {Object} fields - Fields to set on the waitlist entry, such as its session
+ * @returns {Promise<Object>} { student, entry }
+ */
+const createSeatOffer = async (course, fields = {}) => {
+  const student = await createStudent();
+  const entry = await WaitlistEntry.create({
+    student: student._id,
+    course: course._id,
+    semester: SEMESTER,
+    academicYear: ACADEMIC_YEAR,
+    ...fields
+  });
+
+  expect(await Course.holdSeat(course._id)).not.toBeNull();
+  expect(await entry.offer(48)).toBe(true);
+
+  return { student, entry };
+};
+
+describeWithDatabase('Concurrent registration approvals', () => {
+  let adminToken;
+
+  /**
+   * Approve registrations through the API all at once
+   * @param {Array} registrations - Registration documents
+   * @returns {Promise<Array>} Responses
+   */
+  const approveInParallel = (registrations) => Promise.all(registrations.map(registration =>
+    request(app)
+      .put(`/api/courses/registrations/${registration._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+  ));
+
+  beforeAll(async () => {
+    await connectTestDatabase('course-registration');
+    adminToken = await getAccessToken(await createUser({ role: 'admin' }));
+  });
+
+  afterAll(disconnectTestDatabase);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only one of several approvals takes the last seat', async () => {
+    const course = await createCourseWithOneSeatLeft('CE 101', 5);
+    const pending = await createPendingRegistrations(course, 6);
+
+    const responses = await approveInParallel(pending);
+
+    const approved = responses.filter(response => response.status === 200);
+    const rejected = responses.filter(response => response.status === 400);
+    expect(approved).toHaveLength(1);
+    expect(rejected).toHaveLength(5);
+    rejected.forEach(response => expect(response.body.message).toBe('Course is full'));
+
+    const updated = await Course.findById(course._id);
+    expect(updated.currentEnrollment).toBe(5);
+    expect(updated.currentEnrollment).toBeLessThanOrEqual(updated.maxStudents);
+
+    const approvedCount = await CourseRegistration.countDocuments({ course: course._id, status: 'approved' });
+    expect(approvedCount).toBe(5);
+
+    expect(await reconcileEnrollment({ dryRun: true })).toEqual([]);
+  });
+
+  test('approvals do not take a seat held for a waitlist offer', async () => {
+    const course = await createCourseWithOneSeatLeft('CE 102', 3);
+    await createSeatOffer(course);
+
+    const pending = await createPendingRegistrations(course, 4);
+    const responses = await approveInParallel(pending);
+
+    expect(responses.every(response => response.status === 400)).toBe(true);
+
+    const updated = await Course.findById(course._id);
+    expect(updated.currentEnrollment).toBe(2);
+    expect(updated.heldSeats).toBe(1);
+
+    expect(await reconcileEnrollment({ dryRun: true })).toEqual([]);
+  });
+
+  test('confirming an offer after registration closes frees the held seat', async () => {
+    const now = Date.now();
+    const session = await AcademicSession.create({
+      academicYear: ACADEMIC_YEAR,
+      semester: SEMESTER,
+      startDate: new Date(now - 15 * DAY),
+      endDate: new Date(now + 60 * DAY),
+      registrationOpensAt: new Date(now - 20 * DAY),
+      registrationClosesAt: new Date(now - 10 * DAY),
+      addDropDeadline: new Date(now - 5 * DAY)
+    });
+    const course = await createCourseWithOneSeatLeft('CE 103', 3);
+    const { student, entry } = await createSeatOffer(course, { session: session._id });
+
+    const response = await request(app)
+      .post(`/api/courses/waitlist/${entry._id}/confirm`)
+      .set('Authorization', `Bearer ${await getAccessToken(student)}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Course registration is closed');
+
+    const [updatedEntry, updatedCourse] = await Promise.all([
+      WaitlistEntry.findById(entry._id),
+      Course.findById(course._id)
+    ]);
+    expect(updatedEntry.status).toBe('expired');
+    expect(updatedCourse.heldSeats).toBe(0);
+
+    expect(await reconcileEnrollment({ dryRun: true })).toEqual([]);
+  });
+});
@@ -0,0 +1,18 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * Provide a MongoDB for the database tests through MONGODB_TEST_URI. A running server can be
+ * given in MONGODB_TEST_URI; otherwise an in-memory server is started, which downloads the
+ * mongod binary on first use. If neither is available the database tests are skipped.
+ */
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  try {
+    const mongod = await MongoMemoryServer.create();
+    globalThis.__MONGOD__ = mongod;
+    process.env.MONGODB_TEST_URI = mongod.getUri();
+  } catch (error) {
+    console.warn(`\nSkipping database tests: MongoDB is not available (${error.message}). Set MONGODB_TEST_URI to run them against a running server.\n`);
+  }
+};
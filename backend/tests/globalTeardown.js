@@ -0,0 +1,8 @@
+/**
+ * Stop the in-memory MongoDB started by globalSetup, if there is one
+ */
+module.exports = async () => {
+  if (globalThis.__MONGOD__) {
+    await globalThis.__MONGOD__.stop();
+  }
+};
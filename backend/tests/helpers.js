@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+
+// Database tests only run when globalSetup found a MongoDB to run them against
+const describeWithDatabase = process.env.MONGODB_TEST_URI ? describe : describe.skip;
+
+let userCount = 0;
+
+/**
+ * Connect to a database of its own for a test file
+ * @param {String} name - Database name suffix
+ * @returns {Promise<void>}
+ */
+const connectTestDatabase = async (name) => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: `umat-portal-test-${name}` });
+};
+
+/**
+ * Drop the test file's database and disconnect
+ * @returns {Promise<void>}
+ */
+const disconnectTestDatabase = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+};
+
+/**
+ * Create an active user with a unique email and reference number
+ * @param {Object} fields - Fields to set on top of the defaults
+ * @returns {Promise<Object>} User document
+ */
+const createUser = (fields = {}) => {
+  userCount += 1;
+  return User.create({
+    email: `user${userCount}@umat.edu.gh`,
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    phoneNumber: '0241234567',
+    referenceNumber: String(10000000 + userCount),
+    password: 'password123',
+    isEmailVerified: true,
+    ...fields
+  });
+};
+
+/**
+ * Create a student, by default a level 100 Computer Science and Engineering student
+ * @param {Object} fields - Fields to set on top of the defaults
+ * @returns {Promise<Object>} User document
+ */
+const createStudent = (fields = {}) => createUser({
+  role: 'student',
+  department: 'Computer Science and Engineering',
+  program: 'BSc Computer Science and Engineering',
+  level: 100,
+  ...fields
+});
+
+/**
+ * Sign in a user with a server-side session
+ * @param {Object} user - User document
+ * @returns {Promise<String>} Access token
+ */
+const getAccessToken = async (user) => {
+  const { session } = await Session.createForUser(user._id);
+  return generateToken({ userId: user._id, sessionId: session._id });
+};
+
+module.exports = {
+  describeWithDatabase,
+  connectTestDatabase,
+  disconnectTestDatabase,
+  createUser,
+  createStudent,
+  getAccessToken
+};
@@ -0,0 +1,84 @@
+const {
+  describeWithDatabase,
+  connectTestDatabase,
+  disconnectTestDatabase,
+  createUser,
+  createStudent
+} = require('./helpers');
+const Course = require('../models/Course');
+const CourseRegistration = require('../models/CourseRegistration');
+
+const SEMESTER = 'First';
+const ACADEMIC_YEAR = '2025/2026';
+
+describeWithDatabase('Registering again for a dropped or rejected course', () => {
+  let course;
+  let student;
+
+  /**
+   * Register the student for the course this semester
+   * @param {Object} fields - Fields to set on top of the defaults
+   * @returns {Promise<Object>} Registration document
+   */
+  const register = (fields = {}) => CourseRegistration.register({
+    student: student._id,
+    course: course._id,
+    semester: SEMESTER,
+    academicYear: ACADEMIC_YEAR,
+    ...fields
+  });
+
+  beforeAll(async () => {
+    await connectTestDatabase('re-registration');
+    course = await Course.create({
+      courseCode: 'CE 201',
+      title: 'Data Structures',
+      credits: 3,
+      department: 'Computer Science and Engineering',
+      program: 'BSc Computer Science and Engineering',
+      level: 100,
+      semester: SEMESTER,
+      maxStudents: 10
+    });
+  });
+
+  afterAll(disconnectTestDatabase);
+
+  beforeEach(async () => {
+    student = await createStudent();
+  });
+
+  test('a dropped registration is reopened as pending', async () => {
+    const staff = await createUser({ role: 'registrar' });
+    const first = await register();
+    await first.approve(staff._id);
+    await first.drop(staff._id);
+
+    const second = await register();
+
+    expect(second._id).toEqual(first._id);
+    expect(second.status).toBe('pending');
+    expect(second.approvedAt).toBeUndefined();
+    expect(second.approvalSource).toBeUndefined();
+    expect(second.droppedAt).toBeUndefined();
+    expect(await CourseRegistration.countDocuments({ student: student._id })).toBe(1);
+  });
+
+  test('a pending or approved registration still blocks a second one', async () => {
+    await register();
+
+    await expect(register()).rejects.toThrow('already registered');
+  });
+
+  test('undoing a reopened registration puts back the rejected one', async () => {
+    const first = await register();
+    await first.reject(null, 'Wrong program');
+
+    const second = await register();
+    await second.undoRegister();
+
+    const restored = await CourseRegistration.findById(first._id);
+    expect(restored.status).toBe('rejected');
+    expect(restored.notes).toBe('Wrong program');
+  });
+});
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} Hex encoded token
+ */
+const createRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage at rest
+ * @param {String} token - Plain token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Describe the browser and operating system from a user agent string
+ * @param {String} userAgent - User-Agent header value
+ * @returns {String} Human readable device description
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {Number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Escape user input for use inside a regular expression
+ * @param {String} value - Raw search text
+ * @returns {String} Text with regex special characters escaped
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the public base URL of the API, for links that leave the portal
+ * @param {Request} req - Express request object
+ * @returns {String} Base URL without a trailing slash
+ */
+const getApiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Copy the listed fields that are present on a request body
+ * @param {Object} source - Request body
+ * @param {Array} fields - Field names that may be set
+ * @returns {Object} Object with only those fields
+ */
+const pickFields = (source, fields) => {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+};
+
+module.exports = {
+  createRandomToken,
+  hashToken,
+  describeDevice,
+  sleep,
+  escapeRegex,
+  getApiBaseUrl,
+  pickFields
+};
@@ -0,0 +1,143 @@
+const PDFDocument = require('pdfkit');
+
+const INSTITUTION_NAME = 'UNIVERSITY OF MINES AND TECHNOLOGY, TARKWA';
+
+/**
+ * Render a PDF into memory
+ * @param {Function} draw - Receives the PDFKit document and draws the content; may be async
+ * @param {Object} options - PDFKit document options
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderPdf = (draw, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    Promise.resolve()
+      .then(() => draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+};
+
+/**
+ * Draw the university letterhead and a document title
+ * @param {Object} doc - PDFKit document
+ * @param {String} title - Document title, e.g. "Academic Transcript"
+ * @param {String} subtitle - Optional line under the title
+ */
+const drawLetterhead = (doc, title, subtitle) => {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(14)
+    .text(INSTITUTION_NAME, doc.page.margins.left, doc.page.margins.top, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text('P. O. Box 237, Tarkwa, Ghana', { width, align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12)
+    .text(title.toUpperCase(), { width, align: 'center' });
+
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(9).text(subtitle, { width, align: 'center' });
+  }
+
+  doc.moveDown(0.5);
+  drawRule(doc);
+  doc.moveDown(0.8);
+};
+
+/**
+ * Draw a horizontal line across the page at the current position
+ * @param {Object} doc - PDFKit document
+ */
+const drawRule = (doc) => {
+  doc.moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+};
+
+/**
+ * Draw label/value pairs in two columns
+ * @param {Object} doc - PDFKit document
+ * @param {Array} fields - [label, value] pairs
+ */
+const drawFields = (doc, fields) => {
+  const left = doc.page.margins.left;
+  const columnWidth = (doc.page.width - left - doc.page.margins.right) / 2;
+
+  for (let i = 0; i < fields.length; i += 2) {
+    const y = doc.y;
+    fields.slice(i, i + 2).forEach(([label, value], column) => {
+      const x = left + column * columnWidth;
+      doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { continued: true });
+      doc.font('Helvetica').text(` ${value || '-'}`, { width: columnWidth - 10 });
+    });
+    doc.moveDown(0.3);
+  }
+  doc.x = left;
+};
+
+/**
+ * Draw one row of a table, growing to fit wrapped cells
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - Columns with key, x (offset from the left margin), width and optional align
+ * @param {Object} values - Cell values keyed by column key
+ * @param {String} font - Font name
+ */
+const drawTableRow = (doc, columns, values, font = 'Helvetica') => {
+  const left = doc.page.margins.left;
+  const y = doc.y;
+  let height = 0;
+
+  doc.font(font).fontSize(8.5);
+  columns.forEach(column => {
+    const text = String(values[column.key] ?? '');
+    const options = { width: column.width, align: column.align || 'left' };
+    doc.text(text, left + column.x, y, options);
+    height = Math.max(height, doc.heightOfString(text, options));
+  });
+
+  doc.x = left;
+  doc.y = y + height + 3;
+};
+
+/**
+ * Start a new page when fewer than the given points are left
+ * @param {Object} doc - PDFKit document
+ * @param {Number} space - Points needed
+ */
+const ensureSpace = (doc, space) => {
+  if (doc.y + space > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Send a PDF as a file download
+ * @param {Object} res - Express response
+ * @param {Buffer} pdf - PDF file contents
+ * @param {String} filename - Download file name
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+module.exports = {
+  renderPdf,
+  sendPdf,
+  drawLetterhead,
+  drawRule,
+  drawFields,
+  drawTableRow,
+  ensureSpace
+};
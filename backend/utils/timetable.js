@@ -0,0 +1,96 @@
+// Teaching days, in timetable order
+const TEACHING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Convert a 24-hour HH:mm time to minutes after midnight
+ * @param {String} time - Time such as "08:30"
+ * @returns {Number} Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether two timetable slots overlap in time
+ * @param {Object} a - Slot with day, startTime and endTime
+ * @param {Object} b - Slot with day, startTime and endTime
+ * @returns {Boolean} True if they share any time on the same day
+ */
+const slotsOverlap = (a, b) => {
+  return a.day === b.day &&
+    toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+/**
+ * Normalise a venue name so "Lecture Hall 1" and "lecture hall 1 " match
+ * @param {String} venue - Venue name
+ * @returns {String} Comparable venue key
+ */
+const venueKey = (venue = '') => venue.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Find timetable slots of a course that overlap slots of other courses
+ * @param {Object} course - Course with courseCode and schedule
+ * @param {Array} otherCourses - Courses to compare against
+ * @param {Object} options - { sameVenue } to only count overlaps in the same venue
+ * @returns {Array} Clashes: { slot, courseCode, title, clashesWith }
+ */
+const findClashes = (course, otherCourses, { sameVenue = false } = {}) => {
+  const clashes = [];
+
+  for (const slot of course.schedule || []) {
+    for (const other of otherCourses) {
+      for (const otherSlot of other.schedule || []) {
+        if (sameVenue && venueKey(slot.venue) !== venueKey(otherSlot.venue)) continue;
+        if (!slotsOverlap(slot, otherSlot)) continue;
+
+        clashes.push({
+          slot: describeSlot(slot),
+          courseCode: other.courseCode,
+          title: other.title,
+          clashesWith: describeSlot(otherSlot)
+        });
+      }
+    }
+  }
+
+  return clashes;
+};
+
+/**
+ * Reduce a schedule entry to the fields shown in clash messages
+ * @param {Object} slot - Schedule entry
+ * @returns {Object} { type, day, startTime, endTime, venue }
+ */
+const describeSlot = ({ type, day, startTime, endTime, venue }) => ({ type, day, startTime, endTime, venue });
+
+/**
+ * Describe a venue double-booking for an error message
+ * @param {Object} clash - Clash from findClashes
+ * @returns {String} Message naming the venue, the other course and the time
+ */
+const describeVenueClash = ({ slot, courseCode }) =>
+  `${slot.venue} is already booked for ${courseCode} on ${slot.day} between ${slot.startTime} and ${slot.endTime}`;
+
+/**
+ * Sort schedule entries into weekly order
+ * @param {Array} slots - Entries with day and startTime
+ * @returns {Array} Sorted copy
+ */
+const sortByWeek = (slots) => {
+  return [...slots].sort((a, b) =>
+    TEACHING_DAYS.indexOf(a.day) - TEACHING_DAYS.indexOf(b.day) ||
+    toMinutes(a.startTime) - toMinutes(b.startTime)
+  );
+};
+
+module.exports = {
+  TEACHING_DAYS,
+  toMinutes,
+  slotsOverlap,
+  findClashes,
+  describeVenueClash,
+  sortByWeek
+};
@@ -9,12 +9,19 @@ import PublicRoute from './components/common/PublicRoute';
 // Auth Pages
 import Login from './pages/auth/Login';
 import Register from './pages/auth/Register';
+import VerifyEmail from './pages/auth/VerifyEmail';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import AcceptInvitation from './pages/auth/AcceptInvitation';
 
 // Student Pages
 import StudentDashboard from './pages/student/Dashboard';
 import CourseRegistration from './pages/student/CourseRegistration';
 import DepartmentalNews from './pages/student/DepartmentalNews';
 import StudentProfile from './pages/student/Profile';
+import Timetable from './pages/student/Timetable';
+import Results from './pages/student/Results';
+import DegreeAudit from './pages/student/DegreeAudit';
 
 // Admin Pages
 import AdminDashboard from './pages/admin/Dashboard';
@@ -22,10 +29,19 @@ import AdminNews from './pages/admin/News';
 import AdminUsers from './pages/admin/Users';
 import AdminCourses from './pages/admin/Courses';
 import AdminPayments from './pages/admin/Payments';
+import AdminSessions from './pages/admin/Sessions';
+import AdminCreditLoad from './pages/admin/CreditLoad';
+import AdminDrops from './pages/admin/Drops';
+import AdminRegistrations from './pages/admin/Registrations';
+import AdminGrades from './pages/admin/Grades';
+import AdminPrograms from './pages/admin/Programs';
 
 // Common Components
 import LoadingSpinner from './components/common/LoadingSpinner';
 
+// Every role that signs in to the admin portal
+const STAFF_ROLES = ['lecturer', 'hod', 'bursar', 'registrar', 'admin'];
+
 function App() {
   return (
     <ThemeProvider>
@@ -50,6 +66,18 @@ function App() {
                   </PublicRoute>
                 } 
               />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/verify-email/:token" element={<VerifyEmail />} />
+              <Route 
+                path="/forgot-password" 
+                element={
+                  <PublicRoute>
+                    <ForgotPassword />
+                  </PublicRoute>
+                } 
+              />
+              <Route path="/reset-password/:token" element={<ResetPassword />} />
+              <Route path="/invite/:token" element={<AcceptInvitation />} />
 
               {/* Student Routes */}
               <Route 
@@ -84,12 +112,36 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/student/timetable" 
+                element={
+                  <PrivateRoute allowedRoles={['student']}>
+                    <Timetable />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/student/results" 
+                element={
+                  <PrivateRoute allowedRoles={['student']}>
+                    <Results />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/student/degree-audit" 
+                element={
+                  <PrivateRoute allowedRoles={['student']}>
+                    <DegreeAudit />
+                  </PrivateRoute>
+                } 
+              />
 
               {/* Admin Routes */}
               <Route 
                 path="/admin" 
                 element={
-                  <PrivateRoute allowedRoles={['admin']}>
+                  <PrivateRoute allowedRoles={STAFF_ROLES}>
                     <AdminDashboard />
                   </PrivateRoute>
                 } 
@@ -97,7 +149,7 @@ function App() {
               <Route 
                 path="/admin/news" 
                 element={
-                  <PrivateRoute allowedRoles={['admin']}>
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="news:manage">
                     <AdminNews />
                   </PrivateRoute>
                 } 
@@ -105,7 +157,7 @@ function App() {
               <Route 
                 path="/admin/users" 
                 element={
-                  <PrivateRoute allowedRoles={['admin']}>
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="users:view">
                     <AdminUsers />
                   </PrivateRoute>
                 } 
@@ -113,7 +165,7 @@ function App() {
               <Route 
                 path="/admin/courses" 
                 element={
-                  <PrivateRoute allowedRoles={['admin']}>
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="courses:manage">
                     <AdminCourses />
                   </PrivateRoute>
                 } 
@@ -121,11 +173,59 @@ function App() {
               <Route 
                 path="/admin/payments" 
                 element={
-                  <PrivateRoute allowedRoles={['admin']}>
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="payments:view">
                     <AdminPayments />
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/admin/sessions" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="sessions:manage">
+                    <AdminSessions />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/credit-load" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="registrations:view">
+                    <AdminCreditLoad />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/drops" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="registrations:view">
+                    <AdminDrops />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/registrations" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="registrations:view">
+                    <AdminRegistrations />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/grades" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="grades:enter">
+                    <AdminGrades />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/programs" 
+                element={
+                  <PrivateRoute allowedRoles={STAFF_ROLES} permission="courses:manage">
+                    <AdminPrograms />
+                  </PrivateRoute>
+                } 
+              />
 
               {/* Default redirect */}
               <Route path="/" element={<Navigate to="/login" replace />} />
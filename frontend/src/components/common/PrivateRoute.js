@@ -3,8 +3,8 @@ import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from './LoadingSpinner';
 
-const PrivateRoute = ({ children, allowedRoles = [] }) => {
-  const { isAuthenticated, user, loading } = useAuth();
+const PrivateRoute = ({ children, allowedRoles = [], permission }) => {
+  const { isAuthenticated, user, loading, can } = useAuth();
 
   if (loading) {
     return <LoadingSpinner />;
@@ -14,10 +14,11 @@ const PrivateRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
-  // Check if user has required role
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user?.role)) {
+  // Check if user has required role and permission
+  if ((allowedRoles.length > 0 && !allowedRoles.includes(user?.role)) ||
+      (permission && !can(permission))) {
     // Redirect based on user role
-    if (user?.role === 'admin') {
+    if (user?.role !== 'student') {
       return <Navigate to="/admin" replace />;
     } else {
       return <Navigate to="/student" replace />;
@@ -12,7 +12,7 @@ const PublicRoute = ({ children }) => {
 
   if (isAuthenticated) {
     // Redirect based on user role
-    if (user?.role === 'admin') {
+    if (user?.role !== 'student') {
       return <Navigate to="/admin" replace />;
     } else {
       return <Navigate to="/student" replace />;
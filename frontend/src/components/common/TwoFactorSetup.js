@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { FaShieldAlt, FaKey } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+import LoadingSpinner from './LoadingSpinner';
+
+// Walks the user through scanning the QR code, confirming a code and saving
+// backup codes. Pass challengeToken when enrolling as part of login.
+const TwoFactorSetup = ({ challengeToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [setupError, setSetupError] = useState(null);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await api.post('/auth/2fa/setup', { challengeToken });
+        setSetup(response.data.data);
+      } catch (error) {
+        setSetupError(error.response?.data?.message || 'Failed to start two-factor setup');
+      }
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await api.post('/auth/2fa/enable', { code, challengeToken });
+      setResult(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Invalid verification code';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (setupError) {
+    return (
+      <div className="text-center space-y-4">
+        <p className="text-sm text-red-600">{setupError}</p>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+          >
+            Go back
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return <LoadingSpinner className="py-8" />;
+  }
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center">
+          <FaKey className="h-5 w-5 text-primary-600 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Save Your Backup Codes</h3>
+        </div>
+        <p className="text-sm text-gray-600">
+          Each code can be used once if you lose access to your authenticator app.
+          They will not be shown again.
+        </p>
+        <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-md p-4 font-mono text-sm text-gray-900">
+          {result.backupCodes.map((backupCode) => (
+            <span key={backupCode}>{backupCode}</span>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full py-3 px-4 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 transition-colors"
+        >
+          I've saved these codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="space-y-4" onSubmit={handleEnable}>
+      <div className="flex items-center">
+        <FaShieldAlt className="h-5 w-5 text-primary-600 mr-2" />
+        <h3 className="text-lg font-semibold text-gray-900">Set Up Two-Factor Authentication</h3>
+      </div>
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app such as Google Authenticator or Authy,
+        then enter the 6-digit code it shows.
+      </p>
+      <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto h-48 w-48" />
+      <p className="text-xs text-center text-gray-500">
+        Can't scan? Enter this key manually:
+        <span className="block font-mono text-gray-900 break-all">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        className="appearance-none block w-full px-3 py-3 border border-gray-300 rounded-md text-center tracking-widest text-gray-900 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+        placeholder="123456"
+      />
+      <div className="flex space-x-3">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 py-3 px-4 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || code.length !== 6}
+          className="flex-1 py-3 px-4 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {submitting ? 'Verifying...' : 'Enable'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -1,7 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import api from '../services/api';
+import api, { clearTokens, storeTokens } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -11,6 +11,7 @@ const initialState = {
   isAuthenticated: false,
   loading: true,
   error: null,
+  challenge: null,
 };
 
 const authReducer = (state, action) => {
@@ -29,6 +30,14 @@ const authReducer = (state, action) => {
         isAuthenticated: true,
         loading: false,
         error: null,
+        challenge: null,
+      };
+    case 'AUTH_CHALLENGE':
+      return {
+        ...state,
+        loading: false,
+        error: null,
+        challenge: action.payload,
       };
     case 'AUTH_FAILURE':
       return {
@@ -38,6 +47,12 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         loading: false,
         error: action.payload,
+        challenge: null,
+      };
+    case 'CLEAR_CHALLENGE':
+      return {
+        ...state,
+        challenge: null,
       };
     case 'LOGOUT':
       return {
@@ -78,12 +93,12 @@ export const AuthProvider = ({ children }) => {
           dispatch({
             type: 'AUTH_SUCCESS',
             payload: {
-              user: response.data.user,
-              token,
+              user: response.data.data.user,
+              token: localStorage.getItem('token'),
             },
           });
         } catch (error) {
-          localStorage.removeItem('token');
+          clearTokens();
           dispatch({
             type: 'AUTH_FAILURE',
             payload: 'Session expired. Please login again.',
@@ -97,52 +112,97 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Store the session from a completed login and redirect
+  const finishLogin = ({ user, token, refreshToken }) => {
+    storeTokens({ token, refreshToken });
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user, token },
+    });
+
+    toast.success(`Welcome back, ${user.firstName}!`);
+
+    // Redirect based on user role
+    if (user.role === 'student') {
+      navigate('/student');
+    } else {
+      navigate('/admin');
+    }
+  };
+
   // Login function
   const login = async (credentials) => {
     try {
       dispatch({ type: 'AUTH_START' });
       const response = await api.post('/auth/login', credentials);
-      const { user, token } = response.data;
+      const data = response.data.data;
+
+      // A second step is needed before the session starts
+      if (data.requiresTwoFactor || data.requiresTwoFactorSetup) {
+        dispatch({
+          type: 'AUTH_CHALLENGE',
+          payload: {
+            type: data.requiresTwoFactor ? 'code' : 'setup',
+            challengeToken: data.challengeToken,
+          },
+        });
+        return;
+      }
 
-      localStorage.setItem('token', token);
+      finishLogin(data);
+    } catch (error) {
+      const reason = error.response?.data?.data?.reason;
+      const baseMessage = error.response?.data?.message || 'Login failed';
+      const message = reason ? `${baseMessage} Reason: ${reason}` : baseMessage;
       dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token },
+        type: 'AUTH_FAILURE',
+        payload: message,
       });
+      toast.error(message);
+    }
+  };
 
-      toast.success(`Welcome back, ${user.firstName}!`);
-      
-      // Redirect based on user role
-      if (user.role === 'admin') {
-        navigate('/admin');
-      } else {
-        navigate('/student');
+  // Complete login with an authenticator or backup code
+  const verifyTwoFactor = async (code) => {
+    try {
+      dispatch({ type: 'AUTH_START' });
+      const response = await api.post('/auth/2fa/verify', {
+        challengeToken: state.challenge.challengeToken,
+        code,
+      });
+      const data = response.data.data;
+
+      if (data.backupCodesRemaining <= 2) {
+        toast(`You have ${data.backupCodesRemaining} backup codes left. Generate new ones from your profile.`);
       }
+
+      finishLogin(data);
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
+      const message = error.response?.data?.message || 'Verification failed';
       dispatch({
-        type: 'AUTH_FAILURE',
-        payload: message,
+        type: 'AUTH_CHALLENGE',
+        payload: state.challenge,
       });
       toast.error(message);
     }
   };
 
+  // Abandon the second login step
+  const cancelChallenge = () => {
+    dispatch({ type: 'CLEAR_CHALLENGE' });
+  };
+
   // Register function
   const register = async (userData) => {
     try {
       dispatch({ type: 'AUTH_START' });
-      const response = await api.post('/auth/register', userData);
-      const { user, token } = response.data;
+      await api.post('/auth/register', userData);
 
-      localStorage.setItem('token', token);
-      dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token },
-      });
+      // Students must verify their email before they can log in
+      dispatch({ type: 'AUTH_FAILURE', payload: null });
 
-      toast.success('Registration successful! Welcome to UMaT Student Portal.');
-      navigate('/student');
+      toast.success('Registration successful! Please check your email to verify your account.');
+      navigate('/verify-email');
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
       dispatch({
@@ -154,13 +214,32 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout function
-  const logout = () => {
-    localStorage.removeItem('token');
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      // The local session is cleared regardless
+    }
+    clearTokens();
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
     navigate('/login');
   };
 
+  // Sign out of every device
+  const logoutAllDevices = async () => {
+    try {
+      await api.post('/auth/logout-all');
+      clearTokens();
+      dispatch({ type: 'LOGOUT' });
+      toast.success('Signed out of all devices');
+      navigate('/login');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to sign out of all devices';
+      toast.error(message);
+    }
+  };
+
   // Update user profile
   const updateProfile = async (userData) => {
     try {
@@ -192,11 +271,19 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'CLEAR_ERROR' });
   };
 
+  // Check whether the signed-in user's role grants a permission
+  const can = (permission) => !!state.user?.permissions?.includes(permission);
+
   const value = {
     ...state,
+    can,
     login,
+    verifyTwoFactor,
+    finishLogin,
+    cancelChallenge,
     register,
     logout,
+    logoutAllDevices,
     updateProfile,
     changePassword,
     clearError,
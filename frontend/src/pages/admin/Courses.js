@@ -1,24 +1,399 @@
-import React from 'react';
-import { FaGraduationCap, FaPlus } from 'react-icons/fa';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FaArrowLeft,
+  FaGraduationCap,
+  FaFileCsv,
+  FaFileExcel,
+  FaUpload,
+  FaSearch,
+  FaTimes
+} from 'react-icons/fa';
+import api, { downloadFile } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const departments = [
+  'Mining Engineering',
+  'Minerals Engineering',
+  'Geological Engineering',
+  'Petroleum Engineering',
+  'Mechanical Engineering',
+  'Electrical Engineering',
+  'Civil Engineering',
+  'Computer Science and Engineering',
+  'Environmental and Safety Engineering',
+  'Mathematics',
+  'Physics',
+  'Chemistry',
+];
+
+const programs = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Civil Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+];
+
+const levels = ['100', '200', '300', '400', '500'];
+
+const emptyFilters = {
+  department: '',
+  program: '',
+  level: '',
+  semester: '',
+};
+
+const actionBadgeClassNames = {
+  created: 'bg-success-100 text-success-800',
+  updated: 'bg-primary-100 text-primary-800',
+  unchanged: 'bg-gray-100 text-gray-700',
+  failed: 'bg-error-100 text-error-800',
+};
+
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
 
 const AdminCourses = () => {
+  const [courses, setCourses] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [loading, setLoading] = useState(true);
+  const [file, setFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [report, setReport] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const getFilterParams = useCallback(() => {
+    const params = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    return params;
+  }, [filters]);
+
+  const fetchCourses = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/courses', { params: getFilterParams() });
+      setCourses(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch courses');
+    } finally {
+      setLoading(false);
+    }
+  }, [getFilterParams]);
+
+  useEffect(() => {
+    fetchCourses();
+  }, [fetchCourses]);
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleExport = async (format) => {
+    const params = new URLSearchParams({ ...getFilterParams(), format });
+    try {
+      await downloadFile(`/courses/export?${params}`, `course-catalogue.${format}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to export courses');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const clearImport = () => {
+    setFile(null);
+    setReport(null);
+    setFileInputKey((key) => key + 1);
+  };
+
+  // Previews check every row without saving. The import saves nothing if any row fails its
+  // checks, but a row that fails to save leaves the rows before it saved.
+  const handleImport = async (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setImporting(true);
+    try {
+      const response = await api.post(`/courses/import?dryRun=${dryRun}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      const { data, message } = response.data;
+
+      if (dryRun) {
+        setReport(data);
+        if (data.failed > 0) {
+          toast.error(message);
+        } else {
+          toast.success(message);
+        }
+      } else {
+        toast.success(message);
+        clearImport();
+        fetchCourses();
+      }
+    } catch (error) {
+      if (error.response?.data?.data) {
+        setReport(error.response.data.data);
+        if (error.response.data.data.saved?.length > 0) {
+          fetchCourses();
+        }
+      }
+      const message = error.response?.data?.message
+        || error.response?.data?.error?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to import courses';
+      toast.error(message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const canImport = report && report.failed === 0 && report.created + report.updated > 0;
+
   return (
     <div className="min-h-screen bg-gray-50">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="bg-white rounded-lg shadow p-8 text-center">
-          <FaGraduationCap className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Course Management</h2>
-          <p className="text-gray-600 mb-6">
-            Add, edit, and manage courses. Approve course registrations and track enrollment.
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Courses</h1>
+                <p className="text-sm text-gray-500">Import and export the course catalogue</p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleExport('csv')}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                <FaFileCsv className="h-4 w-4 mr-2" />
+                Export CSV
+              </button>
+              <button
+                onClick={() => handleExport('xlsx')}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                <FaFileExcel className="h-4 w-4 mr-2" />
+                Export XLSX
+              </button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Import */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Import Courses</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Upload a CSV or XLSX file in the export layout. Rows are matched by course code: new codes are
+            created and existing courses are updated. Timetable slots are not changed.
           </p>
-          <button className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors">
-            <FaPlus className="h-4 w-4 mr-2" />
-            Add New Course
-          </button>
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              key={fileInputKey}
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={handleFileChange}
+              className="text-sm text-gray-700"
+            />
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleImport(true)}
+                disabled={!file || importing}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+              >
+                <FaSearch className="h-4 w-4 mr-2" />
+                Preview
+              </button>
+              <button
+                onClick={() => handleImport(false)}
+                disabled={!canImport || importing}
+                className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                <FaUpload className="h-4 w-4 mr-2" />
+                Import
+              </button>
+              {file && (
+                <button
+                  onClick={clearImport}
+                  disabled={importing}
+                  className="inline-flex items-center px-4 py-2 text-gray-500 hover:text-gray-700 disabled:opacity-50 transition-colors"
+                >
+                  <FaTimes className="h-4 w-4 mr-2" />
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Import Preview */}
+          {report && (
+            <div className="mt-6">
+              <p className="text-sm text-gray-700 mb-3">
+                {report.created} to create · {report.updated} to update · {report.unchanged} unchanged
+                {report.failed > 0 && (
+                  <span className="text-error-700"> · {report.failed} with errors</span>
+                )}
+              </p>
+              <div className="overflow-x-auto border border-gray-200 rounded-md max-h-96">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course Code</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Errors</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {report.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td className="px-4 py-2 text-sm text-gray-500">{row.row}</td>
+                        <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.courseCode || '—'}</td>
+                        <td className="px-4 py-2">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${actionBadgeClassNames[row.action]}`}>
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-error-700">
+                          {row.errors.length > 0 && (
+                            <ul className="space-y-1">
+                              {row.errors.map((message) => (
+                                <li key={message}>{message}</li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select
+              value={filters.department}
+              onChange={(e) => updateFilter('department', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Departments</option>
+              {departments.map((department) => (
+                <option key={department} value={department}>{department}</option>
+              ))}
+            </select>
+            <select
+              value={filters.program}
+              onChange={(e) => updateFilter('program', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Programs</option>
+              {programs.map((program) => (
+                <option key={program} value={program}>{program}</option>
+              ))}
+            </select>
+            <select
+              value={filters.level}
+              onChange={(e) => updateFilter('level', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Levels</option>
+              {levels.map((level) => (
+                <option key={level} value={level}>Level {level}</option>
+              ))}
+            </select>
+            <select
+              value={filters.semester}
+              onChange={(e) => updateFilter('semester', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Semesters</option>
+              <option value="First">First Semester</option>
+              <option value="Second">Second Semester</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Course Table */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading courses...</p>
+            </div>
+          ) : courses.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaGraduationCap className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No courses match these filters.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Program</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Level</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Semester</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enrollment</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {courses.map((course) => (
+                    <tr key={course._id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">{course.courseCode}</p>
+                        <p className="text-sm text-gray-500">{course.title}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{course.credits}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {course.program}
+                        {course.offerings?.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            Also offered to {course.offerings.map(offering => offering.program).join(', ')}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{course.level}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{course.semester}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {course.currentEnrollment}{course.maxStudents ? ` / ${course.maxStudents}` : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
-      </div>
+      </main>
     </div>
   );
 };
 
-export default AdminCourses; 
\ No newline at end of file
+export default AdminCourses;
@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaBalanceScale,
+  FaCheck,
+  FaTimes,
+  FaPlus,
+  FaEdit,
+  FaTrash
+} from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const programs = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Liberal Studies',
+];
+
+const levels = ['100', '200', '300', '400', '500'];
+
+const emptyPolicy = {
+  program: '',
+  level: '',
+  semester: '',
+  minCredits: '',
+  maxCredits: '',
+  overloadMaxCredits: '',
+  overloadMinCgpa: '',
+};
+
+const inputClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const AdminCreditLoad = () => {
+  const { can } = useAuth();
+  const canApprove = can('registrations:approve');
+  const canManagePolicies = can('credits:manage');
+
+  const [overloads, setOverloads] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [policies, setPolicies] = useState([]);
+  const [policyForm, setPolicyForm] = useState(null);
+  const [editingPolicyId, setEditingPolicyId] = useState(null);
+
+  // Fetch overload requests with the selected status
+  const fetchOverloads = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/credit-load/overloads', { params: { status } });
+      setOverloads(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch overload requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  // Fetch the credit load policies
+  const fetchPolicies = useCallback(async () => {
+    if (!canManagePolicies) return;
+    try {
+      const response = await api.get('/credit-load/policies');
+      setPolicies(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch credit load policies');
+    }
+  }, [canManagePolicies]);
+
+  useEffect(() => {
+    fetchOverloads();
+  }, [fetchOverloads]);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, [fetchPolicies]);
+
+  const handleReview = async (overload, action) => {
+    const notes = window.prompt(
+      `${action === 'approve' ? 'Approve' : 'Reject'} ${overload.student.firstName} ${overload.student.lastName}'s request for ${overload.requestedCredits} credits. Notes (optional):`
+    );
+    if (notes === null) {
+      return;
+    }
+
+    try {
+      const response = await api.put(`/credit-load/overloads/${overload._id}/${action}`, { notes });
+      toast.success(response.data.message);
+      fetchOverloads();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to review overload request';
+      toast.error(message);
+    }
+  };
+
+  const openPolicyForm = (policy = null) => {
+    setEditingPolicyId(policy?._id || null);
+    setPolicyForm(policy
+      ? Object.fromEntries(Object.keys(emptyPolicy).map(key => [key, policy[key] ?? '']))
+      : emptyPolicy);
+  };
+
+  const updatePolicyField = (name, value) => {
+    setPolicyForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handlePolicySubmit = async (e) => {
+    e.preventDefault();
+
+    // Blank scope fields mean the policy applies to every program, level or semester
+    const payload = {
+      program: policyForm.program || null,
+      level: policyForm.level ? Number(policyForm.level) : null,
+      semester: policyForm.semester || null,
+      minCredits: Number(policyForm.minCredits),
+      maxCredits: Number(policyForm.maxCredits),
+    };
+    if (policyForm.overloadMaxCredits !== '') payload.overloadMaxCredits = Number(policyForm.overloadMaxCredits);
+    if (policyForm.overloadMinCgpa !== '') payload.overloadMinCgpa = Number(policyForm.overloadMinCgpa);
+
+    try {
+      const response = editingPolicyId
+        ? await api.put(`/credit-load/policies/${editingPolicyId}`, payload)
+        : await api.post('/credit-load/policies', payload);
+      toast.success(response.data.message);
+      setPolicyForm(null);
+      setEditingPolicyId(null);
+      fetchPolicies();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to save credit load policy';
+      toast.error(message);
+    }
+  };
+
+  const handlePolicyDelete = async (policy) => {
+    if (!window.confirm('Delete this credit load policy?')) {
+      return;
+    }
+    try {
+      const response = await api.delete(`/credit-load/policies/${policy._id}`);
+      toast.success(response.data.message);
+      fetchPolicies();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete credit load policy';
+      toast.error(message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Credit Loads</h1>
+                <p className="text-sm text-gray-500">Overload requests and semester credit limits</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Overload Requests */}
+        <div className="bg-white rounded-lg shadow mb-8">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Overload Requests</h2>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="pending">Pending</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            </div>
+          ) : overloads.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaBalanceScale className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No {status} overload requests.</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {overloads.map((overload) => (
+                <div key={overload._id} className="p-6 flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {overload.student.firstName} {overload.student.lastName}
+                      <span className="ml-2 text-sm font-normal text-gray-500">{overload.student.referenceNumber}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {overload.student.program}, Level {overload.student.level}
+                      {' · '}
+                      CGPA {overload.student.cgpa != null ? overload.student.cgpa.toFixed(2) : 'not recorded'}
+                    </p>
+                    <p className="text-sm text-gray-900 mt-2">
+                      Requests <span className="font-medium">{overload.requestedCredits} credits</span> for
+                      the {overload.session.academicYear} {overload.session.semester} Semester
+                    </p>
+                    <p className="text-sm text-gray-600 mt-1">"{overload.reason}"</p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      Submitted {formatDistanceToNow(new Date(overload.createdAt), { addSuffix: true })}
+                      {overload.reviewedBy && ` · Reviewed by ${overload.reviewedBy.firstName} ${overload.reviewedBy.lastName}`}
+                      {overload.reviewNotes && ` · ${overload.reviewNotes}`}
+                    </p>
+                  </div>
+                  {canApprove && overload.status === 'pending' && (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleReview(overload, 'approve')}
+                        className="inline-flex items-center px-3 py-2 text-sm bg-success-600 text-white rounded-md hover:bg-success-700 transition-colors"
+                      >
+                        <FaCheck className="h-4 w-4 mr-2" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleReview(overload, 'reject')}
+                        className="inline-flex items-center px-3 py-2 text-sm bg-error-600 text-white rounded-md hover:bg-error-700 transition-colors"
+                      >
+                        <FaTimes className="h-4 w-4 mr-2" />
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Credit Load Policies */}
+        {canManagePolicies && (
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Credit Load Policies</h2>
+                <p className="text-sm text-gray-500">
+                  The most specific matching policy applies. Without one, students carry 12–24 credits.
+                </p>
+              </div>
+              <button
+                onClick={() => openPolicyForm()}
+                className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+              >
+                <FaPlus className="h-4 w-4 mr-2" />
+                New Policy
+              </button>
+            </div>
+
+            {policyForm && (
+              <form onSubmit={handlePolicySubmit} className="p-6 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-4">
+                <select
+                  value={policyForm.program}
+                  onChange={(e) => updatePolicyField('program', e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">All Programs</option>
+                  {programs.map((program) => (
+                    <option key={program} value={program}>{program}</option>
+                  ))}
+                </select>
+                <select
+                  value={policyForm.level}
+                  onChange={(e) => updatePolicyField('level', e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">All Levels</option>
+                  {levels.map((level) => (
+                    <option key={level} value={level}>Level {level}</option>
+                  ))}
+                </select>
+                <select
+                  value={policyForm.semester}
+                  onChange={(e) => updatePolicyField('semester', e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="">Both Semesters</option>
+                  <option value="First">First</option>
+                  <option value="Second">Second</option>
+                </select>
+                <div></div>
+                <input
+                  type="number"
+                  min="0"
+                  value={policyForm.minCredits}
+                  onChange={(e) => updatePolicyField('minCredits', e.target.value)}
+                  placeholder="Minimum credits"
+                  required
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={policyForm.maxCredits}
+                  onChange={(e) => updatePolicyField('maxCredits', e.target.value)}
+                  placeholder="Maximum credits"
+                  required
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={policyForm.overloadMaxCredits}
+                  onChange={(e) => updatePolicyField('overloadMaxCredits', e.target.value)}
+                  placeholder="Overload limit (default 30)"
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  step="0.01"
+                  value={policyForm.overloadMinCgpa}
+                  onChange={(e) => updatePolicyField('overloadMinCgpa', e.target.value)}
+                  placeholder="Overload CGPA (default 3.00)"
+                  className={inputClassName}
+                />
+                <div className="md:col-span-4 flex justify-end space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => setPolicyForm(null)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Save Policy
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {policies.length === 0 ? (
+              <p className="p-6 text-sm text-gray-600">No policies yet; the default limits apply to every student.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Applies To</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Overload</th>
+                      <th className="px-6 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {policies.map((policy) => (
+                      <tr key={policy._id}>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {policy.program || 'All programs'}
+                          {' · '}
+                          {policy.level ? `Level ${policy.level}` : 'All levels'}
+                          {' · '}
+                          {policy.semester ? `${policy.semester} Semester` : 'Both semesters'}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {policy.minCredits}–{policy.maxCredits}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          Up to {policy.overloadMaxCredits} with CGPA {policy.overloadMinCgpa.toFixed(2)}+
+                        </td>
+                        <td className="px-6 py-4 text-right whitespace-nowrap">
+                          <button
+                            onClick={() => openPolicyForm(policy)}
+                            className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
+                            title="Edit"
+                          >
+                            <FaEdit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handlePolicyDelete(policy)}
+                            className="p-2 text-gray-400 hover:text-error-600 transition-colors"
+                            title="Delete"
+                          >
+                            <FaTrash className="h-4 w-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminCreditLoad;
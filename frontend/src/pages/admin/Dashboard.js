@@ -11,14 +11,21 @@ import {
   FaChartBar,
   FaUserCheck,
   FaBuilding,
-  FaCreditCard
+  FaCreditCard,
+  FaCalendarAlt,
+  FaBalanceScale,
+  FaMinusCircle,
+  FaClipboardList,
+  FaChartLine,
+  FaSitemap
 } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
 import api from '../../services/api';
 import toast from 'react-hot-toast';
 
 const AdminDashboard = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
+  const isAdmin = user?.role === 'admin';
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     onlineUsers: 0,
@@ -49,8 +56,13 @@ const AdminDashboard = () => {
   };
 
   useEffect(() => {
-    fetchDashboardStats();
-  }, []);
+    // Institution-wide statistics are only available to admins
+    if (isAdmin) {
+      fetchDashboardStats();
+    } else {
+      setLoading(false);
+    }
+  }, [isAdmin]);
 
   const StatCard = ({ title, value, icon: Icon, color, subtitle }) => (
     <div className="bg-white rounded-lg shadow p-6">
@@ -162,141 +174,255 @@ const AdminDashboard = () => {
           </p>
         </div>
 
-        {/* Quick Stats */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <StatCard
-            title="Online Users"
-            value={stats.onlineUsers}
-            icon={FaUserCheck}
-            color="bg-success-500"
-            subtitle="Currently active"
-          />
-          <StatCard
-            title="Total Students"
-            value={stats.totalStudents}
-            icon={FaUsers}
-            color="bg-primary-500"
-            subtitle="Registered students"
-          />
-          <StatCard
-            title="Total Courses"
-            value={stats.totalCourses}
-            icon={FaGraduationCap}
-            color="bg-warning-500"
-            subtitle="Available courses"
-          />
-          <StatCard
-            title="Total Payments"
-            value={`₵${stats.totalPayments?.toLocaleString() || '0'}`}
-            icon={FaMoneyBillWave}
-            color="bg-success-600"
-            subtitle="Total revenue"
-          />
-        </div>
-
-        {/* Department Statistics */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
-          {/* Users by Department */}
-          <div className="bg-white rounded-lg shadow">
-            <div className="px-6 py-4 border-b border-gray-200">
-              <h3 className="text-lg font-semibold text-gray-900">Students by Department</h3>
+        {isAdmin && (
+          <>
+            {/* Quick Stats */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              <StatCard
+                title="Online Users"
+                value={stats.onlineUsers}
+                icon={FaUserCheck}
+                color="bg-success-500"
+                subtitle="Currently active"
+              />
+              <StatCard
+                title="Total Students"
+                value={stats.totalStudents}
+                icon={FaUsers}
+                color="bg-primary-500"
+                subtitle="Registered students"
+              />
+              <StatCard
+                title="Total Courses"
+                value={stats.totalCourses}
+                icon={FaGraduationCap}
+                color="bg-warning-500"
+                subtitle="Available courses"
+              />
+              <StatCard
+                title="Total Payments"
+                value={`₵${stats.totalPayments?.toLocaleString() || '0'}`}
+                icon={FaMoneyBillWave}
+                color="bg-success-600"
+                subtitle="Total revenue"
+              />
             </div>
-            <div className="p-6">
-              <div className="space-y-4">
-                {stats.usersByDepartment?.map((dept, index) => (
-                  <DepartmentCard
-                    key={dept.department}
-                    department={dept.department}
-                    count={dept.count}
-                    total={stats.totalStudents}
-                    color={`bg-primary-${500 + (index * 100)}`}
-                  />
-                ))}
+
+            {/* Department Statistics */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+              {/* Users by Department */}
+              <div className="bg-white rounded-lg shadow">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-900">Students by Department</h3>
+                </div>
+                <div className="p-6">
+                  <div className="space-y-4">
+                    {stats.usersByDepartment?.map((dept, index) => (
+                      <DepartmentCard
+                        key={dept.department}
+                        department={dept.department}
+                        count={dept.count}
+                        total={stats.totalStudents}
+                        color={`bg-primary-${500 + (index * 100)}`}
+                      />
+                    ))}
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          {/* Payments by Department */}
-          <div className="bg-white rounded-lg shadow">
-            <div className="px-6 py-4 border-b border-gray-200">
-              <h3 className="text-lg font-semibold text-gray-900">Payments by Department</h3>
-            </div>
-            <div className="p-6">
-              <div className="space-y-4">
-                {stats.paymentsByDepartment?.map((dept, index) => (
-                  <DepartmentCard
-                    key={dept.department}
-                    department={dept.department}
-                    count={`₵${dept.total?.toLocaleString() || '0'}`}
-                    color={`bg-success-${500 + (index * 100)}`}
-                  />
-                ))}
+              {/* Payments by Department */}
+              <div className="bg-white rounded-lg shadow">
+                <div className="px-6 py-4 border-b border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-900">Payments by Department</h3>
+                </div>
+                <div className="p-6">
+                  <div className="space-y-4">
+                    {stats.paymentsByDepartment?.map((dept, index) => (
+                      <DepartmentCard
+                        key={dept.department}
+                        department={dept.department}
+                        count={`₵${dept.total?.toLocaleString() || '0'}`}
+                        color={`bg-success-${500 + (index * 100)}`}
+                      />
+                    ))}
+                  </div>
+                </div>
               </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
 
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-          <Link
-            to="/admin/users"
-            className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
-          >
-            <div className="flex items-center">
-              <div className="p-3 bg-primary-100 rounded-full">
-                <FaUsers className="h-6 w-6 text-primary-600" />
+          {can('users:view') && (
+            <Link
+              to="/admin/users"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-primary-100 rounded-full">
+                  <FaUsers className="h-6 w-6 text-primary-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Manage Users</h3>
+                  <p className="text-sm text-gray-600">View and manage students</p>
+                </div>
+              </div>
+            </Link>
+          )}
+
+          {can('courses:manage') && (
+            <Link
+              to="/admin/courses"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-warning-100 rounded-full">
+                  <FaGraduationCap className="h-6 w-6 text-warning-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Manage Courses</h3>
+                  <p className="text-sm text-gray-600">Import and export the course catalogue</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Manage Users</h3>
-                <p className="text-sm text-gray-600">View and manage students</p>
+            </Link>
+          )}
+
+          {can('courses:manage') && (
+            <Link
+              to="/admin/programs"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-success-100 rounded-full">
+                  <FaSitemap className="h-6 w-6 text-success-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Programs</h3>
+                  <p className="text-sm text-gray-600">Core and elective curricula</p>
+                </div>
               </div>
-            </div>
-          </Link>
+            </Link>
+          )}
 
-          <Link
-            to="/admin/courses"
-            className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
-          >
-            <div className="flex items-center">
-              <div className="p-3 bg-warning-100 rounded-full">
-                <FaGraduationCap className="h-6 w-6 text-warning-600" />
+          {can('news:manage') && (
+            <Link
+              to="/admin/news"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-success-100 rounded-full">
+                  <FaNewspaper className="h-6 w-6 text-success-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Post News</h3>
+                  <p className="text-sm text-gray-600">Create news posts</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Manage Courses</h3>
-                <p className="text-sm text-gray-600">Add and edit courses</p>
+            </Link>
+          )}
+
+          {can('payments:view') && (
+            <Link
+              to="/admin/payments"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-success-100 rounded-full">
+                  <FaCreditCard className="h-6 w-6 text-success-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Payment History</h3>
+                  <p className="text-sm text-gray-600">View payment records</p>
+                </div>
               </div>
-            </div>
-          </Link>
+            </Link>
+          )}
 
-          <Link
-            to="/admin/news"
-            className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
-          >
-            <div className="flex items-center">
-              <div className="p-3 bg-success-100 rounded-full">
-                <FaNewspaper className="h-6 w-6 text-success-600" />
+          {can('sessions:manage') && (
+            <Link
+              to="/admin/sessions"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-primary-100 rounded-full">
+                  <FaCalendarAlt className="h-6 w-6 text-primary-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Academic Calendar</h3>
+                  <p className="text-sm text-gray-600">Set registration windows</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Post News</h3>
-                <p className="text-sm text-gray-600">Create news posts</p>
+            </Link>
+          )}
+
+          {can('registrations:view') && (
+            <Link
+              to="/admin/registrations"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-success-100 rounded-full">
+                  <FaClipboardList className="h-6 w-6 text-success-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Registrations</h3>
+                  <p className="text-sm text-gray-600">Approve pending registrations</p>
+                </div>
               </div>
-            </div>
-          </Link>
+            </Link>
+          )}
 
-          <Link
-            to="/admin/payments"
-            className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
-          >
-            <div className="flex items-center">
-              <div className="p-3 bg-success-100 rounded-full">
-                <FaCreditCard className="h-6 w-6 text-success-600" />
+          {can('grades:enter') && (
+            <Link
+              to="/admin/grades"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-primary-100 rounded-full">
+                  <FaChartLine className="h-6 w-6 text-primary-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Grades</h3>
+                  <p className="text-sm text-gray-600">Enter and release results</p>
+                </div>
               </div>
-              <div className="ml-4">
-                <h3 className="text-lg font-semibold text-gray-900">Payment History</h3>
-                <p className="text-sm text-gray-600">View payment records</p>
+            </Link>
+          )}
+
+          {can('registrations:view') && (
+            <Link
+              to="/admin/credit-load"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-warning-100 rounded-full">
+                  <FaBalanceScale className="h-6 w-6 text-warning-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Credit Loads</h3>
+                  <p className="text-sm text-gray-600">Review overload requests</p>
+                </div>
               </div>
-            </div>
-          </Link>
+            </Link>
+          )}
+
+          {can('registrations:view') && (
+            <Link
+              to="/admin/drops"
+              className="bg-white rounded-lg shadow p-6 hover:shadow-lg transition-shadow"
+            >
+              <div className="flex items-center">
+                <div className="p-3 bg-error-100 rounded-full">
+                  <FaMinusCircle className="h-6 w-6 text-error-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Course Drops</h3>
+                  <p className="text-sm text-gray-600">Review late drop requests</p>
+                </div>
+              </div>
+            </Link>
+          )}
         </div>
 
         {/* Recent Activity */}
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { format, formatDistanceToNow } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaMinusCircle,
+  FaCheck,
+  FaTimes
+} from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const requestStatusLabels = {
+  pending: 'Awaiting approval',
+  approved: 'Late drop approved',
+  rejected: 'Late drop rejected',
+};
+
+const AdminDrops = () => {
+  const { can } = useAuth();
+  const canApprove = can('registrations:approve');
+
+  const [drops, setDrops] = useState([]);
+  const [requestStatus, setRequestStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+
+  // Fetch late drop requests with the selected status, or all drop history
+  const fetchDrops = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = requestStatus ? { requestStatus } : {};
+      const response = await api.get('/courses/drops', { params });
+      setDrops(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch drops');
+    } finally {
+      setLoading(false);
+    }
+  }, [requestStatus]);
+
+  useEffect(() => {
+    fetchDrops();
+  }, [fetchDrops]);
+
+  const handleReview = async (registration, action) => {
+    const notes = window.prompt(
+      `${action === 'approve' ? 'Approve' : 'Reject'} ${registration.student.firstName} ${registration.student.lastName}'s late drop of ${registration.course.courseCode}. Notes (optional):`
+    );
+    if (notes === null) {
+      return;
+    }
+
+    try {
+      const response = await api.put(`/courses/registrations/${registration._id}/drop/${action}`, { notes });
+      toast.success(response.data.message);
+      fetchDrops();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to review late drop';
+      toast.error(message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Course Drops</h1>
+                <p className="text-sm text-gray-500">Late drop requests and drop history</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {requestStatus ? 'Late Drop Requests' : 'Drop History'}
+            </h2>
+            <select
+              value={requestStatus}
+              onChange={(e) => setRequestStatus(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="pending">Pending Requests</option>
+              <option value="approved">Approved Requests</option>
+              <option value="rejected">Rejected Requests</option>
+              <option value="">All Drops</option>
+            </select>
+          </div>
+
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            </div>
+          ) : drops.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaMinusCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">
+                {requestStatus ? `No ${requestStatus} late drop requests.` : 'No courses have been dropped.'}
+              </p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {drops.map((registration) => (
+                <div key={registration._id} className="p-6 flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {registration.student.firstName} {registration.student.lastName}
+                      <span className="ml-2 text-sm font-normal text-gray-500">{registration.student.referenceNumber}</span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {registration.course.courseCode} - {registration.course.title}
+                      {' · '}
+                      {registration.semester} Semester, {registration.academicYear}
+                    </p>
+                    {registration.dropRequest?.status && (
+                      <>
+                        <p className="text-sm text-gray-900 mt-2">
+                          {requestStatusLabels[registration.dropRequest.status]}
+                        </p>
+                        <p className="text-sm text-gray-600 mt-1">"{registration.dropRequest.reason}"</p>
+                      </>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {registration.droppedAt
+                        ? `Dropped ${format(new Date(registration.droppedAt), 'd MMM yyyy')}`
+                        : `Requested ${formatDistanceToNow(new Date(registration.dropRequest.requestedAt), { addSuffix: true })}`}
+                      {registration.droppedBy && ` by ${registration.droppedBy.firstName} ${registration.droppedBy.lastName}`}
+                      {registration.dropRequest?.reviewedBy && ` · Reviewed by ${registration.dropRequest.reviewedBy.firstName} ${registration.dropRequest.reviewedBy.lastName}`}
+                      {registration.dropRequest?.reviewNotes && ` · ${registration.dropRequest.reviewNotes}`}
+                    </p>
+                  </div>
+                  {canApprove && registration.dropRequest?.status === 'pending' && (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleReview(registration, 'approve')}
+                        className="inline-flex items-center px-3 py-2 text-sm bg-success-600 text-white rounded-md hover:bg-success-700 transition-colors"
+                      >
+                        <FaCheck className="h-4 w-4 mr-2" />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => handleReview(registration, 'reject')}
+                        className="inline-flex items-center px-3 py-2 text-sm bg-error-600 text-white rounded-md hover:bg-error-700 transition-colors"
+                      >
+                        <FaTimes className="h-4 w-4 mr-2" />
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminDrops;
@@ -0,0 +1,410 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaChartLine, FaSave, FaLock, FaLockOpen } from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const scoreInputClassName =
+  'w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100';
+
+// The current and five previous academic years, newest first
+const academicYears = Array.from({ length: 6 }, (_, index) => {
+  const startYear = new Date().getFullYear() - index;
+  return `${startYear}/${startYear + 1}`;
+});
+
+// Letter grade preview for scores that haven't been saved yet
+const previewGrade = (scale, continuousAssessment, examScore) => {
+  if (!scale || continuousAssessment === '' || examScore === '') return null;
+  const total = Math.round(Number(continuousAssessment) + Number(examScore));
+  return scale.bands.find(band => total >= band.minScore) || null;
+};
+
+const AdminGrades = () => {
+  const { can } = useAuth();
+  const canRelease = can('grades:manage');
+
+  const [scale, setScale] = useState(null);
+  const [term, setTerm] = useState({ semester: '', academicYear: '' });
+  const [courses, setCourses] = useState([]);
+  const [courseId, setCourseId] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [scores, setScores] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [failures, setFailures] = useState([]);
+
+  useEffect(() => {
+    const fetchScale = async () => {
+      try {
+        const response = await api.get('/grades/scale');
+        setScale(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch grading scale');
+      }
+    };
+
+    fetchScale();
+  }, []);
+
+  useEffect(() => {
+    const fetchCourses = async () => {
+      try {
+        const params = term.semester ? { semester: term.semester } : {};
+        const response = await api.get('/courses', { params });
+        setCourses(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch courses');
+      }
+    };
+
+    fetchCourses();
+  }, [term.semester]);
+
+  // Fetch the grade sheet; a blank semester means the current academic session
+  const fetchSheet = useCallback(async () => {
+    if (!courseId) {
+      setSheet(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const params = term.semester && term.academicYear ? term : {};
+      const response = await api.get(`/grades/courses/${courseId}`, { params });
+      const data = response.data.data;
+      setSheet(data);
+      setScores(Object.fromEntries(data.students.map(row => [
+        row.registration,
+        {
+          continuousAssessment: row.grade ? String(row.grade.continuousAssessment) : '',
+          examScore: row.grade ? String(row.grade.examScore) : '',
+        },
+      ])));
+    } catch (error) {
+      setSheet(null);
+      toast.error(error.response?.data?.message || 'Failed to fetch grade sheet');
+    } finally {
+      setLoading(false);
+    }
+  }, [courseId, term]);
+
+  useEffect(() => {
+    fetchSheet();
+    setFailures([]);
+  }, [fetchSheet]);
+
+  const updateScore = (registrationId, field, value) => {
+    setScores((current) => ({
+      ...current,
+      [registrationId]: { ...current[registrationId], [field]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    const grades = sheet.students
+      .filter(row => !row.grade?.isReleased)
+      .map(row => ({ registration: row.registration, ...scores[row.registration] }))
+      .filter(row => row.continuousAssessment !== '' && row.examScore !== '')
+      .map(row => ({
+        registration: row.registration,
+        continuousAssessment: Number(row.continuousAssessment),
+        examScore: Number(row.examScore),
+      }));
+
+    if (grades.length === 0) {
+      toast.error('Enter both scores for at least one student');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await api.post(`/grades/courses/${courseId}`, {
+        semester: sheet.semester,
+        academicYear: sheet.academicYear,
+        grades,
+      });
+      const { failed, results } = response.data.data;
+      if (failed > 0) {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      setFailures(results.filter(result => !result.success));
+      fetchSheet();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to save grades';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRelease = async (action) => {
+    const prompt = action === 'release'
+      ? `Release ${sheet.course.courseCode} grades to students? CGPAs will be updated.`
+      : `Withhold ${sheet.course.courseCode} grades? Students will stop seeing them until they are released again.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const response = await api.put(`/grades/courses/${courseId}/${action}`, {
+        semester: sheet.semester,
+        academicYear: sheet.academicYear,
+      });
+      toast.success(response.data.message);
+      fetchSheet();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} grades`);
+    }
+  };
+
+  const allReleased = sheet && sheet.students.length > 0 && sheet.released === sheet.students.length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Grades</h1>
+                <p className="text-sm text-gray-500">Enter scores and release results by course</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Semester</label>
+              <select
+                value={term.semester}
+                onChange={(e) => setTerm({ ...term, semester: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="">Current session</option>
+                <option value="First">First</option>
+                <option value="Second">Second</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Academic Year</label>
+              <select
+                value={term.academicYear}
+                onChange={(e) => setTerm({ ...term, academicYear: e.target.value })}
+                disabled={!term.semester}
+                className={`${selectClassName} disabled:bg-gray-100`}
+              >
+                <option value="">Select a year</option>
+                {academicYears.map((year) => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Course</label>
+              <select
+                value={courseId}
+                onChange={(e) => setCourseId(e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">Select a course</option>
+                {courses.map((course) => (
+                  <option key={course._id} value={course._id}>
+                    {course.courseCode} - {course.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {failures.length > 0 && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 mb-6">
+            <p className="text-sm font-medium text-error-800 mb-2">Some grades were not saved:</p>
+            <ul className="text-sm text-error-700 list-disc list-inside">
+              {failures.map((failure) => {
+                const row = sheet?.students.find(student => student.registration === failure.registration);
+                return (
+                  <li key={failure.registration}>
+                    {row ? row.student.referenceNumber : failure.registration}: {failure.message}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading grade sheet...</p>
+          </div>
+        ) : !sheet ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <FaChartLine className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">Select a course to enter grades.</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {sheet.course.courseCode} · {sheet.course.title}
+                </h2>
+                <p className="text-sm text-gray-500">
+                  {sheet.academicYear} {sheet.semester} Semester · {sheet.graded} of {sheet.students.length} graded · {sheet.released} released
+                </p>
+              </div>
+              <div className="flex space-x-3">
+                {!allReleased && (
+                  <button
+                    onClick={handleSave}
+                    disabled={saving || sheet.students.length === 0}
+                    className="flex items-center px-4 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors disabled:opacity-50"
+                  >
+                    <FaSave className="h-4 w-4 mr-2" />
+                    {saving ? 'Saving...' : 'Save Grades'}
+                  </button>
+                )}
+                {canRelease && sheet.graded > sheet.released && (
+                  <button
+                    onClick={() => handleRelease('release')}
+                    className="flex items-center px-4 py-2 text-sm bg-success-600 text-white rounded-md hover:bg-success-700 transition-colors"
+                  >
+                    <FaLockOpen className="h-4 w-4 mr-2" />
+                    Release
+                  </button>
+                )}
+                {canRelease && sheet.released > 0 && (
+                  <button
+                    onClick={() => handleRelease('withhold')}
+                    className="flex items-center px-4 py-2 text-sm text-error-600 border border-error-600 rounded-md hover:bg-error-50 transition-colors"
+                  >
+                    <FaLock className="h-4 w-4 mr-2" />
+                    Withhold
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {sheet.students.length === 0 ? (
+              <p className="p-6 text-sm text-gray-600">No students have an approved registration for this course.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CA (40)</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exam (60)</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Grade</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {sheet.students.map((row) => {
+                      const rowScores = scores[row.registration] || { continuousAssessment: '', examScore: '' };
+                      const isReleased = !!row.grade?.isReleased;
+                      const band = isReleased
+                        ? { grade: row.grade.letterGrade, isPassing: row.grade.isPassing }
+                        : previewGrade(scale, rowScores.continuousAssessment, rowScores.examScore);
+                      return (
+                        <tr key={row.registration}>
+                          <td className="px-6 py-4">
+                            <p className="text-sm font-medium text-gray-900">
+                              {row.student.firstName} {row.student.lastName}
+                            </p>
+                            <p className="text-sm text-gray-500">{row.student.referenceNumber}</p>
+                          </td>
+                          <td className="px-6 py-4">
+                            <input
+                              type="number"
+                              min="0"
+                              max="40"
+                              step="0.5"
+                              value={rowScores.continuousAssessment}
+                              onChange={(e) => updateScore(row.registration, 'continuousAssessment', e.target.value)}
+                              disabled={isReleased}
+                              className={scoreInputClassName}
+                            />
+                          </td>
+                          <td className="px-6 py-4">
+                            <input
+                              type="number"
+                              min="0"
+                              max="60"
+                              step="0.5"
+                              value={rowScores.examScore}
+                              onChange={(e) => updateScore(row.registration, 'examScore', e.target.value)}
+                              disabled={isReleased}
+                              className={scoreInputClassName}
+                            />
+                          </td>
+                          <td className="px-6 py-4">
+                            {band ? (
+                              <span
+                                className={`px-2 py-1 text-xs font-medium rounded-full ${
+                                  band.isPassing
+                                    ? 'bg-success-100 text-success-800'
+                                    : 'bg-error-100 text-error-800'
+                                }`}
+                              >
+                                {band.grade}
+                              </span>
+                            ) : (
+                              <span className="text-sm text-gray-400">—</span>
+                            )}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {isReleased ? 'Released' : row.grade ? 'Saved' : 'Not graded'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Grading Scale */}
+        {scale && (
+          <div className="mt-8 bg-white rounded-lg shadow p-6">
+            <h3 className="text-sm font-semibold text-gray-900 mb-3">Grading Scale</h3>
+            <div className="flex flex-wrap gap-2">
+              {scale.bands.map((band, index) => (
+                <span key={band.grade} className="px-3 py-1 text-xs bg-gray-100 text-gray-700 rounded-full">
+                  {band.grade}: {band.minScore}
+                  {index > 0 ? `–${scale.bands[index - 1].minScore - 1}` : '–100'} ({band.gradePoint.toFixed(1)})
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminGrades;
@@ -0,0 +1,454 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FaArrowLeft,
+  FaSitemap,
+  FaPlus,
+  FaEdit,
+  FaTrash,
+  FaTimes
+} from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const departments = [
+  'Mining Engineering',
+  'Minerals Engineering',
+  'Geological Engineering',
+  'Petroleum Engineering',
+  'Mechanical Engineering',
+  'Electrical Engineering',
+  'Computer Science and Engineering',
+  'Environmental and Safety Engineering',
+  'Mathematics',
+  'Physics',
+  'Chemistry',
+  'Liberal Studies',
+];
+
+const programs = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Liberal Studies',
+];
+
+const levels = ['100', '200', '300', '400', '500'];
+
+const emptyProgram = {
+  name: '',
+  department: '',
+  requiredCredits: '',
+  isActive: true,
+  curriculum: [],
+};
+
+const emptyTerm = { level: '100', semester: 'First', coreCourses: '', electiveGroups: [] };
+
+const emptyGroup = { name: '', minCourses: '1', courses: '' };
+
+const inputClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+// Course codes are edited as comma-separated text
+const parseCodes = (text) => text.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+
+const AdminPrograms = () => {
+  const [programList, setProgramList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchPrograms = useCallback(async () => {
+    try {
+      const response = await api.get('/programs');
+      setProgramList(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch programs');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPrograms();
+  }, [fetchPrograms]);
+
+  const openForm = (program = null) => {
+    setEditingId(program?._id || null);
+    setForm(program
+      ? {
+        name: program.name,
+        department: program.department,
+        requiredCredits: program.requiredCredits ?? '',
+        isActive: program.isActive,
+        curriculum: program.curriculum.map(term => ({
+          level: String(term.level),
+          semester: term.semester,
+          coreCourses: term.coreCourses.join(', '),
+          electiveGroups: term.electiveGroups.map(group => ({
+            name: group.name,
+            minCourses: String(group.minCourses),
+            courses: group.courses.join(', '),
+          })),
+        })),
+      }
+      : emptyProgram);
+  };
+
+  const updateField = (name, value) => {
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const updateTerm = (termIndex, changes) => {
+    setForm((current) => ({
+      ...current,
+      curriculum: current.curriculum.map((term, index) => (index === termIndex ? { ...term, ...changes } : term)),
+    }));
+  };
+
+  const updateGroup = (termIndex, groupIndex, changes) => {
+    const term = form.curriculum[termIndex];
+    updateTerm(termIndex, {
+      electiveGroups: term.electiveGroups.map((group, index) => (index === groupIndex ? { ...group, ...changes } : group)),
+    });
+  };
+
+  const addTerm = () => {
+    updateField('curriculum', [...form.curriculum, emptyTerm]);
+  };
+
+  const removeTerm = (termIndex) => {
+    updateField('curriculum', form.curriculum.filter((term, index) => index !== termIndex));
+  };
+
+  const addGroup = (termIndex) => {
+    updateTerm(termIndex, { electiveGroups: [...form.curriculum[termIndex].electiveGroups, emptyGroup] });
+  };
+
+  const removeGroup = (termIndex, groupIndex) => {
+    updateTerm(termIndex, {
+      electiveGroups: form.curriculum[termIndex].electiveGroups.filter((group, index) => index !== groupIndex),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: form.name,
+      department: form.department,
+      requiredCredits: form.requiredCredits === '' ? null : Number(form.requiredCredits),
+      isActive: form.isActive,
+      curriculum: form.curriculum.map(term => ({
+        level: Number(term.level),
+        semester: term.semester,
+        coreCourses: parseCodes(term.coreCourses),
+        electiveGroups: term.electiveGroups.map(group => ({
+          name: group.name,
+          minCourses: Number(group.minCourses),
+          courses: parseCodes(group.courses),
+        })),
+      })),
+    };
+
+    try {
+      const response = editingId
+        ? await api.put(`/programs/${editingId}`, payload)
+        : await api.post('/programs', payload);
+      toast.success(response.data.message);
+      setForm(null);
+      setEditingId(null);
+      fetchPrograms();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to save program';
+      toast.error(message);
+    }
+  };
+
+  const handleDelete = async (program) => {
+    if (!window.confirm(`Delete the curriculum for ${program.name}? Degree audits for its students will no longer be available.`)) {
+      return;
+    }
+    try {
+      const response = await api.delete(`/programs/${program._id}`);
+      toast.success(response.data.message);
+      fetchPrograms();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete program';
+      toast.error(message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Programs</h1>
+                <p className="text-sm text-gray-500">Core and elective courses required by each program</p>
+              </div>
+            </div>
+            <button
+              onClick={() => openForm()}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+            >
+              <FaPlus className="h-4 w-4 mr-2" />
+              New Program
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {form && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8 space-y-6">
+            <h2 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Program' : 'New Program'}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <select
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                required
+                className={inputClassName}
+              >
+                <option value="">Select Program</option>
+                {programs.map((program) => (
+                  <option key={program} value={program}>{program}</option>
+                ))}
+              </select>
+              <select
+                value={form.department}
+                onChange={(e) => updateField('department', e.target.value)}
+                required
+                className={inputClassName}
+              >
+                <option value="">Select Department</option>
+                {departments.map((department) => (
+                  <option key={department} value={department}>{department}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                value={form.requiredCredits}
+                onChange={(e) => updateField('requiredCredits', e.target.value)}
+                placeholder="Credits to graduate (optional)"
+                className={inputClassName}
+              />
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateField('isActive', e.target.checked)}
+                  className="mr-2"
+                />
+                Active
+              </label>
+            </div>
+
+            {/* Curriculum terms */}
+            <div className="space-y-4">
+              {form.curriculum.map((term, termIndex) => (
+                <div key={termIndex} className="border border-gray-200 rounded-md p-4 space-y-3">
+                  <div className="flex items-center gap-3">
+                    <select
+                      value={term.level}
+                      onChange={(e) => updateTerm(termIndex, { level: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                    >
+                      {levels.map((level) => (
+                        <option key={level} value={level}>Level {level}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={term.semester}
+                      onChange={(e) => updateTerm(termIndex, { semester: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                    >
+                      <option value="First">First Semester</option>
+                      <option value="Second">Second Semester</option>
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removeTerm(termIndex)}
+                      className="ml-auto p-2 text-gray-400 hover:text-error-600 transition-colors"
+                      title="Remove term"
+                    >
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={term.coreCourses}
+                    onChange={(e) => updateTerm(termIndex, { coreCourses: e.target.value })}
+                    placeholder="Core course codes, comma-separated (e.g. MA 151, CE 171)"
+                    className={inputClassName}
+                  />
+                  {term.electiveGroups.map((group, groupIndex) => (
+                    <div key={groupIndex} className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                      <input
+                        type="text"
+                        value={group.name}
+                        onChange={(e) => updateGroup(termIndex, groupIndex, { name: e.target.value })}
+                        placeholder="Elective group name"
+                        required
+                        className={`${inputClassName} md:col-span-3`}
+                      />
+                      <div className="md:col-span-2 flex items-center text-sm text-gray-600">
+                        <span className="mr-2">Choose</span>
+                        <input
+                          type="number"
+                          min="1"
+                          value={group.minCourses}
+                          onChange={(e) => updateGroup(termIndex, groupIndex, { minCourses: e.target.value })}
+                          required
+                          className={inputClassName}
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        value={group.courses}
+                        onChange={(e) => updateGroup(termIndex, groupIndex, { courses: e.target.value })}
+                        placeholder="Elective course codes, comma-separated"
+                        required
+                        className={`${inputClassName} md:col-span-6`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeGroup(termIndex, groupIndex)}
+                        className="p-2 text-gray-400 hover:text-error-600 transition-colors justify-self-end"
+                        title="Remove elective group"
+                      >
+                        <FaTimes className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => addGroup(termIndex)}
+                    className="text-sm text-primary-600 hover:text-primary-700"
+                  >
+                    + Add elective group
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={addTerm}
+                className="inline-flex items-center px-3 py-2 text-sm text-primary-600 border border-primary-600 rounded-md hover:bg-primary-50 transition-colors"
+              >
+                <FaPlus className="h-3 w-3 mr-2" />
+                Add Level and Semester
+              </button>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+              >
+                Save Program
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading programs...</p>
+          </div>
+        ) : programList.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <FaSitemap className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No program curricula have been set up yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {programList.map((program) => (
+              <div key={program._id} className="bg-white rounded-lg shadow">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">
+                      {program.name}
+                      {!program.isActive && (
+                        <span className="ml-2 px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">Inactive</span>
+                      )}
+                    </h2>
+                    <p className="text-sm text-gray-500">
+                      {program.department}
+                      {program.requiredCredits != null && ` · ${program.requiredCredits} credits to graduate`}
+                    </p>
+                  </div>
+                  <div className="whitespace-nowrap">
+                    <button
+                      onClick={() => openForm(program)}
+                      className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
+                      title="Edit"
+                    >
+                      <FaEdit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(program)}
+                      className="p-2 text-gray-400 hover:text-error-600 transition-colors"
+                      title="Delete"
+                    >
+                      <FaTrash className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {program.curriculum.length === 0 ? (
+                  <p className="p-6 text-sm text-gray-600">No courses have been added to this curriculum.</p>
+                ) : (
+                  <div className="divide-y divide-gray-200">
+                    {program.curriculum.map((term) => (
+                      <div key={`${term.level}-${term.semester}`} className="px-6 py-4 text-sm">
+                        <p className="font-medium text-gray-900">Level {term.level}, {term.semester} Semester</p>
+                        <p className="text-gray-600">
+                          Core: {term.coreCourses.length > 0 ? term.coreCourses.join(', ') : 'none'}
+                        </p>
+                        {term.electiveGroups.map((group) => (
+                          <p key={group.name} className="text-gray-600">
+                            {group.name}: choose {group.minCourses} of {group.courses.join(', ')}
+                          </p>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminPrograms;
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaClipboardList,
+  FaCheck,
+  FaTimes,
+  FaCheckDouble
+} from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const programs = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Liberal Studies',
+];
+
+const levels = ['100', '200', '300', '400', '500'];
+
+const emptyFilters = {
+  program: '',
+  level: '',
+  semester: '',
+  status: 'pending',
+};
+
+const statusBadgeClassNames = {
+  pending: 'bg-warning-100 text-warning-800',
+  approved: 'bg-success-100 text-success-800',
+  rejected: 'bg-error-100 text-error-800',
+  dropped: 'bg-gray-100 text-gray-700',
+};
+
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const AdminRegistrations = () => {
+  const { can } = useAuth();
+  const canApprove = can('registrations:approve');
+
+  const [registrations, setRegistrations] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [failures, setFailures] = useState([]);
+
+  // Fetch registrations matching the filters, oldest first so the queue reads in order
+  const fetchRegistrations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await api.get('/courses/registrations', { params });
+      setRegistrations([...response.data.data].reverse());
+    } catch (error) {
+      toast.error('Failed to fetch registrations');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchRegistrations();
+    setSelectedIds([]);
+  }, [fetchRegistrations]);
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  // Approve or reject either the selected registrations or every pending one matching the filters
+  const handleBulkReview = async (action, target) => {
+    const verb = action === 'approve' ? 'Approve' : 'Reject';
+    const description = target === 'selected'
+      ? `${selectedIds.length} selected registration(s)`
+      : `all ${registrations.length} pending registration(s) matching the filters`;
+
+    let notes;
+    if (action === 'reject') {
+      notes = window.prompt(`${verb} ${description}. Notes for the students (optional):`);
+      if (notes === null) {
+        return;
+      }
+    } else if (!window.confirm(`${verb} ${description}? Seats are given in order of registration.`)) {
+      return;
+    }
+
+    const payload = target === 'selected'
+      ? { ids: selectedIds, notes }
+      : {
+        filters: {
+          program: filters.program || undefined,
+          level: filters.level ? Number(filters.level) : undefined,
+          semester: filters.semester || undefined,
+        },
+        notes,
+      };
+
+    setActionLoading(true);
+    try {
+      const response = await api.post(`/courses/registrations/bulk-${action}`, payload);
+      const { failed, results } = response.data.data;
+      if (failed > 0) {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      setFailures(results.filter(result => !result.success));
+      setSelectedIds([]);
+      fetchRegistrations();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || `Failed to ${action} registrations`;
+      toast.error(message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const toggleSelected = (registrationId) => {
+    setSelectedIds((current) =>
+      current.includes(registrationId)
+        ? current.filter(id => id !== registrationId)
+        : [...current, registrationId]
+    );
+  };
+
+  const selectableRegistrations = registrations.filter(r => r.status === 'pending');
+  const allSelected = selectableRegistrations.length > 0
+    && selectableRegistrations.every(r => selectedIds.includes(r._id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : selectableRegistrations.map(r => r._id));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Registrations</h1>
+                <p className="text-sm text-gray-500">Review the course registration queue</p>
+              </div>
+            </div>
+            {canApprove && filters.status === 'pending' && registrations.length > 0 && (
+              <button
+                onClick={() => handleBulkReview('approve', 'matching')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-4 py-2 bg-success-600 text-white rounded-md hover:bg-success-700 disabled:opacity-50 transition-colors"
+              >
+                <FaCheckDouble className="h-4 w-4 mr-2" />
+                Approve All Matching
+              </button>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select
+              value={filters.program}
+              onChange={(e) => updateFilter('program', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Programs</option>
+              {programs.map((program) => (
+                <option key={program} value={program}>{program}</option>
+              ))}
+            </select>
+            <select
+              value={filters.level}
+              onChange={(e) => updateFilter('level', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Levels</option>
+              {levels.map((level) => (
+                <option key={level} value={level}>Level {level}</option>
+              ))}
+            </select>
+            <select
+              value={filters.semester}
+              onChange={(e) => updateFilter('semester', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Semesters</option>
+              <option value="First">First Semester</option>
+              <option value="Second">Second Semester</option>
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="pending">Pending</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+              <option value="dropped">Dropped</option>
+              <option value="">Any Status</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Bulk Actions */}
+        {canApprove && selectedIds.length > 0 && (
+          <div className="bg-primary-50 border border-primary-200 rounded-lg p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <p className="text-sm font-medium text-primary-800">
+              {selectedIds.length} registration(s) selected
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => handleBulkReview('approve', 'selected')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-3 py-2 text-sm bg-success-600 text-white rounded-md hover:bg-success-700 disabled:opacity-50 transition-colors"
+              >
+                <FaCheck className="h-4 w-4 mr-2" />
+                Approve
+              </button>
+              <button
+                onClick={() => handleBulkReview('reject', 'selected')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-3 py-2 text-sm bg-error-600 text-white rounded-md hover:bg-error-700 disabled:opacity-50 transition-colors"
+              >
+                <FaTimes className="h-4 w-4 mr-2" />
+                Reject
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Failed Items From the Last Bulk Action */}
+        {failures.length > 0 && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 mb-6">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-error-800">
+                {failures.length} registration(s) could not be processed
+              </p>
+              <button
+                onClick={() => setFailures([])}
+                className="text-sm text-error-700 hover:text-error-900"
+              >
+                Dismiss
+              </button>
+            </div>
+            <ul className="text-sm text-error-700 space-y-1">
+              {failures.map((failure) => (
+                <li key={failure.id}>
+                  {failure.courseCode
+                    ? `${failure.courseCode} – ${failure.student.firstName} ${failure.student.lastName}`
+                    : failure.id}
+                  : {failure.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Registration Table */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading registrations...</p>
+            </div>
+          ) : registrations.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaClipboardList className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No registrations match these filters.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {canApprove && (
+                      <th className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={toggleSelectAll}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                        />
+                      </th>
+                    )}
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Seats Taken</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registered</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {registrations.map((registration) => (
+                    <tr key={registration._id} className="hover:bg-gray-50">
+                      {canApprove && (
+                        <td className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(registration._id)}
+                            onChange={() => toggleSelected(registration._id)}
+                            disabled={registration.status !== 'pending'}
+                            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">
+                          {registration.student.firstName} {registration.student.lastName}
+                        </p>
+                        <p className="text-sm text-gray-500">{registration.student.referenceNumber}</p>
+                      </td>
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">{registration.course.courseCode}</p>
+                        <p className="text-sm text-gray-500">{registration.course.title}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {registration.course.currentEnrollment}/{registration.course.maxStudents || '∞'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {format(new Date(registration.registeredAt), 'd MMM yyyy, HH:mm')}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${statusBadgeClassNames[registration.status]}`}>
+                          {registration.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminRegistrations;
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaCalendarAlt,
+  FaPlus,
+  FaEdit,
+  FaTrash
+} from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Closing dates run to the end of the chosen day
+const dateFields = [
+  { name: 'startDate', label: 'Semester Starts' },
+  { name: 'endDate', label: 'Semester Ends', endOfDay: true },
+  { name: 'registrationOpensAt', label: 'Registration Opens' },
+  { name: 'registrationClosesAt', label: 'Registration Closes', endOfDay: true },
+  { name: 'lateRegistrationClosesAt', label: 'Late Registration Closes', endOfDay: true, optional: true },
+  { name: 'addDropDeadline', label: 'Add/Drop Deadline', endOfDay: true },
+  { name: 'feesDueDate', label: 'Fees Due', endOfDay: true, optional: true },
+  { name: 'examStartDate', label: 'Exams Start', optional: true },
+  { name: 'examEndDate', label: 'Exams End', endOfDay: true, optional: true },
+];
+
+const emptyForm = {
+  academicYear: '',
+  semester: 'First',
+  startDate: '',
+  endDate: '',
+  registrationOpensAt: '',
+  registrationClosesAt: '',
+  lateRegistrationClosesAt: '',
+  addDropDeadline: '',
+  feesDueDate: '',
+  examStartDate: '',
+  examEndDate: '',
+};
+
+const statusStyles = {
+  upcoming: 'bg-primary-100 text-primary-800',
+  open: 'bg-success-100 text-success-800',
+  late: 'bg-warning-100 text-warning-800',
+  closed: 'bg-gray-100 text-gray-700',
+};
+
+const inputClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const toInputDate = (date) => (date ? format(new Date(date), 'yyyy-MM-dd') : '');
+const formatDate = (date) => (date ? format(new Date(date), 'd MMM yyyy') : '—');
+
+const AdminSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Fetch every academic session
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/academic-sessions');
+      setSessions(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch academic sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const openEdit = (session) => {
+    setEditingId(session._id);
+    setForm({
+      academicYear: session.academicYear,
+      semester: session.semester,
+      ...Object.fromEntries(dateFields.map(({ name }) => [name, toInputDate(session[name])])),
+    });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const updateField = (name, value) => {
+    setForm((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const payload = { academicYear: form.academicYear, semester: form.semester };
+      dateFields.forEach(({ name, endOfDay }) => {
+        const value = form[name];
+        payload[name] = value
+          ? new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).toISOString()
+          : null;
+      });
+      const response = editingId
+        ? await api.put(`/academic-sessions/${editingId}`, payload)
+        : await api.post('/academic-sessions', payload);
+      toast.success(response.data.message);
+      closeForm();
+      fetchSessions();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to save academic session';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete the ${session.academicYear} ${session.semester} Semester?`)) {
+      return;
+    }
+    try {
+      const response = await api.delete(`/academic-sessions/${session._id}`);
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete academic session';
+      toast.error(message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Academic Calendar</h1>
+                <p className="text-sm text-gray-500">Semesters and registration windows</p>
+              </div>
+            </div>
+            <button
+              onClick={openCreate}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+            >
+              <FaPlus className="h-4 w-4 mr-2" />
+              New Session
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Session Form */}
+        {form && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">
+              {editingId ? 'Edit Session' : 'New Session'}
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Academic Year</label>
+                <input
+                  type="text"
+                  value={form.academicYear}
+                  onChange={(e) => updateField('academicYear', e.target.value)}
+                  placeholder="2025/2026"
+                  required
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Semester</label>
+                <select
+                  value={form.semester}
+                  onChange={(e) => updateField('semester', e.target.value)}
+                  className={inputClassName}
+                >
+                  <option value="First">First</option>
+                  <option value="Second">Second</option>
+                </select>
+              </div>
+              {dateFields.map(({ name, label, optional }) => (
+                <div key={name}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {label}{optional && <span className="text-gray-400"> (optional)</span>}
+                  </label>
+                  <input
+                    type="date"
+                    value={form[name]}
+                    onChange={(e) => updateField(name, e.target.value)}
+                    required={!optional}
+                    className={inputClassName}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-2 mt-6">
+              <button
+                type="button"
+                onClick={closeForm}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+              >
+                {saving ? 'Saving...' : 'Save Session'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Session List */}
+        <div className="bg-white rounded-lg shadow">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading sessions...</p>
+            </div>
+          ) : sessions.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaCalendarAlt className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No academic sessions yet. Students cannot register until one is open.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Session</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Semester</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registration</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Late Until</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Add/Drop</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {sessions.map((session) => (
+                    <tr key={session._id}>
+                      <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                        {session.academicYear} {session.semester}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {formatDate(session.startDate)} – {formatDate(session.endDate)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {formatDate(session.registrationOpensAt)} – {formatDate(session.registrationClosesAt)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {formatDate(session.lateRegistrationClosesAt)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {formatDate(session.addDropDeadline)}
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${statusStyles[session.registrationStatus]}`}>
+                          {session.registrationStatus}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => openEdit(session)}
+                          className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
+                          title="Edit"
+                        >
+                          <FaEdit className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(session)}
+                          className="p-2 text-gray-400 hover:text-error-600 transition-colors"
+                          title="Delete"
+                        >
+                          <FaTrash className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default AdminSessions;
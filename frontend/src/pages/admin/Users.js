@@ -1,24 +1,850 @@
-import React from 'react';
-import { FaUsers, FaSearch } from 'react-icons/fa';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaSearch,
+  FaUsers,
+  FaTimes,
+  FaUserSlash,
+  FaUserCheck,
+  FaKey,
+  FaTrash,
+  FaChevronLeft,
+  FaChevronRight,
+  FaFileDownload
+} from 'react-icons/fa';
+import { useAuth } from '../../contexts/AuthContext';
+import api, { downloadFile } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const departments = [
+  'Mining Engineering',
+  'Minerals Engineering',
+  'Geological Engineering',
+  'Petroleum Engineering',
+  'Mechanical Engineering',
+  'Electrical Engineering',
+  'Computer Science and Engineering',
+  'Environmental and Safety Engineering',
+  'Mathematics',
+  'Physics',
+  'Chemistry',
+  'Liberal Studies',
+];
+
+const programs = [
+  'BSc Mining Engineering',
+  'BSc Minerals Engineering',
+  'BSc Geological Engineering',
+  'BSc Petroleum Engineering',
+  'BSc Mechanical Engineering',
+  'BSc Electrical Engineering',
+  'BSc Computer Science and Engineering',
+  'BSc Environmental and Safety Engineering',
+  'BSc Mathematics',
+  'BSc Physics',
+  'BSc Chemistry',
+  'BSc Liberal Studies',
+];
+
+const levels = ['100', '200', '300', '400', '500'];
+
+const roles = [
+  { value: 'student', label: 'Student' },
+  { value: 'lecturer', label: 'Lecturer' },
+  { value: 'hod', label: 'Head of Department' },
+  { value: 'bursar', label: 'Bursar' },
+  { value: 'registrar', label: 'Registrar' },
+  { value: 'admin', label: 'Admin' },
+];
+
+const roleLabel = (role) => roles.find(r => r.value === role)?.label || role;
+
+const emptyFilters = {
+  search: '',
+  department: '',
+  program: '',
+  level: '',
+  role: '',
+  status: '',
+};
+
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
 
 const AdminUsers = () => {
+  const { user: currentUser, can } = useAuth();
+  const canManage = can('users:manage');
+  const canIssueTranscripts = can('transcripts:issue');
+
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [detail, setDetail] = useState(null);
+  const [newRole, setNewRole] = useState('');
+  const [newDepartment, setNewDepartment] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionNote, setActionNote] = useState('');
+  const [transcripts, setTranscripts] = useState([]);
+
+  // Fetch the current page of users
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await api.get('/admin/users', { params });
+      setUsers(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchUsers();
+    setSelectedIds([]);
+  }, [fetchUsers]);
+
+  // Official transcripts already issued to the student being viewed
+  const detailStudentId = detail?.user.role === 'student' ? detail.user._id : null;
+
+  const fetchTranscripts = useCallback(async () => {
+    if (!detailStudentId || !canIssueTranscripts) {
+      setTranscripts([]);
+      return;
+    }
+
+    try {
+      const response = await api.get('/transcripts', { params: { student: detailStudentId, limit: 5 } });
+      setTranscripts(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch transcripts');
+    }
+  }, [detailStudentId, canIssueTranscripts]);
+
+  useEffect(() => {
+    fetchTranscripts();
+  }, [fetchTranscripts]);
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', searchInput.trim());
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    setFilters(emptyFilters);
+    setPage(1);
+  };
+
+  const openDetail = async (userId) => {
+    try {
+      const response = await api.get(`/admin/users/${userId}`);
+      setDetail(response.data.data);
+      setNewRole(response.data.data.user.role);
+      setNewDepartment(response.data.data.user.department || '');
+      setPendingAction(null);
+      setActionNote('');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load user';
+      toast.error(message);
+    }
+  };
+
+  const refreshDetail = async () => {
+    if (detail) {
+      await openDetail(detail.user._id);
+    }
+    fetchUsers();
+  };
+
+  const runUserAction = async (request, successMessage) => {
+    setActionLoading(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message || successMessage);
+      await refreshDetail();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Action failed';
+      toast.error(message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRoleChange = () => {
+    runUserAction(
+      () => api.put(`/admin/users/${detail.user._id}/role`, {
+        role: newRole,
+        department: newDepartment || undefined,
+      }),
+      'Role updated'
+    );
+  };
+
+  // Suspend, reinstate and delete all record a note in the account's status history
+  const statusActions = {
+    deactivate: {
+      label: 'Suspend Account',
+      prompt: 'Reason for suspension (shown to the user when they try to sign in)',
+      request: () => api.put(`/admin/users/${detail.user._id}/deactivate`, { reason: actionNote }),
+    },
+    reactivate: {
+      label: 'Reinstate Account',
+      prompt: 'Note for the audit trail',
+      request: () => api.put(`/admin/users/${detail.user._id}/reactivate`, { note: actionNote }),
+    },
+    delete: {
+      label: 'Delete Account',
+      prompt: 'Reason for deletion (registrations and payments are kept)',
+      request: () => api.delete(`/admin/users/${detail.user._id}`, { data: { reason: actionNote } }),
+    },
+  };
+
+  const handleStatusAction = () => {
+    runUserAction(statusActions[pendingAction].request, 'Account updated');
+  };
+
+  const handleForceReset = () => {
+    if (!window.confirm(`Require ${detail.user.fullName} to reset their password?`)) {
+      return;
+    }
+    runUserAction(() => api.post(`/admin/users/${detail.user._id}/force-password-reset`), 'Password reset required');
+  };
+
+  const handleDownloadTranscript = async (transcript) => {
+    try {
+      await downloadFile(`/transcripts/${transcript._id}/pdf`, `transcript-${transcript.verificationCode}.pdf`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to download transcript');
+    }
+  };
+
+  const handleIssueTranscript = async () => {
+    if (!window.confirm(`Issue an official transcript for ${detail.user.fullName}? It will carry a verification code and reflect their results as of now.`)) {
+      return;
+    }
+
+    setActionLoading(true);
+    try {
+      const response = await api.post(`/transcripts/students/${detail.user._id}`);
+      toast.success(response.data.message);
+      await handleDownloadTranscript(response.data.data);
+      fetchTranscripts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to issue transcript');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleBulkAction = async (action, label) => {
+    let note;
+    if (action === 'force_password_reset') {
+      if (!window.confirm(`${label} ${selectedIds.length} selected user(s)?`)) {
+        return;
+      }
+    } else {
+      note = window.prompt(`${label} ${selectedIds.length} selected user(s). Enter a note for the audit trail:`);
+      if (!note) {
+        return;
+      }
+    }
+
+    setActionLoading(true);
+    try {
+      const response = await api.post('/admin/users/bulk', { userIds: selectedIds, action, note });
+      toast.success(response.data.message);
+      setSelectedIds([]);
+      fetchUsers();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Bulk action failed';
+      toast.error(message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelectedIds((current) =>
+      current.includes(userId)
+        ? current.filter(id => id !== userId)
+        : [...current, userId]
+    );
+  };
+
+  const selectableUsers = users.filter(u => u._id !== currentUser?.id);
+  const allSelected = selectableUsers.length > 0 && selectableUsers.every(u => selectedIds.includes(u._id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : selectableUsers.map(u => u._id));
+  };
+
+  const StatusBadges = ({ account }) => (
+    <div className="flex flex-wrap gap-1">
+      {account.accountStatus === 'active' && (
+        <span className="px-2 py-1 text-xs font-medium bg-success-100 text-success-800 rounded-full">
+          Active
+        </span>
+      )}
+      {account.accountStatus === 'suspended' && (
+        <span className="px-2 py-1 text-xs font-medium bg-error-100 text-error-800 rounded-full">
+          Suspended
+        </span>
+      )}
+      {account.accountStatus === 'deleted' && (
+        <span className="px-2 py-1 text-xs font-medium bg-gray-200 text-gray-700 rounded-full">
+          Deleted
+        </span>
+      )}
+      {account.passwordResetRequired && (
+        <span className="px-2 py-1 text-xs font-medium bg-warning-100 text-warning-800 rounded-full">
+          Reset required
+        </span>
+      )}
+      {account.isOnline && (
+        <span className="px-2 py-1 text-xs font-medium bg-primary-100 text-primary-800 rounded-full">
+          Online
+        </span>
+      )}
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="bg-white rounded-lg shadow p-8 text-center">
-          <FaUsers className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">User Management</h2>
-          <p className="text-gray-600 mb-6">
-            View and manage student accounts, track online users, and monitor department statistics.
-          </p>
-          <button className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors">
-            <FaSearch className="h-4 w-4 mr-2" />
-            View All Users
-          </button>
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/admin"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">User Management</h1>
+                <p className="text-sm text-gray-500">
+                  {pagination.total} account{pagination.total === 1 ? '' : 's'} found
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-6 mb-6">
+          <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-3 mb-4">
+            <div className="relative flex-1">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FaSearch className="h-4 w-4 text-gray-400" />
+              </div>
+              <input
+                type="text"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search by name, email or reference number"
+                className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+            >
+              Search
+            </button>
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+            >
+              Clear
+            </button>
+          </form>
+
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            <select
+              value={filters.department}
+              onChange={(e) => updateFilter('department', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Departments</option>
+              {departments.map((department) => (
+                <option key={department} value={department}>{department}</option>
+              ))}
+            </select>
+            <select
+              value={filters.program}
+              onChange={(e) => updateFilter('program', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Programs</option>
+              {programs.map((program) => (
+                <option key={program} value={program}>{program}</option>
+              ))}
+            </select>
+            <select
+              value={filters.level}
+              onChange={(e) => updateFilter('level', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Levels</option>
+              {levels.map((level) => (
+                <option key={level} value={level}>Level {level}</option>
+              ))}
+            </select>
+            <select
+              value={filters.role}
+              onChange={(e) => updateFilter('role', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">All Roles</option>
+              {roles.map((role) => (
+                <option key={role.value} value={role.value}>{role.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => updateFilter('status', e.target.value)}
+              className={selectClassName}
+            >
+              <option value="">Any Status</option>
+              <option value="active">Active</option>
+              <option value="suspended">Suspended</option>
+              <option value="deleted">Deleted</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Bulk Actions */}
+        {canManage && selectedIds.length > 0 && (
+          <div className="bg-primary-50 border border-primary-200 rounded-lg p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <p className="text-sm font-medium text-primary-800">
+              {selectedIds.length} user(s) selected
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => handleBulkAction('deactivate', 'Suspend')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-3 py-2 text-sm bg-error-600 text-white rounded-md hover:bg-error-700 disabled:opacity-50 transition-colors"
+              >
+                <FaUserSlash className="h-4 w-4 mr-2" />
+                Suspend
+              </button>
+              <button
+                onClick={() => handleBulkAction('reactivate', 'Reinstate')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-3 py-2 text-sm bg-success-600 text-white rounded-md hover:bg-success-700 disabled:opacity-50 transition-colors"
+              >
+                <FaUserCheck className="h-4 w-4 mr-2" />
+                Reinstate
+              </button>
+              <button
+                onClick={() => handleBulkAction('force_password_reset', 'Force a password reset for')}
+                disabled={actionLoading}
+                className="inline-flex items-center px-3 py-2 text-sm bg-warning-600 text-white rounded-md hover:bg-warning-700 disabled:opacity-50 transition-colors"
+              >
+                <FaKey className="h-4 w-4 mr-2" />
+                Force Password Reset
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* User Table */}
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading users...</p>
+            </div>
+          ) : users.length === 0 ? (
+            <div className="p-8 text-center">
+              <FaUsers className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No users match your search.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {canManage && (
+                      <th className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={toggleSelectAll}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                        />
+                      </th>
+                    )}
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Department</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {users.map((account) => (
+                    <tr
+                      key={account._id}
+                      onClick={() => openDetail(account._id)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      {canManage && (
+                        <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(account._id)}
+                            onChange={() => toggleSelected(account._id)}
+                            disabled={account._id === currentUser?.id}
+                            className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">{account.fullName}</p>
+                        <p className="text-sm text-gray-500">{account.email}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{account.referenceNumber}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{roleLabel(account.role)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {account.department || '—'}
+                        {account.level && (
+                          <p className="text-xs text-gray-500">{account.program} · Level {account.level}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <StatusBadges account={account} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination.pages > 1 && (
+            <div className="px-4 py-3 border-t border-gray-200 flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                Page {pagination.page} of {pagination.pages}
+              </p>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="p-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <FaChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                  className="p-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <FaChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {/* User Detail Drawer */}
+      {detail && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-end z-50" onClick={() => setDetail(null)}>
+          <div
+            className="bg-white w-full max-w-md h-full overflow-y-auto shadow-xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h3 className="text-lg font-semibold text-gray-900">{detail.user.fullName}</h3>
+              <button
+                onClick={() => setDetail(null)}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaTimes className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <StatusBadges account={detail.user} />
+
+              {detail.user.accountStatus !== 'active' && (
+                <div className="bg-error-50 border border-error-200 rounded-lg p-4 text-sm">
+                  <p className="font-medium text-error-800">
+                    {detail.user.accountStatus === 'deleted' ? 'Deleted' : 'Suspended'}{' '}
+                    {formatDistanceToNow(new Date(detail.user.deletedAt || detail.user.suspendedAt), { addSuffix: true })}
+                  </p>
+                  {detail.user.suspensionReason && (
+                    <p className="text-error-700 mt-1">{detail.user.suspensionReason}</p>
+                  )}
+                </div>
+              )}
+
+              <dl className="grid grid-cols-2 gap-4 text-sm">
+                <div className="col-span-2">
+                  <dt className="text-gray-500">Email</dt>
+                  <dd className="text-gray-900">{detail.user.email}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Reference Number</dt>
+                  <dd className="text-gray-900">{detail.user.referenceNumber}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Phone</dt>
+                  <dd className="text-gray-900">{detail.user.phoneNumber}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Role</dt>
+                  <dd className="text-gray-900">{roleLabel(detail.user.role)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Department</dt>
+                  <dd className="text-gray-900">{detail.user.department || '—'}</dd>
+                </div>
+                {detail.user.program && (
+                  <div>
+                    <dt className="text-gray-500">Program</dt>
+                    <dd className="text-gray-900">{detail.user.program}</dd>
+                  </div>
+                )}
+                {detail.user.level && (
+                  <div>
+                    <dt className="text-gray-500">Level</dt>
+                    <dd className="text-gray-900">{detail.user.level}</dd>
+                  </div>
+                )}
+                <div>
+                  <dt className="text-gray-500">Two-Factor</dt>
+                  <dd className="text-gray-900">{detail.user.twoFactorEnabled ? 'Enabled' : 'Off'}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Last Seen</dt>
+                  <dd className="text-gray-900">
+                    {detail.user.lastSeen
+                      ? formatDistanceToNow(new Date(detail.user.lastSeen), { addSuffix: true })
+                      : 'Never'}
+                  </dd>
+                </div>
+              </dl>
+
+              <div className="grid grid-cols-3 gap-3 text-center">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-lg font-bold text-gray-900">{detail.activity.registrations}</p>
+                  <p className="text-xs text-gray-500">Registrations</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-lg font-bold text-gray-900">{detail.activity.payments}</p>
+                  <p className="text-xs text-gray-500">Payments</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-lg font-bold text-gray-900">{detail.activity.activeSessions}</p>
+                  <p className="text-xs text-gray-500">Active Sessions</p>
+                </div>
+              </div>
+
+              {detail.user.statusHistory?.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Status History</h4>
+                  <ul className="space-y-2">
+                    {[...detail.user.statusHistory].reverse().map((entry) => (
+                      <li key={entry._id} className="text-sm border-l-2 border-gray-200 pl-3">
+                        <p className="text-gray-900 capitalize">
+                          {entry.action}
+                          {entry.performedBy && ` by ${entry.performedBy.firstName} ${entry.performedBy.lastName}`}
+                        </p>
+                        {entry.note && <p className="text-gray-600">{entry.note}</p>}
+                        <p className="text-xs text-gray-500">
+                          {formatDistanceToNow(new Date(entry.createdAt), { addSuffix: true })}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {canIssueTranscripts && detailStudentId && (
+                <div className="border-t border-gray-200 pt-6 space-y-3">
+                  <h4 className="text-sm font-semibold text-gray-900">Official Transcripts</h4>
+                  {transcripts.length > 0 && (
+                    <ul className="space-y-2">
+                      {transcripts.map((transcript) => (
+                        <li key={transcript._id} className="flex items-center justify-between text-sm">
+                          <div>
+                            <p className="font-mono text-gray-900">{transcript.verificationCode}</p>
+                            <p className="text-xs text-gray-500">
+                              Issued {formatDistanceToNow(new Date(transcript.issuedAt), { addSuffix: true })}
+                              {transcript.issuedBy && ` by ${transcript.issuedBy.firstName} ${transcript.issuedBy.lastName}`}
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => handleDownloadTranscript(transcript)}
+                            className="p-2 text-primary-600 hover:text-primary-800"
+                            title="Download PDF"
+                          >
+                            <FaFileDownload className="h-4 w-4" />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <button
+                    onClick={handleIssueTranscript}
+                    disabled={actionLoading}
+                    className="w-full inline-flex items-center justify-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 transition-colors"
+                  >
+                    <FaFileDownload className="h-4 w-4 mr-2" />
+                    Issue Official Transcript
+                  </button>
+                </div>
+              )}
+
+              {canManage && detail.user._id !== currentUser?.id && (
+                <>
+                  {/* Role Change */}
+                  <div className="border-t border-gray-200 pt-6 space-y-3">
+                    <h4 className="text-sm font-semibold text-gray-900">Change Role</h4>
+                    <select
+                      value={newRole}
+                      onChange={(e) => setNewRole(e.target.value)}
+                      className={selectClassName}
+                    >
+                      {roles.map((role) => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                    {['lecturer', 'hod', 'student'].includes(newRole) && (
+                      <select
+                        value={newDepartment}
+                        onChange={(e) => setNewDepartment(e.target.value)}
+                        className={selectClassName}
+                      >
+                        <option value="">Select Department</option>
+                        {departments.map((department) => (
+                          <option key={department} value={department}>{department}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button
+                      onClick={handleRoleChange}
+                      disabled={actionLoading || newRole === detail.user.role}
+                      className="w-full px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                    >
+                      Update Role
+                    </button>
+                  </div>
+
+                  {/* Account Actions */}
+                  <div className="border-t border-gray-200 pt-6 space-y-3">
+                    <h4 className="text-sm font-semibold text-gray-900">Account Actions</h4>
+                    {pendingAction ? (
+                      <div className="space-y-3">
+                        <label className="block text-sm text-gray-700">
+                          {statusActions[pendingAction].prompt}
+                        </label>
+                        <textarea
+                          value={actionNote}
+                          onChange={(e) => setActionNote(e.target.value)}
+                          rows={3}
+                          maxLength={500}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                        />
+                        <div className="flex space-x-3">
+                          <button
+                            onClick={() => {
+                              setPendingAction(null);
+                              setActionNote('');
+                            }}
+                            className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={handleStatusAction}
+                            disabled={actionLoading || (pendingAction !== 'delete' && actionNote.trim().length < 3)}
+                            className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          >
+                            {statusActions[pendingAction].label}
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        {detail.user.accountStatus === 'active' ? (
+                          <button
+                            onClick={() => setPendingAction('deactivate')}
+                            disabled={actionLoading}
+                            className="w-full inline-flex items-center justify-center px-4 py-2 bg-error-600 text-white rounded-md hover:bg-error-700 disabled:opacity-50 transition-colors"
+                          >
+                            <FaUserSlash className="h-4 w-4 mr-2" />
+                            Suspend Account
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => setPendingAction('reactivate')}
+                            disabled={actionLoading}
+                            className="w-full inline-flex items-center justify-center px-4 py-2 bg-success-600 text-white rounded-md hover:bg-success-700 disabled:opacity-50 transition-colors"
+                          >
+                            <FaUserCheck className="h-4 w-4 mr-2" />
+                            Reinstate Account
+                          </button>
+                        )}
+                        <button
+                          onClick={handleForceReset}
+                          disabled={actionLoading}
+                          className="w-full inline-flex items-center justify-center px-4 py-2 bg-warning-600 text-white rounded-md hover:bg-warning-700 disabled:opacity-50 transition-colors"
+                        >
+                          <FaKey className="h-4 w-4 mr-2" />
+                          Force Password Reset
+                        </button>
+                        {detail.user.accountStatus !== 'deleted' && (
+                          <button
+                            onClick={() => setPendingAction('delete')}
+                            disabled={actionLoading}
+                            className="w-full inline-flex items-center justify-center px-4 py-2 bg-white border border-error-300 text-error-700 rounded-md hover:bg-error-50 disabled:opacity-50 transition-colors"
+                          >
+                            <FaTrash className="h-4 w-4 mr-2" />
+                            Delete Account
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
 
-export default AdminUsers; 
\ No newline at end of file
+export default AdminUsers;
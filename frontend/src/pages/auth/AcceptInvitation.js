@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { FaIdCard, FaLock, FaPhone } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm();
+
+  const password = watch('password');
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await api.get(`/auth/invitations/${token}`);
+        setInvitation(response.data.data);
+      } catch (error) {
+        setInvitation(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const onSubmit = async (data) => {
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/auth/invitations/${token}/accept`, {
+        phoneNumber: data.phoneNumber,
+        referenceNumber: data.referenceNumber,
+        password: data.password,
+      });
+      toast.success(response.data.message);
+      navigate('/login');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to create account';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClassName = (hasError) =>
+    `appearance-none relative block w-full pl-10 pr-3 py-3 border ${
+      hasError ? 'border-red-300' : 'border-gray-300'
+    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
+            <span className="text-white text-2xl font-bold">U</span>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Set Up Your Staff Account
+          </h2>
+          {invitation && (
+            <p className="mt-2 text-sm text-gray-600">
+              Welcome, {invitation.firstName}. You're joining as {invitation.role}
+              {invitation.department ? ` in ${invitation.department}` : ''}.
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-xl p-8">
+          {loading ? (
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Checking your invitation...</p>
+            </div>
+          ) : !invitation ? (
+            <div className="text-center">
+              <p className="text-gray-700 mb-6">
+                This invitation link is invalid, has already been used or has expired.
+                Ask an administrator to send you a new one.
+              </p>
+              <Link
+                to="/login"
+                className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+              >
+                Back to login
+              </Link>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">
+                  Email Address
+                </label>
+                <p className="mt-1 text-gray-900">{invitation.email}</p>
+              </div>
+
+              {/* Staff ID */}
+              <div>
+                <label htmlFor="referenceNumber" className="block text-sm font-medium text-gray-700">
+                  Staff ID
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaIdCard className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="referenceNumber"
+                    type="text"
+                    {...register('referenceNumber', {
+                      required: 'Staff ID is required',
+                      pattern: {
+                        value: /^[0-9]{8,}$/,
+                        message: 'Staff ID must be at least 8 digits',
+                      },
+                    })}
+                    className={inputClassName(errors.referenceNumber)}
+                    placeholder="Enter your staff ID"
+                  />
+                </div>
+                {errors.referenceNumber && (
+                  <p className="mt-1 text-sm text-red-600">{errors.referenceNumber.message}</p>
+                )}
+              </div>
+
+              {/* Phone Number */}
+              <div>
+                <label htmlFor="phoneNumber" className="block text-sm font-medium text-gray-700">
+                  Phone Number
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaPhone className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="phoneNumber"
+                    type="tel"
+                    {...register('phoneNumber', {
+                      required: 'Phone number is required',
+                      pattern: {
+                        value: /^(\+233|0)[0-9]{9}$/,
+                        message: 'Please enter a valid Ghanaian phone number',
+                      },
+                    })}
+                    className={inputClassName(errors.phoneNumber)}
+                    placeholder="e.g. 0241234567"
+                  />
+                </div>
+                {errors.phoneNumber && (
+                  <p className="mt-1 text-sm text-red-600">{errors.phoneNumber.message}</p>
+                )}
+              </div>
+
+              {/* Password */}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type="password"
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters',
+                      },
+                    })}
+                    className={inputClassName(errors.password)}
+                    placeholder="Choose a password"
+                  />
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                  Confirm Password
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    type="password"
+                    {...register('confirmPassword', {
+                      required: 'Please confirm your password',
+                      validate: (value) => value === password || 'Passwords do not match',
+                    })}
+                    className={inputClassName(errors.confirmPassword)}
+                    placeholder="Confirm your password"
+                  />
+                </div>
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {submitting ? 'Creating account...' : 'Create Account'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { FaUser, FaEnvelope } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async (data) => {
+    setSubmitting(true);
+    try {
+      await api.post('/auth/forgot-password', data);
+      setSubmitted(true);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send reset link';
+      toast.error(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
+            <span className="text-white text-2xl font-bold">U</span>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Forgot Password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your email and we'll send you a reset link
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-xl p-8">
+          {submitted ? (
+            <div className="text-center">
+              <FaEnvelope className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+              <p className="text-gray-700 mb-6">
+                If an account exists for that email, a password reset link is on its way.
+                The link expires in 1 hour.
+              </p>
+              <Link
+                to="/login"
+                className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+              >
+                Back to login
+              </Link>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email Address
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaUser className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address',
+                      },
+                    })}
+                    className={`appearance-none relative block w-full pl-10 pr-3 py-3 border ${
+                      errors.email ? 'border-red-300' : 'border-gray-300'
+                    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {submitting ? 'Sending...' : 'Send Reset Link'}
+              </button>
+
+              <p className="text-center text-sm text-gray-600">
+                <Link
+                  to="/login"
+                  className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                >
+                  Back to login
+                </Link>
+              </p>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -2,12 +2,14 @@ import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
-import { FaEye, FaEyeSlash, FaUser, FaLock } from 'react-icons/fa';
+import { FaEye, FaEyeSlash, FaUser, FaLock, FaShieldAlt } from 'react-icons/fa';
+import TwoFactorSetup from '../../components/common/TwoFactorSetup';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isAdminLogin, setIsAdminLogin] = useState(false);
-  const { login, loading } = useAuth();
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const { login, loading, challenge, verifyTwoFactor, finishLogin, cancelChallenge } = useAuth();
 
   const {
     register,
@@ -19,6 +21,17 @@ const Login = () => {
     await login(data);
   };
 
+  const onVerifyCode = async (e) => {
+    e.preventDefault();
+    await verifyTwoFactor(twoFactorCode);
+    setTwoFactorCode('');
+  };
+
+  const handleCancelChallenge = () => {
+    setTwoFactorCode('');
+    cancelChallenge();
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center px-4">
       <div className="max-w-md w-full space-y-8">
@@ -34,141 +47,212 @@ const Login = () => {
           </p>
         </div>
 
-        <div className="bg-white rounded-lg shadow-xl p-8">
-          {/* Role Toggle */}
-          <div className="mb-6">
-            <div className="flex bg-gray-100 rounded-lg p-1">
-              <button
-                type="button"
-                onClick={() => setIsAdminLogin(false)}
-                className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
-                  !isAdminLogin
-                    ? 'bg-white text-primary-600 shadow-sm'
-                    : 'text-gray-600 hover:text-gray-900'
-                }`}
-              >
-                Student Login
-              </button>
+        {challenge?.type === 'setup' && (
+          <div className="bg-white rounded-lg shadow-xl p-8">
+            <p className="mb-4 text-sm text-gray-600">
+              Administrator accounts must use two-factor authentication. Set it up to continue.
+            </p>
+            <TwoFactorSetup
+              challengeToken={challenge.challengeToken}
+              onComplete={finishLogin}
+              onCancel={handleCancelChallenge}
+            />
+          </div>
+        )}
+
+        {challenge?.type === 'code' && (
+          <div className="bg-white rounded-lg shadow-xl p-8">
+            <form className="space-y-6" onSubmit={onVerifyCode}>
+              <div className="text-center">
+                <FaShieldAlt className="h-10 w-10 text-primary-600 mx-auto mb-2" />
+                <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+                <p className="text-sm text-gray-600">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
+              </div>
+              <input
+                type="text"
+                autoComplete="one-time-code"
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value.trim())}
+                className="appearance-none block w-full px-3 py-3 border border-gray-300 rounded-md text-center tracking-widest text-gray-900 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                placeholder="123456"
+              />
               <button
-                type="button"
-                onClick={() => setIsAdminLogin(true)}
-                className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
-                  isAdminLogin
-                    ? 'bg-white text-primary-600 shadow-sm'
-                    : 'text-gray-600 hover:text-gray-900'
-                }`}
+                type="submit"
+                disabled={loading || !twoFactorCode}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
               >
-                Admin Login
+                {loading ? 'Verifying...' : 'Verify'}
               </button>
-            </div>
+              <p className="text-center text-sm">
+                <button
+                  type="button"
+                  onClick={handleCancelChallenge}
+                  className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                >
+                  Back to login
+                </button>
+              </p>
+            </form>
           </div>
+        )}
 
-          <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
-            {/* Email Field */}
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email Address
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaUser className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="email"
-                  type="email"
-                  {...register('email', {
-                    required: 'Email is required',
-                    pattern: {
-                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                      message: 'Invalid email address',
-                    },
-                  })}
-                  className={`appearance-none relative block w-full pl-10 pr-3 py-3 border ${
-                    errors.email ? 'border-red-300' : 'border-gray-300'
-                  } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`}
-                  placeholder="Enter your email"
-                />
-              </div>
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaLock className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  {...register('password', {
-                    required: 'Password is required',
-                    minLength: {
-                      value: 6,
-                      message: 'Password must be at least 6 characters',
-                    },
-                  })}
-                  className={`appearance-none relative block w-full pl-10 pr-10 py-3 border ${
-                    errors.password ? 'border-red-300' : 'border-gray-300'
-                  } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`}
-                  placeholder="Enter your password"
-                />
+        {!challenge && (
+          <div className="bg-white rounded-lg shadow-xl p-8">
+            {/* Role Toggle */}
+            <div className="mb-6">
+              <div className="flex bg-gray-100 rounded-lg p-1">
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => setIsAdminLogin(false)}
+                  className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                    !isAdminLogin
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                  }`}
                 >
-                  {showPassword ? (
-                    <FaEyeSlash className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <FaEye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
+                  Student Login
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsAdminLogin(true)}
+                  className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                    isAdminLogin
+                      ? 'bg-white text-primary-600 shadow-sm'
+                      : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  Admin Login
                 </button>
               </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-              )}
             </div>
 
-            {/* Submit Button */}
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                {loading ? (
-                  <div className="flex items-center">
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                    Signing in...
+            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email Address
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaUser className="h-5 w-5 text-gray-400" />
                   </div>
-                ) : (
-                  'Sign In'
+                  <input
+                    id="email"
+                    type="email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address',
+                      },
+                    })}
+                    className={`appearance-none relative block w-full pl-10 pr-3 py-3 border ${
+                      errors.email ? 'border-red-300' : 'border-gray-300'
+                    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
                 )}
-              </button>
-            </div>
+              </div>
 
-            {/* Register Link */}
-            {!isAdminLogin && (
-              <div className="text-center">
-                <p className="text-sm text-gray-600">
-                  Don't have an account?{' '}
+              {/* Password Field */}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    {...register('password', {
+                      required: 'Password is required',
+                      minLength: {
+                        value: 6,
+                        message: 'Password must be at least 6 characters',
+                      },
+                    })}
+                    className={`appearance-none relative block w-full pl-10 pr-10 py-3 border ${
+                      errors.password ? 'border-red-300' : 'border-gray-300'
+                    } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm`}
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <FaEyeSlash className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <FaEye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+                <div className="mt-2 text-right">
                   <Link
-                    to="/register"
-                    className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                    to="/forgot-password"
+                    className="text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
                   >
-                    Register here
+                    Forgot your password?
                   </Link>
-                </p>
+                </div>
               </div>
-            )}
-          </form>
-        </div>
+
+              {/* Submit Button */}
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? (
+                    <div className="flex items-center">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      Signing in...
+                    </div>
+                  ) : (
+                    'Sign In'
+                  )}
+                </button>
+              </div>
+
+              {/* Register Link */}
+              {!isAdminLogin && (
+                <div className="text-center space-y-2">
+                  <p className="text-sm text-gray-600">
+                    Don't have an account?{' '}
+                    <Link
+                      to="/register"
+                      className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                    >
+                      Register here
+                    </Link>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    Haven't verified your email?{' '}
+                    <Link
+                      to="/verify-email"
+                      className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                    >
+                      Resend link
+                    </Link>
+                  </p>
+                </div>
+              )}
+            </form>
+          </div>
+        )}
       </div>
     </div>
   );
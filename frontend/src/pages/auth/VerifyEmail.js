@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { FaEnvelope, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState(token ? 'verifying' : 'pending');
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const response = await api.get(`/auth/verify-email/${token}`);
+        setStatus('verified');
+        setMessage(response.data.message);
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const onResend = async (data) => {
+    setSending(true);
+    try {
+      const response = await api.post('/auth/resend-verification', data);
+      toast.success(response.data.message);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to resend verification email';
+      toast.error(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-secondary-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
+            <span className="text-white text-2xl font-bold">U</span>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Email Verification
+          </h2>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-xl p-8 space-y-6">
+          {status === 'verifying' && (
+            <div className="text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Verifying your email...</p>
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <div className="text-center">
+              <FaCheckCircle className="h-12 w-12 text-success-600 mx-auto mb-4" />
+              <p className="text-gray-700 mb-6">{message}</p>
+              <Link
+                to="/login"
+                className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 transition-colors"
+              >
+                Go to Login
+              </Link>
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <div className="text-center">
+              <FaTimesCircle className="h-12 w-12 text-error-600 mx-auto mb-4" />
+              <p className="text-gray-700">{message}</p>
+            </div>
+          )}
+
+          {status === 'pending' && (
+            <div className="text-center">
+              <FaEnvelope className="h-12 w-12 text-primary-600 mx-auto mb-4" />
+              <p className="text-gray-700">
+                We sent a verification link to your email address. Open it to activate your account.
+              </p>
+            </div>
+          )}
+
+          {status !== 'verifying' && status !== 'verified' && (
+            <form className="space-y-4" onSubmit={handleSubmit(onResend)}>
+              <p className="text-sm text-gray-600">
+                Didn't get the email or the link expired? Request a new one.
+              </p>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email Address
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  {...register('email', {
+                    required: 'Email is required',
+                    pattern: {
+                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                      message: 'Invalid email address',
+                    },
+                  })}
+                  className={`mt-1 appearance-none block w-full px-3 py-3 border ${
+                    errors.email ? 'border-red-300' : 'border-gray-300'
+                  } placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm`}
+                  placeholder="Enter your email"
+                />
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
+              <button
+                type="submit"
+                disabled={sending}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {sending ? 'Sending...' : 'Resend Verification Email'}
+              </button>
+              <p className="text-center text-sm text-gray-600">
+                <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                  Back to login
+                </Link>
+              </p>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -6,12 +6,27 @@ import {
   FaTimes, 
   FaClock, 
   FaUsers,
-  FaGraduationCap
+  FaGraduationCap,
+  FaExclamationTriangle,
+  FaCalendarAlt,
+  FaFileDownload,
+  FaListUl
 } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
-import api from '../../services/api';
+import { format } from 'date-fns';
+import api, { downloadFile } from '../../services/api';
 import toast from 'react-hot-toast';
 
+// Why a prerequisite still counts as unmet, as reported by the server
+const PREREQUISITE_REASONS = {
+  not_taken: 'Not yet taken',
+  pending_approval: 'Registration awaiting approval',
+  in_progress: 'Currently in progress',
+  failed: 'Not passed',
+};
+
+const formatDate = (date) => format(new Date(date), 'd MMM yyyy');
+
 const CourseRegistration = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
@@ -20,6 +35,14 @@ const CourseRegistration = () => {
   const [selectedProgram, setSelectedProgram] = useState('');
   const [selectedLevel, setSelectedLevel] = useState('');
   const [registeredCourses, setRegisteredCourses] = useState([]);
+  const [blockers, setBlockers] = useState({});
+  const [calendar, setCalendar] = useState({ current: null, upcoming: null });
+  const [creditLoad, setCreditLoad] = useState(null);
+  const [showOverloadForm, setShowOverloadForm] = useState(false);
+  const [overloadRequest, setOverloadRequest] = useState({ requestedCredits: '', reason: '' });
+  const [waitlist, setWaitlist] = useState([]);
+  const [fullCourseIds, setFullCourseIds] = useState([]);
+  const [skippedCoreCourses, setSkippedCoreCourses] = useState([]);
 
   const semesters = ['First', 'Second'];
   const programs = [
@@ -52,7 +75,7 @@ const CourseRegistration = () => {
           isActive: true,
         },
       });
-      setCourses(response.data.courses);
+      setCourses(response.data.data);
     } catch (error) {
       toast.error('Failed to fetch courses');
     } finally {
@@ -64,7 +87,7 @@ const CourseRegistration = () => {
   const fetchRegisteredCourses = async () => {
     try {
       const response = await api.get('/courses/my-registrations');
-      setRegisteredCourses(response.data.registrations);
+      setRegisteredCourses(response.data.data);
     } catch (error) {
       console.error('Failed to fetch registered courses:', error);
     }
@@ -74,26 +97,202 @@ const CourseRegistration = () => {
     fetchCourses();
   }, [selectedSemester, selectedProgram, selectedLevel]);
 
+  // Fetch the academic session registrations are taken for
+  const fetchCalendar = async () => {
+    try {
+      const response = await api.get('/academic-sessions/current');
+      setCalendar(response.data.data);
+      if (response.data.data.current) {
+        setSelectedSemester(response.data.data.current.semester);
+      }
+    } catch (error) {
+      console.error('Failed to fetch academic calendar:', error);
+    }
+  };
+
+  // Fetch the credits carried this semester and the limits that apply
+  const fetchCreditLoad = async () => {
+    try {
+      const response = await api.get('/credit-load/me');
+      setCreditLoad(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch credit load:', error);
+    }
+  };
+
+  // Fetch the student's waitlist places and seat offers
+  const fetchWaitlist = async () => {
+    try {
+      const response = await api.get('/courses/waitlist/mine');
+      setWaitlist(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch waitlist:', error);
+    }
+  };
+
   useEffect(() => {
     fetchRegisteredCourses();
+    fetchCalendar();
+    fetchCreditLoad();
+    fetchWaitlist();
   }, []);
 
+  const session = calendar.current;
+  const registrationOpen = ['open', 'late'].includes(session?.registrationStatus);
+  const hasApprovedThisSemester = !!session && registeredCourses.some(reg =>
+    reg.status === 'approved'
+    && reg.semester === session.semester
+    && reg.academicYear === session.academicYear
+  );
+
   const handleRegisterCourse = async (courseId) => {
     try {
-      await api.post('/courses/register', {
-        courseId,
-        semester: selectedSemester,
-        academicYear: new Date().getFullYear(),
-      });
-      toast.success('Course registered successfully');
+      const response = await api.post('/courses/register', { courseId });
+      toast.success(response.data.message || 'Course registered successfully');
+      setBlockers(prev => ({ ...prev, [courseId]: undefined }));
       fetchRegisteredCourses();
+      fetchCreditLoad();
       fetchCourses(); // Refresh course list to update enrollment
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to register course';
+      const unmetPrerequisites = error.response?.data?.data?.unmetPrerequisites;
+      if (unmetPrerequisites) {
+        setBlockers(prev => ({ ...prev, [courseId]: unmetPrerequisites }));
+      }
+      // Remaining seats may all be held for waitlisted students
+      if (error.response?.data?.data?.canJoinWaitlist) {
+        setFullCourseIds(prev => [...prev, courseId]);
+      }
+      toast.error(message);
+    }
+  };
+
+  const handleRegisterCoreCourses = async () => {
+    try {
+      const response = await api.post('/courses/register/core');
+      toast.success(response.data.message);
+      setSkippedCoreCourses(response.data.data.skipped);
+      fetchRegisteredCourses();
+      fetchCreditLoad();
+      fetchCourses();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to register core courses');
+    }
+  };
+
+  const handleJoinWaitlist = async (courseId) => {
+    try {
+      const response = await api.post(`/courses/${courseId}/waitlist`);
+      toast.success(response.data.message);
+      fetchWaitlist();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to join waitlist';
+      toast.error(message);
+    }
+  };
+
+  const handleConfirmSeat = async (entry) => {
+    try {
+      const response = await api.post(`/courses/waitlist/${entry._id}/confirm`);
+      toast.success(response.data.message);
+      fetchWaitlist();
+      fetchRegisteredCourses();
+      fetchCreditLoad();
+      fetchCourses();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to confirm seat';
+      toast.error(message);
+      fetchWaitlist();
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry) => {
+    const action = entry.status === 'offered' ? 'Decline the seat offered' : 'Leave the waitlist';
+    if (!window.confirm(`${action} for ${entry.course.courseCode}?`)) {
+      return;
+    }
+    try {
+      const response = await api.post(`/courses/waitlist/${entry._id}/leave`);
+      toast.success(response.data.message);
+      fetchWaitlist();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to leave waitlist';
+      toast.error(message);
+    }
+  };
+
+  const openWaitlist = waitlist.filter(entry => ['waiting', 'offered'].includes(entry.status));
+
+  const getWaitlistEntry = (courseId) => openWaitlist.find(entry => entry.course._id === courseId);
+
+  // Seats set aside for the student's program in a course shared with other programs
+  const getProgramQuota = (course) =>
+    course.offerings?.find(offering => offering.program === user?.program && offering.maxStudents);
+
+  const isCourseFull = (course) =>
+    course.currentEnrollment >= course.maxStudents || fullCourseIds.includes(course._id);
+
+  const isQuotaFull = (course) => {
+    const quota = getProgramQuota(course);
+    return !!quota && quota.currentEnrollment >= quota.maxStudents;
+  };
+
+  const handleOverloadRequest = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post('/credit-load/overloads', overloadRequest);
+      toast.success(response.data.message);
+      setShowOverloadForm(false);
+      setOverloadRequest({ requestedCredits: '', reason: '' });
+      fetchCreditLoad();
+    } catch (error) {
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to submit overload request';
       toast.error(message);
     }
   };
 
+  const handleDropCourse = async (registration) => {
+    const { courseCode } = registration.course;
+    const addDropClosed = registration.status === 'approved' && !!session && new Date() > new Date(session.addDropDeadline);
+    const remainingCredits = creditLoad ? creditLoad.currentCredits - registration.course.credits : null;
+    const belowMinimum = registration.status === 'approved' && !!creditLoad && remainingCredits < creditLoad.minCredits;
+    let reason;
+
+    if (addDropClosed) {
+      reason = window.prompt(`The add/drop deadline has passed. Why do you need to drop ${courseCode}? Your request will be sent for approval.`);
+      if (!reason) return;
+    } else if (belowMinimum) {
+      reason = window.prompt(`Dropping ${courseCode} would leave you with ${remainingCredits} credits, below the minimum of ${creditLoad.minCredits}. Why do you need to drop it? Your request will be sent for approval.`);
+      if (!reason) return;
+    } else if (!window.confirm(`Drop ${courseCode}?`)) {
+      return;
+    }
+
+    try {
+      const response = await api.post(`/courses/registrations/${registration._id}/drop`, { reason });
+      toast.success(response.data.message);
+      fetchRegisteredCourses();
+      fetchCreditLoad();
+      fetchCourses();
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to drop course';
+      toast.error(message);
+    }
+  };
+
+  const handleDownloadSlip = async () => {
+    try {
+      await downloadFile('/courses/registration-slip', 'registration-slip.pdf');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to download registration slip');
+    }
+  };
+
+  const exceedsCreditLimit = (course) =>
+    !!creditLoad && creditLoad.currentCredits + course.credits > creditLoad.allowedCredits;
+
   const isCourseRegistered = (courseId) => {
     return registeredCourses.some(reg => reg.course._id === courseId);
   };
@@ -126,6 +325,138 @@ const CourseRegistration = () => {
       </header>
 
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Registration Window */}
+        <div className={`rounded-lg p-4 mb-8 border ${
+          registrationOpen
+            ? session.registrationStatus === 'late'
+              ? 'bg-warning-50 border-warning-200'
+              : 'bg-success-50 border-success-200'
+            : 'bg-gray-100 border-gray-200'
+        }`}>
+          <div className="flex items-start">
+            <FaCalendarAlt className="h-5 w-5 text-gray-500 mt-0.5 mr-3" />
+            {session ? (
+              <div className="text-sm text-gray-700">
+                <p className="font-medium text-gray-900">
+                  {session.academicYear} Academic Year, {session.semester} Semester
+                </p>
+                {session.registrationStatus === 'open' && (
+                  <p>Registration is open until {formatDate(session.registrationClosesAt)}.</p>
+                )}
+                {session.registrationStatus === 'late' && (
+                  <p>Late registration is open until {formatDate(session.lateRegistrationClosesAt)}.</p>
+                )}
+                {session.registrationStatus === 'closed' && (
+                  <p>Registration closed on {formatDate(session.lateRegistrationClosesAt || session.registrationClosesAt)}.</p>
+                )}
+                <p className="text-gray-500">Add/drop deadline: {formatDate(session.addDropDeadline)}</p>
+                {skippedCoreCourses.length > 0 && (
+                  <ul className="mt-2 text-warning-800">
+                    {skippedCoreCourses.map(({ courseCode, reason }) => (
+                      <li key={courseCode}>{courseCode} was not added: {reason}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-700">
+                <p className="font-medium text-gray-900">Course registration is not open</p>
+                {calendar.upcoming && (
+                  <p>
+                    Registration for the {calendar.upcoming.academicYear} {calendar.upcoming.semester} Semester
+                    opens on {formatDate(calendar.upcoming.registrationOpensAt)}.
+                  </p>
+                )}
+              </div>
+            )}
+            {registrationOpen && (
+              <button
+                onClick={handleRegisterCoreCourses}
+                className="ml-auto flex items-center px-4 py-2 text-sm text-primary-600 border border-primary-600 rounded-md hover:bg-primary-50 transition-colors whitespace-nowrap"
+              >
+                <FaListUl className="h-4 w-4 mr-2" />
+                Add Core Courses
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Credit Load */}
+        {creditLoad && (
+          <div className="bg-white rounded-lg shadow p-6 mb-8">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold text-gray-900">Credit Load</h2>
+              <span className={`text-2xl font-bold ${
+                creditLoad.currentCredits > creditLoad.allowedCredits
+                  ? 'text-error-600'
+                  : creditLoad.belowMinimum
+                  ? 'text-warning-600'
+                  : 'text-success-600'
+              }`}>
+                {creditLoad.currentCredits} / {creditLoad.allowedCredits}
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+              <div
+                className={`h-2 rounded-full ${creditLoad.belowMinimum ? 'bg-warning-500' : 'bg-success-500'}`}
+                style={{ width: `${Math.min(100, (creditLoad.currentCredits / creditLoad.allowedCredits) * 100)}%` }}
+              ></div>
+            </div>
+            <p className="text-sm text-gray-600">
+              Pending and approved registrations count towards your load.
+              You need at least {creditLoad.minCredits} credits and may carry up to {creditLoad.maxCredits}
+              {creditLoad.overloadApproved && ` (${creditLoad.allowedCredits} with your approved overload)`}.
+            </p>
+            {creditLoad.belowMinimum && (
+              <p className="text-sm text-warning-700 mt-1">
+                You are {creditLoad.minCredits - creditLoad.currentCredits} credits below the minimum load.
+              </p>
+            )}
+
+            {!creditLoad.overloadApproved && (
+              creditLoad.pendingOverload ? (
+                <p className="text-sm text-gray-500 mt-3">
+                  Your request to carry {creditLoad.pendingOverload.requestedCredits} credits is awaiting approval.
+                </p>
+              ) : showOverloadForm ? (
+                <form onSubmit={handleOverloadRequest} className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-3">
+                  <input
+                    type="number"
+                    min={creditLoad.maxCredits + 1}
+                    max={creditLoad.overloadMaxCredits}
+                    value={overloadRequest.requestedCredits}
+                    onChange={(e) => setOverloadRequest(prev => ({ ...prev, requestedCredits: e.target.value }))}
+                    placeholder="Total credits"
+                    required
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <input
+                    type="text"
+                    value={overloadRequest.reason}
+                    onChange={(e) => setOverloadRequest(prev => ({ ...prev, reason: e.target.value }))}
+                    placeholder="Why do you need the extra credits?"
+                    required
+                    className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <button
+                    type="submit"
+                    className="px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Submit Request
+                  </button>
+                </form>
+              ) : (
+                <button
+                  onClick={() => setShowOverloadForm(true)}
+                  className="mt-3 text-sm font-medium text-primary-600 hover:text-primary-700"
+                >
+                  Request a credit overload (requires a CGPA of {creditLoad.overloadMinCgpa.toFixed(2)} or higher)
+                </button>
+              )
+            )}
+          </div>
+        )}
+
         {/* Selection Form */}
         <div className="bg-white rounded-lg shadow p-6 mb-8">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Select Course Criteria</h2>
@@ -219,6 +550,8 @@ const CourseRegistration = () => {
                 {courses.map((course) => {
                   const isRegistered = isCourseRegistered(course._id);
                   const status = getRegistrationStatus(course._id);
+                  const unmetPrerequisites = blockers[course._id];
+                  const waitlistEntry = getWaitlistEntry(course._id);
                   
                   return (
                     <div key={course._id} className="p-6">
@@ -231,6 +564,11 @@ const CourseRegistration = () => {
                             <span className="px-2 py-1 text-xs font-medium bg-primary-100 text-primary-800 rounded-full">
                               {course.credits} Credits
                             </span>
+                            {course.program !== selectedProgram && (
+                              <span className="px-2 py-1 text-xs font-medium bg-gray-100 text-gray-800 rounded-full">
+                                Offered by {course.department}
+                              </span>
+                            )}
                             {isRegistered && (
                               <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                                 status === 'approved' 
@@ -258,20 +596,82 @@ const CourseRegistration = () => {
                               <FaUsers className="h-4 w-4 mr-1" />
                               <span>{course.currentEnrollment}/{course.maxStudents} enrolled</span>
                             </div>
+                            {getProgramQuota(course) && (
+                              <div className="flex items-center">
+                                <span>
+                                  {getProgramQuota(course).currentEnrollment}/{getProgramQuota(course).maxStudents} seats for your program
+                                </span>
+                              </div>
+                            )}
+                            {course.prerequisites?.length > 0 && (
+                              <div className="flex items-center">
+                                <FaGraduationCap className="h-4 w-4 mr-1" />
+                                <span>Requires {course.prerequisites.join(', ')}</span>
+                              </div>
+                            )}
                           </div>
+                          {course.schedule?.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-2 text-xs text-gray-600">
+                              {course.schedule.map((slot) => (
+                                <span key={slot._id} className="px-2 py-1 bg-gray-100 rounded">
+                                  {slot.type} · {slot.day.slice(0, 3)} {slot.startTime}–{slot.endTime} · {slot.venue}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          {unmetPrerequisites?.length > 0 && (
+                            <div className="mt-3 p-3 bg-error-50 border border-error-200 rounded-md">
+                              <div className="flex items-center text-sm font-medium text-error-800 mb-1">
+                                <FaExclamationTriangle className="h-4 w-4 mr-2" />
+                                Prerequisites not met
+                              </div>
+                              <ul className="text-sm text-error-700 space-y-1">
+                                {unmetPrerequisites.map((prerequisite) => (
+                                  <li key={prerequisite.courseCode}>
+                                    {prerequisite.courseCode}
+                                    {prerequisite.title && ` - ${prerequisite.title}`}
+                                    {': '}
+                                    {PREREQUISITE_REASONS[prerequisite.reason] || prerequisite.reason}
+                                  </li>
+                                ))}
+                              </ul>
+                              <p className="text-xs text-error-600 mt-2">
+                                Contact your department if you need a prerequisite override.
+                              </p>
+                            </div>
+                          )}
                         </div>
                         <div className="ml-4">
-                          {!isRegistered ? (
+                          {!isRegistered && waitlistEntry ? (
+                            <span className="px-3 py-2 text-sm font-medium rounded-md bg-warning-100 text-warning-800">
+                              {waitlistEntry.status === 'offered' ? 'Seat Offered' : `Waitlisted #${waitlistEntry.position}`}
+                            </span>
+                          ) : !isRegistered && registrationOpen && isCourseFull(course) ? (
+                            <button
+                              onClick={() => handleJoinWaitlist(course._id)}
+                              className="px-4 py-2 rounded-md text-sm font-medium bg-warning-600 text-white hover:bg-warning-700 transition-colors"
+                            >
+                              Join Waitlist
+                            </button>
+                          ) : !isRegistered ? (
                             <button
                               onClick={() => handleRegisterCourse(course._id)}
-                              disabled={course.currentEnrollment >= course.maxStudents}
+                              disabled={!registrationOpen || isCourseFull(course) || isQuotaFull(course) || exceedsCreditLimit(course)}
                               className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
-                                course.currentEnrollment >= course.maxStudents
+                                !registrationOpen || isCourseFull(course) || isQuotaFull(course) || exceedsCreditLimit(course)
                                   ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
                                   : 'bg-primary-600 text-white hover:bg-primary-700'
                               }`}
                             >
-                              {course.currentEnrollment >= course.maxStudents ? 'Full' : 'Register'}
+                              {isCourseFull(course)
+                                ? 'Full'
+                                : isQuotaFull(course)
+                                ? 'Program Seats Taken'
+                                : !registrationOpen
+                                ? 'Closed'
+                                : exceedsCreditLimit(course)
+                                ? 'Over Credit Limit'
+                                : 'Register'}
                             </button>
                           ) : (
                             <div className="flex items-center space-x-2">
@@ -294,11 +694,65 @@ const CourseRegistration = () => {
           </div>
         )}
 
+        {/* Waitlist */}
+        {openWaitlist.length > 0 && (
+          <div className="mt-8 bg-white rounded-lg shadow">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Your Waitlist</h3>
+            </div>
+            <div className="divide-y divide-gray-200">
+              {openWaitlist.map((entry) => (
+                <div key={entry._id} className="p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div>
+                    <h4 className="text-lg font-semibold text-gray-900">
+                      {entry.course.courseCode} - {entry.course.title}
+                    </h4>
+                    {entry.status === 'offered' ? (
+                      <p className="text-sm text-success-700">
+                        A seat is being held for you. Confirm it by {format(new Date(entry.offerExpiresAt), 'd MMM yyyy, HH:mm')}.
+                      </p>
+                    ) : (
+                      <p className="text-sm text-gray-600">
+                        You are number {entry.position} in the queue. We will email you when a seat opens.
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex space-x-2">
+                    {entry.status === 'offered' && (
+                      <button
+                        onClick={() => handleConfirmSeat(entry)}
+                        className="px-4 py-2 rounded-md text-sm font-medium bg-success-600 text-white hover:bg-success-700 transition-colors"
+                      >
+                        Confirm Seat
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleLeaveWaitlist(entry)}
+                      className="px-4 py-2 rounded-md text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                    >
+                      {entry.status === 'offered' ? 'Decline' : 'Leave Waitlist'}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Registered Courses Summary */}
         {registeredCourses.length > 0 && (
           <div className="mt-8 bg-white rounded-lg shadow">
-            <div className="px-6 py-4 border-b border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
               <h3 className="text-lg font-semibold text-gray-900">Your Registered Courses</h3>
+              {hasApprovedThisSemester && (
+                <button
+                  onClick={handleDownloadSlip}
+                  className="flex items-center px-4 py-2 text-sm text-primary-600 border border-primary-600 rounded-md hover:bg-primary-50 transition-colors"
+                >
+                  <FaFileDownload className="h-4 w-4 mr-2" />
+                  Registration Slip
+                </button>
+              )}
             </div>
             <div className="divide-y divide-gray-200">
               {registeredCourses.map((registration) => (
@@ -312,16 +766,45 @@ const CourseRegistration = () => {
                         {registration.semester} Semester, {registration.academicYear}
                       </p>
                     </div>
-                    <span className={`px-3 py-1 text-sm font-medium rounded-full ${
-                      registration.status === 'approved' 
-                        ? 'bg-success-100 text-success-800'
-                        : registration.status === 'pending'
-                        ? 'bg-warning-100 text-warning-800'
-                        : 'bg-error-100 text-error-800'
-                    }`}>
-                      {registration.status === 'approved' ? 'Approved' : registration.status === 'pending' ? 'Pending' : 'Rejected'}
-                    </span>
+                    <div className="flex items-center space-x-3">
+                      <span className={`px-3 py-1 text-sm font-medium rounded-full ${
+                        registration.status === 'approved' 
+                          ? 'bg-success-100 text-success-800'
+                          : registration.status === 'pending'
+                          ? 'bg-warning-100 text-warning-800'
+                          : registration.status === 'dropped'
+                          ? 'bg-gray-100 text-gray-700'
+                          : 'bg-error-100 text-error-800'
+                      }`}>
+                        {registration.status === 'approved'
+                          ? 'Approved'
+                          : registration.status === 'pending'
+                          ? 'Pending'
+                          : registration.status === 'dropped'
+                          ? 'Dropped'
+                          : 'Rejected'}
+                      </span>
+                      {['pending', 'approved'].includes(registration.status) && registration.dropRequest?.status !== 'pending' && (
+                        <button
+                          onClick={() => handleDropCourse(registration)}
+                          className="px-3 py-1 text-sm font-medium rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                        >
+                          Drop
+                        </button>
+                      )}
+                    </div>
                   </div>
+                  {registration.status === 'dropped' && registration.droppedAt && (
+                    <p className="mt-2 text-sm text-gray-500">Dropped on {formatDate(registration.droppedAt)}</p>
+                  )}
+                  {registration.dropRequest?.status && (
+                    <p className={`mt-2 text-sm ${
+                      registration.dropRequest.status === 'rejected' ? 'text-error-700' : 'text-gray-600'
+                    }`}>
+                      Drop request {registration.dropRequest.status === 'pending' ? 'awaiting approval' : registration.dropRequest.status}
+                      {registration.dropRequest.reviewNotes && `: ${registration.dropRequest.reviewNotes}`}
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
@@ -1,17 +1,38 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
 import { 
   FaGraduationCap, 
   FaNewspaper, 
   FaUser, 
   FaSignOutAlt,
   FaBell,
-  FaCog
+  FaCog,
+  FaCalendarWeek,
+  FaChartLine,
+  FaClipboardCheck
 } from 'react-icons/fa';
 
 const StudentDashboard = () => {
   const { user, logout } = useAuth();
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        const response = await api.get('/grades/me');
+        setResults(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch results');
+      }
+    };
+
+    fetchResults();
+  }, []);
+
+  const latestSemester = results?.semesters[results.semesters.length - 1];
 
   const handleLogout = () => {
     logout();
@@ -75,7 +96,7 @@ const StudentDashboard = () => {
         </div>
 
         {/* Quick Stats */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center">
               <div className="p-3 bg-primary-100 rounded-full">
@@ -100,6 +121,25 @@ const StudentDashboard = () => {
             </div>
           </div>
 
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center">
+              <div className="p-3 bg-primary-100 rounded-full">
+                <FaChartLine className="h-6 w-6 text-primary-600" />
+              </div>
+              <div className="ml-4">
+                <p className="text-sm font-medium text-gray-600">CGPA</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {results?.cgpa != null ? results.cgpa.toFixed(2) : '—'}
+                </p>
+                {latestSemester && (
+                  <p className="text-xs text-gray-500">
+                    GPA {latestSemester.gpa.toFixed(2)} in {latestSemester.semester} Semester {latestSemester.academicYear}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center">
               <div className="p-3 bg-warning-100 rounded-full">
@@ -162,6 +202,78 @@ const StudentDashboard = () => {
               </Link>
             </div>
           </div>
+
+          {/* Timetable Card */}
+          <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+            <div className="p-6">
+              <div className="flex items-center mb-4">
+                <div className="p-3 bg-warning-100 rounded-full">
+                  <FaCalendarWeek className="h-6 w-6 text-warning-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Timetable</h3>
+                  <p className="text-sm text-gray-600">Your weekly classes</p>
+                </div>
+              </div>
+              <p className="text-gray-600 mb-6">
+                See the lectures, labs and tutorials for your approved courses this semester.
+              </p>
+              <Link
+                to="/student/timetable"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-warning-600 hover:bg-warning-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-warning-500 transition-colors"
+              >
+                View Timetable
+              </Link>
+            </div>
+          </div>
+
+          {/* Results Card */}
+          <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+            <div className="p-6">
+              <div className="flex items-center mb-4">
+                <div className="p-3 bg-primary-100 rounded-full">
+                  <FaChartLine className="h-6 w-6 text-primary-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Results</h3>
+                  <p className="text-sm text-gray-600">Your grades and GPA</p>
+                </div>
+              </div>
+              <p className="text-gray-600 mb-6">
+                See your released grades for each semester with your semester GPA and CGPA.
+              </p>
+              <Link
+                to="/student/results"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors"
+              >
+                View Results
+              </Link>
+            </div>
+          </div>
+
+          {/* Degree Audit Card */}
+          <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+            <div className="p-6">
+              <div className="flex items-center mb-4">
+                <div className="p-3 bg-success-100 rounded-full">
+                  <FaClipboardCheck className="h-6 w-6 text-success-600" />
+                </div>
+                <div className="ml-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Degree Audit</h3>
+                  <p className="text-sm text-gray-600">Your progress to graduation</p>
+                </div>
+              </div>
+              <p className="text-gray-600 mb-6">
+                Check the core and elective courses your program still requires.
+              </p>
+              <Link
+                to="/student/degree-audit"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-success-600 hover:bg-success-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-success-500 transition-colors"
+              >
+                View Degree Audit
+              </Link>
+            </div>
+          </div>
         </div>
 
         {/* Student Info */}
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaClipboardCheck, FaCheck } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Labels and badge colours for a course's status in the audit
+const COURSE_STATUSES = {
+  passed: { label: 'Passed', className: 'bg-success-100 text-success-800' },
+  in_progress: { label: 'In progress', className: 'bg-primary-100 text-primary-800' },
+  pending_approval: { label: 'Awaiting approval', className: 'bg-warning-100 text-warning-800' },
+  failed: { label: 'Failed', className: 'bg-error-100 text-error-800' },
+  not_taken: { label: 'Not taken', className: 'bg-gray-100 text-gray-800' },
+};
+
+const CourseRow = ({ course }) => {
+  const status = COURSE_STATUSES[course.status];
+  return (
+    <div className="flex items-center justify-between py-2">
+      <div>
+        <p className="text-sm font-medium text-gray-900">{course.courseCode}</p>
+        <p className="text-xs text-gray-500">
+          {course.title || 'Course no longer offered'}
+          {course.credits != null && ` · ${course.credits} credits`}
+        </p>
+      </div>
+      <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>
+        {status.label}
+      </span>
+    </div>
+  );
+};
+
+const DegreeAudit = () => {
+  const [audit, setAudit] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAudit = async () => {
+      try {
+        const response = await api.get('/programs/audit/me');
+        setAudit(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch degree audit');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAudit();
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/student"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">Degree Audit</h1>
+                <p className="text-sm text-gray-500">
+                  {audit ? audit.program.name : 'Your progress against your program curriculum'}
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading degree audit...</p>
+          </div>
+        ) : !audit ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <FaClipboardCheck className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No curriculum has been set up for your program yet.</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Credits Earned</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {audit.creditsEarned}
+                  {audit.program.requiredCredits && (
+                    <span className="text-base font-normal text-gray-500"> of {audit.program.requiredCredits}</span>
+                  )}
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Core Courses Remaining</p>
+                <p className="text-2xl font-bold text-gray-900">{audit.remaining.coreCourses.length}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Elective Groups Remaining</p>
+                <p className="text-2xl font-bold text-gray-900">{audit.remaining.electiveGroups.length}</p>
+              </div>
+            </div>
+
+            {audit.isComplete && (
+              <div className="bg-success-50 border border-success-200 rounded-lg p-4 mb-8 flex items-center text-sm text-success-800">
+                <FaCheck className="h-4 w-4 mr-2" />
+                You have met every requirement of your program.
+              </div>
+            )}
+
+            <div className="space-y-6">
+              {audit.terms.map((term) => (
+                <div key={`${term.level}-${term.semester}`} className="bg-white rounded-lg shadow">
+                  <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-lg font-semibold text-gray-900">
+                      Level {term.level}, {term.semester} Semester
+                    </h2>
+                  </div>
+                  <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-700 mb-2">Core Courses</h3>
+                      {term.coreCourses.length === 0 ? (
+                        <p className="text-sm text-gray-400">No core courses</p>
+                      ) : (
+                        <div className="divide-y divide-gray-100">
+                          {term.coreCourses.map((course) => (
+                            <CourseRow key={course.courseCode} course={course} />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="space-y-4">
+                      {term.electiveGroups.length === 0 ? (
+                        <div>
+                          <h3 className="text-sm font-semibold text-gray-700 mb-2">Electives</h3>
+                          <p className="text-sm text-gray-400">No electives</p>
+                        </div>
+                      ) : term.electiveGroups.map((group) => (
+                        <div key={group.name}>
+                          <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center justify-between">
+                            <span>{group.name}</span>
+                            <span className={`text-xs font-medium ${group.isSatisfied ? 'text-success-600' : 'text-gray-500'}`}>
+                              {group.passed} of {group.minCourses} passed
+                            </span>
+                          </h3>
+                          <div className="divide-y divide-gray-100">
+                            {group.courses.map((course) => (
+                              <CourseRow key={course.courseCode} course={course} />
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DegreeAudit;
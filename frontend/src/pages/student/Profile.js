@@ -1,18 +1,42 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useForm } from 'react-hook-form';
-import { FaArrowLeft, FaUser, FaEnvelope, FaPhone, FaIdCard, FaLock } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  FaArrowLeft,
+  FaUser,
+  FaEnvelope,
+  FaPhone,
+  FaIdCard,
+  FaLock,
+  FaDesktop,
+  FaMapMarkerAlt,
+  FaShieldAlt,
+  FaCalendarAlt,
+  FaCopy
+} from 'react-icons/fa';
 import { Link } from 'react-router-dom';
+import api from '../../services/api';
 import toast from 'react-hot-toast';
+import TwoFactorSetup from '../../components/common/TwoFactorSetup';
 
 const StudentProfile = () => {
-  const { user, updateProfile, changePassword } = useAuth();
+  const { user, updateProfile, changePassword, logout, logoutAllDevices } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(!!user?.twoFactorEnabled);
+  const [twoFactorAction, setTwoFactorAction] = useState(null);
+  const [twoFactorForm, setTwoFactorForm] = useState({ password: '', code: '' });
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState(null);
 
   const {
     register,
     handleSubmit,
+    watch,
     formState: { errors },
   } = useForm({
     defaultValues: {
@@ -23,6 +47,116 @@ const StudentProfile = () => {
     },
   });
 
+  // Fetch signed-in sessions
+  const fetchSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data);
+    } catch (error) {
+      toast.error('Failed to fetch active sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  // Fetch whether a calendar feed is set up; its URL is only shown when generated
+  useEffect(() => {
+    const fetchCalendarFeed = async () => {
+      try {
+        const response = await api.get('/calendar/feed');
+        setCalendarFeed(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch calendar feed');
+      }
+    };
+
+    fetchCalendarFeed();
+  }, []);
+
+  const handleGenerateCalendarFeed = async () => {
+    if (calendarFeed?.active && !window.confirm('Generate a new link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+
+    try {
+      const response = await api.post('/calendar/feed');
+      setCalendarFeedUrl(response.data.data.url);
+      setCalendarFeed({ active: true, createdAt: response.data.data.createdAt });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate calendar feed');
+    }
+  };
+
+  const handleRevokeCalendarFeed = async () => {
+    if (!window.confirm('Turn off your calendar feed? Subscribed calendars will stop updating.')) {
+      return;
+    }
+
+    try {
+      const response = await api.delete('/calendar/feed');
+      setCalendarFeedUrl(null);
+      setCalendarFeed({ active: false, createdAt: null });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to turn off calendar feed');
+    }
+  };
+
+  const handleCopyCalendarFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeedUrl);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Copy failed. Select the link and copy it instead.');
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      if (session.isCurrent) {
+        logout();
+        return;
+      }
+      toast.success('Session revoked');
+      setSessions(sessions.filter((s) => s.id !== session.id));
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to revoke session';
+      toast.error(message);
+    }
+  };
+
+  const closeTwoFactorModal = () => {
+    setTwoFactorAction(null);
+    setTwoFactorForm({ password: '', code: '' });
+    setBackupCodes(null);
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (twoFactorAction === 'disable') {
+        const response = await api.post('/auth/2fa/disable', twoFactorForm);
+        toast.success(response.data.message);
+        setTwoFactorEnabled(false);
+        closeTwoFactorModal();
+      } else {
+        const response = await api.post('/auth/2fa/backup-codes', { code: twoFactorForm.code });
+        toast.success(response.data.message);
+        setBackupCodes(response.data.data.backupCodes);
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Two-factor request failed';
+      toast.error(message);
+    }
+  };
+
   const onSubmit = async (data) => {
     try {
       await updateProfile(data);
@@ -250,16 +384,280 @@ const StudentProfile = () => {
             {/* Password Change */}
             <div className="bg-white rounded-lg shadow p-6">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">Security</h3>
+              <div className="space-y-3">
+                <button
+                  onClick={() => setShowPasswordForm(!showPasswordForm)}
+                  className="w-full px-4 py-2 text-sm bg-warning-600 text-white rounded-md hover:bg-warning-700 transition-colors"
+                >
+                  Change Password
+                </button>
+                <button
+                  onClick={logoutAllDevices}
+                  className="w-full px-4 py-2 text-sm bg-error-600 text-white rounded-md hover:bg-error-700 transition-colors"
+                >
+                  Sign Out All Devices
+                </button>
+              </div>
+
+              <div className="mt-6 pt-6 border-t border-gray-200">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-sm font-medium text-gray-600 flex items-center">
+                    <FaShieldAlt className="h-4 w-4 mr-2" />
+                    Two-Factor Authentication
+                  </p>
+                  <span
+                    className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      twoFactorEnabled
+                        ? 'bg-success-100 text-success-800'
+                        : 'bg-gray-100 text-gray-800'
+                    }`}
+                  >
+                    {twoFactorEnabled ? 'On' : 'Off'}
+                  </span>
+                </div>
+                {twoFactorEnabled ? (
+                  <div className="space-y-3">
+                    <button
+                      onClick={() => setTwoFactorAction('backup-codes')}
+                      className="w-full px-4 py-2 text-sm text-primary-600 border border-primary-600 rounded-md hover:bg-primary-50 transition-colors"
+                    >
+                      New Backup Codes
+                    </button>
+                    {!user?.twoFactorRequired && (
+                      <button
+                        onClick={() => setTwoFactorAction('disable')}
+                        className="w-full px-4 py-2 text-sm text-error-600 border border-error-600 rounded-md hover:bg-error-50 transition-colors"
+                      >
+                        Turn Off
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setTwoFactorAction('setup')}
+                    className="w-full px-4 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Turn On
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Calendar Feed */}
+        <div className="mt-8 bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <FaCalendarAlt className="h-5 w-5 mr-2 text-primary-600" />
+                Calendar Feed
+              </h2>
+              <p className="text-sm text-gray-500">
+                Subscribe in Google Calendar, Outlook or Apple Calendar to get your classes, exams and deadlines.
+              </p>
+            </div>
+            <span
+              className={`px-2 py-1 text-xs font-medium rounded-full ${
+                calendarFeed?.active
+                  ? 'bg-success-100 text-success-800'
+                  : 'bg-gray-100 text-gray-800'
+              }`}
+            >
+              {calendarFeed?.active ? 'On' : 'Off'}
+            </span>
+          </div>
+          <div className="p-6">
+            {calendarFeedUrl && (
+              <div className="mb-4">
+                <p className="text-sm text-gray-600 mb-2">
+                  Keep this link private: anyone with it can see your timetable. It won't be shown again.
+                </p>
+                <div className="flex">
+                  <input
+                    type="text"
+                    readOnly
+                    value={calendarFeedUrl}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-l-md bg-gray-50"
+                  />
+                  <button
+                    onClick={handleCopyCalendarFeed}
+                    className="px-3 py-2 text-sm text-gray-700 border border-l-0 border-gray-300 rounded-r-md hover:bg-gray-50 transition-colors"
+                    title="Copy link"
+                  >
+                    <FaCopy className="h-4 w-4" />
+                  </button>
+                </div>
+                <a
+                  href={calendarFeedUrl.replace(/^https?:/, 'webcal:')}
+                  className="mt-2 inline-block text-sm text-primary-600 hover:text-primary-700"
+                >
+                  Open in your calendar app
+                </a>
+              </div>
+            )}
+            {calendarFeed?.active && !calendarFeedUrl && (
+              <p className="text-sm text-gray-600 mb-4">
+                Your feed was set up {formatDistanceToNow(new Date(calendarFeed.createdAt), { addSuffix: true })}.
+                Generate a new link if you've lost it or think someone else has it.
+              </p>
+            )}
+            <div className="flex space-x-3">
               <button
-                onClick={() => setShowPasswordForm(!showPasswordForm)}
-                className="w-full px-4 py-2 text-sm bg-warning-600 text-white rounded-md hover:bg-warning-700 transition-colors"
+                onClick={handleGenerateCalendarFeed}
+                className="px-4 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
               >
-                Change Password
+                {calendarFeed?.active ? 'Generate New Link' : 'Get Feed Link'}
               </button>
+              {calendarFeed?.active && (
+                <button
+                  onClick={handleRevokeCalendarFeed}
+                  className="px-4 py-2 text-sm text-error-600 border border-error-600 rounded-md hover:bg-error-50 transition-colors"
+                >
+                  Turn Off
+                </button>
+              )}
             </div>
           </div>
         </div>
 
+        {/* Active Sessions */}
+        <div className="mt-8 bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Where You're Signed In</h2>
+            <p className="text-sm text-gray-500">Revoke any session you don't recognise.</p>
+          </div>
+          {sessionsLoading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading sessions...</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {sessions.map((session) => (
+                <div key={session.id} className="p-6 flex items-center justify-between">
+                  <div className="flex items-start">
+                    <div className="p-3 bg-primary-100 rounded-full">
+                      <FaDesktop className="h-5 w-5 text-primary-600" />
+                    </div>
+                    <div className="ml-4">
+                      <p className="font-medium text-gray-900">
+                        {session.device}
+                        {session.isCurrent && (
+                          <span className="ml-2 px-2 py-1 text-xs font-medium bg-success-100 text-success-800 rounded-full">
+                            This device
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-600 flex items-center">
+                        <FaMapMarkerAlt className="h-3 w-3 mr-1" />
+                        {session.location || 'Unknown location'} · {session.ipAddress}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        Last active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRevokeSession(session)}
+                    className="px-4 py-2 text-sm text-error-600 border border-error-600 rounded-md hover:bg-error-50 transition-colors"
+                  >
+                    {session.isCurrent ? 'Sign Out' : 'Revoke'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Two-Factor Modal */}
+        {twoFactorAction && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+              {twoFactorAction === 'setup' && (
+                <TwoFactorSetup
+                  onComplete={() => {
+                    setTwoFactorEnabled(true);
+                    closeTwoFactorModal();
+                  }}
+                  onCancel={closeTwoFactorModal}
+                />
+              )}
+
+              {twoFactorAction !== 'setup' && backupCodes && (
+                <div className="space-y-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Your New Backup Codes</h3>
+                  <p className="text-sm text-gray-600">
+                    Your previous backup codes no longer work. Store these somewhere safe.
+                  </p>
+                  <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-md p-4 font-mono text-sm text-gray-900">
+                    {backupCodes.map((backupCode) => (
+                      <span key={backupCode}>{backupCode}</span>
+                    ))}
+                  </div>
+                  <button
+                    onClick={closeTwoFactorModal}
+                    className="w-full px-4 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                  >
+                    Done
+                  </button>
+                </div>
+              )}
+
+              {twoFactorAction !== 'setup' && !backupCodes && (
+                <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    {twoFactorAction === 'disable' ? 'Turn Off Two-Factor Authentication' : 'Generate New Backup Codes'}
+                  </h3>
+                  {twoFactorAction === 'disable' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Password
+                      </label>
+                      <input
+                        type="password"
+                        value={twoFactorForm.password}
+                        onChange={(e) => setTwoFactorForm({ ...twoFactorForm, password: e.target.value })}
+                        className="w-full px-3 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        placeholder="Enter your password"
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Authenticator Code
+                    </label>
+                    <input
+                      type="text"
+                      autoComplete="one-time-code"
+                      value={twoFactorForm.code}
+                      onChange={(e) => setTwoFactorForm({ ...twoFactorForm, code: e.target.value.trim() })}
+                      className="w-full px-3 py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      placeholder="6-digit code or backup code"
+                    />
+                  </div>
+                  <div className="flex justify-end space-x-3 pt-4">
+                    <button
+                      type="button"
+                      onClick={closeTwoFactorModal}
+                      className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="px-4 py-2 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                    >
+                      {twoFactorAction === 'disable' ? 'Turn Off' : 'Generate'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Password Change Modal */}
         {showPasswordForm && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaChartLine, FaFileDownload } from 'react-icons/fa';
+import api, { downloadFile } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const Results = () => {
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      try {
+        const response = await api.get('/grades/me');
+        setResults(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch results');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchResults();
+  }, []);
+
+  const handleDownloadTranscript = async () => {
+    try {
+      await downloadFile('/transcripts/me', 'transcript-unofficial.pdf');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to download transcript');
+    }
+  };
+
+  // Newest semester first
+  const semesters = results ? [...results.semesters].reverse() : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/student"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">My Results</h1>
+                <p className="text-sm text-gray-500">Released grades with semester GPA and CGPA</p>
+              </div>
+            </div>
+            {semesters.length > 0 && (
+              <button
+                onClick={handleDownloadTranscript}
+                className="flex items-center px-4 py-2 text-sm text-primary-600 border border-primary-600 rounded-md hover:bg-primary-50 transition-colors"
+              >
+                <FaFileDownload className="h-4 w-4 mr-2" />
+                Unofficial Transcript
+              </button>
+            )}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading results...</p>
+          </div>
+        ) : semesters.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <FaChartLine className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No results have been released yet.</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">CGPA</p>
+                <p className="text-2xl font-bold text-gray-900">{results.cgpa.toFixed(2)}</p>
+                <p className="text-xs text-gray-500">{results.classification}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Credits Earned</p>
+                <p className="text-2xl font-bold text-gray-900">{results.creditsEarned}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Credits Attempted</p>
+                <p className="text-2xl font-bold text-gray-900">{results.creditsAttempted}</p>
+              </div>
+            </div>
+
+            <div className="space-y-6">
+              {semesters.map((semester) => (
+                <div key={`${semester.academicYear}-${semester.semester}`} className="bg-white rounded-lg shadow">
+                  <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <h2 className="text-lg font-semibold text-gray-900">
+                      {semester.academicYear} Academic Year, {semester.semester} Semester
+                    </h2>
+                    <p className="text-sm text-gray-600">
+                      GPA <span className="font-semibold text-gray-900">{semester.gpa.toFixed(2)}</span>
+                      {' · '}
+                      CGPA <span className="font-semibold text-gray-900">{semester.cgpa.toFixed(2)}</span>
+                    </p>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Course</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Credits</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">CA</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Exam</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Grade</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {semester.courses.map((course) => (
+                          <tr key={course.courseCode}>
+                            <td className="px-6 py-4">
+                              <p className="text-sm font-medium text-gray-900">{course.courseCode}</p>
+                              <p className="text-sm text-gray-500">{course.title}</p>
+                            </td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{course.credits}</td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{course.continuousAssessment}</td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{course.examScore}</td>
+                            <td className="px-6 py-4 text-sm text-gray-900">{course.totalScore}</td>
+                            <td className="px-6 py-4">
+                              <span
+                                className={`px-2 py-1 text-xs font-medium rounded-full ${
+                                  course.isPassing
+                                    ? 'bg-success-100 text-success-800'
+                                    : 'bg-error-100 text-error-800'
+                                }`}
+                              >
+                                {course.letterGrade}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="px-6 py-3 bg-gray-50 text-sm text-gray-600 rounded-b-lg">
+                    {semester.creditsEarned} of {semester.creditsAttempted} credits earned
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Results;
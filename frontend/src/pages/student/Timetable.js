@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaCalendarWeek, FaMapMarkerAlt, FaUser } from 'react-icons/fa';
+import api from '../../services/api';
+import toast from 'react-hot-toast';
+
+const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const slotClassNames = {
+  Lecture: 'bg-primary-50 border-primary-200',
+  Lab: 'bg-success-50 border-success-200',
+  Tutorial: 'bg-warning-50 border-warning-200',
+};
+
+const Timetable = () => {
+  const [timetable, setTimetable] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTimetable = async () => {
+      try {
+        const response = await api.get('/courses/timetable');
+        setTimetable(response.data.data);
+      } catch (error) {
+        toast.error('Failed to fetch timetable');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTimetable();
+  }, []);
+
+  // Saturday only gets a column when something is scheduled on it
+  const visibleDays = timetable?.slots.some(slot => slot.day === 'Saturday')
+    ? days
+    : days.slice(0, 5);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center py-4">
+            <div className="flex items-center">
+              <Link
+                to="/student"
+                className="mr-4 p-2 text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <FaArrowLeft className="h-5 w-5" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-semibold text-gray-900">My Timetable</h1>
+                <p className="text-sm text-gray-500">
+                  {timetable?.semester
+                    ? `${timetable.academicYear} Academic Year, ${timetable.semester} Semester`
+                    : 'Weekly schedule for your approved courses'}
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading timetable...</p>
+          </div>
+        ) : !timetable || timetable.slots.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <FaCalendarWeek className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">
+              {timetable?.semester
+                ? 'None of your approved courses have scheduled classes yet.'
+                : 'There is no academic session in progress.'}
+            </p>
+          </div>
+        ) : (
+          <div className={`grid grid-cols-1 gap-4 ${visibleDays.length === 6 ? 'md:grid-cols-6' : 'md:grid-cols-5'}`}>
+            {visibleDays.map((day) => {
+              const daySlots = timetable.slots.filter(slot => slot.day === day);
+              return (
+                <div key={day} className="bg-white rounded-lg shadow">
+                  <div className="px-4 py-3 border-b border-gray-200">
+                    <h3 className="text-sm font-semibold text-gray-900">{day}</h3>
+                  </div>
+                  <div className="p-3 space-y-3">
+                    {daySlots.length === 0 ? (
+                      <p className="text-sm text-gray-400">No classes</p>
+                    ) : daySlots.map((slot) => (
+                      <div key={slot._id} className={`rounded-md border p-3 ${slotClassNames[slot.type]}`}>
+                        <p className="text-xs font-medium text-gray-500">
+                          {slot.startTime} – {slot.endTime} · {slot.type}
+                        </p>
+                        <p className="text-sm font-semibold text-gray-900">{slot.courseCode}</p>
+                        <p className="text-xs text-gray-600">{slot.title}</p>
+                        <p className="mt-1 text-xs text-gray-600 flex items-center">
+                          <FaMapMarkerAlt className="h-3 w-3 mr-1" />
+                          {slot.venue}
+                        </p>
+                        {slot.lecturer && (
+                          <p className="text-xs text-gray-600 flex items-center">
+                            <FaUser className="h-3 w-3 mr-1" />
+                            {slot.lecturer}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {timetable?.unscheduled.length > 0 && (
+          <div className="mt-8 bg-gray-100 rounded-lg p-4 text-sm text-gray-700">
+            Not yet scheduled: {timetable.unscheduled.map(course => course.courseCode).join(', ')}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Timetable;
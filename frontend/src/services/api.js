@@ -9,6 +9,34 @@ const api = axios.create({
   },
 });
 
+// Auth endpoints whose 401 responses must not trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
+// Shared promise so concurrent 401s wait on a single refresh request
+let refreshPromise = null;
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+export const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  // Plain axios so this request bypasses the interceptors below
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  storeTokens(response.data.data);
+  return response.data.data.token;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -23,18 +51,61 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Response interceptor to refresh expired access tokens
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url)
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        if (!refreshPromise) {
+          refreshPromise = refreshAccessToken().finally(() => {
+            refreshPromise = null;
+          });
+        }
+        const token = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearTokens();
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
+      }
     }
+
     return Promise.reject(error);
   }
 );
 
-export default api; 
\ No newline at end of file
+// Download a file from the API, e.g. a PDF, and save it with the name the server gives
+export const downloadFile = async (url, fallbackName) => {
+  try {
+    const response = await api.get(url, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = disposition.match(/filename="(.+)"/)?.[1] || fallbackName;
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(response.data);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    // Error bodies arrive as blobs too; turn them back into JSON for the caller
+    if (error.response?.data instanceof Blob) {
+      error.response.data = JSON.parse(await error.response.data.text());
+    }
+    throw error;
+  }
+};
+
+export default api;